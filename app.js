@@ -0,0 +1,74 @@
+// The HTTP API as an Express app over a pg pool. index.js serves it;
+// tests build one against a throwaway database.
+
+const express = require("express");
+const path = require("path");
+const { errorHandler, notFoundHandler } = require("./errors");
+const { authenticate, validate } = require("./http");
+const { buildOpenApi } = require("./openapi");
+const { json } = require("./schemas");
+const { productsRouter } = require("./routes/products");
+const { inventoryRouter } = require("./routes/inventory");
+const { salesRouter } = require("./routes/sales");
+const { purchaseOrdersRouter } = require("./routes/purchase-orders");
+const { suppliersRouter } = require("./routes/suppliers");
+const { planningRouter } = require("./routes/planning");
+const { analyticsRouter } = require("./routes/analytics");
+const { valuationRouter } = require("./routes/valuation");
+const { countsRouter } = require("./routes/counts");
+const { webhooksRouter } = require("./routes/webhooks");
+const { authRouter } = require("./routes/auth");
+const { auditRouter } = require("./routes/audit");
+
+function createApp(pool) {
+  const app = express();
+
+  // keep the raw body: webhook signatures are computed over the exact bytes
+  app.use(express.json({
+    verify: (req, res, buf) => {
+      req.rawBody = buf;
+    }
+  }));
+  // the dashboard, the login and API docs pages and the generated client;
+  // everything else needs credentials
+  app.use(express.static(path.join(__dirname, "public")));
+  app.use("/client", express.static(path.join(__dirname, "client")));
+  app.use(authenticate(pool));
+
+  app.use(productsRouter(pool));
+  app.use(inventoryRouter(pool));
+  app.use(salesRouter(pool));
+  app.use(purchaseOrdersRouter(pool));
+  app.use(suppliersRouter(pool));
+  app.use(planningRouter(pool));
+  app.use(analyticsRouter(pool));
+  app.use(valuationRouter(pool));
+  app.use(countsRouter(pool));
+  app.use(webhooksRouter(pool));
+  app.use(authRouter(pool));
+  app.use(auditRouter(pool));
+
+  const root = validate({ response: { type: "string", contentMediaType: "text/html" } });
+  app.get("/", root, (req, res) => {
+    res.send("Inventory Planner API running");
+  });
+
+  // The OpenAPI document for all of the above (see openapi.js), built on
+  // first request; the docs page at /docs.html browses it
+  let openapi = null;
+  app.get("/openapi.json", validate({ response: json }), (req, res) => {
+    openapi = openapi || buildOpenApi(app);
+    res.json(openapi);
+  });
+
+  // unknown routes, and anything a route threw or passed to next(), as
+  // { error, code } JSON (see errors.js)
+  app.use(notFoundHandler);
+  app.use(errorHandler);
+
+  return app;
+}
+
+module.exports = {
+  createApp
+};
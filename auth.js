@@ -0,0 +1,144 @@
+// Accounts, sessions, API keys and role permissions.
+//
+// Passwords are stored as scrypt hashes; session tokens and API keys only
+// as SHA-256 hashes, so a database dump can't be replayed against the API.
+// Every route names one permission; PERMISSIONS lists the roles that hold
+// it. admin holds every permission.
+
+const crypto = require("crypto");
+
+const ROLES = ["viewer", "planner", "buyer", "warehouse", "admin"];
+
+const PERMISSIONS = {
+  // read any report, product, PO or supplier
+  read: ["viewer", "planner", "buyer", "warehouse"],
+  // product master data and categories
+  "products.write": ["planner"],
+  // planning policies, service levels, applying reorder points
+  "planning.write": ["planner"],
+  // stock adjustments, counting, transfers, stock imports
+  "stock.write": ["warehouse"],
+  // recording sales and returns, resolving unmatched webhook lines
+  "sales.write": ["warehouse"],
+  // locations
+  "locations.write": ["warehouse"],
+  // suppliers and their catalog
+  "suppliers.write": ["buyer"],
+  // creating and editing draft POs
+  "po.write": ["planner", "buyer"],
+  // submitting, confirming and cancelling POs
+  "po.submit": ["buyer"],
+  // receiving goods against a PO
+  "po.receive": ["warehouse"],
+  // approving stock count variances, which posts them as adjustments
+  "counts.approve": ["planner"],
+  // outbound webhook subscriptions and deliveries
+  "webhooks.manage": [],
+  // users and API keys
+  "users.manage": []
+};
+
+const SESSION_TTL_HOURS = Number(process.env.SESSION_TTL_HOURS || 24 * 7);
+const SESSION_COOKIE = "session";
+const API_KEY_PREFIX = "ipk_";
+
+function can(role, permission) {
+  if (!PERMISSIONS[permission]) {
+    throw new RangeError(`Unknown permission: ${permission}`);
+  }
+  return role === "admin" || PERMISSIONS[permission].includes(role);
+}
+
+function permissionsFor(role) {
+  return Object.keys(PERMISSIONS).filter(p => can(role, p));
+}
+
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = crypto.scryptSync(password, salt, 64);
+  return `scrypt$${salt.toString("hex")}$${hash.toString("hex")}`;
+}
+
+function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored || "").split("$");
+  if (scheme !== "scrypt" || !salt || !hash) return false;
+
+  const expected = Buffer.from(hash, "hex");
+  const actual = crypto.scryptSync(password, Buffer.from(salt, "hex"), expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+function generateSessionToken() {
+  return crypto.randomBytes(32).toString("base64url");
+}
+
+function generateApiKey() {
+  return `${API_KEY_PREFIX}${crypto.randomBytes(24).toString("base64url")}`;
+}
+
+function parseCookies(header) {
+  const cookies = {};
+
+  for (const part of String(header || "").split(";")) {
+    const i = part.indexOf("=");
+    if (i === -1) continue;
+    cookies[part.slice(0, i).trim()] = decodeURIComponent(part.slice(i + 1).trim());
+  }
+
+  return cookies;
+}
+
+// Credentials on a request: { kind: "api_key" | "session", token } or null.
+// API keys come in X-API-Key or as a Bearer token with the ipk_ prefix;
+// sessions as a Bearer token or the session cookie.
+function requestCredentials(req) {
+  const apiKey = req.get("X-API-Key");
+  if (apiKey) return { kind: "api_key", token: apiKey };
+
+  const auth = req.get("Authorization") || "";
+  if (auth.startsWith("Bearer ")) {
+    const token = auth.slice(7).trim();
+    return {
+      kind: token.startsWith(API_KEY_PREFIX) ? "api_key" : "session",
+      token
+    };
+  }
+
+  const cookie = parseCookies(req.get("Cookie"))[SESSION_COOKIE];
+  return cookie ? { kind: "session", token: cookie } : null;
+}
+
+function sessionCookie(token, { secure = false } = {}) {
+  return [
+    `${SESSION_COOKIE}=${encodeURIComponent(token)}`,
+    "Path=/",
+    "HttpOnly",
+    "SameSite=Lax",
+    `Max-Age=${SESSION_TTL_HOURS * 3600}`,
+    secure ? "Secure" : null
+  ].filter(Boolean).join("; ");
+}
+
+function clearedSessionCookie() {
+  return `${SESSION_COOKIE}=; Path=/; HttpOnly; SameSite=Lax; Max-Age=0`;
+}
+
+module.exports = {
+  ROLES,
+  PERMISSIONS,
+  SESSION_TTL_HOURS,
+  can,
+  permissionsFor,
+  hashPassword,
+  verifyPassword,
+  hashToken,
+  generateSessionToken,
+  generateApiKey,
+  requestCredentials,
+  sessionCookie,
+  clearedSessionCookie
+};
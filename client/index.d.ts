@@ -0,0 +1,2132 @@
+// Generated by scripts/generate-client.js from the OpenAPI document. Do not edit.
+
+export type ProductListing = {
+  id: number;
+  sku: string;
+  name: string;
+  stock: number;
+  reorder_point: number;
+  created_at: string;
+  image_url: string | null;
+  supplier_id: number | null;
+  lead_time_days: number | null;
+  category_id: number | null;
+  service_level: string | null;
+  safety_stock: number;
+  tags: string[];
+  archived_at: string | null;
+  updated_at: string;
+  kind: "standard" | "parent" | "kit";
+  parent_id: number | null;
+  variant_attributes: { [key: string]: unknown };
+  category_name: string | null;
+  supplier_name: string | null;
+  available_stock: number;
+};
+
+export type Product = {
+  id: number;
+  sku: string;
+  name: string;
+  stock: number;
+  reorder_point: number;
+  created_at: string;
+  image_url: string | null;
+  supplier_id: number | null;
+  lead_time_days: number | null;
+  category_id: number | null;
+  service_level: string | null;
+  safety_stock: number;
+  tags: string[];
+  archived_at: string | null;
+  updated_at: string;
+  kind: "standard" | "parent" | "kit";
+  parent_id: number | null;
+  variant_attributes: { [key: string]: unknown };
+};
+
+export type Category = {
+  id: number;
+  name: string;
+  service_level: string | null;
+  created_at: string;
+};
+
+export type StockMovement = {
+  id: number;
+  product_id: number;
+  quantity_change: number;
+  stock_after: number;
+  reason: "sale" | "receipt" | "adjustment" | "import" | "count" | "transfer" | "return";
+  reference_id: string | null;
+  user_name: string | null;
+  note: string | null;
+  created_at: string;
+  location_id: number | null;
+  reason_code: string | null;
+};
+
+export type Location = {
+  id: number;
+  code: string;
+  name: string;
+  type: string;
+  is_default: boolean;
+  created_at: string;
+};
+
+export type StockTransfer = {
+  id: number;
+  product_id: number;
+  from_location_id: number;
+  to_location_id: number;
+  quantity: number;
+  user_name: string | null;
+  note: string | null;
+  created_at: string;
+};
+
+export type SalesVelocity = {
+  id: number;
+  sku: string;
+  name: string;
+  image_url: string | null;
+  stock: number;
+  location_id?: number;
+  location_code?: string;
+  daily_velocity_7: string;
+  daily_velocity_14: string;
+  daily_velocity_30: string;
+  daily_velocity_90: string;
+  days_of_stock_7: number | null;
+  days_of_stock_14: number | null;
+  days_of_stock_30: number | null;
+  days_of_stock_90: number | null;
+};
+
+export type EffectivePolicy = {
+  coverage_days: number;
+  review_period_days: number;
+  min_order_qty: number;
+  order_multiple: number;
+  buffer_days: number;
+  source: {
+    coverage_days: string;
+    review_period_days: string;
+    min_order_qty: string;
+    order_multiple: string;
+    buffer_days: string;
+  };
+};
+
+export type ReorderStatus = {
+  id: number;
+  sku: string;
+  name: string;
+  image_url: string | null;
+  location_id?: number;
+  location_code?: string;
+  stock: number;
+  reorder_point: number;
+  current_safety_stock: number;
+  category_id: number | null;
+  supplier_id: number | null;
+  supplier_name: string | null;
+  lead_time_days: number;
+  lead_time_stddev_days: number;
+  lead_time_source: string;
+  case_pack: number;
+  service_level: number;
+  on_order: number;
+  daily_velocity: number;
+  demand_stddev: number;
+  forecast_method: "moving_average" | "exponential" | "holt_winters_weekly" | "holt_winters_yearly" | "croston" | "none";
+  safety_stock: number;
+  computed_reorder_point: number;
+  days_of_stock: number | null;
+  order_up_to: number;
+  suggested_order_quantity: number;
+  policy: EffectivePolicy;
+  status: "OK" | "ORDER SOON" | "ORDER NOW";
+};
+
+export type ReorderPointPreview = {
+  product_id: number;
+  sku: string;
+  name: string;
+  stock: number;
+  service_level: number;
+  lead_time_days: number;
+  lead_time_stddev_days: number;
+  daily_demand: number;
+  demand_stddev: number;
+  safety_stock: number;
+  reorder_point: number;
+  lead_time_source: string;
+  forecast_method: "moving_average" | "exponential" | "holt_winters_weekly" | "holt_winters_yearly" | "croston" | "none";
+  current_safety_stock: number;
+  current_reorder_point: number;
+  computed_reorder_point: number;
+  difference: number;
+};
+
+export type ImportResult = {
+  mode: "dry_run" | "apply";
+  applied: boolean;
+  file: string;
+  fields: Array<"sku" | "name" | "stock" | "reorder_point" | "lead_time_days" | "image_url" | "location">;
+  rows: number;
+  summary: {
+    create: number;
+    update: number;
+    unchanged: number;
+    errors: number;
+  };
+  errors: Array<{
+    line: number;
+    sku: string | null;
+    field: string;
+    message: string;
+  }>;
+  changes: Array<{
+    line: number;
+    sku: string;
+    product_id: number | null;
+    location: string;
+    location_id: number;
+    action: "create" | "update" | "unchanged";
+    changes: { [key: string]: {
+      from: unknown;
+      to: unknown;
+    } };
+  }>;
+};
+
+export type SalesSummary = {
+  inserted: number;
+  duplicates: number;
+  sales: number;
+  returns: number;
+  units: number;
+};
+
+export type UnmatchedSaleLine = {
+  id: number;
+  source: string;
+  topic: string;
+  sku: string;
+  title: string | null;
+  line: { [key: string]: unknown };
+  reason: "unknown_sku" | "exceeds_sold";
+  status: "open" | "resolved" | "ignored";
+  product_id: number | null;
+  sale_id: number | null;
+  created_at: string;
+  resolved_at: string | null;
+  resolved_by: string | null;
+};
+
+export type PurchaseOrderLine = {
+  item_id: number;
+  product_id: number;
+  sku: string;
+  name: string;
+  quantity: number;
+  quantity_received: number;
+  quantity_remaining: number;
+  unit_cost: string | null;
+  currency: string;
+  expected_date: string | null;
+};
+
+export type PurchaseOrder = {
+  id: number;
+  product_id: number | null;
+  quantity: number | null;
+  status: "DRAFT" | "SUBMITTED" | "CONFIRMED" | "PARTIALLY_RECEIVED" | "RECEIVED" | "CANCELLED";
+  created_at: string;
+  expected_date: string | null;
+  received_at: string | null;
+  supplier_id: number | null;
+  currency: string;
+  notes: string | null;
+  submitted_at: string | null;
+  confirmed_at: string | null;
+  cancelled_at: string | null;
+  updated_at: string;
+  late_notified_at: string | null;
+  supplier_name: string | null;
+  allowed_transitions: Array<"DRAFT" | "SUBMITTED" | "CONFIRMED" | "PARTIALLY_RECEIVED" | "RECEIVED" | "CANCELLED">;
+  items: PurchaseOrderLine[];
+};
+
+export type OrderSuggestion = {
+  product_id: number;
+  sku: string;
+  name: string;
+  image_url: string | null;
+  supplier_id: number | null;
+  current_stock: number;
+  on_order: number;
+  daily_velocity: number;
+  forecast_method: "moving_average" | "exponential" | "holt_winters_weekly" | "holt_winters_yearly" | "croston" | "none";
+  lead_time_days: number;
+  coverage_days: number;
+  reorder_point: number;
+  order_up_to: number;
+  status: "OK" | "ORDER SOON" | "ORDER NOW";
+  suggested_order_quantity: number;
+  unit_cost: number;
+  estimated_spend: number;
+};
+
+export type Supplier = {
+  id: number;
+  name: string;
+  lead_time_days: number | null;
+  created_at: string;
+  lead_time_stddev_days: string | null;
+  contact_name: string | null;
+  email: string | null;
+  phone: string | null;
+  address: string | null;
+  currency: string;
+  moq: number;
+  payment_terms: string | null;
+  notes: string | null;
+  use_observed_lead_time: boolean;
+  updated_at: string;
+};
+
+export type SupplierScorecard = {
+  supplier_id: number;
+  supplier_name: string;
+  configured_lead_time_days: number | null;
+  configured_lead_time_stddev_days: string | null;
+  use_observed_lead_time: boolean;
+  lines: number;
+  due_lines: number;
+  on_time_lines: number;
+  on_time_rate: number | null;
+  fill_rate: number | null;
+  receipts: number;
+  avg_lead_time_days: number | null;
+  p90_lead_time_days: number | null;
+  lead_time_stddev_days: number | null;
+  lead_time_variance: number | null;
+  observed_lead_time_used: boolean;
+  window_days: number;
+};
+
+export type CatalogEntry = {
+  id: number;
+  supplier_id: number;
+  product_id: number;
+  supplier_sku: string | null;
+  unit_cost: string | null;
+  case_pack: number;
+  is_preferred: boolean;
+  created_at: string;
+  updated_at: string;
+};
+
+export type PlanningPolicy = {
+  id: number;
+  scope: "product" | "category" | "supplier" | "global";
+  scope_id: number | null;
+  coverage_days: number | null;
+  review_period_days: number | null;
+  min_order_qty: number | null;
+  order_multiple: number | null;
+  buffer_days: number | null;
+  created_at: string;
+  updated_at: string;
+};
+
+export type Classification = {
+  product_id: number;
+  sku: string;
+  name: string;
+  kind: string;
+  category_id: number | null;
+  units: number;
+  revenue: number;
+  share: number;
+  cumulative_share: number;
+  abc_class: "A" | "B" | "C";
+  weekly_demand_mean: number;
+  weekly_demand_cv: number | null;
+  xyz_class: "X" | "Y" | "Z";
+  class: string;
+};
+
+export type StockCount = {
+  id: number;
+  location_id: number;
+  status: "OPEN" | "SUBMITTED" | "APPROVED" | "CANCELLED";
+  abc_class: "A" | "B" | "C" | null;
+  blind: boolean;
+  notes: string | null;
+  created_by: string | null;
+  created_at: string;
+  submitted_at: string | null;
+  approved_by: string | null;
+  approved_at: string | null;
+  cancelled_at: string | null;
+  location_code: string;
+  location_name: string;
+  lines: Array<{
+    id: number;
+    count_id: number;
+    product_id: number;
+    expected_quantity: number | null;
+    unit_cost: number | null;
+    counted_quantity: number | null;
+    counted_by: string | null;
+    counted_at: string | null;
+    reason_code: string | null;
+    movement_id: number | null;
+    sku: string;
+    name: string;
+    variance_units: number | null;
+    variance_value: number | null;
+  }>;
+  totals: {
+    lines: number;
+    counted: number;
+    with_variance?: number;
+    variance_units?: number;
+    variance_value?: number;
+    absolute_variance_value?: number;
+  };
+};
+
+export type NewWebhookSubscription = {
+  id: number;
+  url: string;
+  events: Array<"*" | "product.reorder_point_crossed" | "product.status_changed" | "purchase_order.created" | "purchase_order.submitted" | "purchase_order.confirmed" | "purchase_order.partially_received" | "purchase_order.received" | "purchase_order.receipt_recorded" | "purchase_order.cancelled" | "purchase_order.late" | "ping">;
+  description: string | null;
+  active: boolean;
+  created_at: string;
+  updated_at: string;
+  secret: string;
+};
+
+export type WebhookSubscription = {
+  id: number;
+  url: string;
+  events: Array<"*" | "product.reorder_point_crossed" | "product.status_changed" | "purchase_order.created" | "purchase_order.submitted" | "purchase_order.confirmed" | "purchase_order.partially_received" | "purchase_order.received" | "purchase_order.receipt_recorded" | "purchase_order.cancelled" | "purchase_order.late" | "ping">;
+  description: string | null;
+  active: boolean;
+  created_at: string;
+  updated_at: string;
+  secret_hint: string;
+};
+
+export type WebhookDelivery = {
+  id: number;
+  subscription_id: number;
+  event_id: number;
+  replay_of: number | null;
+  status: "pending" | "delivered" | "failed";
+  attempts: number;
+  next_attempt_at: string | null;
+  last_attempt_at: string | null;
+  response_status: number | null;
+  error: string | null;
+  created_at: string;
+  delivered_at: string | null;
+  response_body: string | null;
+};
+
+export type WebhookDeliveryLogEntry = {
+  id: number;
+  subscription_id: number;
+  event_id: number;
+  replay_of: number | null;
+  status: "pending" | "delivered" | "failed";
+  attempts: number;
+  next_attempt_at: string | null;
+  last_attempt_at: string | null;
+  response_status: number | null;
+  error: string | null;
+  created_at: string;
+  delivered_at: string | null;
+  event: string;
+};
+
+export type WebhookDeliveryDetail = {
+  id: number;
+  subscription_id: number;
+  event_id: number;
+  replay_of: number | null;
+  status: "pending" | "delivered" | "failed";
+  attempts: number;
+  next_attempt_at: string | null;
+  last_attempt_at: string | null;
+  response_status: number | null;
+  error: string | null;
+  created_at: string;
+  delivered_at: string | null;
+  response_body: string | null;
+  event: string;
+  payload: { [key: string]: unknown };
+  event_created_at: string;
+};
+
+export type User = {
+  id: number;
+  email: string;
+  name: string | null;
+  role: "viewer" | "planner" | "buyer" | "warehouse" | "admin";
+  active: boolean;
+  created_at: string;
+  last_login_at: string | null;
+};
+
+export type ApiKey = {
+  id: number;
+  name: string;
+  key_prefix: string;
+  role: "viewer" | "planner" | "buyer" | "warehouse" | "admin";
+  created_at: string;
+  last_used_at: string | null;
+  revoked_at: string | null;
+  created_by: string | null;
+};
+
+export type AuditEntry = {
+  id: number;
+  occurred_at: string;
+  actor: string | null;
+  entity_type: string;
+  entity_id: string;
+  action: string;
+  changes: { [key: string]: unknown };
+};
+
+export type ErrorCode = "VALIDATION_ERROR" | "UNAUTHENTICATED" | "FORBIDDEN" | "NOT_FOUND" | "CONFLICT" | "PAYLOAD_TOO_LARGE" | "UNPROCESSABLE" | "INTERNAL_ERROR" | "UNAVAILABLE";
+
+export declare class ApiError extends Error {
+  status: number;
+  code?: ErrorCode;
+  details?: { in: string; field: string; message: string }[];
+  body: unknown;
+}
+
+export interface ClientOptions {
+  baseUrl?: string;
+  token?: string;
+  apiKey?: string;
+  fetch?: typeof fetch;
+}
+
+export interface RequestOptions {
+  query?: { [key: string]: unknown };
+  body?: unknown;
+  form?: FormData;
+}
+
+export interface Client {
+  request(method: string, path: string, options?: RequestOptions): Promise<unknown>;
+
+  /**
+   * GET /products
+   * Needs the `read` permission.
+   */
+  getProducts(query?: {
+    q?: string;
+    supplier_id?: number;
+    category_id?: number;
+    tag?: string;
+    kind?: "standard" | "parent" | "kit";
+    parent_id?: number;
+    status?: "active" | "archived" | "all";
+    sort?: "sku" | "name" | "stock" | "created_at" | "updated_at" | "-sku" | "-name" | "-stock" | "-created_at" | "-updated_at";
+    limit?: number;
+    cursor?: string;
+  }): Promise<{
+    data: ProductListing[];
+    next_cursor: string | null;
+  }>;
+
+  /**
+   * POST /products
+   * Needs the `products.write` permission.
+   */
+  postProducts(body: {
+    sku: string;
+    name: string;
+    image_url?: string | null;
+    reorder_point?: number;
+    safety_stock?: number;
+    lead_time_days?: number | null;
+    service_level?: number | null;
+    category_id?: number | null;
+    tags?: string[];
+    parent_id?: number | null;
+    variant_attributes?: { [key: string]: unknown };
+    supplier_id?: number | null;
+    kind?: "standard" | "parent" | "kit";
+    stock?: number;
+  }): Promise<Product>;
+
+  /**
+   * GET /products/tags
+   * Needs the `read` permission.
+   */
+  getProductsTags(): Promise<Array<{
+    tag: string;
+    products: number;
+  }>>;
+
+  /**
+   * GET /products/{id}
+   * Needs the `read` permission.
+   */
+  getProductsById(id: number): Promise<ProductListing>;
+
+  /**
+   * PATCH /products/{id}
+   * Needs the `products.write` permission.
+   */
+  patchProductsById(id: number, body?: {
+    sku?: string;
+    name?: string;
+    image_url?: string | null;
+    reorder_point?: number;
+    safety_stock?: number;
+    lead_time_days?: number | null;
+    service_level?: number | null;
+    category_id?: number | null;
+    tags?: string[];
+    parent_id?: number | null;
+    variant_attributes?: { [key: string]: unknown };
+    supplier_id?: number | null;
+  }): Promise<Product>;
+
+  /**
+   * DELETE /products/{id}
+   * Needs the `products.write` permission.
+   */
+  deleteProductsById(id: number): Promise<Product>;
+
+  /**
+   * POST /products/{id}/restore
+   * Needs the `products.write` permission.
+   */
+  postProductsByIdRestore(id: number): Promise<Product>;
+
+  /**
+   * GET /products/{id}/components
+   * Needs the `read` permission.
+   */
+  getProductsByIdComponents(id: number, query?: {
+    location_id?: number;
+  }): Promise<{
+    kit_id: number;
+    sku: string;
+    location_id: number | null;
+    available_stock: number;
+    components: Array<{
+      product_id: number;
+      sku: string;
+      name: string;
+      quantity: number;
+      stock: number;
+      kits_covered: number;
+    }>;
+  }>;
+
+  /**
+   * PUT /products/{id}/components
+   * Needs the `products.write` permission.
+   */
+  putProductsByIdComponents(id: number, body: {
+    components: Array<{
+      product_id: number;
+      quantity: number;
+    }>;
+  }): Promise<{
+    kit_id: number;
+    components: Array<{
+      product_id: number;
+      quantity: number;
+    }>;
+  }>;
+
+  /**
+   * GET /products/{id}/variants
+   * Needs the `read` permission.
+   */
+  getProductsByIdVariants(id: number): Promise<{
+    id: number;
+    sku: string;
+    name: string;
+    kind: "parent";
+    totals: {
+      stock: number;
+      on_order: number;
+      sold_30: number;
+      sold_90: number;
+      daily_velocity_30: number;
+    };
+    variants: Array<{
+      id: number;
+      parent_id: number;
+      sku: string;
+      name: string;
+      variant_attributes: { [key: string]: unknown };
+      stock: number;
+      on_order: number;
+      sold_30: number;
+      sold_90: number;
+    }>;
+  }>;
+
+  /**
+   * PATCH /products/{id}/lead-time
+   * Needs the `products.write` permission.
+   */
+  patchProductsByIdLeadTime(id: number, body: {
+    lead_time_days: number | null;
+  }): Promise<Product>;
+
+  /**
+   * PATCH /products/{id}/service-level
+   * Needs the `planning.write` permission.
+   */
+  patchProductsByIdServiceLevel(id: number, body: {
+    service_level: number | null;
+  }): Promise<Product>;
+
+  /**
+   * PATCH /products/{id}/category
+   * Needs the `products.write` permission.
+   */
+  patchProductsByIdCategory(id: number, body: {
+    category_id: number | null;
+  }): Promise<Product>;
+
+  /**
+   * GET /categories
+   * Needs the `read` permission.
+   */
+  getCategories(): Promise<Array<{
+    id: number;
+    name: string;
+    service_level: string | null;
+    created_at: string;
+    products: number;
+  }>>;
+
+  /**
+   * POST /categories
+   * Needs the `planning.write` permission.
+   */
+  postCategories(body: {
+    name: string;
+    service_level?: number | null;
+  }): Promise<Category>;
+
+  /**
+   * PATCH /categories/{id}
+   * Needs the `planning.write` permission.
+   */
+  patchCategoriesById(id: number, body?: {
+    name?: string;
+    service_level?: number | null;
+  }): Promise<Category>;
+
+  /**
+   * PATCH /products/images/bulk
+   * Needs the `products.write` permission.
+   */
+  patchProductsImagesBulk(body: {
+    updates: Array<{
+      product_id: number;
+      image_url: string | null;
+    }>;
+  }): Promise<{
+    updated: number;
+    products: Array<{
+      id: number;
+      name: string;
+      image_url: string | null;
+    }>;
+  }>;
+
+  /**
+   * GET /inventory/rollup
+   * Needs the `read` permission.
+   */
+  getInventoryRollup(): Promise<Array<{
+    id: number;
+    sku: string;
+    name: string;
+    variants: number;
+    stock: number;
+    on_order: number;
+    sold_30: number;
+    sold_90: number;
+    daily_velocity_30: number;
+  }>>;
+
+  /**
+   * PATCH /products/{id}/stock
+   * Needs the `stock.write` permission.
+   */
+  patchProductsByIdStock(id: number, body: {
+    stock: number;
+    location_id?: number | null;
+    reason?: "adjustment" | "count";
+    note?: string | null;
+  }): Promise<Product>;
+
+  /**
+   * GET /products/{id}/movements
+   * Needs the `read` permission.
+   */
+  getProductsByIdMovements(id: number, query?: {
+    from?: string;
+    to?: string;
+    reason?: "sale" | "receipt" | "adjustment" | "import" | "count" | "transfer" | "return";
+    location_id?: number;
+  }): Promise<StockMovement[]>;
+
+  /**
+   * GET /inventory/stock-as-of
+   * Needs the `read` permission.
+   */
+  getInventoryStockAsOf(query: {
+    date: string;
+    location_id?: number;
+  }): Promise<{
+    as_of: string;
+    location_id: number | null;
+    products: Array<{
+      product_id: number;
+      sku: string;
+      name: string;
+      stock: number;
+    }>;
+  }>;
+
+  /**
+   * GET /inventory/reorder
+   * Needs the `read` permission.
+   */
+  getInventoryReorder(query?: {
+    days?: number;
+    location_id?: number;
+    basis?: "revenue" | "units";
+    abc_class?: string;
+    xyz_class?: string;
+  }): Promise<Product[]>;
+
+  /**
+   * GET /locations
+   * Needs the `read` permission.
+   */
+  getLocations(): Promise<Location[]>;
+
+  /**
+   * POST /locations
+   * Needs the `locations.write` permission.
+   */
+  postLocations(body: {
+    code: string;
+    name: string;
+    type?: string;
+  }): Promise<Location>;
+
+  /**
+   * PATCH /locations/{id}
+   * Needs the `locations.write` permission.
+   */
+  patchLocationsById(id: number, body?: {
+    name?: string;
+    type?: string;
+  }): Promise<Location>;
+
+  /**
+   * GET /products/{id}/stock-levels
+   * Needs the `read` permission.
+   */
+  getProductsByIdStockLevels(id: number): Promise<Array<{
+    location_id: number;
+    location_code: string;
+    location_name: string;
+    stock: number;
+  }>>;
+
+  /**
+   * GET /products/{id}/forecast
+   * Needs the `read` permission.
+   */
+  getProductsByIdForecast(id: number, query?: {
+    horizon?: number;
+    confidence?: number;
+    location_id?: number;
+    method?: "moving_average" | "exponential" | "holt_winters_weekly" | "holt_winters_yearly" | "croston";
+  }): Promise<{
+    product_id: number;
+    location_id: number | null;
+    method: "moving_average" | "exponential" | "holt_winters_weekly" | "holt_winters_yearly" | "croston" | "none";
+    params: { [key: string]: unknown };
+    history_days: number;
+    backtest_rmse: { [key: string]: number };
+    horizon: number;
+    confidence: number;
+    forecast: Array<{
+      date: string;
+      quantity: number;
+      lower: number;
+      upper: number;
+    }>;
+  }>;
+
+  /**
+   * POST /inventory/transfers
+   * Needs the `stock.write` permission.
+   */
+  postInventoryTransfers(body: {
+    product_id: number;
+    from_location_id: number;
+    to_location_id: number;
+    quantity: number;
+    note?: string | null;
+  }): Promise<StockTransfer>;
+
+  /**
+   * GET /inventory/velocity
+   * Needs the `read` permission.
+   */
+  getInventoryVelocity(query?: {
+    location_id?: number;
+    by_location?: "true" | "false";
+  }): Promise<SalesVelocity[]>;
+
+  /**
+   * GET /inventory/reorder-status
+   * Needs the `read` permission.
+   */
+  getInventoryReorderStatus(query?: {
+    days?: number;
+    location_id?: number;
+    basis?: "revenue" | "units";
+    abc_class?: string;
+    xyz_class?: string;
+    by_location?: "true" | "false";
+  }): Promise<ReorderStatus[]>;
+
+  /**
+   * GET /inventory/reorder-points/preview
+   * Needs the `read` permission.
+   */
+  getInventoryReorderPointsPreview(query?: {
+    product_ids?: string;
+    category_id?: number;
+  }): Promise<ReorderPointPreview[]>;
+
+  /**
+   * POST /inventory/reorder-points/apply
+   * Needs the `planning.write` permission.
+   */
+  postInventoryReorderPointsApply(body?: {
+    product_ids?: number[];
+    category_id?: number;
+    all?: boolean;
+  }): Promise<{
+    updated: number;
+    products: Array<{
+      product_id: number;
+      sku: string;
+      previous_reorder_point: number;
+      reorder_point: number;
+      safety_stock: number;
+    }>;
+  }>;
+
+  /**
+   * POST /inventory/import
+   * Needs the `stock.write` permission.
+   * file is a File, or a Blob with a name ending in .csv or .xlsx.
+   */
+  postInventoryImport(file: Blob, fields?: {
+    dry_run?: "true" | "false";
+    create_missing?: "true" | "false";
+    mapping?: string;
+    location?: string;
+  }): Promise<ImportResult>;
+
+  /**
+   * POST /sales
+   * Needs the `sales.write` permission.
+   */
+  postSales(body: {
+    product_id?: number;
+    sku?: string;
+    quantity: number;
+    type?: "sale" | "return";
+    sold_at?: string;
+    unit_price?: number | null;
+    channel?: string | null;
+    external_order_id?: string | number | null;
+    external_return_id?: string | number | null;
+    external_line_id?: string | number | null;
+    location_id?: number;
+    location?: string;
+    restock?: boolean;
+    update_stock?: boolean;
+  }): Promise<{
+    id: number;
+    product_id: number;
+    quantity: number;
+    sold_at: string;
+    location_id: number | null;
+    kind: "sale" | "return";
+    unit_price: string | null;
+    channel: string | null;
+    external_order_id: string | null;
+    external_return_id: string | null;
+    external_line_id: string | null;
+    created_at: string;
+    kit_sale_id: number | null;
+    duplicate?: boolean;
+  }>;
+
+  /**
+   * POST /sales/bulk
+   * Needs the `sales.write` permission.
+   */
+  postSalesBulk(body: {
+    sales: Array<{
+      product_id?: number;
+      sku?: string;
+      quantity: number;
+      type?: "sale" | "return";
+      sold_at?: string;
+      unit_price?: number | null;
+      channel?: string | null;
+      external_order_id?: string | number | null;
+      external_return_id?: string | number | null;
+      external_line_id?: string | number | null;
+      location_id?: number;
+      location?: string;
+      restock?: boolean;
+    }>;
+    update_stock?: boolean;
+  }): Promise<SalesSummary>;
+
+  /**
+   * POST /webhooks/shopify
+   */
+  postWebhooksShopify(body?: { [key: string]: unknown }): Promise<{
+    status: "processed" | "ignored";
+    result: {
+      inserted: number;
+      duplicates: number;
+      sales: number;
+      returns: number;
+      units: number;
+      unmatched: number;
+    } | null;
+    duplicate?: boolean;
+  }>;
+
+  /**
+   * GET /webhooks/unmatched
+   * Needs the `read` permission.
+   */
+  getWebhooksUnmatched(query?: {
+    status?: "open" | "resolved" | "ignored" | "all";
+  }): Promise<UnmatchedSaleLine[]>;
+
+  /**
+   * POST /webhooks/unmatched/{id}/resolve
+   * Needs the `sales.write` permission.
+   */
+  postWebhooksUnmatchedByIdResolve(id: number, body: {
+    product_id: number;
+  }): Promise<{
+    sku: string;
+    product_id: number;
+    lines: number;
+    inserted: number;
+    duplicates: number;
+    sales: number;
+    returns: number;
+    units: number;
+  }>;
+
+  /**
+   * POST /webhooks/unmatched/{id}/ignore
+   * Needs the `sales.write` permission.
+   */
+  postWebhooksUnmatchedByIdIgnore(id: number): Promise<UnmatchedSaleLine>;
+
+  /**
+   * POST /sales/import
+   * Needs the `sales.write` permission.
+   * file is a File, or a Blob with a name ending in .csv or .xlsx.
+   */
+  postSalesImport(file: Blob, fields?: {
+    mapping?: string;
+    update_stock?: "true" | "false";
+  }): Promise<{
+    file: string;
+    rows: number;
+    inserted: number;
+    duplicates: number;
+    sales: number;
+    returns: number;
+    units: number;
+  }>;
+
+  /**
+   * GET /purchase-orders/{id}
+   * Needs the `read` permission.
+   */
+  getPurchaseOrdersById(id: number): Promise<PurchaseOrder>;
+
+  /**
+   * PATCH /purchase-orders/{id}
+   * Needs the `po.write` permission.
+   */
+  patchPurchaseOrdersById(id: number, body?: {
+    supplier_id?: number | null;
+    currency?: string;
+    notes?: string | null;
+  }): Promise<PurchaseOrder>;
+
+  /**
+   * GET /purchase-orders/{id}/items
+   * Needs the `read` permission.
+   */
+  getPurchaseOrdersByIdItems(id: number): Promise<PurchaseOrderLine[]>;
+
+  /**
+   * POST /purchase-orders/{id}/items
+   * Needs the `po.write` permission.
+   */
+  postPurchaseOrdersByIdItems(id: number, body?: {
+    items?: Array<{
+      product_id: number;
+      quantity: number;
+      unit_cost?: number | null;
+      expected_date?: string | null;
+    }>;
+    product_id?: number;
+    quantity?: number;
+    unit_cost?: number | null;
+    expected_date?: string | null;
+  }): Promise<PurchaseOrder>;
+
+  /**
+   * POST /purchase-orders/{id}/receive
+   * Needs the `po.receive` permission.
+   */
+  postPurchaseOrdersByIdReceive(id: number, body?: {
+    items?: Array<{
+      item_id: number;
+      quantity: number;
+      unit_cost?: number | null;
+    }>;
+    location_id?: number | null;
+    over_receipt_tolerance_pct?: number;
+    reference?: string | null;
+    notes?: string | null;
+  }): Promise<{
+    purchase_order_id: number;
+    receipt_id: number;
+    location_id: number;
+    status: "PARTIALLY_RECEIVED" | "RECEIVED";
+    items: Array<{
+      item_id: number;
+      product_id: number;
+      quantity_ordered: number;
+      quantity_received: number;
+    }>;
+  }>;
+
+  /**
+   * GET /purchase-orders/{id}/receipts
+   * Needs the `read` permission.
+   */
+  getPurchaseOrdersByIdReceipts(id: number): Promise<Array<{
+    id: number;
+    reference: string | null;
+    notes: string | null;
+    received_at: string;
+    items: Array<{
+      item_id: number;
+      product_id: number;
+      sku: string;
+      quantity: number;
+    }>;
+  }>>;
+
+  /**
+   * GET /purchase-orders
+   * Needs the `read` permission.
+   */
+  getPurchaseOrders(query?: {
+    status?: "DRAFT" | "SUBMITTED" | "CONFIRMED" | "PARTIALLY_RECEIVED" | "RECEIVED" | "CANCELLED";
+    supplier_id?: number;
+  }): Promise<Array<{
+    id: number;
+    created_at: string;
+    status: "DRAFT" | "SUBMITTED" | "CONFIRMED" | "PARTIALLY_RECEIVED" | "RECEIVED" | "CANCELLED";
+    supplier_id: number | null;
+    supplier_name: string | null;
+    currency: string;
+    total_items: string;
+    total_units: string;
+    total_units_received: string;
+    total_cost: string;
+    next_expected_date: string | null;
+  }>>;
+
+  /**
+   * POST /purchase-orders
+   * Needs the `po.write` permission.
+   */
+  postPurchaseOrders(body?: {
+    supplier_id?: number | null;
+    currency?: string;
+    notes?: string | null;
+    items?: Array<{
+      product_id: number;
+      quantity: number;
+      unit_cost?: number | null;
+      expected_date?: string | null;
+    }>;
+  }): Promise<PurchaseOrder>;
+
+  /**
+   * POST /purchase-orders/from-dashboard
+   * Needs the `po.write` permission.
+   */
+  postPurchaseOrdersFromDashboard(body: {
+    supplier_id?: number | null;
+    items: Array<{
+      product_id: number;
+      quantity: number;
+      unit_cost?: number | null;
+      expected_date?: string | null;
+      supplier_id?: number | null;
+    }>;
+  }): Promise<{
+    purchase_orders: Array<{
+      purchase_order_id: number;
+      supplier_id: number | null;
+      supplier_name: string | null;
+      currency: string;
+      items: number;
+    }>;
+  }>;
+
+  /**
+   * PATCH /purchase-orders/{id}/items/{itemId}
+   * Needs the `po.write` permission.
+   */
+  patchPurchaseOrdersByIdItemsByItemId(id: number, itemId: number, body?: {
+    quantity?: number;
+    unit_cost?: number | null;
+    expected_date?: string | null;
+  }): Promise<PurchaseOrder>;
+
+  /**
+   * DELETE /purchase-orders/{id}/items/{itemId}
+   * Needs the `po.write` permission.
+   */
+  deletePurchaseOrdersByIdItemsByItemId(id: number, itemId: number): Promise<PurchaseOrder>;
+
+  /**
+   * POST /purchase-orders/{id}/submit
+   * Needs the `po.submit` permission.
+   */
+  postPurchaseOrdersByIdSubmit(id: number): Promise<PurchaseOrder>;
+
+  /**
+   * POST /purchase-orders/{id}/confirm
+   * Needs the `po.submit` permission.
+   */
+  postPurchaseOrdersByIdConfirm(id: number): Promise<PurchaseOrder>;
+
+  /**
+   * POST /purchase-orders/{id}/cancel
+   * Needs the `po.submit` permission.
+   */
+  postPurchaseOrdersByIdCancel(id: number): Promise<PurchaseOrder>;
+
+  /**
+   * GET /purchase-orders/suggestions
+   * Needs the `read` permission.
+   */
+  getPurchaseOrdersSuggestions(query?: {
+    days?: number;
+    location_id?: number;
+    basis?: "revenue" | "units";
+    abc_class?: string;
+    xyz_class?: string;
+  }): Promise<OrderSuggestion[]>;
+
+  /**
+   * GET /purchase-orders/suggestions.csv
+   * Needs the `read` permission.
+   */
+  getPurchaseOrdersSuggestionsCsv(query?: {
+    days?: number;
+    location_id?: number;
+    basis?: "revenue" | "units";
+    abc_class?: string;
+    xyz_class?: string;
+  }): Promise<string>;
+
+  /**
+   * GET /purchase-orders/recommendations
+   * Needs the `read` permission.
+   */
+  getPurchaseOrdersRecommendations(): Promise<Array<{
+    product_id: number;
+    sku: string;
+    name: string;
+    image_url: string | null;
+    stock: number;
+    on_order: number;
+    daily_velocity_30: number;
+    forecast_method: "moving_average" | "exponential" | "holt_winters_weekly" | "holt_winters_yearly" | "croston" | "none";
+    recommended_order_qty: number;
+    target_days: number;
+  }>>;
+
+  /**
+   * POST /purchase-orders/suggest
+   * Needs the `read` permission.
+   */
+  postPurchaseOrdersSuggest(body: {
+    product_id: number;
+    lead_time_days?: number;
+    buffer_days?: number;
+  }): Promise<{
+    product_id: number;
+    forecast_method: "moving_average" | "exponential" | "holt_winters_weekly" | "holt_winters_yearly" | "croston" | "none";
+    lead_time_days: number;
+    policy: EffectivePolicy;
+    suggested_quantity: number;
+  }>;
+
+  /**
+   * POST /purchase-orders/from-suggestion
+   * Needs the `po.write` permission.
+   */
+  postPurchaseOrdersFromSuggestion(body: {
+    product_id: number;
+    quantity: number;
+    expected_date?: string | null;
+  }): Promise<PurchaseOrder>;
+
+  /**
+   * GET /purchase-orders/intelligence
+   * Needs the `read` permission.
+   */
+  getPurchaseOrdersIntelligence(): Promise<Array<{
+    id: number;
+    item_id: number;
+    product_id: number;
+    name: string;
+    image_url: string | null;
+    quantity: number;
+    quantity_received: number;
+    status: "DRAFT" | "SUBMITTED" | "CONFIRMED" | "PARTIALLY_RECEIVED" | "RECEIVED" | "CANCELLED";
+    expected_date: string | null;
+    stock: number;
+    po_risk: "LATE" | "AT RISK" | "ON TRACK";
+    daily_velocity_30: number;
+    forecast_method: "moving_average" | "exponential" | "holt_winters_weekly" | "holt_winters_yearly" | "croston" | "none";
+    days_of_stock: number | null;
+  }>>;
+
+  /**
+   * GET /suppliers
+   * Needs the `read` permission.
+   */
+  getSuppliers(): Promise<Array<{
+    id: number;
+    name: string;
+    lead_time_days: number | null;
+    created_at: string;
+    lead_time_stddev_days: string | null;
+    contact_name: string | null;
+    email: string | null;
+    phone: string | null;
+    address: string | null;
+    currency: string;
+    moq: number;
+    payment_terms: string | null;
+    notes: string | null;
+    use_observed_lead_time: boolean;
+    updated_at: string;
+    catalog_products: number;
+    preferred_products: number;
+  }>>;
+
+  /**
+   * POST /suppliers
+   * Needs the `suppliers.write` permission.
+   */
+  postSuppliers(body: {
+    name: string;
+    contact_name?: string | null;
+    email?: string | null;
+    phone?: string | null;
+    address?: string | null;
+    currency?: string;
+    moq?: number;
+    payment_terms?: string | null;
+    lead_time_days?: number;
+    lead_time_stddev_days?: number;
+    use_observed_lead_time?: boolean;
+    notes?: string | null;
+  }): Promise<Supplier>;
+
+  /**
+   * GET /suppliers/{id}
+   * Needs the `read` permission.
+   */
+  getSuppliersById(id: number): Promise<Supplier>;
+
+  /**
+   * PATCH /suppliers/{id}
+   * Needs the `suppliers.write` permission.
+   */
+  patchSuppliersById(id: number, body?: {
+    name?: string;
+    contact_name?: string | null;
+    email?: string | null;
+    phone?: string | null;
+    address?: string | null;
+    currency?: string;
+    moq?: number;
+    payment_terms?: string | null;
+    lead_time_days?: number;
+    lead_time_stddev_days?: number;
+    use_observed_lead_time?: boolean;
+    notes?: string | null;
+  }): Promise<Supplier>;
+
+  /**
+   * DELETE /suppliers/{id}
+   * Needs the `suppliers.write` permission.
+   */
+  deleteSuppliersById(id: number): Promise<Supplier>;
+
+  /**
+   * GET /suppliers/scorecards
+   * Needs the `read` permission.
+   */
+  getSuppliersScorecards(query?: {
+    days?: number;
+  }): Promise<SupplierScorecard[]>;
+
+  /**
+   * GET /suppliers/{id}/scorecard
+   * Needs the `read` permission.
+   */
+  getSuppliersByIdScorecard(id: number, query?: {
+    days?: number;
+  }): Promise<SupplierScorecard>;
+
+  /**
+   * GET /suppliers/{id}/products
+   * Needs the `read` permission.
+   */
+  getSuppliersByIdProducts(id: number): Promise<Array<{
+    id: number;
+    supplier_id: number;
+    product_id: number;
+    supplier_sku: string | null;
+    unit_cost: string | null;
+    case_pack: number;
+    is_preferred: boolean;
+    created_at: string;
+    updated_at: string;
+    sku: string;
+    name: string;
+    currency: string;
+  }>>;
+
+  /**
+   * PUT /suppliers/{id}/products/{productId}
+   * Needs the `suppliers.write` permission.
+   */
+  putSuppliersByIdProductsByProductId(id: number, productId: number, body?: {
+    supplier_sku?: string | null;
+    unit_cost?: number | null;
+    case_pack?: number;
+    is_preferred?: boolean;
+  }): Promise<CatalogEntry>;
+
+  /**
+   * DELETE /suppliers/{id}/products/{productId}
+   * Needs the `suppliers.write` permission.
+   */
+  deleteSuppliersByIdProductsByProductId(id: number, productId: number): Promise<CatalogEntry>;
+
+  /**
+   * GET /products/{id}/suppliers
+   * Needs the `read` permission.
+   */
+  getProductsByIdSuppliers(id: number): Promise<Array<{
+    id: number;
+    supplier_id: number;
+    product_id: number;
+    supplier_sku: string | null;
+    unit_cost: string | null;
+    case_pack: number;
+    is_preferred: boolean;
+    created_at: string;
+    updated_at: string;
+    supplier_name: string;
+    currency: string;
+    lead_time_days: number | null;
+    moq: number;
+  }>>;
+
+  /**
+   * PATCH /products/{id}/supplier
+   * Needs the `suppliers.write` permission.
+   */
+  patchProductsByIdSupplier(id: number, body: {
+    supplier_id: number | null;
+  }): Promise<Product>;
+
+  /**
+   * GET /planning/policies
+   * Needs the `read` permission.
+   */
+  getPlanningPolicies(query?: {
+    scope?: "product" | "category" | "supplier" | "global";
+  }): Promise<PlanningPolicy[]>;
+
+  /**
+   * POST /planning/policies
+   * Needs the `planning.write` permission.
+   */
+  postPlanningPolicies(body: {
+    scope: "product" | "category" | "supplier" | "global";
+    scope_id?: number | null;
+    coverage_days?: number | null;
+    review_period_days?: number | null;
+    min_order_qty?: number | null;
+    order_multiple?: number | null;
+    buffer_days?: number | null;
+  }): Promise<PlanningPolicy>;
+
+  /**
+   * GET /planning/policies/effective
+   * Needs the `read` permission.
+   */
+  getPlanningPoliciesEffective(query: {
+    product_id: number;
+  }): Promise<{
+    product_id: number;
+    category_id: number | null;
+    supplier_id: number | null;
+    coverage_days: number;
+    review_period_days: number;
+    min_order_qty: number;
+    order_multiple: number;
+    buffer_days: number;
+    source: {
+      coverage_days: string;
+      review_period_days: string;
+      min_order_qty: string;
+      order_multiple: string;
+      buffer_days: string;
+    };
+  }>;
+
+  /**
+   * GET /planning/policies/{id}
+   * Needs the `read` permission.
+   */
+  getPlanningPoliciesById(id: number): Promise<PlanningPolicy>;
+
+  /**
+   * PATCH /planning/policies/{id}
+   * Needs the `planning.write` permission.
+   */
+  patchPlanningPoliciesById(id: number, body?: {
+    coverage_days?: number | null;
+    review_period_days?: number | null;
+    min_order_qty?: number | null;
+    order_multiple?: number | null;
+    buffer_days?: number | null;
+  }): Promise<PlanningPolicy>;
+
+  /**
+   * DELETE /planning/policies/{id}
+   * Needs the `planning.write` permission.
+   */
+  deletePlanningPoliciesById(id: number): Promise<PlanningPolicy>;
+
+  /**
+   * GET /analytics/classification
+   * Needs the `read` permission.
+   */
+  getAnalyticsClassification(query?: {
+    days?: number;
+    location_id?: number;
+    basis?: "revenue" | "units";
+    abc_class?: string;
+    xyz_class?: string;
+  }): Promise<Classification[]>;
+
+  /**
+   * GET /analytics/classification.csv
+   * Needs the `read` permission.
+   */
+  getAnalyticsClassificationCsv(query?: {
+    days?: number;
+    location_id?: number;
+    basis?: "revenue" | "units";
+    abc_class?: string;
+    xyz_class?: string;
+  }): Promise<string>;
+
+  /**
+   * GET /analytics/turnover
+   * Needs the `read` permission.
+   */
+  getAnalyticsTurnover(query?: {
+    days?: number;
+    location_id?: number;
+  }): Promise<Array<{
+    product_id: number;
+    sku: string;
+    name: string;
+    units_sold: number;
+    cogs: number;
+    opening_stock: number;
+    closing_stock: number;
+    average_stock: number;
+    average_inventory_value: number;
+    turnover: number | null;
+    days_of_inventory: number | null;
+  }>>;
+
+  /**
+   * GET /analytics/turnover.csv
+   * Needs the `read` permission.
+   */
+  getAnalyticsTurnoverCsv(query?: {
+    days?: number;
+    location_id?: number;
+  }): Promise<string>;
+
+  /**
+   * GET /analytics/sell-through
+   * Needs the `read` permission.
+   */
+  getAnalyticsSellThrough(query?: {
+    days?: number;
+    location_id?: number;
+  }): Promise<Array<{
+    product_id: number;
+    sku: string;
+    name: string;
+    opening_stock: number;
+    received: number;
+    units_sold: number;
+    sell_through: number | null;
+  }>>;
+
+  /**
+   * GET /analytics/sell-through.csv
+   * Needs the `read` permission.
+   */
+  getAnalyticsSellThroughCsv(query?: {
+    days?: number;
+    location_id?: number;
+  }): Promise<string>;
+
+  /**
+   * GET /analytics/dead-stock
+   * Needs the `read` permission.
+   */
+  getAnalyticsDeadStock(query?: {
+    days?: number;
+    location_id?: number;
+  }): Promise<Array<{
+    product_id: number;
+    sku: string;
+    name: string;
+    stock: number;
+    unit_cost: number;
+    last_sold_at: string | null;
+    days_since_sale: number | null;
+    stock_value: number;
+  }>>;
+
+  /**
+   * GET /analytics/dead-stock.csv
+   * Needs the `read` permission.
+   */
+  getAnalyticsDeadStockCsv(query?: {
+    days?: number;
+    location_id?: number;
+  }): Promise<string>;
+
+  /**
+   * GET /analytics/excess-stock
+   * Needs the `read` permission.
+   */
+  getAnalyticsExcessStock(query?: {
+    location_id?: number;
+    by_location?: "true" | "false";
+  }): Promise<Array<{
+    product_id: number;
+    sku: string;
+    name: string;
+    location_id?: number;
+    stock: number;
+    on_order: number;
+    order_up_to: number;
+    excess_units: number;
+    excess_value: number;
+    daily_velocity: number;
+    days_of_cover: number | null;
+    coverage_days: number;
+  }>>;
+
+  /**
+   * GET /analytics/excess-stock.csv
+   * Needs the `read` permission.
+   */
+  getAnalyticsExcessStockCsv(query?: {
+    location_id?: number;
+    by_location?: "true" | "false";
+  }): Promise<string>;
+
+  /**
+   * GET /valuation
+   * Needs the `read` permission.
+   */
+  getValuation(query?: {
+    method?: "fifo" | "wac";
+    group_by?: "product" | "supplier" | "category";
+    date?: string;
+  }): Promise<{
+    as_of: string;
+    method: "fifo" | "wac";
+    group_by: "product" | "supplier" | "category";
+    total_quantity: number;
+    total_value: number;
+    rows: Array<{
+      product_id: number;
+      sku: string;
+      name: string;
+      supplier_id: number | null;
+      supplier_name: string | null;
+      category_id: number | null;
+      category_name: string | null;
+      quantity: number;
+      unit_cost: number;
+      value: number;
+    } | {
+      supplier_id: number | null;
+      supplier_name: string | null;
+      products: number;
+      quantity: number;
+      value: number;
+    } | {
+      category_id: number | null;
+      category_name: string | null;
+      products: number;
+      quantity: number;
+      value: number;
+    }>;
+  }>;
+
+  /**
+   * GET /valuation/cogs
+   * Needs the `read` permission.
+   */
+  getValuationCogs(query?: {
+    method?: "fifo" | "wac";
+    group_by?: "product" | "supplier" | "category";
+    from?: string;
+    to?: string;
+  }): Promise<{
+    from: string;
+    to: string;
+    method: "fifo" | "wac";
+    group_by: "product" | "supplier" | "category";
+    total_units_sold: number;
+    total_cogs: number;
+    rows: Array<{
+      product_id: number;
+      sku: string;
+      name: string;
+      supplier_id: number | null;
+      supplier_name: string | null;
+      category_id: number | null;
+      category_name: string | null;
+      units_sold: number;
+      cogs: number;
+    } | {
+      supplier_id: number | null;
+      supplier_name: string | null;
+      products: number;
+      units_sold: number;
+      cogs: number;
+    } | {
+      category_id: number | null;
+      category_name: string | null;
+      products: number;
+      units_sold: number;
+      cogs: number;
+    }>;
+  }>;
+
+  /**
+   * GET /products/{id}/cost-layers
+   * Needs the `read` permission.
+   */
+  getProductsByIdCostLayers(id: number, query?: {
+    method?: "fifo" | "wac";
+    date?: string;
+  }): Promise<{
+    product_id: number;
+    method: "fifo" | "wac";
+    quantity: number;
+    value: number;
+    unit_cost: number;
+    layers: Array<{
+      movement_id: number;
+      received_at: string;
+      quantity: number;
+      unit_cost: number;
+    }>;
+  }>;
+
+  /**
+   * GET /stock-counts
+   * Needs the `read` permission.
+   */
+  getStockCounts(query?: {
+    status?: "OPEN" | "SUBMITTED" | "APPROVED" | "CANCELLED";
+    location_id?: number;
+  }): Promise<Array<{
+    id: number;
+    location_id: number;
+    status: "OPEN" | "SUBMITTED" | "APPROVED" | "CANCELLED";
+    abc_class: "A" | "B" | "C" | null;
+    blind: boolean;
+    notes: string | null;
+    created_by: string | null;
+    created_at: string;
+    submitted_at: string | null;
+    approved_by: string | null;
+    approved_at: string | null;
+    cancelled_at: string | null;
+    location_code: string;
+    total_lines: number;
+    counted_lines: number;
+  }>>;
+
+  /**
+   * POST /stock-counts
+   * Needs the `stock.write` permission.
+   */
+  postStockCounts(body?: {
+    location_id?: number | null;
+    product_ids?: number[] | null;
+    category_id?: number | null;
+    abc_class?: "A" | "B" | "C" | null;
+    scheduled?: boolean;
+    limit?: number;
+    blind?: boolean;
+    notes?: string | null;
+  }): Promise<StockCount>;
+
+  /**
+   * GET /stock-counts/schedule
+   * Needs the `read` permission.
+   */
+  getStockCountsSchedule(query?: {
+    location_id?: number;
+    limit?: number;
+  }): Promise<{
+    location_id: number;
+    intervals: {
+      A: number;
+      B: number;
+      C: number;
+    };
+    products: Array<{
+      product_id: number;
+      sku: string;
+      name: string;
+      category_id: number | null;
+      stock: number;
+      unit_cost: number;
+      daily_velocity: number;
+      last_counted_at: string | null;
+      abc_class: "A" | "B" | "C";
+      stock_value: number;
+      days_since_count: number | null;
+      interval_days: number;
+      priority: number;
+    }>;
+  }>;
+
+  /**
+   * GET /stock-counts/{id}
+   * Needs the `read` permission.
+   */
+  getStockCountsById(id: number): Promise<StockCount>;
+
+  /**
+   * POST /stock-counts/{id}/counts
+   * Needs the `stock.write` permission.
+   */
+  postStockCountsByIdCounts(id: number, body: {
+    counts: Array<{
+      product_id?: number;
+      sku?: string;
+      counted_quantity: number | null;
+      reason_code?: "miscount" | "damaged" | "expired" | "theft" | "found" | "receiving_error" | "unrecorded_sale" | "unknown" | null;
+    }>;
+  }): Promise<StockCount>;
+
+  /**
+   * POST /stock-counts/{id}/submit
+   * Needs the `stock.write` permission.
+   */
+  postStockCountsByIdSubmit(id: number): Promise<StockCount>;
+
+  /**
+   * POST /stock-counts/{id}/approve
+   * Needs the `counts.approve` permission.
+   */
+  postStockCountsByIdApprove(id: number, body?: {
+    reason_codes?: { [key: string]: "miscount" | "damaged" | "expired" | "theft" | "found" | "receiving_error" | "unrecorded_sale" | "unknown" | null };
+    default_reason_code?: "miscount" | "damaged" | "expired" | "theft" | "found" | "receiving_error" | "unrecorded_sale" | "unknown" | null;
+  }): Promise<StockCount>;
+
+  /**
+   * POST /stock-counts/{id}/cancel
+   * Needs the `stock.write` permission.
+   */
+  postStockCountsByIdCancel(id: number): Promise<StockCount>;
+
+  /**
+   * GET /webhooks/event-types
+   * Needs the `read` permission.
+   */
+  getWebhooksEventTypes(): Promise<Array<"product.reorder_point_crossed" | "product.status_changed" | "purchase_order.created" | "purchase_order.submitted" | "purchase_order.confirmed" | "purchase_order.partially_received" | "purchase_order.received" | "purchase_order.receipt_recorded" | "purchase_order.cancelled" | "purchase_order.late" | "ping">>;
+
+  /**
+   * GET /webhooks/subscriptions
+   * Needs the `webhooks.manage` permission.
+   */
+  getWebhooksSubscriptions(): Promise<Array<{
+    id: number;
+    url: string;
+    events: Array<"*" | "product.reorder_point_crossed" | "product.status_changed" | "purchase_order.created" | "purchase_order.submitted" | "purchase_order.confirmed" | "purchase_order.partially_received" | "purchase_order.received" | "purchase_order.receipt_recorded" | "purchase_order.cancelled" | "purchase_order.late" | "ping">;
+    description: string | null;
+    active: boolean;
+    created_at: string;
+    updated_at: string;
+    secret_hint: string;
+    pending_deliveries: number;
+    failed_deliveries: number;
+    last_delivered_at: string | null;
+  }>>;
+
+  /**
+   * POST /webhooks/subscriptions
+   * Needs the `webhooks.manage` permission.
+   */
+  postWebhooksSubscriptions(body: {
+    url: string;
+    events: Array<"*" | "product.reorder_point_crossed" | "product.status_changed" | "purchase_order.created" | "purchase_order.submitted" | "purchase_order.confirmed" | "purchase_order.partially_received" | "purchase_order.received" | "purchase_order.receipt_recorded" | "purchase_order.cancelled" | "purchase_order.late" | "ping">;
+    description?: string | null;
+    secret?: string;
+  }): Promise<NewWebhookSubscription>;
+
+  /**
+   * PATCH /webhooks/subscriptions/{id}
+   * Needs the `webhooks.manage` permission.
+   */
+  patchWebhooksSubscriptionsById(id: number, body?: {
+    url?: string;
+    events?: Array<"*" | "product.reorder_point_crossed" | "product.status_changed" | "purchase_order.created" | "purchase_order.submitted" | "purchase_order.confirmed" | "purchase_order.partially_received" | "purchase_order.received" | "purchase_order.receipt_recorded" | "purchase_order.cancelled" | "purchase_order.late" | "ping">;
+    description?: string | null;
+    active?: boolean;
+  }): Promise<WebhookSubscription>;
+
+  /**
+   * DELETE /webhooks/subscriptions/{id}
+   * Needs the `webhooks.manage` permission.
+   */
+  deleteWebhooksSubscriptionsById(id: number): Promise<WebhookSubscription>;
+
+  /**
+   * POST /webhooks/subscriptions/{id}/ping
+   * Needs the `webhooks.manage` permission.
+   */
+  postWebhooksSubscriptionsByIdPing(id: number): Promise<WebhookDelivery>;
+
+  /**
+   * GET /webhooks/deliveries
+   * Needs the `webhooks.manage` permission.
+   */
+  getWebhooksDeliveries(query?: {
+    subscription_id?: number;
+    status?: "pending" | "delivered" | "failed";
+    event?: string;
+    limit?: number;
+  }): Promise<WebhookDeliveryLogEntry[]>;
+
+  /**
+   * GET /webhooks/deliveries/{id}
+   * Needs the `webhooks.manage` permission.
+   */
+  getWebhooksDeliveriesById(id: number): Promise<WebhookDeliveryDetail>;
+
+  /**
+   * POST /webhooks/deliveries/{id}/replay
+   * Needs the `webhooks.manage` permission.
+   */
+  postWebhooksDeliveriesByIdReplay(id: number): Promise<WebhookDelivery>;
+
+  /**
+   * POST /webhooks/scan
+   * Needs the `webhooks.manage` permission.
+   */
+  postWebhooksScan(): Promise<{
+    emitted: {
+      status_changed: number;
+      reorder_point_crossed: number;
+      late: number;
+    };
+    delivery_attempts: number;
+  }>;
+
+  /**
+   * POST /auth/login
+   */
+  postAuthLogin(body: {
+    email: string;
+    password: string;
+  }): Promise<{
+    token: string;
+    user: User;
+    permissions: Array<"read" | "products.write" | "planning.write" | "stock.write" | "sales.write" | "locations.write" | "suppliers.write" | "po.write" | "po.submit" | "po.receive" | "counts.approve" | "webhooks.manage" | "users.manage">;
+  }>;
+
+  /**
+   * POST /auth/logout
+   */
+  postAuthLogout(): Promise<{
+    signed_out: boolean;
+  }>;
+
+  /**
+   * GET /auth/me
+   */
+  getAuthMe(): Promise<{
+    kind: "user" | "api_key";
+    id: number;
+    name: string;
+    role: "viewer" | "planner" | "buyer" | "warehouse" | "admin";
+    permissions: Array<"read" | "products.write" | "planning.write" | "stock.write" | "sales.write" | "locations.write" | "suppliers.write" | "po.write" | "po.submit" | "po.receive" | "counts.approve" | "webhooks.manage" | "users.manage">;
+  }>;
+
+  /**
+   * GET /users
+   * Needs the `users.manage` permission.
+   */
+  getUsers(): Promise<User[]>;
+
+  /**
+   * POST /users
+   * Needs the `users.manage` permission.
+   */
+  postUsers(body: {
+    email: string;
+    name?: string | null;
+    password: string;
+    role: "viewer" | "planner" | "buyer" | "warehouse" | "admin";
+  }): Promise<User>;
+
+  /**
+   * PATCH /users/{id}
+   * Needs the `users.manage` permission.
+   */
+  patchUsersById(id: number, body?: {
+    name?: string | null;
+    role?: "viewer" | "planner" | "buyer" | "warehouse" | "admin";
+    password?: string;
+    active?: boolean;
+  }): Promise<User>;
+
+  /**
+   * GET /api-keys
+   * Needs the `users.manage` permission.
+   */
+  getApiKeys(): Promise<ApiKey[]>;
+
+  /**
+   * POST /api-keys
+   * Needs the `users.manage` permission.
+   */
+  postApiKeys(body: {
+    name: string;
+    role: "viewer" | "planner" | "buyer" | "warehouse" | "admin";
+  }): Promise<{
+    id: number;
+    name: string;
+    key_prefix: string;
+    role: "viewer" | "planner" | "buyer" | "warehouse" | "admin";
+    created_at: string;
+    key: string;
+  }>;
+
+  /**
+   * DELETE /api-keys/{id}
+   * Needs the `users.manage` permission.
+   */
+  deleteApiKeysById(id: number): Promise<ApiKey>;
+
+  /**
+   * GET /audit
+   * Needs the `read` permission.
+   */
+  getAudit(query?: {
+    entity?: string;
+    entity_id?: string;
+    actor?: string;
+    action?: string;
+    from?: string;
+    to?: string;
+    limit?: number;
+  }): Promise<AuditEntry[]>;
+
+  /**
+   * GET /
+   */
+  getRoot(): Promise<string>;
+
+  /**
+   * GET /openapi.json
+   */
+  getOpenapiJson(): Promise<{ [key: string]: unknown }>;
+}
+
+export declare function createClient(options?: ClientOptions): Client;
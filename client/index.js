@@ -0,0 +1,1038 @@
+// Generated by scripts/generate-client.js from the OpenAPI document. Do not edit.
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory();
+  } else {
+    root.InventoryPlannerClient = factory();
+  }
+})(typeof self !== "undefined" ? self : this, function () {
+  "use strict";
+
+  // A response outside 2xx. code and details come from the API's
+  // { error, code, details } error body.
+  class ApiError extends Error {
+    constructor(status, body) {
+      super(body && body.error ? body.error : `Request failed with status ${status}`);
+      this.name = "ApiError";
+      this.status = status;
+      this.code = body && body.code;
+      this.details = body && body.details;
+      this.body = body;
+    }
+  }
+
+  function formData(file, fields) {
+    const form = new FormData();
+    for (const [key, value] of Object.entries(fields || {})) {
+      if (value !== undefined && value !== null) form.append(key, String(value));
+    }
+    form.append("file", file, file.name || "upload.csv");
+    return form;
+  }
+
+  // options: baseUrl (default: the page's origin), token (a session token
+  // or API key sent as a Bearer token), apiKey (sent as X-API-Key) and
+  // fetch. In a browser with neither, the session cookie is used.
+  function createClient(options = {}) {
+    const baseUrl = (options.baseUrl || "").replace(/\/$/, "");
+    const fetchImpl = options.fetch || ((...args) => globalThis.fetch(...args));
+
+    async function request(method, path, { query, body, form } = {}) {
+      const headers = {};
+      if (options.token) headers.Authorization = `Bearer ${options.token}`;
+      if (options.apiKey) headers["X-API-Key"] = options.apiKey;
+
+      const search = new URLSearchParams();
+      for (const [key, value] of Object.entries(query || {})) {
+        if (value === undefined || value === null) continue;
+        search.append(key, Array.isArray(value) ? value.join(",") : String(value));
+      }
+      const url = baseUrl + path + (search.toString() ? `?${search}` : "");
+
+      const init = { method, headers };
+      if (form) {
+        init.body = form;
+      } else if (body !== undefined) {
+        headers["Content-Type"] = "application/json";
+        init.body = JSON.stringify(body);
+      }
+
+      const res = await fetchImpl(url, init);
+      const text = await res.text();
+      const json = (res.headers.get("content-type") || "").includes("application/json");
+      const data = json && text ? JSON.parse(text) : text;
+      if (!res.ok) throw new ApiError(res.status, json ? data : null);
+      return data;
+    }
+
+    return {
+      request,
+    /**
+     * GET /products
+     * Needs the `read` permission.
+     */
+    getProducts(query) {
+      return request("GET", `/products`, { query });
+    },
+
+    /**
+     * POST /products
+     * Needs the `products.write` permission.
+     */
+    postProducts(body) {
+      return request("POST", `/products`, { body });
+    },
+
+    /**
+     * GET /products/tags
+     * Needs the `read` permission.
+     */
+    getProductsTags() {
+      return request("GET", `/products/tags`);
+    },
+
+    /**
+     * GET /products/{id}
+     * Needs the `read` permission.
+     */
+    getProductsById(id) {
+      return request("GET", `/products/${encodeURIComponent(id)}`);
+    },
+
+    /**
+     * PATCH /products/{id}
+     * Needs the `products.write` permission.
+     */
+    patchProductsById(id, body) {
+      return request("PATCH", `/products/${encodeURIComponent(id)}`, { body });
+    },
+
+    /**
+     * DELETE /products/{id}
+     * Needs the `products.write` permission.
+     */
+    deleteProductsById(id) {
+      return request("DELETE", `/products/${encodeURIComponent(id)}`);
+    },
+
+    /**
+     * POST /products/{id}/restore
+     * Needs the `products.write` permission.
+     */
+    postProductsByIdRestore(id) {
+      return request("POST", `/products/${encodeURIComponent(id)}/restore`);
+    },
+
+    /**
+     * GET /products/{id}/components
+     * Needs the `read` permission.
+     */
+    getProductsByIdComponents(id, query) {
+      return request("GET", `/products/${encodeURIComponent(id)}/components`, { query });
+    },
+
+    /**
+     * PUT /products/{id}/components
+     * Needs the `products.write` permission.
+     */
+    putProductsByIdComponents(id, body) {
+      return request("PUT", `/products/${encodeURIComponent(id)}/components`, { body });
+    },
+
+    /**
+     * GET /products/{id}/variants
+     * Needs the `read` permission.
+     */
+    getProductsByIdVariants(id) {
+      return request("GET", `/products/${encodeURIComponent(id)}/variants`);
+    },
+
+    /**
+     * PATCH /products/{id}/lead-time
+     * Needs the `products.write` permission.
+     */
+    patchProductsByIdLeadTime(id, body) {
+      return request("PATCH", `/products/${encodeURIComponent(id)}/lead-time`, { body });
+    },
+
+    /**
+     * PATCH /products/{id}/service-level
+     * Needs the `planning.write` permission.
+     */
+    patchProductsByIdServiceLevel(id, body) {
+      return request("PATCH", `/products/${encodeURIComponent(id)}/service-level`, { body });
+    },
+
+    /**
+     * PATCH /products/{id}/category
+     * Needs the `products.write` permission.
+     */
+    patchProductsByIdCategory(id, body) {
+      return request("PATCH", `/products/${encodeURIComponent(id)}/category`, { body });
+    },
+
+    /**
+     * GET /categories
+     * Needs the `read` permission.
+     */
+    getCategories() {
+      return request("GET", `/categories`);
+    },
+
+    /**
+     * POST /categories
+     * Needs the `planning.write` permission.
+     */
+    postCategories(body) {
+      return request("POST", `/categories`, { body });
+    },
+
+    /**
+     * PATCH /categories/{id}
+     * Needs the `planning.write` permission.
+     */
+    patchCategoriesById(id, body) {
+      return request("PATCH", `/categories/${encodeURIComponent(id)}`, { body });
+    },
+
+    /**
+     * PATCH /products/images/bulk
+     * Needs the `products.write` permission.
+     */
+    patchProductsImagesBulk(body) {
+      return request("PATCH", `/products/images/bulk`, { body });
+    },
+
+    /**
+     * GET /inventory/rollup
+     * Needs the `read` permission.
+     */
+    getInventoryRollup() {
+      return request("GET", `/inventory/rollup`);
+    },
+
+    /**
+     * PATCH /products/{id}/stock
+     * Needs the `stock.write` permission.
+     */
+    patchProductsByIdStock(id, body) {
+      return request("PATCH", `/products/${encodeURIComponent(id)}/stock`, { body });
+    },
+
+    /**
+     * GET /products/{id}/movements
+     * Needs the `read` permission.
+     */
+    getProductsByIdMovements(id, query) {
+      return request("GET", `/products/${encodeURIComponent(id)}/movements`, { query });
+    },
+
+    /**
+     * GET /inventory/stock-as-of
+     * Needs the `read` permission.
+     */
+    getInventoryStockAsOf(query) {
+      return request("GET", `/inventory/stock-as-of`, { query });
+    },
+
+    /**
+     * GET /inventory/reorder
+     * Needs the `read` permission.
+     */
+    getInventoryReorder(query) {
+      return request("GET", `/inventory/reorder`, { query });
+    },
+
+    /**
+     * GET /locations
+     * Needs the `read` permission.
+     */
+    getLocations() {
+      return request("GET", `/locations`);
+    },
+
+    /**
+     * POST /locations
+     * Needs the `locations.write` permission.
+     */
+    postLocations(body) {
+      return request("POST", `/locations`, { body });
+    },
+
+    /**
+     * PATCH /locations/{id}
+     * Needs the `locations.write` permission.
+     */
+    patchLocationsById(id, body) {
+      return request("PATCH", `/locations/${encodeURIComponent(id)}`, { body });
+    },
+
+    /**
+     * GET /products/{id}/stock-levels
+     * Needs the `read` permission.
+     */
+    getProductsByIdStockLevels(id) {
+      return request("GET", `/products/${encodeURIComponent(id)}/stock-levels`);
+    },
+
+    /**
+     * GET /products/{id}/forecast
+     * Needs the `read` permission.
+     */
+    getProductsByIdForecast(id, query) {
+      return request("GET", `/products/${encodeURIComponent(id)}/forecast`, { query });
+    },
+
+    /**
+     * POST /inventory/transfers
+     * Needs the `stock.write` permission.
+     */
+    postInventoryTransfers(body) {
+      return request("POST", `/inventory/transfers`, { body });
+    },
+
+    /**
+     * GET /inventory/velocity
+     * Needs the `read` permission.
+     */
+    getInventoryVelocity(query) {
+      return request("GET", `/inventory/velocity`, { query });
+    },
+
+    /**
+     * GET /inventory/reorder-status
+     * Needs the `read` permission.
+     */
+    getInventoryReorderStatus(query) {
+      return request("GET", `/inventory/reorder-status`, { query });
+    },
+
+    /**
+     * GET /inventory/reorder-points/preview
+     * Needs the `read` permission.
+     */
+    getInventoryReorderPointsPreview(query) {
+      return request("GET", `/inventory/reorder-points/preview`, { query });
+    },
+
+    /**
+     * POST /inventory/reorder-points/apply
+     * Needs the `planning.write` permission.
+     */
+    postInventoryReorderPointsApply(body) {
+      return request("POST", `/inventory/reorder-points/apply`, { body });
+    },
+
+    /**
+     * POST /inventory/import
+     * Needs the `stock.write` permission.
+     * file is a File, or a Blob with a name ending in .csv or .xlsx.
+     */
+    postInventoryImport(file, fields) {
+      return request("POST", `/inventory/import`, { form: formData(file, fields) });
+    },
+
+    /**
+     * POST /sales
+     * Needs the `sales.write` permission.
+     */
+    postSales(body) {
+      return request("POST", `/sales`, { body });
+    },
+
+    /**
+     * POST /sales/bulk
+     * Needs the `sales.write` permission.
+     */
+    postSalesBulk(body) {
+      return request("POST", `/sales/bulk`, { body });
+    },
+
+    /**
+     * POST /webhooks/shopify
+     */
+    postWebhooksShopify(body) {
+      return request("POST", `/webhooks/shopify`, { body });
+    },
+
+    /**
+     * GET /webhooks/unmatched
+     * Needs the `read` permission.
+     */
+    getWebhooksUnmatched(query) {
+      return request("GET", `/webhooks/unmatched`, { query });
+    },
+
+    /**
+     * POST /webhooks/unmatched/{id}/resolve
+     * Needs the `sales.write` permission.
+     */
+    postWebhooksUnmatchedByIdResolve(id, body) {
+      return request("POST", `/webhooks/unmatched/${encodeURIComponent(id)}/resolve`, { body });
+    },
+
+    /**
+     * POST /webhooks/unmatched/{id}/ignore
+     * Needs the `sales.write` permission.
+     */
+    postWebhooksUnmatchedByIdIgnore(id) {
+      return request("POST", `/webhooks/unmatched/${encodeURIComponent(id)}/ignore`);
+    },
+
+    /**
+     * POST /sales/import
+     * Needs the `sales.write` permission.
+     * file is a File, or a Blob with a name ending in .csv or .xlsx.
+     */
+    postSalesImport(file, fields) {
+      return request("POST", `/sales/import`, { form: formData(file, fields) });
+    },
+
+    /**
+     * GET /purchase-orders/{id}
+     * Needs the `read` permission.
+     */
+    getPurchaseOrdersById(id) {
+      return request("GET", `/purchase-orders/${encodeURIComponent(id)}`);
+    },
+
+    /**
+     * PATCH /purchase-orders/{id}
+     * Needs the `po.write` permission.
+     */
+    patchPurchaseOrdersById(id, body) {
+      return request("PATCH", `/purchase-orders/${encodeURIComponent(id)}`, { body });
+    },
+
+    /**
+     * GET /purchase-orders/{id}/items
+     * Needs the `read` permission.
+     */
+    getPurchaseOrdersByIdItems(id) {
+      return request("GET", `/purchase-orders/${encodeURIComponent(id)}/items`);
+    },
+
+    /**
+     * POST /purchase-orders/{id}/items
+     * Needs the `po.write` permission.
+     */
+    postPurchaseOrdersByIdItems(id, body) {
+      return request("POST", `/purchase-orders/${encodeURIComponent(id)}/items`, { body });
+    },
+
+    /**
+     * POST /purchase-orders/{id}/receive
+     * Needs the `po.receive` permission.
+     */
+    postPurchaseOrdersByIdReceive(id, body) {
+      return request("POST", `/purchase-orders/${encodeURIComponent(id)}/receive`, { body });
+    },
+
+    /**
+     * GET /purchase-orders/{id}/receipts
+     * Needs the `read` permission.
+     */
+    getPurchaseOrdersByIdReceipts(id) {
+      return request("GET", `/purchase-orders/${encodeURIComponent(id)}/receipts`);
+    },
+
+    /**
+     * GET /purchase-orders
+     * Needs the `read` permission.
+     */
+    getPurchaseOrders(query) {
+      return request("GET", `/purchase-orders`, { query });
+    },
+
+    /**
+     * POST /purchase-orders
+     * Needs the `po.write` permission.
+     */
+    postPurchaseOrders(body) {
+      return request("POST", `/purchase-orders`, { body });
+    },
+
+    /**
+     * POST /purchase-orders/from-dashboard
+     * Needs the `po.write` permission.
+     */
+    postPurchaseOrdersFromDashboard(body) {
+      return request("POST", `/purchase-orders/from-dashboard`, { body });
+    },
+
+    /**
+     * PATCH /purchase-orders/{id}/items/{itemId}
+     * Needs the `po.write` permission.
+     */
+    patchPurchaseOrdersByIdItemsByItemId(id, itemId, body) {
+      return request("PATCH", `/purchase-orders/${encodeURIComponent(id)}/items/${encodeURIComponent(itemId)}`, { body });
+    },
+
+    /**
+     * DELETE /purchase-orders/{id}/items/{itemId}
+     * Needs the `po.write` permission.
+     */
+    deletePurchaseOrdersByIdItemsByItemId(id, itemId) {
+      return request("DELETE", `/purchase-orders/${encodeURIComponent(id)}/items/${encodeURIComponent(itemId)}`);
+    },
+
+    /**
+     * POST /purchase-orders/{id}/submit
+     * Needs the `po.submit` permission.
+     */
+    postPurchaseOrdersByIdSubmit(id) {
+      return request("POST", `/purchase-orders/${encodeURIComponent(id)}/submit`);
+    },
+
+    /**
+     * POST /purchase-orders/{id}/confirm
+     * Needs the `po.submit` permission.
+     */
+    postPurchaseOrdersByIdConfirm(id) {
+      return request("POST", `/purchase-orders/${encodeURIComponent(id)}/confirm`);
+    },
+
+    /**
+     * POST /purchase-orders/{id}/cancel
+     * Needs the `po.submit` permission.
+     */
+    postPurchaseOrdersByIdCancel(id) {
+      return request("POST", `/purchase-orders/${encodeURIComponent(id)}/cancel`);
+    },
+
+    /**
+     * GET /purchase-orders/suggestions
+     * Needs the `read` permission.
+     */
+    getPurchaseOrdersSuggestions(query) {
+      return request("GET", `/purchase-orders/suggestions`, { query });
+    },
+
+    /**
+     * GET /purchase-orders/suggestions.csv
+     * Needs the `read` permission.
+     */
+    getPurchaseOrdersSuggestionsCsv(query) {
+      return request("GET", `/purchase-orders/suggestions.csv`, { query });
+    },
+
+    /**
+     * GET /purchase-orders/recommendations
+     * Needs the `read` permission.
+     */
+    getPurchaseOrdersRecommendations() {
+      return request("GET", `/purchase-orders/recommendations`);
+    },
+
+    /**
+     * POST /purchase-orders/suggest
+     * Needs the `read` permission.
+     */
+    postPurchaseOrdersSuggest(body) {
+      return request("POST", `/purchase-orders/suggest`, { body });
+    },
+
+    /**
+     * POST /purchase-orders/from-suggestion
+     * Needs the `po.write` permission.
+     */
+    postPurchaseOrdersFromSuggestion(body) {
+      return request("POST", `/purchase-orders/from-suggestion`, { body });
+    },
+
+    /**
+     * GET /purchase-orders/intelligence
+     * Needs the `read` permission.
+     */
+    getPurchaseOrdersIntelligence() {
+      return request("GET", `/purchase-orders/intelligence`);
+    },
+
+    /**
+     * GET /suppliers
+     * Needs the `read` permission.
+     */
+    getSuppliers() {
+      return request("GET", `/suppliers`);
+    },
+
+    /**
+     * POST /suppliers
+     * Needs the `suppliers.write` permission.
+     */
+    postSuppliers(body) {
+      return request("POST", `/suppliers`, { body });
+    },
+
+    /**
+     * GET /suppliers/{id}
+     * Needs the `read` permission.
+     */
+    getSuppliersById(id) {
+      return request("GET", `/suppliers/${encodeURIComponent(id)}`);
+    },
+
+    /**
+     * PATCH /suppliers/{id}
+     * Needs the `suppliers.write` permission.
+     */
+    patchSuppliersById(id, body) {
+      return request("PATCH", `/suppliers/${encodeURIComponent(id)}`, { body });
+    },
+
+    /**
+     * DELETE /suppliers/{id}
+     * Needs the `suppliers.write` permission.
+     */
+    deleteSuppliersById(id) {
+      return request("DELETE", `/suppliers/${encodeURIComponent(id)}`);
+    },
+
+    /**
+     * GET /suppliers/scorecards
+     * Needs the `read` permission.
+     */
+    getSuppliersScorecards(query) {
+      return request("GET", `/suppliers/scorecards`, { query });
+    },
+
+    /**
+     * GET /suppliers/{id}/scorecard
+     * Needs the `read` permission.
+     */
+    getSuppliersByIdScorecard(id, query) {
+      return request("GET", `/suppliers/${encodeURIComponent(id)}/scorecard`, { query });
+    },
+
+    /**
+     * GET /suppliers/{id}/products
+     * Needs the `read` permission.
+     */
+    getSuppliersByIdProducts(id) {
+      return request("GET", `/suppliers/${encodeURIComponent(id)}/products`);
+    },
+
+    /**
+     * PUT /suppliers/{id}/products/{productId}
+     * Needs the `suppliers.write` permission.
+     */
+    putSuppliersByIdProductsByProductId(id, productId, body) {
+      return request("PUT", `/suppliers/${encodeURIComponent(id)}/products/${encodeURIComponent(productId)}`, { body });
+    },
+
+    /**
+     * DELETE /suppliers/{id}/products/{productId}
+     * Needs the `suppliers.write` permission.
+     */
+    deleteSuppliersByIdProductsByProductId(id, productId) {
+      return request("DELETE", `/suppliers/${encodeURIComponent(id)}/products/${encodeURIComponent(productId)}`);
+    },
+
+    /**
+     * GET /products/{id}/suppliers
+     * Needs the `read` permission.
+     */
+    getProductsByIdSuppliers(id) {
+      return request("GET", `/products/${encodeURIComponent(id)}/suppliers`);
+    },
+
+    /**
+     * PATCH /products/{id}/supplier
+     * Needs the `suppliers.write` permission.
+     */
+    patchProductsByIdSupplier(id, body) {
+      return request("PATCH", `/products/${encodeURIComponent(id)}/supplier`, { body });
+    },
+
+    /**
+     * GET /planning/policies
+     * Needs the `read` permission.
+     */
+    getPlanningPolicies(query) {
+      return request("GET", `/planning/policies`, { query });
+    },
+
+    /**
+     * POST /planning/policies
+     * Needs the `planning.write` permission.
+     */
+    postPlanningPolicies(body) {
+      return request("POST", `/planning/policies`, { body });
+    },
+
+    /**
+     * GET /planning/policies/effective
+     * Needs the `read` permission.
+     */
+    getPlanningPoliciesEffective(query) {
+      return request("GET", `/planning/policies/effective`, { query });
+    },
+
+    /**
+     * GET /planning/policies/{id}
+     * Needs the `read` permission.
+     */
+    getPlanningPoliciesById(id) {
+      return request("GET", `/planning/policies/${encodeURIComponent(id)}`);
+    },
+
+    /**
+     * PATCH /planning/policies/{id}
+     * Needs the `planning.write` permission.
+     */
+    patchPlanningPoliciesById(id, body) {
+      return request("PATCH", `/planning/policies/${encodeURIComponent(id)}`, { body });
+    },
+
+    /**
+     * DELETE /planning/policies/{id}
+     * Needs the `planning.write` permission.
+     */
+    deletePlanningPoliciesById(id) {
+      return request("DELETE", `/planning/policies/${encodeURIComponent(id)}`);
+    },
+
+    /**
+     * GET /analytics/classification
+     * Needs the `read` permission.
+     */
+    getAnalyticsClassification(query) {
+      return request("GET", `/analytics/classification`, { query });
+    },
+
+    /**
+     * GET /analytics/classification.csv
+     * Needs the `read` permission.
+     */
+    getAnalyticsClassificationCsv(query) {
+      return request("GET", `/analytics/classification.csv`, { query });
+    },
+
+    /**
+     * GET /analytics/turnover
+     * Needs the `read` permission.
+     */
+    getAnalyticsTurnover(query) {
+      return request("GET", `/analytics/turnover`, { query });
+    },
+
+    /**
+     * GET /analytics/turnover.csv
+     * Needs the `read` permission.
+     */
+    getAnalyticsTurnoverCsv(query) {
+      return request("GET", `/analytics/turnover.csv`, { query });
+    },
+
+    /**
+     * GET /analytics/sell-through
+     * Needs the `read` permission.
+     */
+    getAnalyticsSellThrough(query) {
+      return request("GET", `/analytics/sell-through`, { query });
+    },
+
+    /**
+     * GET /analytics/sell-through.csv
+     * Needs the `read` permission.
+     */
+    getAnalyticsSellThroughCsv(query) {
+      return request("GET", `/analytics/sell-through.csv`, { query });
+    },
+
+    /**
+     * GET /analytics/dead-stock
+     * Needs the `read` permission.
+     */
+    getAnalyticsDeadStock(query) {
+      return request("GET", `/analytics/dead-stock`, { query });
+    },
+
+    /**
+     * GET /analytics/dead-stock.csv
+     * Needs the `read` permission.
+     */
+    getAnalyticsDeadStockCsv(query) {
+      return request("GET", `/analytics/dead-stock.csv`, { query });
+    },
+
+    /**
+     * GET /analytics/excess-stock
+     * Needs the `read` permission.
+     */
+    getAnalyticsExcessStock(query) {
+      return request("GET", `/analytics/excess-stock`, { query });
+    },
+
+    /**
+     * GET /analytics/excess-stock.csv
+     * Needs the `read` permission.
+     */
+    getAnalyticsExcessStockCsv(query) {
+      return request("GET", `/analytics/excess-stock.csv`, { query });
+    },
+
+    /**
+     * GET /valuation
+     * Needs the `read` permission.
+     */
+    getValuation(query) {
+      return request("GET", `/valuation`, { query });
+    },
+
+    /**
+     * GET /valuation/cogs
+     * Needs the `read` permission.
+     */
+    getValuationCogs(query) {
+      return request("GET", `/valuation/cogs`, { query });
+    },
+
+    /**
+     * GET /products/{id}/cost-layers
+     * Needs the `read` permission.
+     */
+    getProductsByIdCostLayers(id, query) {
+      return request("GET", `/products/${encodeURIComponent(id)}/cost-layers`, { query });
+    },
+
+    /**
+     * GET /stock-counts
+     * Needs the `read` permission.
+     */
+    getStockCounts(query) {
+      return request("GET", `/stock-counts`, { query });
+    },
+
+    /**
+     * POST /stock-counts
+     * Needs the `stock.write` permission.
+     */
+    postStockCounts(body) {
+      return request("POST", `/stock-counts`, { body });
+    },
+
+    /**
+     * GET /stock-counts/schedule
+     * Needs the `read` permission.
+     */
+    getStockCountsSchedule(query) {
+      return request("GET", `/stock-counts/schedule`, { query });
+    },
+
+    /**
+     * GET /stock-counts/{id}
+     * Needs the `read` permission.
+     */
+    getStockCountsById(id) {
+      return request("GET", `/stock-counts/${encodeURIComponent(id)}`);
+    },
+
+    /**
+     * POST /stock-counts/{id}/counts
+     * Needs the `stock.write` permission.
+     */
+    postStockCountsByIdCounts(id, body) {
+      return request("POST", `/stock-counts/${encodeURIComponent(id)}/counts`, { body });
+    },
+
+    /**
+     * POST /stock-counts/{id}/submit
+     * Needs the `stock.write` permission.
+     */
+    postStockCountsByIdSubmit(id) {
+      return request("POST", `/stock-counts/${encodeURIComponent(id)}/submit`);
+    },
+
+    /**
+     * POST /stock-counts/{id}/approve
+     * Needs the `counts.approve` permission.
+     */
+    postStockCountsByIdApprove(id, body) {
+      return request("POST", `/stock-counts/${encodeURIComponent(id)}/approve`, { body });
+    },
+
+    /**
+     * POST /stock-counts/{id}/cancel
+     * Needs the `stock.write` permission.
+     */
+    postStockCountsByIdCancel(id) {
+      return request("POST", `/stock-counts/${encodeURIComponent(id)}/cancel`);
+    },
+
+    /**
+     * GET /webhooks/event-types
+     * Needs the `read` permission.
+     */
+    getWebhooksEventTypes() {
+      return request("GET", `/webhooks/event-types`);
+    },
+
+    /**
+     * GET /webhooks/subscriptions
+     * Needs the `webhooks.manage` permission.
+     */
+    getWebhooksSubscriptions() {
+      return request("GET", `/webhooks/subscriptions`);
+    },
+
+    /**
+     * POST /webhooks/subscriptions
+     * Needs the `webhooks.manage` permission.
+     */
+    postWebhooksSubscriptions(body) {
+      return request("POST", `/webhooks/subscriptions`, { body });
+    },
+
+    /**
+     * PATCH /webhooks/subscriptions/{id}
+     * Needs the `webhooks.manage` permission.
+     */
+    patchWebhooksSubscriptionsById(id, body) {
+      return request("PATCH", `/webhooks/subscriptions/${encodeURIComponent(id)}`, { body });
+    },
+
+    /**
+     * DELETE /webhooks/subscriptions/{id}
+     * Needs the `webhooks.manage` permission.
+     */
+    deleteWebhooksSubscriptionsById(id) {
+      return request("DELETE", `/webhooks/subscriptions/${encodeURIComponent(id)}`);
+    },
+
+    /**
+     * POST /webhooks/subscriptions/{id}/ping
+     * Needs the `webhooks.manage` permission.
+     */
+    postWebhooksSubscriptionsByIdPing(id) {
+      return request("POST", `/webhooks/subscriptions/${encodeURIComponent(id)}/ping`);
+    },
+
+    /**
+     * GET /webhooks/deliveries
+     * Needs the `webhooks.manage` permission.
+     */
+    getWebhooksDeliveries(query) {
+      return request("GET", `/webhooks/deliveries`, { query });
+    },
+
+    /**
+     * GET /webhooks/deliveries/{id}
+     * Needs the `webhooks.manage` permission.
+     */
+    getWebhooksDeliveriesById(id) {
+      return request("GET", `/webhooks/deliveries/${encodeURIComponent(id)}`);
+    },
+
+    /**
+     * POST /webhooks/deliveries/{id}/replay
+     * Needs the `webhooks.manage` permission.
+     */
+    postWebhooksDeliveriesByIdReplay(id) {
+      return request("POST", `/webhooks/deliveries/${encodeURIComponent(id)}/replay`);
+    },
+
+    /**
+     * POST /webhooks/scan
+     * Needs the `webhooks.manage` permission.
+     */
+    postWebhooksScan() {
+      return request("POST", `/webhooks/scan`);
+    },
+
+    /**
+     * POST /auth/login
+     */
+    postAuthLogin(body) {
+      return request("POST", `/auth/login`, { body });
+    },
+
+    /**
+     * POST /auth/logout
+     */
+    postAuthLogout() {
+      return request("POST", `/auth/logout`);
+    },
+
+    /**
+     * GET /auth/me
+     */
+    getAuthMe() {
+      return request("GET", `/auth/me`);
+    },
+
+    /**
+     * GET /users
+     * Needs the `users.manage` permission.
+     */
+    getUsers() {
+      return request("GET", `/users`);
+    },
+
+    /**
+     * POST /users
+     * Needs the `users.manage` permission.
+     */
+    postUsers(body) {
+      return request("POST", `/users`, { body });
+    },
+
+    /**
+     * PATCH /users/{id}
+     * Needs the `users.manage` permission.
+     */
+    patchUsersById(id, body) {
+      return request("PATCH", `/users/${encodeURIComponent(id)}`, { body });
+    },
+
+    /**
+     * GET /api-keys
+     * Needs the `users.manage` permission.
+     */
+    getApiKeys() {
+      return request("GET", `/api-keys`);
+    },
+
+    /**
+     * POST /api-keys
+     * Needs the `users.manage` permission.
+     */
+    postApiKeys(body) {
+      return request("POST", `/api-keys`, { body });
+    },
+
+    /**
+     * DELETE /api-keys/{id}
+     * Needs the `users.manage` permission.
+     */
+    deleteApiKeysById(id) {
+      return request("DELETE", `/api-keys/${encodeURIComponent(id)}`);
+    },
+
+    /**
+     * GET /audit
+     * Needs the `read` permission.
+     */
+    getAudit(query) {
+      return request("GET", `/audit`, { query });
+    },
+
+    /**
+     * GET /
+     */
+    getRoot() {
+      return request("GET", `/`);
+    },
+
+    /**
+     * GET /openapi.json
+     */
+    getOpenapiJson() {
+      return request("GET", `/openapi.json`);
+    }
+    };
+  }
+
+  return { createClient, ApiError };
+});
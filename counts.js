@@ -0,0 +1,63 @@
+// Cycle counting: how often each ABC class is counted, variance reason
+// codes and the daily count proposal.
+//
+// A product is due every COUNT_INTERVAL_DAYS[class] days after its last
+// approved count; one that was never counted is due now. The day's
+// proposal takes the most overdue first, weighted by the stock value and
+// the movement a miscount would put at risk.
+
+const COUNT_INTERVAL_DAYS = { A: 30, B: 90, C: 180 };
+const DEFAULT_COUNTS_PER_DAY = 20;
+
+// Why counted stock differed from the books; required on every variance
+// that is posted.
+const VARIANCE_REASON_CODES = [
+  "miscount",
+  "damaged",
+  "expired",
+  "theft",
+  "found",
+  "receiving_error",
+  "unrecorded_sale",
+  "unknown"
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// products: [{ product_id, abc_class, last_counted_at, stock_value,
+// daily_velocity }]. Returns the due ones, highest priority first, with
+// days_since_count, interval_days and priority added.
+function proposeCounts(products, { today = new Date(), limit = DEFAULT_COUNTS_PER_DAY } = {}) {
+  const maxValue = Math.max(...products.map(p => p.stock_value || 0), 1);
+  const maxVelocity = Math.max(...products.map(p => p.daily_velocity || 0), 1e-9);
+
+  return products
+    .map(p => {
+      const interval = COUNT_INTERVAL_DAYS[p.abc_class] || COUNT_INTERVAL_DAYS.C;
+      const since = p.last_counted_at
+        ? Math.floor((today - new Date(p.last_counted_at)) / DAY_MS)
+        : null;
+      const overdue = since === null ? 1 : since / interval;
+      const weight =
+        1 + (p.stock_value || 0) / maxValue + (p.daily_velocity || 0) / maxVelocity;
+
+      return {
+        ...p,
+        days_since_count: since,
+        interval_days: interval,
+        priority: Number((overdue * weight).toFixed(4)),
+        due: overdue >= 1
+      };
+    })
+    .filter(p => p.due)
+    .sort((a, b) => b.priority - a.priority || a.product_id - b.product_id)
+    .slice(0, limit)
+    .map(({ due, ...p }) => p);
+}
+
+module.exports = {
+  COUNT_INTERVAL_DAYS,
+  DEFAULT_COUNTS_PER_DAY,
+  VARIANCE_REASON_CODES,
+  proposeCounts
+};
@@ -0,0 +1,51 @@
+// Connection pool for DATABASE_URL, and transactions on it.
+//
+// DATABASE_SSL picks how the connection is encrypted:
+//   require (default)  TLS without verifying the server certificate, as
+//                      hosted Postgres with self-signed certs needs
+//   verify             TLS, verifying the certificate
+//   disable            no TLS (local Postgres)
+
+const { Pool } = require("pg");
+
+const SSL_MODES = {
+  require: { rejectUnauthorized: false },
+  verify: { rejectUnauthorized: true },
+  disable: false
+};
+
+function sslConfig(mode = process.env.DATABASE_SSL || "require") {
+  if (!(mode in SSL_MODES)) {
+    throw new Error(
+      `DATABASE_SSL must be one of ${Object.keys(SSL_MODES).join(", ")} (got "${mode}")`
+    );
+  }
+  return SSL_MODES[mode];
+}
+
+function createPool(connectionString = process.env.DATABASE_URL) {
+  return new Pool({ connectionString, ssl: sslConfig() });
+}
+
+// Run fn(client) in a transaction on a client from `pool`: committed when
+// fn resolves, rolled back when it throws.
+async function withTransaction(pool, fn) {
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    const result = await fn(client);
+    await client.query("COMMIT");
+    return result;
+  } catch (err) {
+    await client.query("ROLLBACK");
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = {
+  sslConfig,
+  createPool,
+  withTransaction
+};
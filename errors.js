@@ -0,0 +1,91 @@
+// Errors carrying the HTTP status a route should answer with, and the one
+// place they are turned into responses. Every error response has the shape
+//
+//   { "error": "<message>", "code": "<CODE>", "details": [...] }
+//
+// where code is one of ERROR_CODES and details (validation errors only)
+// lists the offending fields. Errors without a status are logged and sent as
+// a generic INTERNAL_ERROR, so unexpected failures never leak details to
+// clients.
+
+const ERROR_CODES = {
+  400: "VALIDATION_ERROR",
+  401: "UNAUTHENTICATED",
+  403: "FORBIDDEN",
+  404: "NOT_FOUND",
+  409: "CONFLICT",
+  413: "PAYLOAD_TOO_LARGE",
+  422: "UNPROCESSABLE",
+  500: "INTERNAL_ERROR",
+  503: "UNAVAILABLE"
+};
+const KNOWN_CODES = new Set(Object.values(ERROR_CODES));
+
+function httpError(status, message, details) {
+  const err = new Error(message);
+  err.status = status;
+  err.code = ERROR_CODES[status] || ERROR_CODES[status < 500 ? 400 : 500];
+  if (details) err.details = details;
+  return err;
+}
+
+// Failures raised below the routes (Postgres constraints, the JSON body
+// parser, multer) as the client errors they are; anything else unchanged.
+function classify(err) {
+  if (err.status && KNOWN_CODES.has(err.code)) return err;
+  switch (err.code) {
+    case "23505": // unique_violation
+      return httpError(409, err.detail || "Already exists");
+    case "23503": // foreign_key_violation
+      return httpError(400, err.detail || "Unknown reference");
+    case "22P02": // invalid_text_representation
+    case "22003": // numeric_value_out_of_range
+    case "22007": // invalid_datetime_format
+    case "22008": // datetime_field_overflow
+      return httpError(400, err.message);
+    case "LIMIT_FILE_SIZE":
+      return httpError(413, err.message);
+  }
+  if (err.name === "MulterError") return httpError(400, err.message);
+  if (err.type === "entity.parse.failed") return httpError(400, "Request body is not valid JSON");
+  if (err.type === "entity.too.large") return httpError(413, "Request body is too large");
+  if (err.status >= 400 && err.status < 500) return httpError(err.status, err.message);
+  return err;
+}
+
+// Sends err in the common format. fallback is the message for unexpected
+// errors, e.g. "Failed to create product".
+function sendError(res, err, fallback = "Internal server error") {
+  const known = classify(err);
+
+  if (!known.status) {
+    console.error(err);
+    return res.status(500).json({ error: fallback, code: ERROR_CODES[500] });
+  }
+
+  res.status(known.status).json({
+    error: known.message,
+    code: known.code,
+    ...(known.details ? { details: known.details } : {})
+  });
+}
+
+// Express error middleware, mounted last: whatever a route throws, rejects
+// or passes to next() ends up here.
+function errorHandler(err, req, res, next) {
+  if (res.headersSent) return next(err);
+  sendError(res, err);
+}
+
+// Requests no route matched
+function notFoundHandler(req, res) {
+  sendError(res, httpError(404, `No route for ${req.method} ${req.path}`));
+}
+
+module.exports = {
+  ERROR_CODES,
+  httpError,
+  sendError,
+  errorHandler,
+  notFoundHandler
+};
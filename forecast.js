@@ -0,0 +1,326 @@
+// Demand forecasting for daily unit sales.
+//
+// Every model takes a daily series (oldest day first, one number per day)
+// and returns { method, params, forecast(h) }. selectForecast() backtests the
+// candidates on the tail of the series, keeps the one with the lowest error
+// and refits it on the full history.
+
+const SMOOTHING_GRID = [0.05, 0.1, 0.2, 0.3, 0.5];
+const SEASONAL_GRID = [0.05, 0.2, 0.4];
+const TREND_DAMPING = 0.95;
+// Days of history every forecast sees, zeros included, however recent the
+// first sale: enough for a four-week moving average and a backtest.
+const MIN_HISTORY_DAYS = 56;
+
+function mean(xs) {
+  return xs.length ? xs.reduce((a, b) => a + b, 0) / xs.length : 0;
+}
+
+function rmse(actual, predicted) {
+  return Math.sqrt(
+    mean(actual.map((y, i) => (y - predicted[i]) ** 2))
+  );
+}
+
+function flat(value) {
+  return h => new Array(h).fill(Math.max(value, 0));
+}
+
+// Inverse of the standard normal CDF (Acklam's approximation).
+function normalQuantile(p) {
+  if (p <= 0 || p >= 1) throw new RangeError("p must be between 0 and 1");
+
+  const a = [-39.69683028665376, 220.9460984245205, -275.9285104469687,
+    138.357751867269, -30.66479806614716, 2.506628277459239];
+  const b = [-54.47609879822406, 161.5858368580409, -155.6989798598866,
+    66.80131188771972, -13.28068155288572];
+  const c = [-0.007784894002430293, -0.3223964580411365, -2.400758277161838,
+    -2.549732539343734, 4.374664141464968, 2.938163982698783];
+  const d = [0.007784695709041462, 0.3224671290700398, 2.445134137142996,
+    3.754408661907416];
+  const low = 0.02425;
+
+  if (p < low) {
+    const q = Math.sqrt(-2 * Math.log(p));
+    return (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+      ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+  }
+  if (p > 1 - low) {
+    return -normalQuantile(1 - p);
+  }
+
+  const q = p - 0.5;
+  const r = q * q;
+  return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q /
+    (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+}
+
+// Mean of the last `window` days.
+function movingAverage(series, { window = 28 } = {}) {
+  return {
+    method: "moving_average",
+    params: { window },
+    forecast: flat(mean(series.slice(-window)))
+  };
+}
+
+function fitExponential(series, alpha) {
+  let level = series[0];
+  let sse = 0;
+
+  for (let t = 1; t < series.length; t++) {
+    const err = series[t] - level;
+    sse += err * err;
+    level += alpha * err;
+  }
+
+  return { level, sse };
+}
+
+// Simple exponential smoothing; alpha picked by one-step-ahead error.
+function exponentialSmoothing(series) {
+  let best = null;
+
+  for (const alpha of SMOOTHING_GRID) {
+    const fit = fitExponential(series, alpha);
+    if (!best || fit.sse < best.sse) best = { ...fit, alpha };
+  }
+
+  return {
+    method: "exponential",
+    params: { alpha: best.alpha },
+    forecast: flat(best.level)
+  };
+}
+
+function fitHoltWinters(series, period, alpha, beta, gamma) {
+  const first = series.slice(0, period);
+  const second = series.slice(period, 2 * period);
+  let level = mean(first);
+  let trend = second.length === period ? (mean(second) - level) / period : 0;
+  const season = first.map(y => y - level);
+  let sse = 0;
+
+  for (let t = period; t < series.length; t++) {
+    const y = series[t];
+    const s = season[t % period];
+    const err = y - (level + TREND_DAMPING * trend + s);
+    sse += err * err;
+
+    const prevLevel = level;
+    level = alpha * (y - s) + (1 - alpha) * (level + TREND_DAMPING * trend);
+    trend = beta * (level - prevLevel) + (1 - beta) * TREND_DAMPING * trend;
+    season[t % period] = gamma * (y - level) + (1 - gamma) * s;
+  }
+
+  return { level, trend, season, sse, n: series.length };
+}
+
+// Additive Holt-Winters with a damped trend. period = 7 for weekly
+// seasonality, 365 for yearly. Needs at least two full seasons.
+function holtWinters(series, { period }) {
+  if (series.length < 2 * period) return null;
+
+  let best = null;
+
+  for (const alpha of SMOOTHING_GRID) {
+    for (const beta of SEASONAL_GRID) {
+      for (const gamma of SEASONAL_GRID) {
+        const fit = fitHoltWinters(series, period, alpha, beta, gamma);
+        if (!best || fit.sse < best.sse) best = { ...fit, alpha, beta, gamma };
+      }
+    }
+  }
+
+  const { level, trend, season, n } = best;
+
+  return {
+    method: period === 7 ? "holt_winters_weekly" : "holt_winters_yearly",
+    params: { period, alpha: best.alpha, beta: best.beta, gamma: best.gamma },
+    forecast: h => {
+      const out = [];
+      let damp = 0;
+      for (let i = 1; i <= h; i++) {
+        damp += TREND_DAMPING ** i;
+        out.push(Math.max(level + damp * trend + season[(n + i - 1) % period], 0));
+      }
+      return out;
+    }
+  };
+}
+
+function fitCroston(series, alpha) {
+  let size = null;
+  let interval = null;
+  let sinceLast = 1;
+  let sse = 0;
+
+  for (const raw of series) {
+    const y = Math.max(raw, 0);
+
+    if (size !== null) {
+      const err = y - size / interval;
+      sse += err * err;
+    }
+
+    if (y > 0) {
+      if (size === null) {
+        size = y;
+        interval = sinceLast;
+      } else {
+        size += alpha * (y - size);
+        interval += alpha * (sinceLast - interval);
+      }
+      sinceLast = 1;
+    } else {
+      sinceLast++;
+    }
+  }
+
+  return { rate: size === null ? 0 : size / interval, sse };
+}
+
+// Croston's method for intermittent demand: smooths order size and the
+// interval between orders separately.
+function croston(series) {
+  let best = null;
+
+  for (const alpha of SMOOTHING_GRID) {
+    const fit = fitCroston(series, alpha);
+    if (!best || fit.sse < best.sse) best = { ...fit, alpha };
+  }
+
+  return {
+    method: "croston",
+    params: { alpha: best.alpha },
+    forecast: flat(best.rate)
+  };
+}
+
+const MODELS = {
+  moving_average: series => movingAverage(series),
+  exponential: series => exponentialSmoothing(series),
+  holt_winters_weekly: series => holtWinters(series, { period: 7 }),
+  holt_winters_yearly: series => holtWinters(series, { period: 365 }),
+  croston: series => croston(series)
+};
+const FORECAST_METHODS = Object.keys(MODELS);
+
+// Drop the days before the first recorded sale so new products are not
+// dragged down by a history of zeros they never had a chance to sell in,
+// but keep at least MIN_HISTORY_DAYS: a single recent sale is one order,
+// not a daily rate, and the zeros around it are what say so.
+function trimLeadingZeros(series) {
+  const first = series.findIndex(y => y !== 0);
+  if (first === -1) return [];
+  return series.slice(Math.max(Math.min(first, series.length - MIN_HISTORY_DAYS), 0));
+}
+
+function candidateMethods(series) {
+  const zeroShare = series.filter(y => y <= 0).length / series.length;
+  const methods = ["moving_average", "exponential"];
+
+  if (series.length >= 14) methods.push("holt_winters_weekly");
+  if (series.length >= 730) methods.push("holt_winters_yearly");
+  if (zeroShare >= 0.3) methods.push("croston");
+
+  return methods;
+}
+
+// Backtest every candidate on the last few weeks of history and forecast
+// `horizon` days with the winner. Returns point forecasts plus a confidence
+// band sized from the winner's backtest error.
+function selectForecast(rawSeries, { horizon = 90, confidence = 0.95, method = null } = {}) {
+  const series = trimLeadingZeros(rawSeries);
+  const z = normalQuantile(0.5 + confidence / 2);
+
+  if (!series.length) {
+    const zeros = new Array(horizon).fill(0);
+    return {
+      method: "none",
+      params: {},
+      history_days: 0,
+      error: null,
+      backtest: {},
+      forecast: zeros,
+      lower: zeros,
+      upper: zeros
+    };
+  }
+
+  const testDays = Math.min(28, Math.floor(series.length / 4));
+  const backtest = {};
+
+  if (testDays >= 7) {
+    const train = series.slice(0, -testDays);
+    const actual = series.slice(-testDays);
+
+    for (const name of candidateMethods(train)) {
+      const model = MODELS[name](train);
+      if (model) backtest[name] = rmse(actual, model.forecast(testDays));
+    }
+  }
+
+  let chosen = method && MODELS[method] ? method : null;
+  if (!chosen) {
+    chosen = Object.keys(backtest).reduce(
+      (best, name) => (best === null || backtest[name] < backtest[best] ? name : best),
+      null
+    ) || "moving_average";
+  }
+
+  const model = MODELS[chosen](series) || MODELS.moving_average(series);
+  const forecast = model.forecast(horizon);
+  const error = backtest[model.method] !== undefined
+    ? backtest[model.method]
+    : Math.sqrt(mean(series.map(y => (y - mean(series)) ** 2)));
+
+  return {
+    method: model.method,
+    params: model.params,
+    history_days: series.length,
+    error,
+    backtest,
+    forecast,
+    lower: forecast.map(f => Math.max(f - z * error, 0)),
+    upper: forecast.map(f => f + z * error)
+  };
+}
+
+// Units of demand expected over the first `days` days of a forecast.
+function demandOver(forecast, days) {
+  let total = 0;
+  for (let i = 0; i < days; i++) {
+    total += forecast[Math.min(i, forecast.length - 1)] || 0;
+  }
+  return total;
+}
+
+// Days until `stock` is used up, walking the forecast day by day and
+// extrapolating its final-week average past the horizon. null means no
+// demand is expected at all.
+function daysUntilStockout(stock, forecast) {
+  let remaining = stock;
+
+  for (let i = 0; i < forecast.length; i++) {
+    if (remaining <= 0) return i;
+    if (forecast[i] >= remaining) return i + remaining / forecast[i];
+    remaining -= forecast[i];
+  }
+
+  const tail = mean(forecast.slice(-7));
+  if (tail <= 0) return remaining <= 0 ? forecast.length : null;
+  return forecast.length + remaining / tail;
+}
+
+module.exports = {
+  FORECAST_METHODS,
+  normalQuantile,
+  movingAverage,
+  exponentialSmoothing,
+  holtWinters,
+  croston,
+  selectForecast,
+  demandOver,
+  daysUntilStockout
+};
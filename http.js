@@ -0,0 +1,210 @@
+// Express middleware and request helpers shared by the routers:
+// async-aware routers, authentication, permission guards, request
+// validation and file uploads.
+
+const express = require("express");
+const multer = require("multer");
+const Ajv = require("ajv");
+const auth = require("./auth");
+const { ERROR_CODES, httpError, sendError } = require("./errors");
+const { NOT_BLANK } = require("./schemas");
+const { loadPrincipal } = require("./services/users");
+
+// Name recorded against ledger rows and other changes: the signed-in user's
+// email, or the API key's name.
+function currentUser(req) {
+  return req.user ? req.user.name : null;
+}
+
+// ROUTERS
+// An express.Router() whose handlers may be async functions. Express 4
+// ignores the promise they return, so a rejection would leave the request
+// hanging; here it is passed to next() and reaches the error handler.
+function createRouter() {
+  const router = express.Router();
+
+  for (const method of ["get", "post", "put", "patch", "delete"]) {
+    const register = router[method].bind(router);
+    router[method] = (path, ...handlers) => register(path, ...handlers.map(forwardRejections));
+  }
+
+  return router;
+}
+
+function forwardRejections(handler) {
+  if (handler.constructor.name !== "AsyncFunction") return handler;
+  return (req, res, next) => handler(req, res, next).catch(next);
+}
+
+// AUTHENTICATION
+// Routes anyone may call; every other route needs a session or an API key
+// and names its permission with allow(). The Shopify webhook is verified by
+// its own signature.
+const PUBLIC_ROUTES = new Set([
+  "GET /",
+  "GET /openapi.json",
+  "POST /auth/login",
+  "POST /webhooks/shopify"
+]);
+
+function authenticate(pool) {
+  return async (req, res, next) => {
+    try {
+      const credentials = auth.requestCredentials(req);
+
+      if (credentials) {
+        req.user = await loadPrincipal(pool, credentials);
+        if (!req.user) {
+          return sendError(res, httpError(401, "Invalid or expired credentials"));
+        }
+        return next();
+      }
+
+      if (PUBLIC_ROUTES.has(`${req.method} ${req.path}`)) {
+        return next();
+      }
+
+      sendError(res, httpError(401, "Authentication required"));
+    } catch (err) {
+      sendError(res, err, "Authentication failed");
+    }
+  };
+}
+
+// Route guard: allow("po.receive") lets through roles holding that
+// permission (see PERMISSIONS in auth.js).
+function allow(permission) {
+  auth.can("admin", permission); // fail at startup on a typo
+
+  const guard = (req, res, next) => {
+    if (!req.user) {
+      return sendError(res, httpError(401, "Authentication required"));
+    }
+    if (!auth.can(req.user.role, permission)) {
+      return sendError(res, httpError(403, `Role ${req.user.role} lacks permission ${permission}`));
+    }
+    next();
+  };
+  guard.permission = permission;
+  return guard;
+}
+
+// VALIDATION
+// validate({ params, query, body, errors }) checks a request against JSON
+// schemas (see schemas.js) before the handler runs and answers 400
+// VALIDATION_ERROR, listing every problem, when it does not match. Params
+// and query arrive as strings and are coerced to the schema's types in
+// place, so handlers see numbers and booleans; bodies must already have the
+// right JSON types. A location without a schema must be empty.
+//
+// response is the schema of what a successful request gets back (with
+// status, default 200); it is documentation for the OpenAPI document and
+// the tests, not checked at runtime. errors documents the codes the route
+// itself may answer with besides VALIDATION_ERROR (and UNAUTHENTICATED /
+// FORBIDDEN, which any guarded route can), e.g. ["NOT_FOUND", "CONFLICT"].
+// The whole spec is kept on the middleware as .spec for openapi.js.
+const AJV_OPTIONS = { allErrors: true, verbose: true, allowUnionTypes: true, useDefaults: true };
+const coercing = new Ajv({ ...AJV_OPTIONS, coerceTypes: "array" });
+const strict = new Ajv(AJV_OPTIONS);
+for (const ajv of [coercing, strict]) {
+  ajv.addFormat("date", {
+    type: "string",
+    validate: value =>
+      /^\d{4}-\d{2}-\d{2}$/.test(value) &&
+      new Date(`${value}T00:00:00Z`).toISOString().startsWith(value)
+  });
+  ajv.addFormat("date-time", {
+    type: "string",
+    validate: value => !Number.isNaN(Date.parse(value))
+  });
+}
+
+const NOTHING = { type: "object", maxProperties: 0 };
+const LOCATIONS = ["params", "query", "body"];
+
+function validate(spec = {}) {
+  for (const code of spec.errors || []) {
+    if (!Object.values(ERROR_CODES).includes(code)) throw new Error(`Unknown error code ${code}`);
+  }
+
+  const checks = LOCATIONS.map(location => ({
+    location,
+    check: (location === "body" ? strict : coercing).compile(spec[location] || NOTHING)
+  }));
+
+  const middleware = (req, res, next) => {
+    const details = [];
+
+    for (const { location, check } of checks) {
+      if (check(req[location] === undefined ? {} : req[location])) continue;
+      // A failed if/then/else only repeats what its branch already reported;
+      // a failed anyOf is reported once rather than per alternative.
+      const errors = check.errors.filter(
+        e => e.keyword !== "if" && !e.schemaPath.includes("/anyOf/")
+      );
+      details.push(...errors.map(e => describeError(location, e)));
+    }
+    if (!details.length) return next();
+
+    const message = details
+      .map(d => (d.field ? `${d.field} ${d.message}` : `${d.in} ${d.message}`))
+      .join("; ");
+    sendError(res, httpError(400, message, details));
+  };
+  middleware.spec = spec;
+  return middleware;
+}
+
+// One Ajv error as { in, field, message }, with field written the way
+// clients send it: items[0].quantity
+function describeError(location, error) {
+  const path = error.instancePath
+    .split("/")
+    .slice(1)
+    .map(part => part.replace(/~1/g, "/").replace(/~0/g, "~"));
+  let message = error.message;
+
+  if (error.keyword === "required") {
+    path.push(error.params.missingProperty);
+    message = "required";
+  } else if (error.keyword === "additionalProperties") {
+    path.push(error.params.additionalProperty);
+    message = "is not allowed";
+  } else if (error.keyword === "maxProperties" && error.params.limit === 0) {
+    message = path.length ? "must be empty" : "takes no fields";
+  } else if (error.keyword === "minProperties" && error.params.limit === 1) {
+    message = path.length ? "must not be empty" : "has nothing to update";
+  } else if (error.keyword === "pattern" && error.params.pattern === NOT_BLANK) {
+    message = "required";
+  } else if (error.keyword === "enum") {
+    message = `must be one of: ${error.params.allowedValues.join(", ")}`;
+  } else if (error.keyword === "anyOf" && error.schema.every(s => s.required)) {
+    message = `needs ${error.schema.map(s => s.required.join(" and ")).join(" or ")}`;
+  }
+
+  const field = path
+    .map((part, i) => (/^\d+$/.test(part) ? `[${part}]` : i ? `.${part}` : part))
+    .join("");
+  return { in: location, field, message };
+}
+
+const IMPORT_MAX_BYTES = 20 * 1024 * 1024;
+const upload = multer({ dest: "uploads/", limits: { fileSize: IMPORT_MAX_BYTES } });
+
+// Multer errors (file too large, wrong field name) as JSON 400 / 413s
+function uploadFile(field) {
+  const middleware = (req, res, next) =>
+    upload.single(field)(req, res, err => (err ? sendError(res, err) : next()));
+  middleware.uploadField = field;
+  return middleware;
+}
+
+module.exports = {
+  PUBLIC_ROUTES,
+  createRouter,
+  currentUser,
+  authenticate,
+  allow,
+  validate,
+  uploadFile
+};
@@ -0,0 +1,147 @@
+// Product, stock and sales imports: file parsing, column mapping and
+// product row validation.
+//
+// parseImportFile() turns an uploaded CSV or XLSX file into rows of
+// { line, values } where `line` is the line (CSV) or row (XLSX) number the
+// user sees in their spreadsheet. mapRow() applies a column mapping and
+// validateRow() checks one mapped row. Nothing here touches the database;
+// the diff against current data and the apply step live with the routes.
+
+const fs = require("fs");
+const path = require("path");
+const csv = require("csv-parser");
+const XLSX = require("xlsx");
+
+// Fields an import can set. A blank cell means "leave as is", never 0.
+const IMPORT_FIELDS = {
+  sku: "text",
+  name: "text",
+  stock: "count",
+  reorder_point: "count",
+  lead_time_days: "count",
+  image_url: "text",
+  location: "text"
+};
+
+function fileType(file) {
+  const ext = path.extname(file.originalname || "").toLowerCase();
+  if (ext === ".xlsx" || ext === ".xls") return "xlsx";
+  if (ext === ".csv" || ext === ".txt" || ext === "") return "csv";
+  return null;
+}
+
+function parseCsv(filePath) {
+  return new Promise((resolve, reject) => {
+    const rows = [];
+    let line = 1; // header
+
+    fs.createReadStream(filePath)
+      .pipe(csv({ mapHeaders: ({ header }) => header.trim() }))
+      .on("data", values => rows.push({ line: ++line, values }))
+      .on("end", () => resolve(rows))
+      .on("error", reject);
+  });
+}
+
+function parseXlsx(filePath) {
+  const workbook = XLSX.readFile(filePath, { cellDates: true });
+  const sheet = workbook.Sheets[workbook.SheetNames[0]];
+  if (!sheet) return [];
+
+  const rows = XLSX.utils.sheet_to_json(sheet, { defval: "", raw: false });
+  return rows.map(values => ({
+    // __rowNum__ is the 0-based sheet row, so +1 is what Excel shows
+    line: values.__rowNum__ + 1,
+    values: Object.fromEntries(
+      Object.entries(values).map(([k, v]) => [String(k).trim(), v])
+    )
+  }));
+}
+
+// Callers check fileType() first; anything else is parsed as CSV.
+async function parseImportFile(file) {
+  return fileType(file) === "xlsx" ? parseXlsx(file.path) : parseCsv(file.path);
+}
+
+// Columns a sales import can read; values are validated with the sale line
+// rules in services/sales.js.
+const SALES_IMPORT_FIELDS = {
+  sku: "text",
+  quantity: "text",
+  type: "text",
+  sold_at: "text",
+  unit_price: "text",
+  channel: "text",
+  external_order_id: "text",
+  external_return_id: "text",
+  external_line_id: "text",
+  location: "text",
+  restock: "text"
+};
+
+// mapping: { field: "Column header in the file" }. Fields not in the
+// mapping are read from a column of the same name.
+function validateMapping(mapping, fields = IMPORT_FIELDS) {
+  const errors = [];
+
+  for (const [field, column] of Object.entries(mapping)) {
+    if (!fields[field]) errors.push(`unknown field in mapping: ${field}`);
+    if (typeof column !== "string" || !column) {
+      errors.push(`mapping for ${field} must be a column name`);
+    }
+  }
+
+  return errors;
+}
+
+function mapRow(values, mapping = {}, fields = IMPORT_FIELDS) {
+  const row = {};
+
+  for (const field of Object.keys(fields)) {
+    const column = mapping[field] || field;
+    const raw = values[column];
+    const value = raw === undefined || raw === null ? "" : String(raw).trim();
+    if (value !== "") row[field] = value;
+  }
+
+  return row;
+}
+
+// Returns { row, errors } with numeric fields converted. Errors are
+// { field, message }.
+function validateRow(mapped) {
+  const row = {};
+  const errors = [];
+
+  for (const [field, value] of Object.entries(mapped)) {
+    if (IMPORT_FIELDS[field] === "count") {
+      const n = Number(value);
+      if (!Number.isInteger(n) || n < 0) {
+        errors.push({ field, message: `${field} must be a whole number >= 0 (got "${value}")` });
+        continue;
+      }
+      row[field] = n;
+    } else {
+      row[field] = value;
+    }
+  }
+
+  if (!row.sku) {
+    errors.push({ field: "sku", message: "sku is required" });
+  }
+  if (row.image_url && !/^https?:\/\//i.test(row.image_url)) {
+    errors.push({ field: "image_url", message: "image_url must be an http(s) URL" });
+  }
+
+  return { row, errors };
+}
+
+module.exports = {
+  IMPORT_FIELDS,
+  SALES_IMPORT_FIELDS,
+  fileType,
+  parseImportFile,
+  validateMapping,
+  mapRow,
+  validateRow
+};
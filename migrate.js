@@ -0,0 +1,142 @@
+// Versioned schema migrations.
+//
+// migrations/NNN_name.js exports { up, down }, each an SQL string (or an
+// async function taking a client). Applied versions are recorded in
+// schema_migrations. Every migration runs in its own transaction, under an
+// advisory lock so two processes starting at once don't both migrate.
+//
+// The early migrations use IF NOT EXISTS throughout: databases created
+// before migrations existed already have that schema, and running them
+// there only records them as applied.
+
+const fs = require("fs");
+const path = require("path");
+
+const MIGRATIONS_DIR = path.join(__dirname, "migrations");
+const LOCK_ID = 72_450_118;
+const FILE_PATTERN = /^(\d+)_([\w-]+)\.js$/;
+
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  const migrations = fs
+    .readdirSync(dir)
+    .map(file => ({ file, match: FILE_PATTERN.exec(file) }))
+    .filter(({ match }) => match)
+    .map(({ file, match }) => ({
+      version: Number(match[1]),
+      name: match[2],
+      ...require(path.join(dir, file))
+    }))
+    .sort((a, b) => a.version - b.version);
+
+  migrations.forEach((m, i) => {
+    if (i && m.version === migrations[i - 1].version) {
+      throw new Error(`Duplicate migration version ${m.version}`);
+    }
+    if (m.up === undefined || m.down === undefined) {
+      throw new Error(`Migration ${m.version}_${m.name} needs both up and down`);
+    }
+  });
+
+  return migrations;
+}
+
+async function ensureMigrationsTable(db) {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INT PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at TIMESTAMP NOT NULL DEFAULT NOW()
+    );
+  `);
+}
+
+async function appliedVersions(db) {
+  const { rows } = await db.query(`SELECT version FROM schema_migrations ORDER BY version`);
+  return new Set(rows.map(r => r.version));
+}
+
+async function run(client, step) {
+  if (typeof step === "function") return step(client);
+  return client.query(step);
+}
+
+// Every migration with whether (and when) it was applied
+async function migrationStatus(pool, { dir } = {}) {
+  await ensureMigrationsTable(pool);
+  const { rows } = await pool.query(`SELECT * FROM schema_migrations`);
+  const applied = new Map(rows.map(r => [r.version, r.applied_at]));
+
+  return loadMigrations(dir).map(m => ({
+    version: m.version,
+    name: m.name,
+    applied_at: applied.get(m.version) || null
+  }));
+}
+
+// direction "up" applies everything pending (or up to and including `to`);
+// "down" reverts the latest `steps` applied migrations (default 1), or
+// everything above `to`. Returns the migrations that ran.
+async function migrate(pool, {
+  direction = "up",
+  to = null,
+  steps = null,
+  dir,
+  log = console.log
+} = {}) {
+  const migrations = loadMigrations(dir);
+  const client = await pool.connect();
+
+  try {
+    await client.query(`SELECT pg_advisory_lock($1)`, [LOCK_ID]);
+    await ensureMigrationsTable(client);
+    const applied = await appliedVersions(client);
+
+    let plan;
+    if (direction === "up") {
+      plan = migrations.filter(m => !applied.has(m.version) && (to === null || m.version <= to));
+    } else if (direction === "down") {
+      plan = migrations
+        .filter(m => applied.has(m.version) && (to === null || m.version > to))
+        .reverse();
+      if (to === null) plan = plan.slice(0, steps ?? 1);
+    } else {
+      throw new Error(`Unknown migration direction: ${direction}`);
+    }
+
+    for (const m of plan) {
+      const label = `${String(m.version).padStart(3, "0")}_${m.name}`;
+
+      try {
+        await client.query("BEGIN");
+        await run(client, m[direction]);
+        if (direction === "up") {
+          await client.query(
+            `INSERT INTO schema_migrations (version, name) VALUES ($1, $2)`,
+            [m.version, m.name]
+          );
+        } else {
+          await client.query(`DELETE FROM schema_migrations WHERE version = $1`, [m.version]);
+        }
+        await client.query("COMMIT");
+      } catch (err) {
+        await client.query("ROLLBACK");
+        err.message = `Migration ${label} (${direction}) failed: ${err.message}`;
+        throw err;
+      }
+
+      log(`Migrated ${direction} ${label}`);
+    }
+
+    return plan.map(m => ({ version: m.version, name: m.name }));
+  } finally {
+    await client.query(`SELECT pg_advisory_unlock($1)`, [LOCK_ID]).catch(() => {});
+    client.release();
+  }
+}
+
+module.exports = {
+  MIGRATIONS_DIR,
+  loadMigrations,
+  migrationStatus,
+  migrate
+};
@@ -0,0 +1,19 @@
+// products: the catalog everything else hangs off
+module.exports = {
+  up: `
+    CREATE TABLE IF NOT EXISTS products (
+      id SERIAL PRIMARY KEY,
+      sku TEXT UNIQUE,
+      name TEXT,
+      stock INT DEFAULT 0,
+      reorder_point INT DEFAULT 0,
+      created_at TIMESTAMP DEFAULT NOW()
+    );
+    ALTER TABLE products
+    ADD COLUMN IF NOT EXISTS image_url TEXT,
+    ADD COLUMN IF NOT EXISTS lead_time_days INT;
+  `,
+  down: `
+    DROP TABLE IF EXISTS products;
+  `
+};
@@ -0,0 +1,14 @@
+// sales: one row per sale line; velocity and forecasts are built from it
+module.exports = {
+  up: `
+    CREATE TABLE IF NOT EXISTS sales (
+      id SERIAL PRIMARY KEY,
+      product_id INT REFERENCES products(id),
+      quantity INT NOT NULL,
+      sold_at DATE DEFAULT CURRENT_DATE
+    );
+  `,
+  down: `
+    DROP TABLE IF EXISTS sales;
+  `
+};
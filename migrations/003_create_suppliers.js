@@ -0,0 +1,17 @@
+// suppliers; products.supplier_id is the preferred one
+module.exports = {
+  up: `
+    CREATE TABLE IF NOT EXISTS suppliers (
+      id SERIAL PRIMARY KEY,
+      name TEXT NOT NULL,
+      lead_time_days INT DEFAULT 30,
+      created_at TIMESTAMP DEFAULT NOW()
+    );
+    ALTER TABLE products
+    ADD COLUMN IF NOT EXISTS supplier_id INT REFERENCES suppliers(id);
+  `,
+  down: `
+    ALTER TABLE products DROP COLUMN IF EXISTS supplier_id;
+    DROP TABLE IF EXISTS suppliers;
+  `
+};
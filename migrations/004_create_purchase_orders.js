@@ -0,0 +1,25 @@
+// purchase orders and their lines. The header's product_id/quantity are
+// from when a PO had a single product; 010 folds them into lines.
+module.exports = {
+  up: `
+    CREATE TABLE IF NOT EXISTS purchase_orders (
+      id SERIAL PRIMARY KEY,
+      product_id INT REFERENCES products(id),
+      quantity INT,
+      status TEXT DEFAULT 'DRAFT',
+      created_at TIMESTAMP DEFAULT NOW()
+    );
+    ALTER TABLE purchase_orders
+    ADD COLUMN IF NOT EXISTS expected_date DATE;
+    CREATE TABLE IF NOT EXISTS purchase_order_items (
+      id SERIAL PRIMARY KEY,
+      purchase_order_id INT REFERENCES purchase_orders(id),
+      product_id INT REFERENCES products(id),
+      quantity INT NOT NULL
+    );
+  `,
+  down: `
+    DROP TABLE IF EXISTS purchase_order_items;
+    DROP TABLE IF EXISTS purchase_orders;
+  `
+};
@@ -0,0 +1,29 @@
+// receiving: per-line received quantities + one row per shipment
+module.exports = {
+  up: `
+    ALTER TABLE purchase_orders
+    ADD COLUMN IF NOT EXISTS received_at TIMESTAMP;
+    ALTER TABLE purchase_order_items
+    ADD COLUMN IF NOT EXISTS quantity_received INT NOT NULL DEFAULT 0;
+    CREATE TABLE IF NOT EXISTS purchase_order_receipts (
+      id SERIAL PRIMARY KEY,
+      purchase_order_id INT REFERENCES purchase_orders(id),
+      reference TEXT,
+      notes TEXT,
+      received_at TIMESTAMP DEFAULT NOW()
+    );
+    CREATE TABLE IF NOT EXISTS purchase_order_receipt_items (
+      id SERIAL PRIMARY KEY,
+      receipt_id INT REFERENCES purchase_order_receipts(id),
+      purchase_order_item_id INT REFERENCES purchase_order_items(id),
+      product_id INT REFERENCES products(id),
+      quantity INT NOT NULL
+    );
+  `,
+  down: `
+    DROP TABLE IF EXISTS purchase_order_receipt_items;
+    DROP TABLE IF EXISTS purchase_order_receipts;
+    ALTER TABLE purchase_order_items DROP COLUMN IF EXISTS quantity_received;
+    ALTER TABLE purchase_orders DROP COLUMN IF EXISTS received_at;
+  `
+};
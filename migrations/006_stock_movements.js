@@ -0,0 +1,44 @@
+// stock ledger: every change to products.stock is appended here. Stock
+// that predates the ledger gets an opening balance row.
+module.exports = {
+  up: `
+    CREATE TABLE IF NOT EXISTS stock_movements (
+      id SERIAL PRIMARY KEY,
+      product_id INT NOT NULL REFERENCES products(id),
+      quantity_change INT NOT NULL,
+      stock_after INT NOT NULL,
+      reason TEXT NOT NULL,
+      reference_id TEXT,
+      user_name TEXT,
+      note TEXT,
+      created_at TIMESTAMP DEFAULT NOW()
+    );
+    CREATE INDEX IF NOT EXISTS stock_movements_product_created_idx
+    ON stock_movements (product_id, created_at);
+
+    CREATE OR REPLACE FUNCTION stock_movements_append_only()
+    RETURNS trigger AS $$
+    BEGIN
+      RAISE EXCEPTION 'stock_movements is append-only';
+    END;
+    $$ LANGUAGE plpgsql;
+
+    DROP TRIGGER IF EXISTS stock_movements_append_only ON stock_movements;
+    CREATE TRIGGER stock_movements_append_only
+    BEFORE UPDATE OR DELETE ON stock_movements
+    FOR EACH ROW EXECUTE FUNCTION stock_movements_append_only();
+
+    INSERT INTO stock_movements
+      (product_id, quantity_change, stock_after, reason, note)
+    SELECT p.id, p.stock, p.stock, 'adjustment', 'opening balance'
+    FROM products p
+    WHERE p.stock <> 0
+      AND NOT EXISTS (
+        SELECT 1 FROM stock_movements m WHERE m.product_id = p.id
+      );
+  `,
+  down: `
+    DROP TABLE IF EXISTS stock_movements;
+    DROP FUNCTION IF EXISTS stock_movements_append_only();
+  `
+};
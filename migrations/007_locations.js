@@ -0,0 +1,62 @@
+// locations: per-warehouse stock, products.stock stays the rolled-up
+// total. Everything recorded before locations existed lives in the
+// default one.
+module.exports = {
+  up: `
+    CREATE TABLE IF NOT EXISTS locations (
+      id SERIAL PRIMARY KEY,
+      code TEXT UNIQUE NOT NULL,
+      name TEXT NOT NULL,
+      type TEXT DEFAULT 'warehouse',
+      is_default BOOLEAN NOT NULL DEFAULT FALSE,
+      created_at TIMESTAMP DEFAULT NOW()
+    );
+    INSERT INTO locations (code, name, is_default)
+    SELECT 'MAIN', 'Main warehouse', TRUE
+    WHERE NOT EXISTS (SELECT 1 FROM locations WHERE is_default);
+
+    CREATE TABLE IF NOT EXISTS product_locations (
+      product_id INT NOT NULL REFERENCES products(id),
+      location_id INT NOT NULL REFERENCES locations(id),
+      stock INT NOT NULL DEFAULT 0,
+      PRIMARY KEY (product_id, location_id)
+    );
+    CREATE TABLE IF NOT EXISTS stock_transfers (
+      id SERIAL PRIMARY KEY,
+      product_id INT NOT NULL REFERENCES products(id),
+      from_location_id INT NOT NULL REFERENCES locations(id),
+      to_location_id INT NOT NULL REFERENCES locations(id),
+      quantity INT NOT NULL,
+      user_name TEXT,
+      note TEXT,
+      created_at TIMESTAMP DEFAULT NOW()
+    );
+    ALTER TABLE sales
+    ADD COLUMN IF NOT EXISTS location_id INT REFERENCES locations(id);
+    ALTER TABLE stock_movements
+    ADD COLUMN IF NOT EXISTS location_id INT REFERENCES locations(id);
+
+    UPDATE sales
+    SET location_id = (SELECT id FROM locations WHERE is_default)
+    WHERE location_id IS NULL;
+    INSERT INTO product_locations (product_id, location_id, stock)
+    SELECT p.id, l.id, p.stock
+    FROM products p
+    JOIN locations l ON l.is_default
+    WHERE NOT EXISTS (
+      SELECT 1 FROM product_locations pl WHERE pl.product_id = p.id
+    );
+    ALTER TABLE stock_movements DISABLE TRIGGER stock_movements_append_only;
+    UPDATE stock_movements
+    SET location_id = (SELECT id FROM locations WHERE is_default)
+    WHERE location_id IS NULL;
+    ALTER TABLE stock_movements ENABLE TRIGGER stock_movements_append_only;
+  `,
+  down: `
+    ALTER TABLE stock_movements DROP COLUMN IF EXISTS location_id;
+    ALTER TABLE sales DROP COLUMN IF EXISTS location_id;
+    DROP TABLE IF EXISTS stock_transfers;
+    DROP TABLE IF EXISTS product_locations;
+    DROP TABLE IF EXISTS locations;
+  `
+};
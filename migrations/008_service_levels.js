@@ -0,0 +1,25 @@
+// service levels + lead time variability for computed reorder points
+module.exports = {
+  up: `
+    CREATE TABLE IF NOT EXISTS categories (
+      id SERIAL PRIMARY KEY,
+      name TEXT UNIQUE NOT NULL,
+      service_level NUMERIC,
+      created_at TIMESTAMP DEFAULT NOW()
+    );
+    ALTER TABLE products
+    ADD COLUMN IF NOT EXISTS category_id INT REFERENCES categories(id),
+    ADD COLUMN IF NOT EXISTS service_level NUMERIC,
+    ADD COLUMN IF NOT EXISTS safety_stock INT DEFAULT 0;
+    ALTER TABLE suppliers
+    ADD COLUMN IF NOT EXISTS lead_time_stddev_days NUMERIC DEFAULT 0;
+  `,
+  down: `
+    ALTER TABLE suppliers DROP COLUMN IF EXISTS lead_time_stddev_days;
+    ALTER TABLE products
+    DROP COLUMN IF EXISTS safety_stock,
+    DROP COLUMN IF EXISTS service_level,
+    DROP COLUMN IF EXISTS category_id;
+    DROP TABLE IF EXISTS categories;
+  `
+};
@@ -0,0 +1,31 @@
+// planning policies: global defaults overridable per supplier/category/
+// product. The global row starts at the DEFAULT_POLICY values of the time.
+module.exports = {
+  up: `
+    CREATE TABLE IF NOT EXISTS planning_policies (
+      id SERIAL PRIMARY KEY,
+      scope TEXT NOT NULL,
+      scope_id INT,
+      coverage_days INT,
+      review_period_days INT,
+      min_order_qty INT,
+      order_multiple INT,
+      buffer_days INT,
+      created_at TIMESTAMP DEFAULT NOW(),
+      updated_at TIMESTAMP DEFAULT NOW()
+    );
+    CREATE UNIQUE INDEX IF NOT EXISTS planning_policies_scope_idx
+    ON planning_policies (scope, COALESCE(scope_id, 0));
+
+    INSERT INTO planning_policies
+      (scope, coverage_days, review_period_days, min_order_qty,
+       order_multiple, buffer_days)
+    SELECT 'global', 60, 7, 0, 1, 14
+    WHERE NOT EXISTS (
+      SELECT 1 FROM planning_policies WHERE scope = 'global'
+    );
+  `,
+  down: `
+    DROP TABLE IF EXISTS planning_policies;
+  `
+};
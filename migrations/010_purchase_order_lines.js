@@ -0,0 +1,59 @@
+// purchase orders: supplier header + costed lines; fold legacy
+// single-product POs (product_id/quantity on the header) into
+// purchase_order_items. 'open' was what the old endpoints wrote for a
+// sent PO. Folding is not undone on the way down.
+module.exports = {
+  up: `
+    ALTER TABLE purchase_orders
+    ADD COLUMN IF NOT EXISTS supplier_id INT REFERENCES suppliers(id),
+    ADD COLUMN IF NOT EXISTS currency TEXT NOT NULL DEFAULT 'USD',
+    ADD COLUMN IF NOT EXISTS notes TEXT,
+    ADD COLUMN IF NOT EXISTS submitted_at TIMESTAMP,
+    ADD COLUMN IF NOT EXISTS confirmed_at TIMESTAMP,
+    ADD COLUMN IF NOT EXISTS cancelled_at TIMESTAMP,
+    ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP DEFAULT NOW();
+    ALTER TABLE purchase_order_items
+    ADD COLUMN IF NOT EXISTS unit_cost NUMERIC(12, 4),
+    ADD COLUMN IF NOT EXISTS expected_date DATE;
+
+    INSERT INTO purchase_order_items
+      (purchase_order_id, product_id, quantity, quantity_received, expected_date)
+    SELECT
+      po.id,
+      po.product_id,
+      COALESCE(po.quantity, 0),
+      CASE WHEN UPPER(po.status) = 'RECEIVED' THEN COALESCE(po.quantity, 0) ELSE 0 END,
+      po.expected_date
+    FROM purchase_orders po
+    WHERE po.product_id IS NOT NULL
+      AND NOT EXISTS (
+        SELECT 1 FROM purchase_order_items poi
+        WHERE poi.purchase_order_id = po.id
+      );
+    UPDATE purchase_orders
+    SET product_id = NULL, quantity = NULL
+    WHERE product_id IS NOT NULL;
+    UPDATE purchase_order_items poi
+    SET expected_date = po.expected_date
+    FROM purchase_orders po
+    WHERE po.id = poi.purchase_order_id
+      AND poi.expected_date IS NULL
+      AND po.expected_date IS NOT NULL;
+    UPDATE purchase_orders
+    SET status = CASE UPPER(status) WHEN 'OPEN' THEN 'SUBMITTED' ELSE UPPER(status) END
+    WHERE status IS DISTINCT FROM UPPER(status) OR UPPER(status) = 'OPEN';
+  `,
+  down: `
+    ALTER TABLE purchase_order_items
+    DROP COLUMN IF EXISTS expected_date,
+    DROP COLUMN IF EXISTS unit_cost;
+    ALTER TABLE purchase_orders
+    DROP COLUMN IF EXISTS updated_at,
+    DROP COLUMN IF EXISTS cancelled_at,
+    DROP COLUMN IF EXISTS confirmed_at,
+    DROP COLUMN IF EXISTS submitted_at,
+    DROP COLUMN IF EXISTS notes,
+    DROP COLUMN IF EXISTS currency,
+    DROP COLUMN IF EXISTS supplier_id;
+  `
+};
@@ -0,0 +1,53 @@
+// suppliers: contact/commercial terms and the supplier-product catalog.
+// products.supplier_id stays the preferred supplier; the catalog row
+// marked is_preferred is kept in step with it.
+module.exports = {
+  up: `
+    ALTER TABLE suppliers
+    ADD COLUMN IF NOT EXISTS contact_name TEXT,
+    ADD COLUMN IF NOT EXISTS email TEXT,
+    ADD COLUMN IF NOT EXISTS phone TEXT,
+    ADD COLUMN IF NOT EXISTS address TEXT,
+    ADD COLUMN IF NOT EXISTS currency TEXT NOT NULL DEFAULT 'USD',
+    ADD COLUMN IF NOT EXISTS moq INT NOT NULL DEFAULT 0,
+    ADD COLUMN IF NOT EXISTS payment_terms TEXT,
+    ADD COLUMN IF NOT EXISTS notes TEXT,
+    ADD COLUMN IF NOT EXISTS use_observed_lead_time BOOLEAN NOT NULL DEFAULT FALSE,
+    ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP DEFAULT NOW();
+    CREATE TABLE IF NOT EXISTS supplier_products (
+      id SERIAL PRIMARY KEY,
+      supplier_id INT NOT NULL REFERENCES suppliers(id) ON DELETE CASCADE,
+      product_id INT NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+      supplier_sku TEXT,
+      unit_cost NUMERIC(12, 4),
+      case_pack INT NOT NULL DEFAULT 1 CHECK (case_pack > 0),
+      is_preferred BOOLEAN NOT NULL DEFAULT FALSE,
+      created_at TIMESTAMP DEFAULT NOW(),
+      updated_at TIMESTAMP DEFAULT NOW(),
+      UNIQUE (supplier_id, product_id)
+    );
+    CREATE UNIQUE INDEX IF NOT EXISTS supplier_products_preferred_idx
+    ON supplier_products (product_id)
+    WHERE is_preferred;
+
+    INSERT INTO supplier_products (supplier_id, product_id, is_preferred)
+    SELECT supplier_id, id, TRUE
+    FROM products
+    WHERE supplier_id IS NOT NULL
+    ON CONFLICT (supplier_id, product_id) DO NOTHING;
+  `,
+  down: `
+    DROP TABLE IF EXISTS supplier_products;
+    ALTER TABLE suppliers
+    DROP COLUMN IF EXISTS updated_at,
+    DROP COLUMN IF EXISTS use_observed_lead_time,
+    DROP COLUMN IF EXISTS notes,
+    DROP COLUMN IF EXISTS payment_terms,
+    DROP COLUMN IF EXISTS moq,
+    DROP COLUMN IF EXISTS currency,
+    DROP COLUMN IF EXISTS address,
+    DROP COLUMN IF EXISTS phone,
+    DROP COLUMN IF EXISTS email,
+    DROP COLUMN IF EXISTS contact_name;
+  `
+};
@@ -0,0 +1,40 @@
+// sales: price, channel and external order reference; returns are rows
+// with kind = 'return' and a negative quantity so velocity nets them out.
+// Re-sending an order (or a return) must not count it twice. A database
+// that already has 017's replacement index keeps it instead.
+module.exports = {
+  up: `
+    ALTER TABLE sales
+    ADD COLUMN IF NOT EXISTS kind TEXT NOT NULL DEFAULT 'sale',
+    ADD COLUMN IF NOT EXISTS unit_price NUMERIC(12, 4),
+    ADD COLUMN IF NOT EXISTS channel TEXT,
+    ADD COLUMN IF NOT EXISTS external_order_id TEXT,
+    ADD COLUMN IF NOT EXISTS external_return_id TEXT,
+    ADD COLUMN IF NOT EXISTS created_at TIMESTAMP DEFAULT NOW();
+    DO $$
+    BEGIN
+      IF to_regclass('sales_external_order_line_idx') IS NULL THEN
+        CREATE UNIQUE INDEX IF NOT EXISTS sales_external_line_idx
+        ON sales (
+          COALESCE(channel, ''),
+          external_order_id,
+          kind,
+          product_id,
+          COALESCE(external_return_id, '')
+        )
+        WHERE external_order_id IS NOT NULL;
+      END IF;
+    END
+    $$;
+  `,
+  down: `
+    DROP INDEX IF EXISTS sales_external_line_idx;
+    ALTER TABLE sales
+    DROP COLUMN IF EXISTS created_at,
+    DROP COLUMN IF EXISTS external_return_id,
+    DROP COLUMN IF EXISTS external_order_id,
+    DROP COLUMN IF EXISTS channel,
+    DROP COLUMN IF EXISTS unit_price,
+    DROP COLUMN IF EXISTS kind;
+  `
+};
@@ -0,0 +1,53 @@
+// inbound webhooks: one row per delivery (deduplicated on the sender's
+// webhook id), order lines whose SKU matched no product, and the SKU
+// aliases learned when those are resolved
+module.exports = {
+  up: `
+    CREATE TABLE IF NOT EXISTS inbound_webhooks (
+      id SERIAL PRIMARY KEY,
+      source TEXT NOT NULL,
+      topic TEXT,
+      webhook_id TEXT NOT NULL,
+      status TEXT NOT NULL,
+      error TEXT,
+      result JSONB,
+      payload JSONB,
+      received_at TIMESTAMP DEFAULT NOW(),
+      UNIQUE (source, webhook_id)
+    );
+    CREATE TABLE IF NOT EXISTS sku_aliases (
+      source TEXT NOT NULL,
+      sku TEXT NOT NULL,
+      product_id INT NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+      created_at TIMESTAMP DEFAULT NOW(),
+      PRIMARY KEY (source, sku)
+    );
+    CREATE TABLE IF NOT EXISTS unmatched_sale_lines (
+      id SERIAL PRIMARY KEY,
+      source TEXT NOT NULL,
+      topic TEXT,
+      sku TEXT NOT NULL,
+      title TEXT,
+      line JSONB NOT NULL,
+      status TEXT NOT NULL DEFAULT 'open',
+      product_id INT REFERENCES products(id),
+      sale_id INT REFERENCES sales(id),
+      created_at TIMESTAMP DEFAULT NOW(),
+      resolved_at TIMESTAMP,
+      resolved_by TEXT
+    );
+    CREATE UNIQUE INDEX IF NOT EXISTS unmatched_sale_lines_key_idx
+    ON unmatched_sale_lines (
+      source,
+      sku,
+      (line->>'external_order_id'),
+      (line->>'type'),
+      COALESCE(line->>'external_return_id', '')
+    );
+  `,
+  down: `
+    DROP TABLE IF EXISTS unmatched_sale_lines;
+    DROP TABLE IF EXISTS sku_aliases;
+    DROP TABLE IF EXISTS inbound_webhooks;
+  `
+};
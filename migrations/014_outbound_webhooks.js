@@ -0,0 +1,56 @@
+// outbound webhooks: subscriptions, an event log, one delivery row per
+// subscription per event, and the last seen planning state per product so
+// the scanner only emits on changes
+module.exports = {
+  up: `
+    CREATE TABLE IF NOT EXISTS webhook_subscriptions (
+      id SERIAL PRIMARY KEY,
+      url TEXT NOT NULL,
+      secret TEXT NOT NULL,
+      events TEXT[] NOT NULL,
+      description TEXT,
+      active BOOLEAN NOT NULL DEFAULT TRUE,
+      created_at TIMESTAMP DEFAULT NOW(),
+      updated_at TIMESTAMP DEFAULT NOW()
+    );
+    CREATE TABLE IF NOT EXISTS events (
+      id SERIAL PRIMARY KEY,
+      type TEXT NOT NULL,
+      data JSONB NOT NULL,
+      created_at TIMESTAMP DEFAULT NOW()
+    );
+    CREATE TABLE IF NOT EXISTS webhook_deliveries (
+      id SERIAL PRIMARY KEY,
+      subscription_id INT NOT NULL REFERENCES webhook_subscriptions(id) ON DELETE CASCADE,
+      event_id INT NOT NULL REFERENCES events(id),
+      replay_of INT REFERENCES webhook_deliveries(id),
+      status TEXT NOT NULL DEFAULT 'pending',
+      attempts INT NOT NULL DEFAULT 0,
+      next_attempt_at TIMESTAMP DEFAULT NOW(),
+      last_attempt_at TIMESTAMP,
+      response_status INT,
+      response_body TEXT,
+      error TEXT,
+      created_at TIMESTAMP DEFAULT NOW(),
+      delivered_at TIMESTAMP
+    );
+    CREATE INDEX IF NOT EXISTS webhook_deliveries_due_idx
+    ON webhook_deliveries (next_attempt_at)
+    WHERE status = 'pending';
+    CREATE TABLE IF NOT EXISTS product_alert_state (
+      product_id INT PRIMARY KEY REFERENCES products(id) ON DELETE CASCADE,
+      status TEXT NOT NULL,
+      below_reorder_point BOOLEAN NOT NULL,
+      updated_at TIMESTAMP DEFAULT NOW()
+    );
+    ALTER TABLE purchase_orders
+    ADD COLUMN IF NOT EXISTS late_notified_at TIMESTAMP;
+  `,
+  down: `
+    ALTER TABLE purchase_orders DROP COLUMN IF EXISTS late_notified_at;
+    DROP TABLE IF EXISTS product_alert_state;
+    DROP TABLE IF EXISTS webhook_deliveries;
+    DROP TABLE IF EXISTS events;
+    DROP TABLE IF EXISTS webhook_subscriptions;
+  `
+};
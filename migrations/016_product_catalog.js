@@ -0,0 +1,17 @@
+// product catalog: free-form tags for grouping and soft archive
+module.exports = {
+  up: `
+    ALTER TABLE products
+    ADD COLUMN IF NOT EXISTS tags TEXT[] NOT NULL DEFAULT '{}',
+    ADD COLUMN IF NOT EXISTS archived_at TIMESTAMP,
+    ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP DEFAULT NOW();
+    CREATE INDEX IF NOT EXISTS products_tags_idx ON products USING GIN (tags);
+  `,
+  down: `
+    DROP INDEX IF EXISTS products_tags_idx;
+    ALTER TABLE products
+    DROP COLUMN IF EXISTS updated_at,
+    DROP COLUMN IF EXISTS archived_at,
+    DROP COLUMN IF EXISTS tags;
+  `
+};
@@ -0,0 +1,56 @@
+// variants and kits: a 'parent' product groups variant children
+// (parent_id, with attributes such as size and colour); a 'kit' is sold as
+// one item but made of components, and holds no stock of its own. Selling
+// a kit also writes one sale row per component with kit_sale_id set, and
+// those rows are left out of the duplicate-order index: an order may hold
+// a kit and the same SKU on its own.
+module.exports = {
+  up: `
+    ALTER TABLE products
+    ADD COLUMN IF NOT EXISTS kind TEXT NOT NULL DEFAULT 'standard',
+    ADD COLUMN IF NOT EXISTS parent_id INT REFERENCES products(id),
+    ADD COLUMN IF NOT EXISTS variant_attributes JSONB NOT NULL DEFAULT '{}';
+    CREATE INDEX IF NOT EXISTS products_parent_idx
+    ON products (parent_id)
+    WHERE parent_id IS NOT NULL;
+    CREATE TABLE IF NOT EXISTS kit_components (
+      kit_id INT NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+      component_id INT NOT NULL REFERENCES products(id),
+      quantity INT NOT NULL CHECK (quantity > 0),
+      PRIMARY KEY (kit_id, component_id)
+    );
+
+    ALTER TABLE sales
+    ADD COLUMN IF NOT EXISTS kit_sale_id INT REFERENCES sales(id);
+    DROP INDEX IF EXISTS sales_external_line_idx;
+    CREATE UNIQUE INDEX IF NOT EXISTS sales_external_order_line_idx
+    ON sales (
+      COALESCE(channel, ''),
+      external_order_id,
+      kind,
+      product_id,
+      COALESCE(external_return_id, '')
+    )
+    WHERE external_order_id IS NOT NULL AND kit_sale_id IS NULL;
+  `,
+  down: `
+    DROP INDEX IF EXISTS sales_external_order_line_idx;
+    DELETE FROM sales WHERE kit_sale_id IS NOT NULL;
+    ALTER TABLE sales DROP COLUMN IF EXISTS kit_sale_id;
+    CREATE UNIQUE INDEX IF NOT EXISTS sales_external_line_idx
+    ON sales (
+      COALESCE(channel, ''),
+      external_order_id,
+      kind,
+      product_id,
+      COALESCE(external_return_id, '')
+    )
+    WHERE external_order_id IS NOT NULL;
+    DROP TABLE IF EXISTS kit_components;
+    DROP INDEX IF EXISTS products_parent_idx;
+    ALTER TABLE products
+    DROP COLUMN IF EXISTS variant_attributes,
+    DROP COLUMN IF EXISTS parent_id,
+    DROP COLUMN IF EXISTS kind;
+  `
+};
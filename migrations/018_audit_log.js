@@ -0,0 +1,22 @@
+// audit log: who changed which record, with field-level before/after.
+// Stock quantities are not repeated here; stock_movements is their ledger.
+module.exports = {
+  up: `
+    CREATE TABLE IF NOT EXISTS audit_log (
+      id SERIAL PRIMARY KEY,
+      occurred_at TIMESTAMP NOT NULL DEFAULT NOW(),
+      actor TEXT,
+      entity_type TEXT NOT NULL,
+      entity_id TEXT NOT NULL,
+      action TEXT NOT NULL,
+      changes JSONB NOT NULL DEFAULT '{}'
+    );
+    CREATE INDEX IF NOT EXISTS audit_log_entity_idx
+    ON audit_log (entity_type, entity_id, occurred_at DESC);
+    CREATE INDEX IF NOT EXISTS audit_log_occurred_idx
+    ON audit_log (occurred_at DESC);
+  `,
+  down: `
+    DROP TABLE IF EXISTS audit_log;
+  `
+};
@@ -0,0 +1,43 @@
+// stock counts: a count session snapshots the expected quantity of each
+// product at one location, collects what was counted and, once approved,
+// posts the variances to the ledger with a reason code
+module.exports = {
+  up: `
+    CREATE TABLE IF NOT EXISTS stock_counts (
+      id SERIAL PRIMARY KEY,
+      location_id INT NOT NULL REFERENCES locations(id),
+      status TEXT NOT NULL DEFAULT 'OPEN',
+      abc_class TEXT,
+      blind BOOLEAN NOT NULL DEFAULT FALSE,
+      notes TEXT,
+      created_by TEXT,
+      created_at TIMESTAMP DEFAULT NOW(),
+      submitted_at TIMESTAMP,
+      approved_by TEXT,
+      approved_at TIMESTAMP,
+      cancelled_at TIMESTAMP
+    );
+    CREATE TABLE IF NOT EXISTS stock_count_lines (
+      id SERIAL PRIMARY KEY,
+      count_id INT NOT NULL REFERENCES stock_counts(id) ON DELETE CASCADE,
+      product_id INT NOT NULL REFERENCES products(id),
+      expected_quantity INT NOT NULL,
+      unit_cost NUMERIC(12, 4),
+      counted_quantity INT,
+      counted_by TEXT,
+      counted_at TIMESTAMP,
+      reason_code TEXT,
+      movement_id INT REFERENCES stock_movements(id),
+      UNIQUE (count_id, product_id)
+    );
+    CREATE INDEX IF NOT EXISTS stock_count_lines_product_idx
+    ON stock_count_lines (product_id);
+    ALTER TABLE stock_movements
+    ADD COLUMN IF NOT EXISTS reason_code TEXT;
+  `,
+  down: `
+    ALTER TABLE stock_movements DROP COLUMN IF EXISTS reason_code;
+    DROP TABLE IF EXISTS stock_count_lines;
+    DROP TABLE IF EXISTS stock_counts;
+  `
+};
@@ -0,0 +1,47 @@
+// inventory cost: receipts record what each unit cost and open a cost
+// layer; valuation replays the ledger through the layers (see
+// valuation.js). Receipts from before costs were captured take the PO
+// line's price.
+module.exports = {
+  up: `
+    ALTER TABLE purchase_order_receipt_items
+    ADD COLUMN IF NOT EXISTS unit_cost NUMERIC(12, 4);
+    CREATE TABLE IF NOT EXISTS cost_layers (
+      id SERIAL PRIMARY KEY,
+      product_id INT NOT NULL REFERENCES products(id),
+      movement_id INT NOT NULL UNIQUE REFERENCES stock_movements(id),
+      receipt_item_id INT REFERENCES purchase_order_receipt_items(id),
+      quantity INT NOT NULL CHECK (quantity > 0),
+      unit_cost NUMERIC(12, 4) NOT NULL CHECK (unit_cost >= 0),
+      received_at TIMESTAMP NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS cost_layers_product_idx
+    ON cost_layers (product_id, received_at);
+
+    UPDATE purchase_order_receipt_items ri
+    SET unit_cost = poi.unit_cost
+    FROM purchase_order_items poi
+    WHERE poi.id = ri.purchase_order_item_id
+      AND ri.unit_cost IS NULL
+      AND poi.unit_cost IS NOT NULL;
+    INSERT INTO cost_layers
+      (product_id, movement_id, receipt_item_id, quantity, unit_cost, received_at)
+    SELECT DISTINCT ON (m.id)
+      m.product_id, m.id, ri.id, m.quantity_change, ri.unit_cost, m.created_at
+    FROM stock_movements m
+    JOIN purchase_order_receipt_items ri
+      ON ri.receipt_id::text = m.reference_id
+     AND ri.product_id = m.product_id
+     AND ri.quantity = m.quantity_change
+    WHERE m.reason = 'receipt'
+      AND m.quantity_change > 0
+      AND ri.unit_cost IS NOT NULL
+      AND NOT EXISTS (SELECT 1 FROM cost_layers cl WHERE cl.movement_id = m.id)
+      AND NOT EXISTS (SELECT 1 FROM cost_layers cl WHERE cl.receipt_item_id = ri.id)
+    ORDER BY m.id, ri.id;
+  `,
+  down: `
+    DROP TABLE IF EXISTS cost_layers;
+    ALTER TABLE purchase_order_receipt_items DROP COLUMN IF EXISTS unit_cost;
+  `
+};
@@ -0,0 +1,13 @@
+// unmatched sale lines: why a webhook line was queued instead of recorded.
+// unknown_sku lines matched no product or alias; exceeds_sold lines are
+// refunds of more than their order has recorded as sold (orders from before
+// the integration, or lines that were themselves unmatched).
+module.exports = {
+  up: `
+    ALTER TABLE unmatched_sale_lines
+    ADD COLUMN IF NOT EXISTS reason TEXT NOT NULL DEFAULT 'unknown_sku';
+  `,
+  down: `
+    ALTER TABLE unmatched_sale_lines DROP COLUMN IF EXISTS reason;
+  `
+};
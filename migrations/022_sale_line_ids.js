@@ -0,0 +1,35 @@
+// sales: the sender's id for an order line, so an order may hold the same
+// product on two lines (different prices, say) without the second being
+// taken for a re-send of the first. Lines without one keep the old key.
+module.exports = {
+  up: `
+    ALTER TABLE sales
+    ADD COLUMN IF NOT EXISTS external_line_id TEXT;
+    DROP INDEX IF EXISTS sales_external_order_line_idx;
+    CREATE UNIQUE INDEX IF NOT EXISTS sales_external_order_line_key_idx
+    ON sales (
+      COALESCE(channel, ''),
+      external_order_id,
+      kind,
+      product_id,
+      COALESCE(external_return_id, ''),
+      COALESCE(external_line_id, '')
+    )
+    WHERE external_order_id IS NOT NULL AND kit_sale_id IS NULL;
+  `,
+  down: `
+    DROP INDEX IF EXISTS sales_external_order_line_key_idx;
+    DELETE FROM sales WHERE external_line_id IS NOT NULL AND kit_sale_id IS NOT NULL;
+    DELETE FROM sales WHERE external_line_id IS NOT NULL;
+    ALTER TABLE sales DROP COLUMN IF EXISTS external_line_id;
+    CREATE UNIQUE INDEX IF NOT EXISTS sales_external_order_line_idx
+    ON sales (
+      COALESCE(channel, ''),
+      external_order_id,
+      kind,
+      product_id,
+      COALESCE(external_return_id, '')
+    )
+    WHERE external_order_id IS NOT NULL AND kit_sale_id IS NULL;
+  `
+};
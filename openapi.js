@@ -0,0 +1,235 @@
+// The OpenAPI 3.1 document for the API, built from the routes themselves:
+// each route's validate() spec (see http.js) gives its parameters, body,
+// response and error codes, and its allow() guard the permission it needs.
+// Schemas with a title are documented once under components.schemas.
+//
+// scripts/generate-client.js turns the document into the JS client in
+// client/.
+
+const { ERROR_CODES } = require("./errors");
+const { PUBLIC_ROUTES } = require("./http");
+const { version } = require("./package.json");
+
+const STATUS_TEXT = {
+  200: "OK",
+  201: "Created",
+  400: "Invalid request",
+  401: "No or invalid credentials",
+  403: "The role lacks the permission",
+  404: "Not found",
+  409: "Conflicts with the current state",
+  413: "Upload too large",
+  422: "Nothing processed; details lists the bad lines",
+  500: "Unexpected error",
+  503: "Not configured"
+};
+
+const ERROR_SCHEMA = {
+  type: "object",
+  properties: {
+    error: { type: "string" },
+    code: { type: "string", enum: Object.values(ERROR_CODES) },
+    details: { type: "array", items: { type: "object" } }
+  },
+  required: ["error", "code"],
+  additionalProperties: false
+};
+
+// Every route of an Express app, app-level and in mounted routers, as
+// { method, path, handlers } with path in Express syntax
+function appRoutes(app) {
+  const routes = [];
+  const collect = layer => {
+    if (layer.route) {
+      const paths = [].concat(layer.route.path);
+      for (const method of Object.keys(layer.route.methods)) {
+        for (const path of paths) {
+          routes.push({ method, path, handlers: layer.route.stack.map(l => l.handle) });
+        }
+      }
+    } else if (layer.handle && layer.handle.stack) {
+      layer.handle.stack.forEach(collect);
+    }
+  };
+  app._router.stack.forEach(collect);
+  return routes;
+}
+
+// /products/:id(\d+)/stock -> /products/{id}/stock
+function openApiPath(path) {
+  return path.replace(/:(\w+)(\([^)]*\))?/g, "{$1}");
+}
+
+// GET /products/{id}/stock-levels -> getProductsByIdStockLevels
+function operationId(method, path) {
+  const words = path
+    .split("/")
+    .filter(Boolean)
+    .map(part => {
+      const param = part.match(/^\{(\w+)\}$/);
+      return param ? `by-${param[1]}` : part;
+    })
+    .join("-")
+    .split(/[^A-Za-z0-9]+/)
+    .filter(Boolean);
+  return method + (words.length ? words : ["root"])
+    .map(w => w[0].toUpperCase() + w.slice(1))
+    .join("");
+}
+
+// Moves titled schemas into `components`, leaving $refs behind
+function hoist(schema, components) {
+  if (Array.isArray(schema)) return schema.map(s => hoist(s, components));
+  if (!schema || typeof schema !== "object") return schema;
+
+  const copy = {};
+  for (const [key, value] of Object.entries(schema)) {
+    copy[key] = key === "enum" || key === "default" ? value : hoist(value, components);
+  }
+  if (typeof copy.title !== "string") return copy;
+
+  const existing = components[copy.title];
+  if (existing && JSON.stringify(existing) !== JSON.stringify(copy)) {
+    throw new Error(`Two different schemas are titled ${copy.title}`);
+  }
+  components[copy.title] = copy;
+  return { $ref: `#/components/schemas/${copy.title}` };
+}
+
+function parameters(location, schema = { properties: {} }) {
+  return Object.entries(schema.properties || {}).map(([name, property]) => ({
+    name,
+    in: location,
+    required: location === "path" || (schema.required || []).includes(name),
+    schema: property
+  }));
+}
+
+function requestBody(spec, uploadField) {
+  if (uploadField) {
+    const fields = spec.body || { type: "object", properties: {} };
+    return {
+      required: true,
+      content: {
+        "multipart/form-data": {
+          schema: {
+            type: "object",
+            properties: {
+              ...fields.properties,
+              [uploadField]: { type: "string", contentMediaType: "application/octet-stream" }
+            },
+            required: [...(fields.required || []), uploadField]
+          }
+        }
+      }
+    };
+  }
+  return {
+    required: (spec.body.required || []).length > 0,
+    content: { "application/json": { schema: spec.body } }
+  };
+}
+
+function responses(spec, { guarded, open }) {
+  const status = spec.status || 200;
+  const mediaType = spec.response.contentMediaType || "application/json";
+  const result = {
+    [status]: {
+      description: STATUS_TEXT[status],
+      content: { [mediaType]: { schema: spec.response } }
+    }
+  };
+
+  const codes = ["VALIDATION_ERROR", ...(spec.errors || [])];
+  if (!open) codes.push("UNAUTHENTICATED");
+  if (guarded) codes.push("FORBIDDEN");
+  for (const code of codes) {
+    const errorStatus = Object.keys(ERROR_CODES).find(s => ERROR_CODES[s] === code);
+    result[errorStatus] = { $ref: `#/components/responses/${code}` };
+  }
+  return result;
+}
+
+function operation(route) {
+  const spec = (route.handlers.find(h => h.spec) || {}).spec;
+  const where = `${route.method.toUpperCase()} ${route.path}`;
+  if (!spec) throw new Error(`${where} has no validate() spec`);
+  if (!spec.response) throw new Error(`${where} documents no response`);
+
+  const path = openApiPath(route.path);
+  const guard = route.handlers.find(h => h.permission);
+  const upload = route.handlers.find(h => h.uploadField);
+  const open = PUBLIC_ROUTES.has(`${route.method.toUpperCase()} ${route.path}`);
+  const body = spec.body || upload ? requestBody(spec, upload && upload.uploadField) : null;
+
+  return {
+    path,
+    operation: {
+      operationId: operationId(route.method, path),
+      tags: [path.split("/")[1] || "api"],
+      ...(guard ? {
+        description: `Needs the \`${guard.permission}\` permission.`,
+        "x-permission": guard.permission
+      } : {}),
+      ...(open ? { security: [] } : {}),
+      parameters: [
+        ...parameters("path", spec.params),
+        ...parameters("query", spec.query)
+      ],
+      ...(body ? { requestBody: body } : {}),
+      responses: responses(spec, { guarded: Boolean(guard), open })
+    }
+  };
+}
+
+function buildOpenApi(app) {
+  const paths = {};
+  const schemas = {};
+
+  for (const route of appRoutes(app)) {
+    const { path, operation: op } = operation(route);
+    paths[path] = paths[path] || {};
+    paths[path][route.method] = hoist(op, schemas);
+  }
+
+  return {
+    openapi: "3.1.0",
+    info: {
+      title: "Inventory Planner API",
+      version,
+      description:
+        "Errors have the shape { error, code, details? }; see components.responses for the codes."
+    },
+    servers: [{ url: "/" }],
+    security: [{ bearer: [] }, { apiKey: [] }, { session: [] }],
+    paths,
+    components: {
+      schemas: { ...schemas, Error: ERROR_SCHEMA },
+      responses: Object.fromEntries(
+        Object.entries(ERROR_CODES).map(([status, code]) => [
+          code,
+          {
+            description: STATUS_TEXT[status],
+            content: { "application/json": { schema: { $ref: "#/components/schemas/Error" } } }
+          }
+        ])
+      ),
+      securitySchemes: {
+        bearer: {
+          type: "http",
+          scheme: "bearer",
+          description: "A session token from POST /auth/login, or an API key"
+        },
+        apiKey: { type: "apiKey", in: "header", name: "X-API-Key" },
+        session: { type: "apiKey", in: "cookie", name: "session" }
+      }
+    }
+  };
+}
+
+module.exports = {
+  appRoutes,
+  openApiPath,
+  operationId,
+  buildOpenApi
+};
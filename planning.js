@@ -0,0 +1,208 @@
+// Replenishment math: safety stock, reorder points and planning policies.
+//
+// Safety stock covers demand variability over the lead time and lead time
+// variability at the expected demand rate:
+//
+//   SS  = z * sqrt(L * σd² + d² * σL²)
+//   ROP = expected demand over L + SS
+//
+// where z is the normal quantile for the target service level (cycle
+// service level, e.g. 0.95 -> 1.645).
+
+const { normalQuantile } = require("./forecast");
+
+const DEFAULT_SERVICE_LEVEL = 0.95;
+const DEMAND_STATS_DAYS = 90;
+
+// Planning policy fields. A null field on a policy means "inherit".
+//   coverage_days       days of demand an order should cover after it lands
+//   review_period_days  how often stock is reviewed; drives ORDER SOON
+//   min_order_qty       smallest quantity worth ordering
+//   order_multiple      orders are rounded up to a multiple of this
+//   buffer_days         floor on safety stock, in days of demand
+const POLICY_FIELDS = [
+  "coverage_days",
+  "review_period_days",
+  "min_order_qty",
+  "order_multiple",
+  "buffer_days"
+];
+const POLICY_SCOPES = ["product", "category", "supplier", "global"];
+const DEFAULT_POLICY = {
+  coverage_days: 60,
+  review_period_days: 7,
+  min_order_qty: 0,
+  order_multiple: 1,
+  buffer_days: 14
+};
+
+// A cycle service level: a probability strictly between 0 and 1.
+function validServiceLevel(value) {
+  const n = Number(value);
+  return Number.isFinite(n) && n > 0 && n < 1;
+}
+
+// Mean and sample standard deviation of daily demand over the last `days`
+// days, ignoring the days before the first recorded sale.
+function demandStats(series, days = DEMAND_STATS_DAYS) {
+  const window = series.slice(-days);
+  const first = window.findIndex(y => y !== 0);
+  const values = first === -1 ? [] : window.slice(first);
+
+  if (values.length < 2) {
+    return { mean: values.length ? values[0] : 0, stddev: 0, days: values.length };
+  }
+
+  const mean = values.reduce((a, b) => a + b, 0) / values.length;
+  const variance =
+    values.reduce((a, y) => a + (y - mean) ** 2, 0) / (values.length - 1);
+
+  return { mean, stddev: Math.sqrt(variance), days: values.length };
+}
+
+// bufferDays sets a floor of that many days of demand, so thin sales
+// history never leaves a product with no cushion at all.
+function safetyStock({
+  serviceLevel = DEFAULT_SERVICE_LEVEL,
+  leadTimeDays,
+  leadTimeStdDev = 0,
+  dailyDemand,
+  demandStdDev,
+  bufferDays = 0
+}) {
+  const z = normalQuantile(serviceLevel);
+  const variance =
+    leadTimeDays * demandStdDev ** 2 + dailyDemand ** 2 * leadTimeStdDev ** 2;
+
+  return Math.max(z * Math.sqrt(variance), dailyDemand * bufferDays, 0);
+}
+
+// leadTimeDemand is the forecast demand over the lead time, so seasonal
+// peaks during the replenishment window raise the reorder point.
+function reorderPoint({ leadTimeDemand, ...ss }) {
+  const safety = safetyStock(ss);
+
+  return {
+    safety_stock: Math.ceil(safety),
+    reorder_point: Math.ceil(leadTimeDemand + safety)
+  };
+}
+
+// Field-by-field policy resolution: product, then category, then supplier,
+// then the global policy, then DEFAULT_POLICY. `source` records where each
+// value came from ("product:12", "global", ...).
+function resolvePolicy(policies, { product_id = null, category_id = null, supplier_id = null }) {
+  const ids = { product: product_id, category: category_id, supplier: supplier_id };
+  const byScope = new Map(
+    policies.map(p => [`${p.scope}:${p.scope === "global" ? "" : p.scope_id}`, p])
+  );
+  const effective = {};
+  const source = {};
+
+  for (const scope of POLICY_SCOPES) {
+    if (scope !== "global" && ids[scope] === null) continue;
+
+    const policy = byScope.get(`${scope}:${scope === "global" ? "" : ids[scope]}`);
+    if (!policy) continue;
+
+    for (const field of POLICY_FIELDS) {
+      if (effective[field] === undefined && policy[field] !== null) {
+        effective[field] = policy[field];
+        source[field] = scope === "global" ? "global" : `${scope}:${policy.scope_id}`;
+      }
+    }
+  }
+
+  for (const field of POLICY_FIELDS) {
+    if (effective[field] === undefined) {
+      effective[field] = DEFAULT_POLICY[field];
+      source[field] = "default";
+    }
+  }
+
+  return { ...effective, source };
+}
+
+// Round a raw need up to the policy's order multiple and minimum.
+function roundOrderQuantity(quantity, { min_order_qty = 0, order_multiple = 1 }) {
+  if (quantity <= 0) return 0;
+
+  const multiple = Math.max(order_multiple, 1);
+  return Math.ceil(Math.max(quantity, min_order_qty) / multiple) * multiple;
+}
+
+// ABC classes by share of annual consumption value: the items making up
+// the first 80% of value are A, the next 15% B and the rest C. items:
+// [{ id, value }] -> Map id -> class. With no value at all, everything is C.
+const ABC_THRESHOLDS = { A: 0.8, B: 0.95 };
+
+function abcClasses(items, thresholds = ABC_THRESHOLDS) {
+  const total = items.reduce((sum, i) => sum + Math.max(i.value, 0), 0);
+  const classes = new Map();
+  let cumulative = 0;
+
+  const sorted = [...items].sort((a, b) => b.value - a.value || a.id - b.id);
+  for (const item of sorted) {
+    const share = total > 0 ? cumulative / total : 1;
+    classes.set(
+      item.id,
+      item.value > 0 && share < thresholds.A ? "A"
+        : item.value > 0 && share < thresholds.B ? "B"
+        : "C"
+    );
+    cumulative += Math.max(item.value, 0);
+  }
+
+  return classes;
+}
+
+// XYZ classes by how steady demand is: the coefficient of variation of
+// weekly demand over the last `days` days of a daily series, ignoring the
+// weeks before the first sale. X (cv <= 0.5) is steady, Y (<= 1)
+// fluctuating, Z erratic or not selling at all.
+const XYZ_THRESHOLDS = { X: 0.5, Y: 1 };
+
+function demandVariability(series, days = 365, thresholds = XYZ_THRESHOLDS) {
+  const window = series.slice(-days);
+  const weeks = [];
+
+  // whole weeks, counted back from the most recent day
+  for (let end = window.length; end >= 7; end -= 7) {
+    weeks.unshift(window.slice(end - 7, end).reduce((a, b) => a + b, 0));
+  }
+  const first = weeks.findIndex(w => w !== 0);
+  const values = first === -1 ? [] : weeks.slice(first);
+  const mean = values.length ? values.reduce((a, b) => a + b, 0) / values.length : 0;
+
+  if (mean <= 0) {
+    return { weekly_mean: 0, cv: null, xyz_class: "Z" };
+  }
+
+  const stddev = Math.sqrt(
+    values.reduce((a, w) => a + (w - mean) ** 2, 0) / values.length
+  );
+  const cv = stddev / mean;
+
+  return {
+    weekly_mean: mean,
+    cv,
+    xyz_class: cv <= thresholds.X ? "X" : cv <= thresholds.Y ? "Y" : "Z"
+  };
+}
+
+module.exports = {
+  ABC_THRESHOLDS,
+  XYZ_THRESHOLDS,
+  DEFAULT_SERVICE_LEVEL,
+  DEFAULT_POLICY,
+  POLICY_FIELDS,
+  POLICY_SCOPES,
+  validServiceLevel,
+  demandStats,
+  safetyStock,
+  reorderPoint,
+  resolvePolicy,
+  roundOrderQuantity,
+  abcClasses,
+  demandVariability
+};
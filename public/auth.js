@@ -0,0 +1,42 @@
+// Shared by the dashboard pages: sends users to the login page when the API
+// answers 401, and adds a "signed in as" bar with a sign-out link.
+(function () {
+  const nativeFetch = window.fetch.bind(window);
+
+  function toLogin() {
+    const next = encodeURIComponent(location.pathname + location.search);
+    location.href = `/login.html?next=${next}`;
+  }
+
+  window.fetch = async (...args) => {
+    const res = await nativeFetch(...args);
+    if (res.status === 401) toLogin();
+    return res;
+  };
+
+  async function signOut() {
+    await nativeFetch("/auth/logout", { method: "POST" });
+    toLogin();
+  }
+
+  document.addEventListener("DOMContentLoaded", async () => {
+    const res = await nativeFetch("/auth/me");
+    if (res.status === 401) return toLogin();
+    if (!res.ok) return;
+
+    const me = await res.json();
+    const bar = document.createElement("div");
+    bar.style.cssText = "text-align:right;font-size:13px;color:#666;margin-bottom:10px";
+    bar.textContent = `Signed in as ${me.name} (${me.role}) · `;
+
+    const link = document.createElement("a");
+    link.href = "#";
+    link.textContent = "Sign out";
+    link.onclick = e => {
+      e.preventDefault();
+      signOut();
+    };
+    bar.appendChild(link);
+    document.body.prepend(bar);
+  });
+})();
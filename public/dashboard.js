@@ -0,0 +1,800 @@
+// The planning dashboard: one page with a view per hash route
+//
+//   #/inventory                 stock and planning status of every product
+//   #/planner                   reorder suggestions, editable, into draft POs
+//   #/purchase-orders           the PO list
+//   #/purchase-orders/<id>      one PO: its lines, transitions and receiving
+//   #/suppliers                 suppliers with their scorecards
+//   #/imports                   stock and sales file imports
+//
+// All data comes through the generated client (/client/index.js). Markup is
+// built with html``, which escapes everything interpolated into it.
+(function () {
+  const api = InventoryPlannerClient.createClient();
+  const view = document.getElementById("view");
+  const noticeBox = document.getElementById("notice");
+
+  const PLAN_STATUSES = ["ORDER NOW", "ORDER SOON", "OK"];
+  const PO_STATUSES = ["DRAFT", "SUBMITTED", "CONFIRMED", "PARTIALLY_RECEIVED", "RECEIVED", "CANCELLED"];
+  const RECEIVABLE = ["CONFIRMED", "PARTIALLY_RECEIVED"];
+  // the POST /purchase-orders/:id/<action> that moves a PO to each status
+  const TRANSITION_ACTIONS = { SUBMITTED: "submit", CONFIRMED: "confirm", CANCELLED: "cancel" };
+
+  // HTML
+
+  class Html {
+    constructor(text) {
+      this.text = text;
+    }
+  }
+
+  function escapeHtml(value) {
+    const entities = { "&": "&amp;", "<": "&lt;", ">": "&gt;", "\"": "&quot;", "'": "&#39;" };
+    return String(value).replace(/[&<>"']/g, c => entities[c]);
+  }
+
+  // Markup for a value: html`` as is, arrays joined, null/undefined/false
+  // as nothing and anything else escaped
+  function markup(value) {
+    if (value instanceof Html) return value.text;
+    if (Array.isArray(value)) return value.map(markup).join("");
+    if (value === null || value === undefined || value === false) return "";
+    return escapeHtml(value);
+  }
+
+  function html(strings, ...values) {
+    return new Html(strings.reduce((out, string, i) => out + markup(values[i - 1]) + string));
+  }
+
+  // FORMATTING
+
+  function amount(value, digits = 0) {
+    return value === null || value === undefined ? "—" : Number(value).toFixed(digits);
+  }
+
+  function day(value) {
+    return value ? new Date(value).toLocaleDateString() : "—";
+  }
+
+  function rate(value) {
+    return value === null || value === undefined ? "—" : `${Math.round(value * 100)}%`;
+  }
+
+  function options(values, selected, label = value => value) {
+    return values.map(value => html`
+      <option value="${value}" ${String(value) === String(selected) ? html`selected` : ""}>${label(value)}</option>`);
+  }
+
+  // NOTICES
+
+  function notify(message, { error = false, details = [] } = {}) {
+    noticeBox.innerHTML = markup(html`
+      <div class="notice ${error ? "error" : ""}">
+        ${message}
+        ${details.length ? html`<ul>${details.map(d => html`<li>${d}</li>`)}</ul>` : ""}
+      </div>`);
+  }
+
+  // An ApiError lists the fields or lines it is about in details
+  function showError(err) {
+    const details = (err.details || []).map(d =>
+      d.line ? `line ${d.line}: ${[].concat(d.errors || d.message).join(", ")}`
+        : d.field ? `${d.in} ${d.field}: ${d.message}`
+        : JSON.stringify(d)
+    );
+    notify(err.message || String(err), { error: true, details });
+  }
+
+  // TABLES
+
+  // Sorts rows by the column state.sort names. Nulls sort last either way.
+  function sortRows(rows, columns, sort) {
+    const column = columns.find(c => c.key === sort.key);
+    if (!column || !column.value) return rows;
+
+    const direction = sort.desc ? -1 : 1;
+    return [...rows].sort((a, b) => {
+      const x = column.value(a);
+      const y = column.value(b);
+      if (x === null || x === undefined) return y === null || y === undefined ? 0 : 1;
+      if (y === null || y === undefined) return -1;
+      const order = typeof x === "number" && typeof y === "number"
+        ? x - y
+        : String(x).localeCompare(String(y), undefined, { numeric: true });
+      return order * direction;
+    });
+  }
+
+  // columns: [{ key, label, value(row) to sort by, cell(row), number }]
+  function table(columns, rows, sort, empty = "Nothing to show") {
+    const arrow = column =>
+      column.key === sort.key ? (sort.desc ? " ▼" : " ▲") : "";
+    const head = columns.map(column => column.value
+      ? html`<th data-sort="${column.key}" class="${column.number ? "number" : ""}">${column.label}${arrow(column)}</th>`
+      : html`<th>${column.label}</th>`);
+    const body = sortRows(rows, columns, sort).map(row => html`
+      <tr>${columns.map(column => html`
+        <td class="${column.number ? "number" : ""}">${column.cell(row)}</td>`)}
+      </tr>`);
+
+    return html`
+      <table>
+        <thead><tr>${head}</tr></thead>
+        <tbody>${body.length ? body : html`<tr><td colspan="${columns.length}" class="muted">${empty}</td></tr>`}</tbody>
+      </table>`;
+  }
+
+  // Case-insensitive match of a search box against some of a row's text
+  function matches(search, ...texts) {
+    const term = search.trim().toLowerCase();
+    return !term || texts.some(text => String(text || "").toLowerCase().includes(term));
+  }
+
+  // SHARED DATA
+
+  let me = { permissions: [] };
+  let suppliers = [];
+
+  function can(permission) {
+    return me.permissions.includes(permission);
+  }
+
+  async function loadSuppliers() {
+    suppliers = await api.getSuppliers();
+    return suppliers;
+  }
+
+  function supplierFilter(selected) {
+    return html`
+      <select data-filter="supplier">
+        <option value="">All suppliers</option>
+        <option value="none" ${selected === "none" ? html`selected` : ""}>Unassigned</option>
+        ${options(suppliers.map(s => s.id), selected, id => suppliers.find(s => s.id === id).name)}
+      </select>`;
+  }
+
+  function supplierMatches(selected, supplierId) {
+    if (!selected) return true;
+    if (selected === "none") return supplierId === null;
+    return String(supplierId) === selected;
+  }
+
+  function statusFilter(statuses, selected) {
+    return html`
+      <select data-filter="status">
+        <option value="">All statuses</option>
+        ${options(statuses, selected)}
+      </select>`;
+  }
+
+  function searchBox(value, placeholder) {
+    return html`<input type="search" data-filter="search" value="${value}" placeholder="${placeholder}">`;
+  }
+
+  function historyButton(entity, id, title) {
+    return html`<button data-action="history" data-entity="${entity}" data-id="${id}" data-title="${title}">History</button>`;
+  }
+
+  // Planning rows as filtered by the inventory and planner toolbars
+  function planRows(rows, state) {
+    return rows.filter(p =>
+      matches(state.search, p.sku, p.name) &&
+      (!state.status || p.status === state.status) &&
+      supplierMatches(state.supplier, p.supplier_id) &&
+      (!state.toOrder || p.suggested_order_quantity > 0)
+    );
+  }
+
+  const planStatusColumn = {
+    key: "status",
+    label: "Status",
+    value: p => PLAN_STATUSES.indexOf(p.status),
+    cell: p => html`<span class="${p.status}">${p.status}</span>`
+  };
+
+  const sharedActions = {
+    history(el) {
+      window.showHistory(el.dataset.entity, el.dataset.id, el.dataset.title);
+    }
+  };
+
+  // VIEWS
+  // load(id) fetches what the view shows into current.data; render() draws
+  // the whole view and results() the part below its toolbar, which is
+  // redrawn as filters change so the toolbar keeps its focus.
+
+  const views = {};
+
+  views.inventory = {
+    state: () => ({ search: "", status: "", supplier: "", sort: { key: "status" } }),
+
+    async load() {
+      const [rows] = await Promise.all([api.getInventoryReorderStatus(), loadSuppliers()]);
+      return rows;
+    },
+
+    render({ state }) {
+      return html`
+        <div class="toolbar">
+          ${searchBox(state.search, "Search SKU or name")}
+          ${statusFilter(PLAN_STATUSES, state.status)}
+          ${supplierFilter(state.supplier)}
+        </div>
+        <div id="results"></div>`;
+    },
+
+    results({ data, state }) {
+      const rows = planRows(data, state);
+      return html`
+        <p class="muted">${rows.length} of ${data.length} products</p>
+        ${table([
+          { key: "sku", label: "SKU", value: p => p.sku, cell: p => p.sku },
+          { key: "name", label: "Name", value: p => p.name, cell: p => p.name },
+          { key: "supplier", label: "Supplier", value: p => p.supplier_name, cell: p => p.supplier_name || "—" },
+          { key: "stock", label: "Stock", number: true, value: p => p.stock, cell: p => p.stock },
+          { key: "on_order", label: "On order", number: true, value: p => p.on_order, cell: p => p.on_order },
+          { key: "velocity", label: "Daily velocity", number: true, value: p => p.daily_velocity, cell: p => amount(p.daily_velocity, 2) },
+          { key: "days", label: "Days of stock", number: true, value: p => p.days_of_stock, cell: p => amount(p.days_of_stock, 1) },
+          { key: "rop", label: "Reorder point", number: true, value: p => p.computed_reorder_point, cell: p => p.computed_reorder_point },
+          planStatusColumn,
+          { key: "history", label: "", cell: p => historyButton("product", p.id, p.sku) }
+        ], rows, state.sort, "No products match")}`;
+    },
+
+    actions: sharedActions
+  };
+
+  views.planner = {
+    state: () => ({
+      search: "",
+      status: "",
+      supplier: "",
+      toOrder: true,
+      sort: { key: "status" },
+      quantities: {},
+      selected: {}
+    }),
+
+    load: views.inventory.load,
+
+    render({ state }) {
+      return html`
+        <div class="toolbar">
+          ${searchBox(state.search, "Search SKU or name")}
+          ${statusFilter(PLAN_STATUSES, state.status)}
+          ${supplierFilter(state.supplier)}
+          <label><input type="checkbox" data-filter="toOrder" ${state.toOrder ? html`checked` : ""}> Only products to order</label>
+          ${can("po.write") ? html`<button data-action="createPos">Create draft POs</button>` : ""}
+          <a href="/purchase-orders/suggestions.csv">Download suggestions CSV</a>
+        </div>
+        <div id="results"></div>`;
+    },
+
+    results({ data, state }) {
+      const rows = planRows(data, state);
+      const quantity = p => state.quantities[p.id] ?? p.suggested_order_quantity;
+      const supplierSelect = p => can("suppliers.write")
+        ? html`
+          <select data-change="assignSupplier" data-id="${p.id}">
+            <option value="" ${p.supplier_id ? "" : html`selected`}>Unassigned</option>
+            ${options(suppliers.map(s => s.id), p.supplier_id, id => suppliers.find(s => s.id === id).name)}
+          </select>`
+        : p.supplier_name || "—";
+      const leadTime = p => can("products.write")
+        ? html`<input type="number" min="0" value="${p.lead_time_days}" data-change="leadTime" data-id="${p.id}">`
+        : p.lead_time_days;
+
+      return html`
+        <p class="muted">${rows.length} of ${data.length} products · ${Object.values(state.selected).filter(Boolean).length} selected</p>
+        ${table([
+          { key: "select", label: "", cell: p => html`<input type="checkbox" data-change="select" data-id="${p.id}" ${state.selected[p.id] ? html`checked` : ""}>` },
+          { key: "sku", label: "SKU", value: p => p.sku, cell: p => p.sku },
+          { key: "name", label: "Name", value: p => p.name, cell: p => p.name },
+          { key: "supplier", label: "Supplier", value: p => p.supplier_name, cell: supplierSelect },
+          { key: "lead", label: "Lead time (days)", number: true, value: p => p.lead_time_days, cell: leadTime },
+          { key: "stock", label: "Stock", number: true, value: p => p.stock, cell: p => p.stock },
+          { key: "on_order", label: "On order", number: true, value: p => p.on_order, cell: p => p.on_order },
+          { key: "velocity", label: "Daily velocity", number: true, value: p => p.daily_velocity, cell: p => amount(p.daily_velocity, 2) },
+          { key: "days", label: "Days of stock", number: true, value: p => p.days_of_stock, cell: p => amount(p.days_of_stock, 1) },
+          { key: "suggested", label: "Suggested", number: true, value: p => p.suggested_order_quantity, cell: p => p.suggested_order_quantity },
+          { key: "quantity", label: "Order qty", number: true, value: quantity, cell: p => html`<input type="number" min="0" value="${quantity(p)}" data-change="quantity" data-id="${p.id}">` },
+          planStatusColumn
+        ], rows, state.sort, "Nothing to order")}`;
+    },
+
+    actions: {
+      ...sharedActions,
+
+      select(el, current) {
+        current.state.selected[el.dataset.id] = el.checked;
+        drawResults();
+      },
+
+      quantity(el, current) {
+        const value = Number(el.value);
+        current.state.quantities[el.dataset.id] = value;
+        current.state.selected[el.dataset.id] = value > 0;
+        drawResults();
+      },
+
+      async assignSupplier(el, current) {
+        const product = await api.patchProductsByIdSupplier(Number(el.dataset.id), {
+          supplier_id: el.value ? Number(el.value) : null
+        });
+        current.data = await views.planner.load();
+        notify(`Supplier of ${product.sku} updated`);
+        drawResults();
+      },
+
+      async leadTime(el, current) {
+        const product = await api.patchProductsByIdLeadTime(Number(el.dataset.id), {
+          lead_time_days: Number(el.value)
+        });
+        current.data = await views.planner.load();
+        notify(`Lead time of ${product.sku} is now ${product.lead_time_days} days`);
+        drawResults();
+      },
+
+      // One draft PO per supplier of the selected products
+      async createPos(el, current) {
+        const { state, data } = current;
+        const items = data
+          .filter(p => state.selected[p.id])
+          .map(p => ({ product_id: p.id, quantity: state.quantities[p.id] ?? p.suggested_order_quantity }))
+          .filter(item => item.quantity > 0);
+
+        if (!items.length) {
+          notify("Select at least one product with an order quantity", { error: true });
+          return;
+        }
+
+        const { purchase_orders: created } = await api.postPurchaseOrdersFromDashboard({ items });
+        state.selected = {};
+        state.quantities = {};
+        current.data = await views.planner.load();
+        drawResults();
+        noticeBox.innerHTML = markup(html`
+          <div class="notice">
+            Draft POs created:
+            <ul>${created.map(po => html`
+              <li><a href="#/purchase-orders/${po.purchase_order_id}">PO #${po.purchase_order_id}</a>
+                — ${po.supplier_name || "Unassigned"} (${po.items} lines)</li>`)}
+            </ul>
+          </div>`);
+      }
+    }
+  };
+
+  views["purchase-orders"] = {
+    state: () => ({ search: "", status: "", supplier: "", sort: { key: "id", desc: true } }),
+
+    async load() {
+      const [orders] = await Promise.all([api.getPurchaseOrders(), loadSuppliers()]);
+      return orders;
+    },
+
+    render({ state }) {
+      return html`
+        <div class="toolbar">
+          ${searchBox(state.search, "Search PO number or supplier")}
+          ${statusFilter(PO_STATUSES, state.status)}
+          ${supplierFilter(state.supplier)}
+        </div>
+        <div id="results"></div>`;
+    },
+
+    results({ data, state }) {
+      const rows = data.filter(po =>
+        matches(state.search, `PO #${po.id}`, po.supplier_name) &&
+        (!state.status || po.status === state.status) &&
+        supplierMatches(state.supplier, po.supplier_id)
+      );
+      return html`
+        <p class="muted">${rows.length} of ${data.length} purchase orders</p>
+        ${table([
+          { key: "id", label: "PO", value: po => po.id, cell: po => html`<a href="#/purchase-orders/${po.id}">PO #${po.id}</a>` },
+          { key: "created", label: "Created", value: po => po.created_at, cell: po => day(po.created_at) },
+          { key: "supplier", label: "Supplier", value: po => po.supplier_name, cell: po => po.supplier_name || "—" },
+          { key: "status", label: "Status", value: po => PO_STATUSES.indexOf(po.status), cell: po => po.status },
+          { key: "lines", label: "Lines", number: true, value: po => Number(po.total_items), cell: po => po.total_items },
+          { key: "units", label: "Received / ordered", number: true, value: po => Number(po.total_units), cell: po => `${po.total_units_received} / ${po.total_units}` },
+          { key: "cost", label: "Total", number: true, value: po => Number(po.total_cost), cell: po => `${amount(po.total_cost, 2)} ${po.currency}` },
+          { key: "expected", label: "Next expected", value: po => po.next_expected_date, cell: po => day(po.next_expected_date) }
+        ], rows, state.sort, "No purchase orders match")}`;
+    },
+
+    actions: sharedActions
+  };
+
+  views["purchase-order"] = {
+    state: () => ({}),
+
+    async load(id) {
+      const [po, lines, receipts] = await Promise.all([
+        api.getPurchaseOrdersById(id),
+        api.getPurchaseOrdersByIdItems(id),
+        api.getPurchaseOrdersByIdReceipts(id)
+      ]);
+      return { po, lines, receipts };
+    },
+
+    render({ data: { po, lines, receipts } }) {
+      const receiving = RECEIVABLE.includes(po.status) && can("po.receive");
+      const transitions = can("po.submit")
+        ? po.allowed_transitions.filter(status => TRANSITION_ACTIONS[status])
+        : [];
+      const lineColumns = [
+        { key: "sku", label: "SKU", cell: l => l.sku },
+        { key: "name", label: "Name", cell: l => l.name },
+        { key: "ordered", label: "Ordered", number: true, cell: l => l.quantity },
+        { key: "received", label: "Received", number: true, cell: l => l.quantity_received },
+        { key: "remaining", label: "Remaining", number: true, cell: l => l.quantity_remaining },
+        { key: "cost", label: "Unit cost", number: true, cell: l => l.unit_cost === null ? "—" : `${l.unit_cost} ${l.currency}` },
+        { key: "expected", label: "Expected", cell: l => day(l.expected_date) }
+      ];
+      if (receiving) {
+        lineColumns.push({
+          key: "receive",
+          label: "Receive now",
+          cell: l => html`<input type="number" min="0" value="${l.quantity_remaining}" data-item-id="${l.item_id}">`
+        });
+      }
+
+      return html`
+        <p><a href="#/purchase-orders">← All purchase orders</a></p>
+        <h2>PO #${po.id} — ${po.status}</h2>
+        <p>
+          Supplier: ${po.supplier_name || "Unassigned"} · Currency: ${po.currency} ·
+          Created ${day(po.created_at)}
+          ${po.submitted_at ? html` · Submitted ${day(po.submitted_at)}` : ""}
+          ${po.confirmed_at ? html` · Confirmed ${day(po.confirmed_at)}` : ""}
+          ${po.received_at ? html` · Received ${day(po.received_at)}` : ""}
+        </p>
+        ${po.notes ? html`<p>${po.notes}</p>` : ""}
+        <div class="toolbar">
+          ${transitions.map(status => html`
+            <button data-action="transition" data-to="${TRANSITION_ACTIONS[status]}">${TRANSITION_ACTIONS[status]}</button>`)}
+          ${historyButton("purchase_order", po.id, `PO #${po.id}`)}
+        </div>
+
+        <h3>Lines</h3>
+        <form data-action="receive">
+          ${table(lineColumns, lines, {}, "No lines")}
+          ${receiving ? html`
+            <div class="toolbar">
+              <label>Shipment reference <input name="reference"></label>
+              <label>Over-receipt tolerance % <input name="tolerance" type="number" min="0" value="0"></label>
+              <button type="submit">Record shipment</button>
+            </div>` : ""}
+        </form>
+
+        <h3>Receipts</h3>
+        ${table([
+          { key: "date", label: "Received", cell: r => day(r.received_at) },
+          { key: "reference", label: "Reference", cell: r => r.reference || "—" },
+          { key: "items", label: "Items", cell: r => r.items.map(i => `${i.sku} × ${i.quantity}`).join(", ") },
+          { key: "notes", label: "Notes", cell: r => r.notes || "" }
+        ], receipts, {}, "Nothing received yet")}`;
+    },
+
+    actions: {
+      ...sharedActions,
+
+      async transition(el, current) {
+        const { po } = current.data;
+        const action = el.dataset.to;
+        if (action === "cancel" && !window.confirm(`Cancel PO #${po.id}?`)) return;
+
+        await api.request("POST", `/purchase-orders/${po.id}/${action}`);
+        current.data = await views["purchase-order"].load(po.id);
+        draw();
+        notify(`PO #${po.id} is now ${current.data.po.status}`);
+      },
+
+      async receive(form, current) {
+        const { po } = current.data;
+        const items = Array.from(form.querySelectorAll("input[data-item-id]"))
+          .map(input => ({ item_id: Number(input.dataset.itemId), quantity: Number(input.value) }))
+          .filter(item => item.quantity > 0);
+
+        if (!items.length) {
+          notify("Enter a received quantity for at least one line", { error: true });
+          return;
+        }
+
+        const receipt = await api.postPurchaseOrdersByIdReceive(po.id, {
+          items,
+          reference: form.elements.reference.value || null,
+          over_receipt_tolerance_pct: Number(form.elements.tolerance.value || 0)
+        });
+        current.data = await views["purchase-order"].load(po.id);
+        draw();
+        notify(`Receipt recorded; PO #${po.id} is now ${receipt.status}`);
+      }
+    }
+  };
+
+  views.suppliers = {
+    state: () => ({ search: "", sort: { key: "name" } }),
+
+    async load() {
+      const [list, scorecards] = await Promise.all([loadSuppliers(), api.getSuppliersScorecards()]);
+      return list.map(supplier => ({
+        ...supplier,
+        scorecard: scorecards.find(card => card.supplier_id === supplier.id) || {}
+      }));
+    },
+
+    render({ state }) {
+      return html`
+        <div class="toolbar">
+          ${searchBox(state.search, "Search name, contact or email")}
+        </div>
+        <div id="results"></div>
+        ${can("suppliers.write") ? html`
+          <form data-action="addSupplier">
+            <fieldset>
+              <legend>New supplier</legend>
+              <label>Name <input name="name" required></label>
+              <label>Contact <input name="contact_name"></label>
+              <label>Email <input name="email" type="email"></label>
+              <label>Lead time (days) <input name="lead_time_days" type="number" min="0"></label>
+              <label>Currency <input name="currency" size="3" maxlength="3" placeholder="USD"></label>
+              <button type="submit">Add supplier</button>
+            </fieldset>
+          </form>` : ""}`;
+    },
+
+    results({ data, state }) {
+      const rows = data.filter(s => matches(state.search, s.name, s.contact_name, s.email));
+      return table([
+        { key: "name", label: "Name", value: s => s.name, cell: s => s.name },
+        { key: "contact", label: "Contact", value: s => s.contact_name, cell: s => [s.contact_name, s.email, s.phone].filter(Boolean).join(" · ") || "—" },
+        { key: "currency", label: "Currency", value: s => s.currency, cell: s => s.currency },
+        { key: "moq", label: "MOQ", number: true, value: s => s.moq, cell: s => s.moq },
+        { key: "lead", label: "Lead time (days)", number: true, value: s => s.lead_time_days, cell: s => amount(s.lead_time_days) },
+        { key: "observed", label: "Observed lead time", number: true, value: s => s.scorecard.avg_lead_time_days, cell: s => amount(s.scorecard.avg_lead_time_days, 1) },
+        { key: "on_time", label: "On time", number: true, value: s => s.scorecard.on_time_rate, cell: s => rate(s.scorecard.on_time_rate) },
+        { key: "fill", label: "Fill rate", number: true, value: s => s.scorecard.fill_rate, cell: s => rate(s.scorecard.fill_rate) },
+        { key: "pos", label: "", cell: s => html`<button data-action="supplierPos" data-id="${s.id}">Purchase orders</button>` }
+      ], rows, state.sort, "No suppliers match");
+    },
+
+    actions: {
+      ...sharedActions,
+
+      supplierPos(el) {
+        states["purchase-orders"] = { ...views["purchase-orders"].state(), supplier: el.dataset.id };
+        location.hash = "#/purchase-orders";
+      },
+
+      async addSupplier(form, current) {
+        const fields = form.elements;
+        const body = { name: fields.name.value };
+        for (const field of ["contact_name", "email", "currency"]) {
+          if (fields[field].value) body[field] = fields[field].value;
+        }
+        if (fields.lead_time_days.value) body.lead_time_days = Number(fields.lead_time_days.value);
+
+        const supplier = await api.postSuppliers(body);
+        current.data = await views.suppliers.load();
+        draw();
+        notify(`Added ${supplier.name}`);
+      }
+    }
+  };
+
+  views.imports = {
+    state: () => ({ stock: null, stockFile: null, sales: null }),
+
+    load: async () => null,
+
+    render() {
+      return html`
+        ${can("stock.write") ? html`
+          <form data-action="importStock">
+            <fieldset>
+              <legend>Stock levels (CSV or XLSX: sku, stock, and optionally name, reorder_point, lead_time_days, image_url, location)</legend>
+              <input type="file" name="file" accept=".csv,.xlsx" required>
+              <label><input type="checkbox" name="dry_run" checked> Preview only</label>
+              <label><input type="checkbox" name="create_missing" checked> Create unknown SKUs</label>
+              <button type="submit">Upload</button>
+            </fieldset>
+          </form>` : ""}
+        ${can("sales.write") ? html`
+          <form data-action="importSales">
+            <fieldset>
+              <legend>Sales history (CSV or XLSX)</legend>
+              <input type="file" name="file" accept=".csv,.xlsx" required>
+              <label><input type="checkbox" name="update_stock" checked> Take the units out of stock</label>
+              <button type="submit">Upload</button>
+            </fieldset>
+          </form>` : ""}
+        <div id="results"></div>`;
+    },
+
+    results({ state }) {
+      return html`${stockResult(state)}${salesResult(state)}`;
+    },
+
+    actions: {
+      ...sharedActions,
+
+      async importStock(form, current) {
+        const fields = form.elements;
+        const file = fields.file.files[0];
+        current.state.stockFile = { file, create_missing: fields.create_missing.checked };
+        current.state.stock = null;
+        drawResults();
+        current.state.stock = await importStock(current.state.stockFile, fields.dry_run.checked);
+        drawResults();
+      },
+
+      // Apply the file that was just previewed
+      async applyStock(el, current) {
+        current.state.stock = await importStock(current.state.stockFile, false);
+        drawResults();
+      },
+
+      async importSales(form, current) {
+        const fields = form.elements;
+        const file = fields.file.files[0];
+        current.state.sales = await api.postSalesImport(file, {
+          update_stock: fields.update_stock.checked
+        });
+        drawResults();
+        notify(`Imported ${current.state.sales.inserted} sales lines from ${file.name}`);
+      }
+    }
+  };
+
+  // A failed apply is a 422 whose details list the row errors; run() shows them
+  async function importStock({ file, create_missing }, dryRun) {
+    const result = await api.postInventoryImport(file, { dry_run: dryRun, create_missing });
+    notify(result.applied ? `Imported ${file.name}` : `Preview of ${file.name}: nothing changed yet`);
+    return result;
+  }
+
+  function stockResult({ stock }) {
+    if (!stock) return "";
+    const { summary } = stock;
+    return html`
+      <h3>Stock import: ${stock.file}</h3>
+      <p>
+        ${stock.rows} rows · ${summary.create} to create · ${summary.update} to update ·
+        ${summary.unchanged} unchanged · ${summary.errors} errors
+        ${stock.mode === "dry_run" && !summary.errors && can("stock.write")
+          ? html` <button data-action="applyStock">Apply this file</button>` : ""}
+      </p>
+      ${stock.errors.length ? table([
+        { key: "line", label: "Line", cell: e => e.line },
+        { key: "sku", label: "SKU", cell: e => e.sku || "—" },
+        { key: "field", label: "Field", cell: e => e.field },
+        { key: "message", label: "Problem", cell: e => e.message }
+      ], stock.errors, {}) : ""}
+      ${table([
+        { key: "line", label: "Line", cell: c => c.line },
+        { key: "sku", label: "SKU", cell: c => c.sku },
+        { key: "location", label: "Location", cell: c => c.location },
+        { key: "action", label: "Action", cell: c => c.action },
+        { key: "changes", label: "Changes", cell: c => Object.entries(c.changes)
+          .map(([field, change]) => `${field}: ${change.from ?? "—"} → ${change.to ?? "—"}`)
+          .join(", ") }
+      ], stock.changes, {}, "No changes")}`;
+  }
+
+  function salesResult({ sales }) {
+    if (!sales) return "";
+    return html`
+      <h3>Sales import: ${sales.file}</h3>
+      <p>
+        ${sales.rows} rows · ${sales.inserted} recorded · ${sales.duplicates} duplicates skipped ·
+        ${sales.sales} sales and ${sales.returns} returns (${sales.units} units)
+      </p>`;
+  }
+
+  // ROUTING
+
+  // Filters, sorting and edits per view, kept while navigating away
+  const states = {};
+  let current = null;
+
+  function parseHash() {
+    const match = location.hash.match(/^#\/([\w-]+)(?:\/(\d+))?$/);
+    if (!match) return { name: "inventory" };
+    const [, name, id] = match;
+    if (name === "purchase-orders" && id) return { name: "purchase-order", id: Number(id), nav: name };
+    return views[name] ? { name } : { name: "inventory" };
+  }
+
+  function draw() {
+    view.innerHTML = markup(current.view.render(current));
+    if (current.view.results) drawResults();
+  }
+
+  function drawResults() {
+    document.getElementById("results").innerHTML = markup(current.view.results(current));
+  }
+
+  async function show() {
+    const { name, id, nav = name } = parseHash();
+    const def = views[name];
+    const state = id ? def.state() : (states[name] = states[name] || def.state());
+
+    for (const link of document.querySelectorAll("nav a")) {
+      link.classList.toggle("active", link.getAttribute("href") === `#/${nav}`);
+    }
+    noticeBox.innerHTML = "";
+    view.innerHTML = markup(html`<p class="muted">Loading…</p>`);
+    current = null;
+
+    try {
+      const data = await def.load(id);
+      current = { view: def, id, state, data };
+      draw();
+    } catch (err) {
+      view.innerHTML = "";
+      showError(err);
+    }
+  }
+
+  // EVENTS: everything in the view is handled here, by data attributes
+
+  function filterValue(el) {
+    return el.type === "checkbox" ? el.checked : el.value;
+  }
+
+  async function run(action, el, event) {
+    const handler = current && current.view.actions[action];
+    if (!handler) return;
+    try {
+      await handler(el, current, event);
+    } catch (err) {
+      showError(err);
+    }
+  }
+
+  view.addEventListener("input", e => {
+    if (e.target.dataset.filter && e.target.type === "search") {
+      current.state.search = e.target.value;
+      drawResults();
+    }
+  });
+
+  view.addEventListener("change", e => {
+    const el = e.target;
+    if (el.dataset.filter && el.type !== "search") {
+      current.state[el.dataset.filter] = filterValue(el);
+      drawResults();
+    } else if (el.dataset.change) {
+      run(el.dataset.change, el, e);
+    }
+  });
+
+  view.addEventListener("click", e => {
+    const header = e.target.closest("th[data-sort]");
+    if (header) {
+      const sort = current.state.sort;
+      current.state.sort = { key: header.dataset.sort, desc: sort.key === header.dataset.sort && !sort.desc };
+      drawResults();
+      return;
+    }
+
+    const el = e.target.closest("button[data-action]");
+    if (el) run(el.dataset.action, el, e);
+  });
+
+  view.addEventListener("submit", e => {
+    e.preventDefault();
+    run(e.target.dataset.action, e.target, e);
+  });
+
+  window.addEventListener("hashchange", show);
+
+  api.getAuthMe()
+    .then(principal => {
+      me = principal;
+    })
+    .catch(() => {})
+    .then(show);
+})();
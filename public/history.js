@@ -0,0 +1,75 @@
+// Change history panel for the dashboard: showHistory("product", 12, "SKU-1")
+// lists the audit log for one record, newest first.
+(function () {
+  const api = InventoryPlannerClient.createClient();
+
+  function format(value) {
+    if (value === null || value === undefined) return "—";
+    return typeof value === "object" ? JSON.stringify(value) : String(value);
+  }
+
+  function cell(tr, text) {
+    const td = document.createElement("td");
+    td.textContent = text;
+    tr.appendChild(td);
+  }
+
+  function panel() {
+    let el = document.getElementById("history-panel");
+    if (el) return el;
+
+    el = document.createElement("div");
+    el.id = "history-panel";
+    el.style.cssText =
+      "position:fixed;top:5%;left:10%;right:10%;max-height:85%;overflow:auto;" +
+      "background:#fff;border:1px solid #999;padding:16px;box-shadow:0 4px 16px rgba(0,0,0,.2)";
+    el.innerHTML = `
+      <button style="float:right" onclick="this.parentNode.hidden = true">Close</button>
+      <h2 id="history-title"></h2>
+      <table border="1" cellpadding="6" style="width:100%;border-collapse:collapse">
+        <thead>
+          <tr><th>When</th><th>Who</th><th>Action</th><th>Field</th><th>From</th><th>To</th></tr>
+        </thead>
+        <tbody id="history-rows"></tbody>
+      </table>`;
+    document.body.appendChild(el);
+    return el;
+  }
+
+  window.showHistory = async function (entity, id, title) {
+    const el = panel();
+    const tbody = el.querySelector("#history-rows");
+    el.querySelector("#history-title").textContent = `History: ${title || `${entity} ${id}`}`;
+    tbody.innerHTML = "";
+    el.hidden = false;
+
+    let entries;
+    try {
+      entries = await api.getAudit({ entity, entity_id: id });
+    } catch (err) {
+      tbody.innerHTML = `<tr><td colspan="6"></td></tr>`;
+      tbody.querySelector("td").textContent = err.message || "Failed to load history";
+      return;
+    }
+    if (!entries.length) {
+      tbody.innerHTML = `<tr><td colspan="6">No changes recorded</td></tr>`;
+      return;
+    }
+
+    entries.forEach(entry => {
+      const fields = Object.entries(entry.changes);
+      if (!fields.length) fields.push(["", { from: null, to: null }]);
+
+      fields.forEach(([field, change]) => {
+        const tr = document.createElement("tr");
+        cell(tr, new Date(entry.occurred_at).toLocaleString());
+        cell(tr, entry.actor || "—");
+        cell(tr, entry.action);
+        cell(tr, field);
+        cell(tr, format(change.from));
+        cell(tr, format(change.to));
+        tbody.appendChild(tr);
+      });
+    });
+  };
+})();
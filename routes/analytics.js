@@ -0,0 +1,297 @@
+// Inventory analytics reports: ABC/XYZ classification, turnover,
+// sell-through, dead stock and excess stock. Every report is JSON at its
+// path and CSV at the same path with .csv, and takes ?location_id= to look
+// at one location.
+
+const { Parser } = require("json2csv");
+const { createRouter, allow, validate } = require("../http");
+const {
+  id,
+  date,
+  nullable,
+  object,
+  arrayOf,
+  record,
+  string,
+  integer,
+  number,
+  csvFile
+} = require("../schemas");
+const {
+  ANALYTICS_QUERY,
+  CLASS_FILTER_QUERY,
+  ABC_CLASSES,
+  XYZ_CLASSES,
+  CLASSIFICATION,
+  analyticsDays,
+  analyticsLocation,
+  parseClassList,
+  classifyProducts,
+  stockFlows,
+  round2
+} = require("../services/analytics");
+const { planProducts } = require("../services/planning");
+const { UNIT_COST_SQL } = require("../services/products");
+const { LOCATION_SCOPE_QUERY, locationScope } = require("../services/stock");
+
+function analyticsRouter(pool) {
+  const router = createRouter();
+
+  // Serve a report as JSON at `path` (an array of `row`) and as CSV at
+  // `path`.csv. `columns` fixes the CSV header, so an empty report still has
+  // one; `query` lists the query parameters it takes (ANALYTICS_QUERY by
+  // default).
+  function reportRoute(path, { columns, row, query = ANALYTICS_QUERY }, build) {
+    const send = csv => async (req, res) => {
+      const rows = await build(req.query);
+
+      if (!csv) {
+        return res.json(rows);
+      }
+
+      res.header("Content-Type", "text/csv");
+      res.attachment(`${path.split("/").pop()}.csv`);
+      res.send(new Parser({ fields: columns }).parse(rows));
+    };
+
+    const report = validate({ query: object(query), response: arrayOf(row) });
+    const csvReport = validate({ query: object(query), response: csvFile });
+    router.get(path, allow("read"), report, send(false));
+    router.get(`${path}.csv`, allow("read"), csvReport, send(true));
+  }
+
+  // CLASSIFICATION (?basis=revenue|units&days=&abc_class=&xyz_class=)
+  reportRoute(
+    "/analytics/classification",
+    {
+      columns: [
+        "sku", "name", "units", "revenue", "share", "cumulative_share",
+        "abc_class", "weekly_demand_mean", "weekly_demand_cv", "xyz_class", "class"
+      ],
+      row: CLASSIFICATION,
+      query: CLASS_FILTER_QUERY
+    },
+    async query => {
+      const abc = parseClassList(query.abc_class, ABC_CLASSES, "abc_class");
+      const xyz = parseClassList(query.xyz_class, XYZ_CLASSES, "xyz_class");
+      const rows = await classifyProducts(pool, {
+        basis: query.basis,
+        days: analyticsDays(query),
+        location_id: analyticsLocation(query)
+      });
+
+      return rows.filter(r =>
+        (!abc || abc.includes(r.abc_class)) && (!xyz || xyz.includes(r.xyz_class))
+      );
+    }
+  );
+
+  // TURNOVER over ?days= (default 365): units sold / average stock, with
+  // the average taken over the opening and closing stock. Cost of goods
+  // sold uses the estimated unit cost.
+  reportRoute(
+    "/analytics/turnover",
+    {
+      columns: [
+        "sku", "name", "units_sold", "cogs", "opening_stock", "closing_stock",
+        "average_stock", "average_inventory_value", "turnover", "days_of_inventory"
+      ],
+      row: record({
+        product_id: id,
+        sku: string,
+        name: string,
+        units_sold: integer,
+        cogs: number,
+        opening_stock: integer,
+        closing_stock: integer,
+        average_stock: number,
+        average_inventory_value: number,
+        turnover: nullable(number),
+        days_of_inventory: nullable(number)
+      })
+    },
+    async query => {
+      const days = analyticsDays(query);
+      const flows = await stockFlows(pool, { days, location_id: analyticsLocation(query) });
+
+      return flows.map(f => {
+        const average = (Math.max(f.opening_stock, 0) + Math.max(f.closing_stock, 0)) / 2;
+        const turnover = average > 0 ? f.units_sold / average : null;
+
+        return {
+          product_id: f.product_id,
+          sku: f.sku,
+          name: f.name,
+          units_sold: f.units_sold,
+          cogs: round2(f.units_sold * f.unit_cost),
+          opening_stock: f.opening_stock,
+          closing_stock: f.closing_stock,
+          average_stock: average,
+          average_inventory_value: round2(average * f.unit_cost),
+          turnover: turnover === null ? null : Number(turnover.toFixed(3)),
+          days_of_inventory: turnover > 0 ? round2(days / turnover) : null
+        };
+      });
+    }
+  );
+
+  // SELL-THROUGH over ?days= (default 30): units sold / (opening stock +
+  // units received)
+  reportRoute(
+    "/analytics/sell-through",
+    {
+      columns: ["sku", "name", "opening_stock", "received", "units_sold", "sell_through"],
+      row: record({
+        product_id: id,
+        sku: string,
+        name: string,
+        opening_stock: integer,
+        received: integer,
+        units_sold: integer,
+        sell_through: nullable(number)
+      })
+    },
+    async query => {
+      const flows = await stockFlows(pool, {
+        days: analyticsDays(query, 30),
+        location_id: analyticsLocation(query)
+      });
+
+      return flows.map(f => {
+        const available = Math.max(f.opening_stock, 0) + f.received;
+
+        return {
+          product_id: f.product_id,
+          sku: f.sku,
+          name: f.name,
+          opening_stock: f.opening_stock,
+          received: f.received,
+          units_sold: f.units_sold,
+          sell_through: available > 0 ? Number((f.units_sold / available).toFixed(4)) : null
+        };
+      });
+    }
+  );
+
+  // DEAD STOCK: products holding stock with no sale in ?days= days
+  // (default 90), most tied-up value first
+  reportRoute(
+    "/analytics/dead-stock",
+    {
+      columns: ["sku", "name", "stock", "unit_cost", "stock_value", "last_sold_at", "days_since_sale"],
+      row: record({
+        product_id: id,
+        sku: string,
+        name: string,
+        stock: integer,
+        unit_cost: number,
+        last_sold_at: nullable(date),
+        days_since_sale: nullable(integer),
+        stock_value: number
+      })
+    },
+    async query => {
+      const days = analyticsDays(query, 90);
+      const location_id = analyticsLocation(query);
+
+      const { rows } = await pool.query(`
+        SELECT *
+        FROM (
+          SELECT
+            p.id AS product_id,
+            p.sku,
+            p.name,
+            CASE WHEN $2::int IS NULL THEN p.stock ELSE COALESCE(pl.stock, 0) END AS stock,
+            ${UNIT_COST_SQL}::float AS unit_cost,
+            ls.last_sold_at::text AS last_sold_at,
+            (CURRENT_DATE - ls.last_sold_at) AS days_since_sale
+          FROM products p
+          LEFT JOIN product_locations pl
+            ON pl.product_id = p.id AND pl.location_id = $2
+          LEFT JOIN (
+            SELECT product_id, MAX(sold_at) AS last_sold_at
+            FROM sales
+            WHERE kind = 'sale'
+              AND ($2::int IS NULL OR location_id = $2)
+            GROUP BY product_id
+          ) ls ON ls.product_id = p.id
+          WHERE p.archived_at IS NULL
+            AND p.kind = 'standard'
+            AND (ls.last_sold_at IS NULL OR ls.last_sold_at <= CURRENT_DATE - $1::int)
+        ) d
+        WHERE d.stock > 0
+      `, [days, location_id]);
+
+      return rows
+        .map(r => ({ ...r, stock_value: round2(r.stock * r.unit_cost) }))
+        .sort((a, b) => b.stock_value - a.stock_value || a.product_id - b.product_id);
+    }
+  );
+
+  // EXCESS STOCK: stock + on order beyond the policy's order-up-to level
+  // (lead time + coverage days of forecast demand + safety stock)
+  reportRoute(
+    "/analytics/excess-stock",
+    {
+      columns: [
+        "sku", "name", "stock", "on_order", "order_up_to", "excess_units",
+        "excess_value", "daily_velocity", "days_of_cover", "coverage_days"
+      ],
+      // location_id only with ?location_id= or ?by_location=true
+      row: record(
+        {
+          product_id: id,
+          sku: string,
+          name: string,
+          location_id: id,
+          stock: integer,
+          on_order: integer,
+          order_up_to: integer,
+          excess_units: integer,
+          excess_value: number,
+          daily_velocity: number,
+          days_of_cover: nullable(number),
+          coverage_days: integer
+        },
+        ["location_id"]
+      ),
+      query: LOCATION_SCOPE_QUERY
+    },
+    async query => {
+      const plan = await planProducts(pool, { loc: locationScope(query, 1) });
+      const { rows } = await pool.query(
+        `SELECT p.id, ${UNIT_COST_SQL}::float AS unit_cost FROM products p`
+      );
+      const costs = new Map(rows.map(r => [r.id, r.unit_cost]));
+
+      return plan
+        .map(({ product: p, policy, rop, order_up_to }) => {
+          const position = p.stock + p.on_order;
+          const excess = position - order_up_to;
+
+          return {
+            product_id: p.id,
+            sku: p.sku,
+            name: p.name,
+            location_id: p.location_id,
+            stock: p.stock,
+            on_order: p.on_order,
+            order_up_to,
+            excess_units: excess,
+            excess_value: round2(excess * (costs.get(p.id) || 0)),
+            daily_velocity: rop.daily_demand,
+            days_of_cover: rop.daily_demand > 0 ? round2(position / rop.daily_demand) : null,
+            coverage_days: policy.coverage_days
+          };
+        })
+        .filter(r => r.excess_units > 0)
+        .sort((a, b) => b.excess_value - a.excess_value || b.excess_units - a.excess_units);
+    }
+  );
+
+  return router;
+}
+
+module.exports = {
+  analyticsRouter
+};
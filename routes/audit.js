@@ -0,0 +1,57 @@
+// The audit log: who changed what and when.
+
+const { createRouter, allow, validate } = require("../http");
+const { text, date, object, limit, arrayOf } = require("../schemas");
+const { AUDIT_ENTRY } = require("../services/audit");
+
+function auditRouter(pool) {
+  const router = createRouter();
+
+  // query: entity (type), entity_id, actor, action, from, to (dates,
+  // inclusive), limit (default 200, max 1000). Newest first.
+  const auditQuery = validate({
+    query: object({
+      entity: text,
+      entity_id: text,
+      actor: text,
+      action: text,
+      from: date,
+      to: date,
+      limit: limit(200, 1000)
+    }),
+    response: arrayOf(AUDIT_ENTRY)
+  });
+  router.get("/audit", allow("read"), auditQuery, async (req, res) => {
+    const {
+      entity = null,
+      entity_id = null,
+      actor = null,
+      action = null,
+      from = null,
+      to = null,
+      limit
+    } = req.query;
+
+    const { rows } = await pool.query(
+      `SELECT *
+       FROM audit_log
+       WHERE ($1::text IS NULL OR entity_type = $1)
+         AND ($2::text IS NULL OR entity_id = $2)
+         AND ($3::text IS NULL OR actor = $3)
+         AND ($4::text IS NULL OR action = $4)
+         AND ($5::date IS NULL OR occurred_at >= $5::date)
+         AND ($6::date IS NULL OR occurred_at < $6::date + 1)
+       ORDER BY occurred_at DESC, id DESC
+       LIMIT $7`,
+      [entity, entity_id, actor, action, from, to, limit]
+    );
+
+    res.json(rows);
+  });
+
+  return router;
+}
+
+module.exports = {
+  auditRouter
+};
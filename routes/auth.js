@@ -0,0 +1,290 @@
+// Sign-in and sessions, users and API keys.
+
+const auth = require("../auth");
+const { withTransaction } = require("../db");
+const { httpError } = require("../errors");
+const { createRouter, allow, validate, currentUser } = require("../http");
+const {
+  id,
+  object,
+  idParams,
+  arrayOf,
+  oneOf,
+  record,
+  string,
+  boolean,
+  timestamp
+} = require("../schemas");
+const { recordAudit, auditedUpdate } = require("../services/audit");
+const {
+  NEW_USER_SCHEMA,
+  USER_CHANGES_SCHEMA,
+  NEW_API_KEY_SCHEMA,
+  USER_RECORD,
+  API_KEY_RECORD,
+  publicUser
+} = require("../services/users");
+
+const role = oneOf(auth.ROLES);
+const permissions = arrayOf(oneOf(Object.keys(auth.PERMISSIONS)));
+
+// API_KEY_RECORD rows
+const API_KEY_SELECT = `
+  SELECT k.id, k.name, k.key_prefix, k.role, k.created_at, k.last_used_at,
+         k.revoked_at, u.email AS created_by
+  FROM api_keys k
+  LEFT JOIN users u ON u.id = k.created_by`;
+
+function authRouter(pool) {
+  const router = createRouter();
+
+  // Sign in with email + password. Browsers get the session cookie; API
+  // clients can send the returned token as a Bearer token.
+  const login = validate({
+    body: object(
+      { email: { type: "string" }, password: { type: "string" } },
+      ["email", "password"]
+    ),
+    response: record({ token: string, user: USER_RECORD, permissions }),
+    errors: ["UNAUTHENTICATED"]
+  });
+  router.post("/auth/login", login, async (req, res) => {
+    const { email, password } = req.body;
+
+    const { rows } = await pool.query(
+      `SELECT * FROM users WHERE email = $1 AND active`,
+      [email.trim().toLowerCase()]
+    );
+
+    if (!rows.length || !auth.verifyPassword(password, rows[0].password_hash)) {
+      throw httpError(401, "Invalid email or password");
+    }
+
+    const user = rows[0];
+    const token = auth.generateSessionToken();
+
+    await pool.query(
+      `INSERT INTO sessions (token_hash, user_id, expires_at)
+       VALUES ($1, $2, NOW() + $3 * INTERVAL '1 hour')`,
+      [auth.hashToken(token), user.id, auth.SESSION_TTL_HOURS]
+    );
+    await pool.query(
+      `UPDATE users SET last_login_at = NOW() WHERE id = $1`,
+      [user.id]
+    );
+
+    res.setHeader("Set-Cookie", auth.sessionCookie(token, { secure: req.secure }));
+    res.json({
+      token,
+      user: publicUser(user),
+      permissions: auth.permissionsFor(user.role)
+    });
+  });
+
+  const logout = validate({ response: record({ signed_out: boolean }) });
+  router.post("/auth/logout", logout, async (req, res) => {
+    const credentials = auth.requestCredentials(req);
+    if (credentials && credentials.kind === "session") {
+      await pool.query(
+        `DELETE FROM sessions WHERE token_hash = $1`,
+        [auth.hashToken(credentials.token)]
+      );
+    }
+
+    res.setHeader("Set-Cookie", auth.clearedSessionCookie());
+    res.json({ signed_out: true });
+  });
+
+  // Who the credentials belong to: a user (name is their email) or an API key
+  const me = validate({
+    response: record({
+      kind: oneOf(["user", "api_key"]),
+      id,
+      name: string,
+      role,
+      permissions
+    })
+  });
+  router.get("/auth/me", me, (req, res) => {
+    res.json({
+      kind: req.user.kind,
+      id: req.user.id,
+      name: req.user.name,
+      role: req.user.role,
+      permissions: auth.permissionsFor(req.user.role)
+    });
+  });
+
+  // USERS
+  const listUsers = validate({ response: arrayOf(USER_RECORD) });
+  router.get("/users", allow("users.manage"), listUsers, async (req, res) => {
+    const { rows } = await pool.query(
+      `SELECT id, email, name, role, active, created_at, last_login_at
+       FROM users ORDER BY email`
+    );
+    res.json(rows);
+  });
+
+  const createUser = validate({
+    body: NEW_USER_SCHEMA,
+    response: USER_RECORD,
+    status: 201,
+    errors: ["CONFLICT"]
+  });
+  router.post("/users", allow("users.manage"), createUser, async (req, res) => {
+    const { email, name = null, password, role } = req.body;
+
+    try {
+      const user = await withTransaction(pool, async client => {
+        const { rows } = await client.query(
+          `INSERT INTO users (email, name, password_hash, role)
+           VALUES ($1,$2,$3,$4) RETURNING *`,
+          [email.trim().toLowerCase(), name, auth.hashPassword(password), role]
+        );
+        await recordAudit(client, {
+          actor: currentUser(req),
+          entity: "user",
+          entity_id: rows[0].id,
+          action: "create",
+          after: rows[0]
+        });
+        return rows[0];
+      });
+
+      res.status(201).json(publicUser(user));
+    } catch (err) {
+      if (err.code === "23505") {
+        throw httpError(409, "A user with that email already exists");
+      }
+      throw err;
+    }
+  });
+
+  // Change name, role, password or active. Deactivating a user or changing
+  // their password ends their sessions.
+  const updateUser = validate({
+    params: idParams,
+    body: USER_CHANGES_SCHEMA,
+    response: USER_RECORD,
+    errors: ["NOT_FOUND"]
+  });
+  router.patch("/users/:id", allow("users.manage"), updateUser, async (req, res) => {
+    const { name, role, password, active } = req.body;
+
+    const user = await withTransaction(pool, async client => {
+      const sets = [];
+      const values = [];
+      const set = (column, value) => {
+        values.push(value);
+        sets.push(`${column} = $${values.length}`);
+      };
+
+      if (name !== undefined) set("name", name);
+      if (role !== undefined) set("role", role);
+      if (password !== undefined) set("password_hash", auth.hashPassword(password));
+      if (active !== undefined) set("active", active);
+
+      values.push(req.params.id);
+      const updated = await auditedUpdate(
+        client,
+        { table: "users", entity: "user", id: req.params.id, actor: currentUser(req) },
+        `UPDATE users SET ${sets.join(", ")} WHERE id = $${values.length} RETURNING *`,
+        values
+      );
+      if (!updated) throw httpError(404, "User not found");
+
+      if (password !== undefined || active === false) {
+        await client.query(`DELETE FROM sessions WHERE user_id = $1`, [req.params.id]);
+      }
+
+      return updated;
+    });
+
+    res.json(publicUser(user));
+  });
+
+  // API KEYS
+  // For integrations. The key itself is only returned when it is created.
+  const listApiKeys = validate({ response: arrayOf(API_KEY_RECORD) });
+  router.get("/api-keys", allow("users.manage"), listApiKeys, async (req, res) => {
+    const { rows } = await pool.query(`${API_KEY_SELECT} ORDER BY k.created_at DESC`);
+    res.json(rows);
+  });
+
+  const createApiKey = validate({
+    body: NEW_API_KEY_SCHEMA,
+    response: record({
+      id,
+      name: string,
+      key_prefix: string,
+      role,
+      created_at: timestamp,
+      key: string
+    }),
+    status: 201
+  });
+  router.post("/api-keys", allow("users.manage"), createApiKey, async (req, res) => {
+    const { name, role } = req.body;
+
+    const key = auth.generateApiKey();
+    const apiKey = await withTransaction(pool, async client => {
+      const { rows } = await client.query(
+        `INSERT INTO api_keys (name, key_prefix, key_hash, role, created_by)
+         VALUES ($1,$2,$3,$4,$5)
+         RETURNING id, name, key_prefix, role, created_at`,
+        [
+          name.trim(),
+          key.slice(0, 12),
+          auth.hashToken(key),
+          role,
+          req.user.kind === "user" ? req.user.id : null
+        ]
+      );
+      await recordAudit(client, {
+        actor: currentUser(req),
+        entity: "api_key",
+        entity_id: rows[0].id,
+        action: "create",
+        after: rows[0]
+      });
+      return rows[0];
+    });
+
+    res.status(201).json({ ...apiKey, key });
+  });
+
+  // Revoke (the row stays for the audit trail)
+  const revokeApiKey = validate({
+    params: idParams,
+    response: API_KEY_RECORD,
+    errors: ["NOT_FOUND"]
+  });
+  router.delete("/api-keys/:id", allow("users.manage"), revokeApiKey, async (req, res) => {
+    const apiKey = await withTransaction(pool, async client => {
+      const revoked = await auditedUpdate(
+        client,
+        { table: "api_keys", entity: "api_key", id: req.params.id, actor: currentUser(req) },
+        `UPDATE api_keys SET revoked_at = COALESCE(revoked_at, NOW())
+         WHERE id = $1
+         RETURNING *`,
+        [req.params.id]
+      );
+      if (!revoked) return null;
+
+      const { rows } = await client.query(`${API_KEY_SELECT} WHERE k.id = $1`, [revoked.id]);
+      return rows[0];
+    });
+
+    if (!apiKey) {
+      throw httpError(404, "API key not found");
+    }
+
+    res.json(apiKey);
+  });
+
+  return router;
+}
+
+module.exports = {
+  authRouter
+};
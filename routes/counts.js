@@ -0,0 +1,365 @@
+// Stock counts: count sessions per location, blind counting, approval of
+// the variances and the daily count schedule (see services/counts.js).
+
+const { COUNT_INTERVAL_DAYS, proposeCounts } = require("../counts");
+const { withTransaction } = require("../db");
+const { httpError } = require("../errors");
+const { createRouter, allow, validate, currentUser } = require("../http");
+const {
+  id,
+  nullable,
+  oneOf,
+  object,
+  arrayOf,
+  idParams,
+  record,
+  string,
+  integer,
+  number,
+  timestamp
+} = require("../schemas");
+const { ABC_CLASSES } = require("../services/analytics");
+const { recordAudit } = require("../services/audit");
+const {
+  STOCK_COUNT_STATUSES,
+  NEW_STOCK_COUNT_SCHEMA,
+  COUNT_ENTRY_SCHEMA,
+  APPROVAL_SCHEMA,
+  STOCK_COUNT_RECORD,
+  STOCK_COUNT,
+  countLimit,
+  loadCountCandidates,
+  loadStockCount,
+  presentStockCount,
+  lockStockCount,
+  transitionStockCount
+} = require("../services/counts");
+const { resolveLocationId, recordStockMovement } = require("../services/stock");
+
+function countsRouter(pool) {
+  const router = createRouter();
+
+  // LIST count sessions (?status=&location_id=), newest first
+  const listCounts = validate({
+    query: object({ status: oneOf(STOCK_COUNT_STATUSES), location_id: id }),
+    response: arrayOf(record({
+      ...STOCK_COUNT_RECORD.properties,
+      location_code: string,
+      total_lines: integer,
+      counted_lines: integer
+    }))
+  });
+  router.get("/stock-counts", allow("read"), listCounts, async (req, res) => {
+    const { status = null, location_id = null } = req.query;
+
+    const { rows } = await pool.query(`
+      SELECT
+        sc.*,
+        l.code AS location_code,
+        COUNT(scl.id)::int AS total_lines,
+        COUNT(scl.counted_quantity)::int AS counted_lines
+      FROM stock_counts sc
+      JOIN locations l ON l.id = sc.location_id
+      LEFT JOIN stock_count_lines scl ON scl.count_id = sc.id
+      WHERE ($1::text IS NULL OR sc.status = $1)
+        AND ($2::int IS NULL OR sc.location_id = $2)
+      GROUP BY sc.id, l.code
+      ORDER BY sc.id DESC
+    `, [status, location_id]);
+
+    res.json(rows);
+  });
+
+  // SCHEDULE: what to count today at a location (?location_id=&limit=).
+  // Each ABC class is due every COUNT_INTERVAL_DAYS days; the most overdue,
+  // highest value and fastest moving products come first. Products already
+  // in an open session are left out.
+  const schedule = validate({
+    query: object({ location_id: id, limit: countLimit }),
+    response: record({
+      location_id: id,
+      // days between counts per ABC class
+      intervals: record(Object.fromEntries(ABC_CLASSES.map(c => [c, integer]))),
+      products: arrayOf(record({
+        product_id: id,
+        sku: string,
+        name: string,
+        category_id: nullable(id),
+        stock: integer,
+        unit_cost: number,
+        daily_velocity: number,
+        last_counted_at: nullable(timestamp),
+        abc_class: oneOf(ABC_CLASSES),
+        stock_value: number,
+        days_since_count: nullable(integer),
+        interval_days: integer,
+        priority: number
+      }))
+    })
+  });
+  router.get("/stock-counts/schedule", allow("read"), schedule, async (req, res) => {
+    const { limit } = req.query;
+
+    const locationId = await resolveLocationId(pool, req.query.location_id || null);
+    const candidates = await loadCountCandidates(pool, locationId);
+
+    res.json({
+      location_id: locationId,
+      intervals: COUNT_INTERVAL_DAYS,
+      products: proposeCounts(
+        candidates.filter(c => !c.open_count_id),
+        { limit }
+      ).map(({ open_count_id, sold_365, ...c }) => c)
+    });
+  });
+
+  // START a count session
+  // body: { location_id?, product_ids?, category_id?, abc_class?, scheduled?,
+  //         limit?, blind?, notes? }
+  // The filters narrow the location's active products; scheduled: true takes
+  // the day's proposal from /stock-counts/schedule instead.
+  const startCount = validate({
+    body: NEW_STOCK_COUNT_SCHEMA,
+    response: STOCK_COUNT,
+    status: 201,
+    errors: ["CONFLICT"]
+  });
+  router.post("/stock-counts", allow("stock.write"), startCount, async (req, res) => {
+    const {
+      location_id = null,
+      product_ids = null,
+      category_id = null,
+      abc_class = null,
+      scheduled = false,
+      blind = false,
+      notes = null,
+      limit = countLimit.default
+    } = req.body;
+
+    const count = await withTransaction(pool, async client => {
+      const locationId = await resolveLocationId(client, location_id);
+      const candidates = await loadCountCandidates(client, locationId);
+
+      let selected = candidates.filter(c =>
+        (product_ids === null || product_ids.includes(c.product_id)) &&
+        (category_id === null || c.category_id === category_id) &&
+        (abc_class === null || c.abc_class === abc_class)
+      );
+      if (scheduled) {
+        selected = proposeCounts(selected.filter(c => !c.open_count_id), { limit });
+      }
+
+      const busy = selected.filter(c => c.open_count_id);
+      if (busy.length) {
+        throw httpError(
+          409,
+          `Already being counted: ${busy.map(c => `${c.sku} (count ${c.open_count_id})`).join(", ")}`
+        );
+      }
+      if (!selected.length) {
+        throw httpError(400, "No products to count");
+      }
+
+      const { rows } = await client.query(
+        `INSERT INTO stock_counts (location_id, abc_class, blind, notes, created_by)
+         VALUES ($1, $2, $3, $4, $5)
+         RETURNING *`,
+        [locationId, abc_class, blind, notes, currentUser(req)]
+      );
+      await client.query(
+        `INSERT INTO stock_count_lines (count_id, product_id, expected_quantity, unit_cost)
+         SELECT $1, c.product_id, c.stock, c.unit_cost
+         FROM UNNEST($2::int[], $3::int[], $4::numeric[]) AS c(product_id, stock, unit_cost)`,
+        [
+          rows[0].id,
+          selected.map(c => c.product_id),
+          selected.map(c => c.stock),
+          selected.map(c => c.unit_cost)
+        ]
+      );
+      await recordAudit(client, {
+        actor: currentUser(req),
+        entity: "stock_count",
+        entity_id: rows[0].id,
+        action: "create",
+        after: { ...rows[0], lines: selected.length }
+      });
+
+      return loadStockCount(client, rows[0].id);
+    });
+
+    res.status(201).json(presentStockCount(count));
+  });
+
+  const countById = validate({ params: idParams, response: STOCK_COUNT, errors: ["NOT_FOUND"] });
+  router.get("/stock-counts/:id(\\d+)", allow("read"), countById, async (req, res) => {
+    const count = await loadStockCount(pool, req.params.id);
+
+    if (!count) {
+      throw httpError(404, "Stock count not found");
+    }
+
+    res.json(presentStockCount(count));
+  });
+
+  // RECORD counted quantities while the session is OPEN
+  // body: { counts: [{ product_id | sku, counted_quantity, reason_code? }] }
+  // counted_quantity null clears a line. Recounting a line overwrites it.
+  const recordCounts = validate({
+    params: idParams,
+    body: object({ counts: arrayOf(COUNT_ENTRY_SCHEMA, { minItems: 1 }) }, ["counts"]),
+    response: STOCK_COUNT,
+    errors: ["NOT_FOUND", "CONFLICT"]
+  });
+  router.post("/stock-counts/:id(\\d+)/counts", allow("stock.write"), recordCounts, async (req, res) => {
+    const { counts } = req.body;
+
+    const count = await withTransaction(pool, async client => {
+      const session = await lockStockCount(client, req.params.id);
+      if (session.status !== "OPEN") {
+        throw httpError(409, `Stock count can only be counted while OPEN (is ${session.status})`);
+      }
+
+      for (const entry of counts) {
+        const { rowCount } = await client.query(
+          `UPDATE stock_count_lines scl
+           SET counted_quantity = $3,
+               counted_by = CASE WHEN $3::int IS NULL THEN NULL ELSE $4 END,
+               counted_at = CASE WHEN $3::int IS NULL THEN NULL ELSE NOW() END,
+               reason_code = COALESCE($5, scl.reason_code)
+           FROM products p
+           WHERE p.id = scl.product_id
+             AND scl.count_id = $1
+             AND (p.id = $2::int OR ($2::int IS NULL AND p.sku = $6))`,
+          [
+            session.id,
+            entry.product_id || null,
+            entry.counted_quantity,
+            currentUser(req),
+            entry.reason_code || null,
+            entry.sku || null
+          ]
+        );
+
+        if (!rowCount) {
+          throw httpError(
+            400,
+            `${entry.sku || `Product ${entry.product_id}`} is not part of stock count ${session.id}`
+          );
+        }
+      }
+
+      return loadStockCount(client, session.id);
+    });
+
+    res.json(presentStockCount(count));
+  });
+
+  // SUBMIT for approval: counting is finished and variances become visible
+  const countTransition = validate({
+    params: idParams,
+    response: STOCK_COUNT,
+    errors: ["NOT_FOUND", "CONFLICT"]
+  });
+  router.post("/stock-counts/:id(\\d+)/submit", allow("stock.write"), countTransition, async (req, res) => {
+    const count = await withTransaction(pool, async client => {
+      const { rows } = await client.query(
+        `SELECT COUNT(counted_quantity)::int AS counted
+         FROM stock_count_lines
+         WHERE count_id = $1`,
+        [req.params.id]
+      );
+      if (!rows[0].counted) {
+        throw httpError(400, "Nothing has been counted yet");
+      }
+
+      await transitionStockCount(client, req.params.id, "SUBMITTED", {
+        actor: currentUser(req)
+      });
+      return loadStockCount(client, req.params.id);
+    });
+
+    res.json(presentStockCount(count));
+  });
+
+  // APPROVE a submitted count and post its variances to the ledger
+  // body: { reason_codes?: { [product_id]: code }, default_reason_code? }
+  // Every line with a variance needs a reason code: from this body, or the
+  // one recorded while counting.
+  const approveCount = validate({
+    params: idParams,
+    body: APPROVAL_SCHEMA,
+    response: STOCK_COUNT,
+    errors: ["NOT_FOUND", "CONFLICT"]
+  });
+  router.post("/stock-counts/:id(\\d+)/approve", allow("counts.approve"), approveCount, async (req, res) => {
+    const { reason_codes = {}, default_reason_code = null } = req.body;
+
+    const count = await withTransaction(pool, async client => {
+      const session = await lockStockCount(client, req.params.id);
+      if (session.status !== "SUBMITTED") {
+        throw httpError(409, `Only a SUBMITTED stock count can be approved (is ${session.status})`);
+      }
+
+      const { lines } = await loadStockCount(client, session.id);
+      const variances = lines
+        .filter(l => l.counted_quantity !== null && l.counted_quantity !== l.expected_quantity)
+        .map(l => ({
+          ...l,
+          reason_code: reason_codes[l.product_id] || l.reason_code || default_reason_code
+        }));
+
+      const missing = variances.filter(l => !l.reason_code);
+      if (missing.length) {
+        throw httpError(
+          400,
+          `reason code required for: ${missing.map(l => l.sku).join(", ")}`
+        );
+      }
+
+      for (const line of variances) {
+        const movement = await recordStockMovement(client, {
+          product_id: line.product_id,
+          location_id: session.location_id,
+          quantity_change: line.counted_quantity - line.expected_quantity,
+          reason: "count",
+          reason_code: line.reason_code,
+          reference_id: session.id,
+          user: currentUser(req),
+          note: `Stock count ${session.id}`
+        });
+        await client.query(
+          `UPDATE stock_count_lines
+           SET reason_code = $2, movement_id = $3
+           WHERE id = $1`,
+          [line.id, line.reason_code, movement.id]
+        );
+      }
+
+      await transitionStockCount(client, session.id, "APPROVED", {
+        actor: currentUser(req)
+      });
+      return loadStockCount(client, session.id);
+    });
+
+    res.json(presentStockCount(count));
+  });
+
+  // CANCEL an open or submitted count; nothing is posted
+  router.post("/stock-counts/:id(\\d+)/cancel", allow("stock.write"), countTransition, async (req, res) => {
+    const count = await withTransaction(pool, async client => {
+      await transitionStockCount(client, req.params.id, "CANCELLED", {
+        actor: currentUser(req)
+      });
+      return loadStockCount(client, req.params.id);
+    });
+
+    res.json(presentStockCount(count));
+  });
+
+  return router;
+}
+
+module.exports = {
+  countsRouter
+};
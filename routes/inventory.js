@@ -0,0 +1,726 @@
+// Inventory: stock levels and the ledger, locations and transfers,
+// forecasts, velocity, reorder status and reorder points, and stock
+// imports.
+
+const fs = require("fs");
+const { FORECAST_METHODS, selectForecast } = require("../forecast");
+const { IMPORT_FIELDS, fileType, parseImportFile, validateMapping } = require("../importer");
+const { withTransaction } = require("../db");
+const { httpError } = require("../errors");
+const { createRouter, allow, validate, currentUser, uploadFile } = require("../http");
+const {
+  id,
+  count,
+  positive,
+  text,
+  date,
+  flag,
+  idList,
+  nullable,
+  oneOf,
+  object,
+  arrayOf,
+  idParams,
+  record,
+  string,
+  integer,
+  number,
+  json,
+  timestamp
+} = require("../schemas");
+const { CLASS_FILTER_QUERY, classFilter } = require("../services/analytics");
+const { recordAudit, auditedUpdate } = require("../services/audit");
+const { IMPORT_RESULT, planImport, applyImport } = require("../services/imports");
+const {
+  FORECAST_METHOD,
+  PLAN_STATUS,
+  EFFECTIVE_POLICY,
+  REORDER_POINT_PREVIEW,
+  SALES_VELOCITY,
+  demandKey,
+  loadDemandHistory,
+  planProducts,
+  reorderPointPreview,
+  salesVelocity
+} = require("../services/planning");
+const {
+  PRODUCT_RECORD,
+  VARIANT_TOTALS,
+  VARIANT_STATS_SQL,
+  rollupVariants
+} = require("../services/products");
+const {
+  STOCK_MOVEMENT_REASONS,
+  LOCATION_RECORD,
+  STOCK_MOVEMENT_RECORD,
+  LOCATION_SCOPE_QUERY,
+  LOCATION_SCOPE_FIELDS,
+  resolveLocationId,
+  locationScope,
+  recordStockMovement,
+  setStockLevel
+} = require("../services/stock");
+
+function inventoryRouter(pool) {
+  const router = createRouter();
+
+  // ROLL-UP of every parent product over its (active) variants
+  const rollup = validate({
+    response: arrayOf(record({
+      id,
+      sku: string,
+      name: string,
+      variants: integer,
+      ...VARIANT_TOTALS.properties
+    }))
+  });
+  router.get("/inventory/rollup", allow("read"), rollup, async (req, res) => {
+    const { rows } = await pool.query(
+      `${VARIANT_STATS_SQL}
+       WHERE v.parent_id IS NOT NULL AND v.archived_at IS NULL
+       ORDER BY v.parent_id, v.sku`
+    );
+    const parents = await pool.query(
+      `SELECT id, sku, name
+       FROM products
+       WHERE kind = 'parent' AND archived_at IS NULL
+       ORDER BY sku`
+    );
+
+    res.json(
+      parents.rows.map(p => {
+        const variants = rows.filter(v => v.parent_id === p.id);
+        return { ...p, variants: variants.length, ...rollupVariants(variants) };
+      })
+    );
+  });
+
+  // UPDATE stock (posts the difference to the ledger)
+  // body: { stock, location_id?, reason?: "adjustment" | "count", note? }
+  const updateStock = validate({
+    params: idParams,
+    body: object(
+      {
+        stock: count,
+        location_id: nullable(id),
+        reason: { ...oneOf(["adjustment", "count"]), default: "adjustment" },
+        note: nullable({ type: "string" })
+      },
+      ["stock"]
+    ),
+    response: PRODUCT_RECORD,
+    errors: ["NOT_FOUND"]
+  });
+  router.patch("/products/:id/stock", allow("stock.write"), updateStock, async (req, res) => {
+    const { id } = req.params;
+    const {
+      stock,
+      location_id = null,
+      reason = "adjustment",
+      note = null
+    } = req.body;
+
+    const product = await withTransaction(pool, async client => {
+      await setStockLevel(client, {
+        product_id: id,
+        location_id,
+        stock,
+        reason,
+        user: currentUser(req),
+        note
+      });
+
+      const { rows } = await client.query(
+        `SELECT * FROM products WHERE id = $1`,
+        [id]
+      );
+      return rows[0];
+    });
+
+    res.json(product);
+  });
+
+  // STOCK HISTORY for a product
+  const movementsQuery = object({
+    from: date,
+    to: date,
+    reason: oneOf(STOCK_MOVEMENT_REASONS),
+    location_id: id
+  });
+  const listMovements = validate({
+    params: idParams,
+    query: movementsQuery,
+    response: arrayOf(STOCK_MOVEMENT_RECORD)
+  });
+  router.get("/products/:id/movements", allow("read"), listMovements, async (req, res) => {
+    const { id } = req.params;
+    const {
+      from = null,
+      to = null,
+      reason = null,
+      location_id = null
+    } = req.query;
+
+    const { rows } = await pool.query(`
+      SELECT *
+      FROM stock_movements
+      WHERE product_id = $1
+        AND ($2::date IS NULL OR created_at >= $2::date)
+        AND ($3::date IS NULL OR created_at < $3::date + 1)
+        AND ($4::text IS NULL OR reason = $4)
+        AND ($5::int IS NULL OR location_id = $5)
+      ORDER BY created_at DESC, id DESC
+    `, [id, from, to, reason, location_id]);
+
+    res.json(rows);
+  });
+
+  // STOCK AS OF end of a given day, rebuilt from the ledger
+  const stockAsOf = validate({
+    query: object({ date, location_id: id }, ["date"]),
+    response: record({
+      as_of: date,
+      location_id: nullable(id),
+      products: arrayOf(record({ product_id: id, sku: string, name: string, stock: integer }))
+    })
+  });
+  router.get("/inventory/stock-as-of", allow("read"), stockAsOf, async (req, res) => {
+    const { date: asOf, location_id = null } = req.query;
+
+    const { rows } = await pool.query(`
+      SELECT
+        p.id AS product_id,
+        p.sku,
+        p.name,
+        COALESCE(SUM(m.quantity_change), 0)::int AS stock
+      FROM products p
+      LEFT JOIN stock_movements m
+        ON m.product_id = p.id
+       AND m.created_at < $1::date + 1
+       AND ($2::int IS NULL OR m.location_id = $2)
+      GROUP BY p.id
+      ORDER BY p.sku
+    `, [asOf, location_id]);
+
+    res.json({ as_of: asOf, location_id, products: rows });
+  });
+
+  // LIST items that need reorder (?abc_class=&xyz_class= to narrow by class)
+  const reorderList = validate({
+    query: object(CLASS_FILTER_QUERY),
+    response: arrayOf(PRODUCT_RECORD)
+  });
+  router.get("/inventory/reorder", allow("read"), reorderList, async (req, res) => {
+    const inClass = await classFilter(pool, req.query);
+    const { rows } = await pool.query(
+      `SELECT * FROM products
+       WHERE stock <= reorder_point AND archived_at IS NULL AND kind = 'standard'`
+    );
+    res.json(inClass ? rows.filter(p => inClass(p.id)) : rows);
+  });
+
+  // LOCATIONS
+  const listLocations = validate({ response: arrayOf(LOCATION_RECORD) });
+  router.get("/locations", allow("read"), listLocations, async (req, res) => {
+    const { rows } = await pool.query(
+      `SELECT * FROM locations ORDER BY is_default DESC, code`
+    );
+    res.json(rows);
+  });
+
+  const createLocation = validate({
+    body: object({ code: text, name: text, type: text }, ["code", "name"]),
+    response: LOCATION_RECORD,
+    errors: ["CONFLICT"]
+  });
+  router.post("/locations", allow("locations.write"), createLocation, async (req, res) => {
+    const { code, name, type = "warehouse" } = req.body;
+
+    try {
+      const location = await withTransaction(pool, async client => {
+        const { rows } = await client.query(
+          `INSERT INTO locations (code, name, type)
+           VALUES ($1, $2, $3)
+           RETURNING *`,
+          [code, name, type]
+        );
+        await recordAudit(client, {
+          actor: currentUser(req),
+          entity: "location",
+          entity_id: rows[0].id,
+          action: "create",
+          after: rows[0]
+        });
+        return rows[0];
+      });
+      res.json(location);
+    } catch (err) {
+      if (err.code === "23505") {
+        throw httpError(409, `Location ${code} already exists`);
+      }
+      throw err;
+    }
+  });
+
+  const updateLocation = validate({
+    params: idParams,
+    body: object({ name: text, type: text }),
+    response: LOCATION_RECORD,
+    errors: ["NOT_FOUND"]
+  });
+  router.patch("/locations/:id", allow("locations.write"), updateLocation, async (req, res) => {
+    const { id } = req.params;
+    const { name, type } = req.body;
+
+    const location = await withTransaction(pool, client =>
+      auditedUpdate(
+        client,
+        { table: "locations", entity: "location", id, actor: currentUser(req) },
+        `UPDATE locations
+         SET name = COALESCE($1, name),
+             type = COALESCE($2, type)
+         WHERE id = $3
+         RETURNING *`,
+        [name, type, id]
+      )
+    );
+
+    if (!location) {
+      throw httpError(404, "Location not found");
+    }
+
+    res.json(location);
+  });
+
+  // STOCK per location for a product
+  const stockLevels = validate({
+    params: idParams,
+    response: arrayOf(record({
+      location_id: id,
+      location_code: string,
+      location_name: string,
+      stock: integer
+    }))
+  });
+  router.get("/products/:id/stock-levels", allow("read"), stockLevels, async (req, res) => {
+    const { id } = req.params;
+
+    const { rows } = await pool.query(`
+      SELECT
+        l.id AS location_id,
+        l.code AS location_code,
+        l.name AS location_name,
+        COALESCE(pl.stock, 0) AS stock
+      FROM locations l
+      LEFT JOIN product_locations pl
+        ON pl.location_id = l.id AND pl.product_id = $1
+      ORDER BY l.is_default DESC, l.code
+    `, [id]);
+
+    res.json(rows);
+  });
+
+  // DEMAND FORECAST for a product
+  // ?horizon=90&confidence=0.95&location_id=&method= (method forces a model)
+  const forecastDemand = validate({
+    params: idParams,
+    query: object({
+      horizon: { type: "integer", minimum: 1, maximum: 730, default: 90 },
+      confidence: { type: "number", exclusiveMinimum: 0, exclusiveMaximum: 1, default: 0.95 },
+      location_id: id,
+      method: oneOf(FORECAST_METHODS)
+    }),
+    response: record({
+      product_id: id,
+      location_id: nullable(id),
+      method: FORECAST_METHOD,
+      params: json,
+      history_days: integer,
+      backtest_rmse: { type: "object", additionalProperties: number },
+      horizon: integer,
+      confidence: number,
+      forecast: arrayOf(record({ date, quantity: number, lower: number, upper: number }))
+    }),
+    errors: ["NOT_FOUND"]
+  });
+  router.get("/products/:id/forecast", allow("read"), forecastDemand, async (req, res) => {
+    const { id } = req.params;
+    const { horizon = 90, confidence = 0.95, location_id = null, method = null } = req.query;
+
+    const { rows } = await pool.query(
+      `SELECT id, CURRENT_DATE::text AS today FROM products WHERE id = $1`,
+      [id]
+    );
+
+    if (!rows.length) {
+      throw httpError(404, "Product not found");
+    }
+
+    const history = await loadDemandHistory(pool, {
+      productIds: [rows[0].id],
+      location_id
+    });
+    const f = selectForecast(history.get(demandKey(rows[0].id)) || [], {
+      horizon,
+      confidence,
+      method
+    });
+
+    const start = new Date(`${rows[0].today}T00:00:00Z`);
+
+    res.json({
+      product_id: rows[0].id,
+      location_id,
+      method: f.method,
+      params: f.params,
+      history_days: f.history_days,
+      backtest_rmse: f.backtest,
+      horizon,
+      confidence,
+      forecast: f.forecast.map((quantity, i) => {
+        const date = new Date(start);
+        date.setUTCDate(date.getUTCDate() + i + 1);
+        return {
+          date: date.toISOString().slice(0, 10),
+          quantity,
+          lower: f.lower[i],
+          upper: f.upper[i]
+        };
+      })
+    });
+  });
+
+  // TRANSFER stock between locations
+  const transfer = validate({
+    body: object(
+      {
+        product_id: id,
+        from_location_id: id,
+        to_location_id: id,
+        quantity: positive,
+        note: nullable({ type: "string" })
+      },
+      ["product_id", "from_location_id", "to_location_id", "quantity"]
+    ),
+    response: {
+      title: "StockTransfer",
+      ...record({
+        id,
+        product_id: id,
+        from_location_id: id,
+        to_location_id: id,
+        quantity: integer,
+        user_name: nullable(string),
+        note: nullable(string),
+        created_at: timestamp
+      })
+    },
+    errors: ["NOT_FOUND"]
+  });
+  router.post("/inventory/transfers", allow("stock.write"), transfer, async (req, res) => {
+    const {
+      product_id,
+      from_location_id,
+      to_location_id,
+      quantity: qty,
+      note = null
+    } = req.body;
+
+    if (from_location_id === to_location_id) {
+      throw httpError(400, "Cannot transfer to the same location");
+    }
+
+    const transfer = await withTransaction(pool, async client => {
+      const product = await client.query(`SELECT id FROM products WHERE id = $1`, [product_id]);
+      if (!product.rows.length) {
+        throw httpError(404, "Product not found");
+      }
+      const fromId = await resolveLocationId(client, from_location_id);
+      const toId = await resolveLocationId(client, to_location_id);
+
+      const { rows: source } = await client.query(
+        `SELECT stock FROM product_locations
+         WHERE product_id = $1 AND location_id = $2
+         FOR UPDATE`,
+        [product_id, fromId]
+      );
+      const available = source.length ? source[0].stock : 0;
+
+      if (available < qty) {
+        throw httpError(
+          400,
+          `Only ${available} units available at location ${fromId}`
+        );
+      }
+
+      const { rows } = await client.query(
+        `INSERT INTO stock_transfers
+           (product_id, from_location_id, to_location_id, quantity, user_name, note)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         RETURNING *`,
+        [product_id, fromId, toId, qty, currentUser(req), note]
+      );
+
+      for (const [location_id, change] of [[fromId, -qty], [toId, qty]]) {
+        await recordStockMovement(client, {
+          product_id,
+          location_id,
+          quantity_change: change,
+          reason: "transfer",
+          reference_id: rows[0].id,
+          user: currentUser(req),
+          note
+        });
+      }
+
+      return rows[0];
+    });
+
+    res.json(transfer);
+  });
+
+  // SALES VELOCITY (?location_id= / ?by_location=true)
+  const velocity = validate({
+    query: object(LOCATION_SCOPE_QUERY),
+    response: arrayOf(SALES_VELOCITY)
+  });
+  router.get("/inventory/velocity", allow("read"), velocity, async (req, res) => {
+    res.json(await salesVelocity(pool, locationScope(req.query, 1)));
+  });
+
+  const reorderStatus = validate({
+    query: object({ ...CLASS_FILTER_QUERY, ...LOCATION_SCOPE_QUERY }),
+    response: arrayOf({
+      title: "ReorderStatus",
+      ...record(
+        {
+          id,
+          sku: string,
+          name: string,
+          image_url: nullable(string),
+          ...LOCATION_SCOPE_FIELDS,
+          stock: integer,
+          reorder_point: integer,
+          current_safety_stock: integer,
+          category_id: nullable(id),
+          supplier_id: nullable(id),
+          supplier_name: nullable(string),
+          lead_time_days: integer,
+          lead_time_stddev_days: number,
+          lead_time_source: string,
+          case_pack: integer,
+          service_level: number,
+          on_order: integer,
+          daily_velocity: number,
+          demand_stddev: number,
+          forecast_method: FORECAST_METHOD,
+          safety_stock: integer,
+          computed_reorder_point: integer,
+          days_of_stock: nullable(number),
+          order_up_to: integer,
+          suggested_order_quantity: integer,
+          policy: EFFECTIVE_POLICY,
+          status: PLAN_STATUS
+        },
+        Object.keys(LOCATION_SCOPE_FIELDS)
+      )
+    })
+  });
+  router.get("/inventory/reorder-status", allow("read"), reorderStatus, async (req, res) => {
+    const inClass = await classFilter(pool, req.query);
+    const plan = (await planProducts(pool, { loc: locationScope(req.query, 1) }))
+      .filter(({ product }) => !inClass || inClass(product.id));
+
+    const result = plan.map(({ product: p, forecast, policy, rop, ...row }) => ({
+      ...p,
+      lead_time_days: rop.lead_time_days,
+      lead_time_stddev_days: rop.lead_time_stddev_days,
+      service_level: rop.service_level,
+      daily_velocity: rop.daily_demand,
+      demand_stddev: rop.demand_stddev,
+      forecast_method: forecast.method,
+      safety_stock: rop.safety_stock,
+      computed_reorder_point: rop.reorder_point,
+      days_of_stock: row.days_of_stock,
+      order_up_to: row.order_up_to,
+      suggested_order_quantity: row.suggested_order_quantity,
+      policy,
+      status: row.status
+    }));
+
+    res.json(result);
+  });
+
+  // PREVIEW computed reorder points (?product_ids=1,2&category_id=3)
+  const previewPoints = validate({
+    query: object({ product_ids: idList, category_id: id }),
+    response: arrayOf(REORDER_POINT_PREVIEW)
+  });
+  router.get("/inventory/reorder-points/preview", allow("read"), previewPoints, async (req, res) => {
+    const preview = await reorderPointPreview(pool, {
+      productIds: req.query.product_ids ? req.query.product_ids.split(",").map(Number) : null,
+      category_id: req.query.category_id || null
+    });
+    res.json(preview);
+  });
+
+  // APPLY computed reorder points in bulk
+  // body: { product_ids: [...] } or { category_id } or { all: true }
+  const applyPoints = validate({
+    body: object({ product_ids: arrayOf(id), category_id: id, all: { type: "boolean" } }),
+    response: record({
+      updated: integer,
+      products: arrayOf(record({
+        product_id: id,
+        sku: string,
+        previous_reorder_point: integer,
+        reorder_point: integer,
+        safety_stock: integer
+      }))
+    })
+  });
+  router.post("/inventory/reorder-points/apply", allow("planning.write"), applyPoints, async (req, res) => {
+    const { product_ids: productIds = null, category_id = null, all = false } = req.body;
+
+    if (!productIds && !category_id && all !== true) {
+      throw httpError(400, "product_ids, category_id or all: true required");
+    }
+
+    const preview = await reorderPointPreview(pool, { productIds, category_id });
+
+    await withTransaction(pool, async client => {
+      for (const p of preview) {
+        await auditedUpdate(
+          client,
+          { table: "products", entity: "product", id: p.product_id, actor: currentUser(req) },
+          `UPDATE products
+           SET reorder_point = $1,
+               safety_stock = $2,
+               updated_at = NOW()
+           WHERE id = $3
+           RETURNING *`,
+          [p.computed_reorder_point, p.safety_stock, p.product_id]
+        );
+      }
+    });
+
+    res.json({
+      updated: preview.length,
+      products: preview.map(p => ({
+        product_id: p.product_id,
+        sku: p.sku,
+        previous_reorder_point: p.current_reorder_point,
+        reorder_point: p.computed_reorder_point,
+        safety_stock: p.safety_stock
+      }))
+    });
+  });
+
+  // IMPORT products and stock from CSV or XLSX (multipart field "file")
+  // fields:
+  //   dry_run=true         report what would change without changing anything
+  //   create_missing=false reject unknown SKUs instead of creating products
+  //   mapping={"sku":"Item Code","stock":"On Hand"}  file column per field
+  //   location=CODE        location for rows without a location column
+  // Apply is all-or-nothing: any row error and nothing is written (422, with
+  // the row errors in details).
+  const importStock = validate({
+    body: object({
+      dry_run: flag,
+      create_missing: flag,
+      mapping: { type: "string" },
+      location: { type: "string" }
+    }),
+    response: IMPORT_RESULT,
+    errors: ["UNPROCESSABLE"]
+  });
+  router.post("/inventory/import", allow("stock.write"), uploadFile("file"), importStock, async (req, res) => {
+    const file = req.file;
+
+    try {
+      if (!file) {
+        throw httpError(400, "file required (multipart field \"file\")");
+      }
+      if (!fileType(file)) {
+        throw httpError(400, "Unsupported file type (use .csv or .xlsx)");
+      }
+
+      let mapping = {};
+      if (req.body.mapping) {
+        try {
+          mapping = JSON.parse(req.body.mapping);
+        } catch (err) {
+          throw httpError(400, "mapping must be JSON");
+        }
+        const mappingErrors = validateMapping(mapping);
+        if (mappingErrors.length) {
+          throw httpError(400, mappingErrors.join("; "));
+        }
+      }
+
+      const dryRun = req.body.dry_run === "true";
+      const options = {
+        mapping,
+        createMissing: req.body.create_missing !== "false",
+        location: req.body.location || null
+      };
+
+      const parsed = await parseImportFile(file);
+      if (!parsed.length) {
+        throw httpError(400, "File has no data rows");
+      }
+
+      const missing = ["sku"].filter(
+        f => !Object.prototype.hasOwnProperty.call(parsed[0].values, mapping[f] || f)
+      );
+      if (missing.length) {
+        throw httpError(
+          400,
+          `Missing column for ${missing.join(", ")}; columns are: ${Object.keys(parsed[0].values).join(", ")}`
+        );
+      }
+
+      const result = dryRun
+        ? await planImport(pool, parsed, options)
+        : await withTransaction(pool, async client => {
+            const plan = await planImport(client, parsed, { ...options, lock: true });
+            if (!plan.errors.length) {
+              await applyImport(client, plan.changes, {
+                reference: file.originalname,
+                user: currentUser(req)
+              });
+            }
+            return plan;
+          });
+
+      if (!dryRun && result.errors.length) {
+        throw httpError(422, `Nothing imported from ${file.originalname}`, result.errors);
+      }
+
+      const count = action => result.changes.filter(c => c.action === action).length;
+      res.json({
+        mode: dryRun ? "dry_run" : "apply",
+        applied: !dryRun,
+        file: file.originalname,
+        fields: Object.keys(IMPORT_FIELDS),
+        rows: parsed.length,
+        summary: {
+          create: count("create"),
+          update: count("update"),
+          unchanged: count("unchanged"),
+          errors: result.errors.length
+        },
+        errors: result.errors,
+        changes: result.changes.filter(c => c.action !== "unchanged")
+      });
+    } finally {
+      if (file) fs.promises.unlink(file.path).catch(() => {});
+    }
+  });
+
+  return router;
+}
+
+module.exports = {
+  inventoryRouter
+};
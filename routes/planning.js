@@ -0,0 +1,191 @@
+// Planning policies: coverage, review period and order rounding set
+// globally or per supplier, category or product (see planning.js).
+
+const { POLICY_FIELDS, POLICY_SCOPES, resolvePolicy } = require("../planning");
+const { withTransaction } = require("../db");
+const { httpError } = require("../errors");
+const { createRouter, allow, validate, currentUser } = require("../http");
+const { id, nullable, oneOf, object, arrayOf, idParams, record } = require("../schemas");
+const { recordAudit, auditedUpdate } = require("../services/audit");
+const {
+  EFFECTIVE_POLICY,
+  POLICY_RECORD,
+  NEW_POLICY_SCHEMA,
+  POLICY_CHANGES_SCHEMA,
+  loadPlanningPolicies
+} = require("../services/planning");
+
+function planningRouter(pool) {
+  const router = createRouter();
+
+  const listPolicies = validate({
+    query: object({ scope: oneOf(POLICY_SCOPES) }),
+    response: arrayOf(POLICY_RECORD)
+  });
+  router.get("/planning/policies", allow("read"), listPolicies, async (req, res) => {
+    const { scope = null } = req.query;
+
+    const { rows } = await pool.query(
+      `SELECT * FROM planning_policies
+       WHERE ($1::text IS NULL OR scope = $1)
+       ORDER BY array_position($2::text[], scope), scope_id`,
+      [scope, POLICY_SCOPES.slice().reverse()]
+    );
+
+    res.json(rows);
+  });
+
+  // EFFECTIVE policy for a product, with where each value came from
+  const effectivePolicy = validate({
+    query: object({ product_id: id }, ["product_id"]),
+    response: record({
+      product_id: id,
+      category_id: nullable(id),
+      supplier_id: nullable(id),
+      ...EFFECTIVE_POLICY.properties
+    }),
+    errors: ["NOT_FOUND"]
+  });
+  router.get("/planning/policies/effective", allow("read"), effectivePolicy, async (req, res) => {
+    const { product_id } = req.query;
+
+    const { rows } = await pool.query(
+      `SELECT id AS product_id, category_id, supplier_id
+       FROM products WHERE id = $1`,
+      [product_id]
+    );
+
+    if (!rows.length) {
+      throw httpError(404, "Product not found");
+    }
+
+    const policies = await loadPlanningPolicies(pool);
+    res.json({ ...rows[0], ...resolvePolicy(policies, rows[0]) });
+  });
+
+  const policyById = validate({ params: idParams, response: POLICY_RECORD, errors: ["NOT_FOUND"] });
+  router.get("/planning/policies/:id", allow("read"), policyById, async (req, res) => {
+    const { rows } = await pool.query(
+      `SELECT * FROM planning_policies WHERE id = $1`,
+      [req.params.id]
+    );
+
+    if (!rows.length) {
+      throw httpError(404, "Policy not found");
+    }
+
+    res.json(rows[0]);
+  });
+
+  const createPolicy = validate({
+    body: NEW_POLICY_SCHEMA,
+    response: POLICY_RECORD,
+    errors: ["CONFLICT"]
+  });
+  router.post("/planning/policies", allow("planning.write"), createPolicy, async (req, res) => {
+    const { scope, scope_id = null } = req.body;
+
+    try {
+      const policy = await withTransaction(pool, async client => {
+        const { rows } = await client.query(
+          `INSERT INTO planning_policies
+             (scope, scope_id, ${POLICY_FIELDS.join(", ")})
+           VALUES ($1, $2, ${POLICY_FIELDS.map((_, i) => `$${i + 3}`).join(", ")})
+           RETURNING *`,
+          [scope, scope_id, ...POLICY_FIELDS.map(f => req.body[f] ?? null)]
+        );
+        await recordAudit(client, {
+          actor: currentUser(req),
+          entity: "planning_policy",
+          entity_id: rows[0].id,
+          action: "create",
+          after: rows[0]
+        });
+        return rows[0];
+      });
+      res.json(policy);
+    } catch (err) {
+      if (err.code === "23505") {
+        throw httpError(409, `A ${scope} policy already exists for ${scope_id ?? "global"}`);
+      }
+      throw err;
+    }
+  });
+
+  // UPDATE policy fields; send null to go back to inheriting a field
+  const updatePolicy = validate({
+    params: idParams,
+    body: POLICY_CHANGES_SCHEMA,
+    response: POLICY_RECORD,
+    errors: ["NOT_FOUND"]
+  });
+  router.patch("/planning/policies/:id", allow("planning.write"), updatePolicy, async (req, res) => {
+    const fields = POLICY_FIELDS.filter(f => req.body[f] !== undefined);
+
+    const policy = await withTransaction(pool, async client => {
+      const updated = await auditedUpdate(
+        client,
+        {
+          table: "planning_policies",
+          entity: "planning_policy",
+          id: req.params.id,
+          actor: currentUser(req)
+        },
+        `UPDATE planning_policies
+         SET ${fields.map((f, i) => `${f} = $${i + 2}`).join(", ")},
+             updated_at = NOW()
+         WHERE id = $1
+         RETURNING *`,
+        [req.params.id, ...fields.map(f => req.body[f])]
+      );
+
+      if (!updated) {
+        throw httpError(404, "Policy not found");
+      }
+      if (
+        updated.scope === "global" &&
+        POLICY_FIELDS.some(f => updated[f] === null)
+      ) {
+        throw httpError(400, "The global policy must set every field");
+      }
+
+      return updated;
+    });
+
+    res.json(policy);
+  });
+
+  router.delete("/planning/policies/:id", allow("planning.write"), policyById, async (req, res) => {
+    const policy = await withTransaction(pool, async client => {
+      const { rows } = await client.query(
+        `DELETE FROM planning_policies
+         WHERE id = $1 AND scope <> 'global'
+         RETURNING *`,
+        [req.params.id]
+      );
+
+      if (!rows.length) return null;
+
+      await recordAudit(client, {
+        actor: currentUser(req),
+        entity: "planning_policy",
+        entity_id: rows[0].id,
+        action: "delete",
+        before: rows[0]
+      });
+      return rows[0];
+    });
+
+    if (!policy) {
+      throw httpError(404, "Policy not found (the global policy cannot be deleted)");
+    }
+
+    res.json(policy);
+  });
+
+  return router;
+}
+
+module.exports = {
+  planningRouter
+};
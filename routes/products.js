@@ -0,0 +1,787 @@
+// Products: list / detail / create / update / archive, kits, variants,
+// categories and per-product planning settings.
+
+const { withTransaction } = require("../db");
+const { httpError } = require("../errors");
+const { createRouter, allow, validate, currentUser } = require("../http");
+const {
+  id,
+  count,
+  positive,
+  text,
+  url,
+  csv,
+  serviceLevel,
+  nullable,
+  oneOf,
+  object,
+  changes,
+  arrayOf,
+  limit,
+  idParams,
+  record,
+  string,
+  integer,
+  decimal,
+  timestamp
+} = require("../schemas");
+const { auditChanges, recordAudit, auditedUpdate } = require("../services/audit");
+const {
+  PRODUCT_FIELDS,
+  AVAILABLE_STOCK_SQL,
+  PRODUCT_SORTS,
+  PRODUCT_KINDS,
+  NEW_PRODUCT_SCHEMA,
+  PRODUCT_CHANGES_SCHEMA,
+  PRODUCT_RECORD,
+  PRODUCT_LISTING,
+  VARIANT_STATS,
+  VARIANT_TOTALS,
+  VARIANT_STATS_SQL,
+  rollupVariants,
+  checkParent,
+  normalizeTags,
+  productValues,
+  encodeCursor,
+  decodeCursor
+} = require("../services/products");
+const { recordStockMovement } = require("../services/stock");
+const { setPreferredSupplier } = require("../services/suppliers");
+
+// A duplicate SKU as the conflict it is; anything else unchanged
+function productError(err) {
+  return err.code === "23505"
+    ? httpError(409, "A product with that SKU already exists")
+    : err;
+}
+
+const SORT_KEYS = Object.keys(PRODUCT_SORTS);
+
+// An ILIKE pattern (with ESCAPE '\') matching q anywhere; a % or _ in q
+// is matched as itself, not as a wildcard.
+function containsPattern(q) {
+  return `%${q.replace(/[\\%_]/g, "\\$&")}%`;
+}
+
+function productsRouter(pool) {
+  const router = createRouter();
+
+  // LIST products
+  // query:
+  //   q=text            SKU or name contains (case-insensitive)
+  //   supplier_id, category_id
+  //   tag=a,b           has every listed tag
+  //   kind, parent_id   e.g. kind=kit, or the variants of one parent
+  //   status=active     active (default), archived or all
+  //   sort=name         sku (default), name, stock, created_at, updated_at;
+  //                     prefix with - for descending
+  //   limit=50 (max 200), cursor=<next_cursor from the previous page>
+  const listQuery = object({
+    q: { type: "string" },
+    supplier_id: id,
+    category_id: id,
+    tag: csv,
+    kind: oneOf(PRODUCT_KINDS),
+    parent_id: id,
+    status: { ...oneOf(["active", "archived", "all"]), default: "active" },
+    sort: { ...oneOf([...SORT_KEYS, ...SORT_KEYS.map(k => `-${k}`)]), default: "sku" },
+    limit: limit(50, 200),
+    cursor: { type: "string" }
+  });
+  const listProducts = validate({
+    query: listQuery,
+    response: record({ data: arrayOf(PRODUCT_LISTING), next_cursor: nullable(string) })
+  });
+  router.get("/products", allow("read"), listProducts, async (req, res) => {
+    const {
+      q = null,
+      supplier_id = null,
+      category_id = null,
+      kind = null,
+      parent_id = null,
+      tag = null,
+      status = "active",
+      sort = "sku",
+      limit = 50,
+      cursor = null
+    } = req.query;
+    const descending = sort.startsWith("-");
+    const sortKey = PRODUCT_SORTS[descending ? sort.slice(1) : sort];
+
+    const after = cursor ? decodeCursor(cursor) : null;
+    const tags = tag ? normalizeTags(tag.split(",").filter(t => t.trim())) : null;
+
+    const { rows } = await pool.query(
+      `SELECT
+         p.*,
+         c.name AS category_name,
+         s.name AS supplier_name,
+         ${AVAILABLE_STOCK_SQL} AS available_stock,
+         (${sortKey.sql})::text AS sort_value
+       FROM products p
+       LEFT JOIN categories c ON c.id = p.category_id
+       LEFT JOIN suppliers s ON s.id = p.supplier_id
+       WHERE ($1::text IS NULL
+              OR p.sku ILIKE $1 ESCAPE '\\'
+              OR p.name ILIKE $1 ESCAPE '\\')
+         AND ($2::int IS NULL OR p.supplier_id = $2)
+         AND ($3::int IS NULL OR p.category_id = $3)
+         AND ($4::text[] IS NULL OR p.tags @> $4)
+         AND CASE $5
+               WHEN 'active' THEN p.archived_at IS NULL
+               WHEN 'archived' THEN p.archived_at IS NOT NULL
+               ELSE TRUE
+             END
+         AND ($6::int IS NULL
+              OR (${sortKey.sql}, p.id) ${descending ? "<" : ">"} ($7::${sortKey.type}, $6))
+         AND ($9::text IS NULL OR p.kind = $9)
+         AND ($10::int IS NULL OR p.parent_id = $10)
+       ORDER BY ${sortKey.sql} ${descending ? "DESC" : "ASC"}, p.id ${descending ? "DESC" : "ASC"}
+       LIMIT $8`,
+      [
+        q && q.trim() ? containsPattern(q.trim()) : null,
+        supplier_id,
+        category_id,
+        tags,
+        status,
+        after ? after.id : null,
+        after ? after.value : null,
+        limit + 1,
+        kind,
+        parent_id
+      ]
+    );
+
+    const page = rows.slice(0, limit);
+    const last = page[page.length - 1];
+
+    res.json({
+      data: page.map(({ sort_value, ...product }) => product),
+      next_cursor: rows.length > limit ? encodeCursor(last.sort_value, last.id) : null
+    });
+  });
+
+  // Tags in use on active products, with how many carry each
+  const listTags = validate({ response: arrayOf(record({ tag: string, products: integer })) });
+  router.get("/products/tags", allow("read"), listTags, async (req, res) => {
+    const { rows } = await pool.query(
+      `SELECT tag, COUNT(*)::int AS products
+       FROM products p, UNNEST(p.tags) AS tag
+       WHERE p.archived_at IS NULL
+       GROUP BY tag
+       ORDER BY tag`
+    );
+    res.json(rows);
+  });
+
+  const getProduct = validate({
+    params: idParams,
+    response: PRODUCT_LISTING,
+    errors: ["NOT_FOUND"]
+  });
+  router.get("/products/:id(\\d+)", allow("read"), getProduct, async (req, res) => {
+    const { rows } = await pool.query(
+      `SELECT
+         p.*,
+         c.name AS category_name,
+         s.name AS supplier_name,
+         ${AVAILABLE_STOCK_SQL} AS available_stock
+       FROM products p
+       LEFT JOIN categories c ON c.id = p.category_id
+       LEFT JOIN suppliers s ON s.id = p.supplier_id
+       WHERE p.id = $1`,
+      [req.params.id]
+    );
+
+    if (!rows.length) {
+      throw httpError(404, "Product not found");
+    }
+
+    res.json(rows[0]);
+  });
+
+  // CREATE product
+  // body: { sku, name, kind, stock, supplier_id, ...PRODUCT_FIELDS }
+  const createProduct = validate({
+    body: NEW_PRODUCT_SCHEMA,
+    response: PRODUCT_RECORD,
+    errors: ["CONFLICT"]
+  });
+  router.post("/products", allow("products.write"), createProduct, async (req, res) => {
+    const { stock = 0, supplier_id = null } = req.body;
+    const fields = [
+      ...PRODUCT_FIELDS.filter(f => req.body[f] !== undefined),
+      ...(req.body.kind ? ["kind"] : [])
+    ];
+
+    try {
+      const product = await withTransaction(pool, async client => {
+        await checkParent(client, {
+          kind: req.body.kind || "standard",
+          parent_id: req.body.parent_id
+        });
+
+        const { rows } = await client.query(
+          `INSERT INTO products (${fields.join(", ")}, stock)
+           VALUES (${fields.map((_, i) => `$${i + 1}`).join(", ")}, 0)
+           RETURNING *`,
+          productValues(req.body, fields)
+        );
+        await recordAudit(client, {
+          actor: currentUser(req),
+          entity: "product",
+          entity_id: rows[0].id,
+          action: "create",
+          after: rows[0]
+        });
+
+        if (supplier_id !== null) {
+          await setPreferredSupplier(client, rows[0].id, supplier_id, {
+            actor: currentUser(req)
+          });
+        }
+        if (stock !== 0) {
+          await recordStockMovement(client, {
+            product_id: rows[0].id,
+            quantity_change: stock,
+            reason: "adjustment",
+            user: currentUser(req),
+            note: "initial stock"
+          });
+        }
+
+        const fresh = await client.query(`SELECT * FROM products WHERE id = $1`, [rows[0].id]);
+        return fresh.rows[0];
+      });
+
+      res.json(product);
+    } catch (err) {
+      throw productError(err);
+    }
+  });
+
+  // UPDATE any of PRODUCT_FIELDS (and supplier_id); fields not sent are left
+  // as they are
+  const updateProduct = validate({
+    params: idParams,
+    body: PRODUCT_CHANGES_SCHEMA,
+    response: PRODUCT_RECORD,
+    errors: ["NOT_FOUND", "CONFLICT"]
+  });
+  router.patch("/products/:id(\\d+)", allow("products.write"), updateProduct, async (req, res) => {
+    const { id } = req.params;
+    const { supplier_id } = req.body;
+    const fields = PRODUCT_FIELDS.filter(f => req.body[f] !== undefined);
+
+    try {
+      const product = await withTransaction(pool, async client => {
+        let updated = null;
+
+        if (req.body.parent_id !== undefined) {
+          const current = await client.query(`SELECT kind FROM products WHERE id = $1`, [id]);
+          if (!current.rows.length) throw httpError(404, "Product not found");
+          await checkParent(client, { id, kind: current.rows[0].kind, parent_id: req.body.parent_id });
+        }
+
+        if (fields.length) {
+          updated = await auditedUpdate(
+            client,
+            { table: "products", entity: "product", id, actor: currentUser(req) },
+            `UPDATE products
+             SET ${fields.map((f, i) => `${f} = $${i + 2}`).join(", ")},
+                 updated_at = NOW()
+             WHERE id = $1
+             RETURNING *`,
+            [id, ...productValues(req.body, fields)]
+          );
+          if (!updated) throw httpError(404, "Product not found");
+        }
+        if (supplier_id !== undefined) {
+          updated = await setPreferredSupplier(client, id, supplier_id, {
+            actor: currentUser(req)
+          });
+        }
+
+        return updated;
+      });
+
+      res.json(product);
+    } catch (err) {
+      throw productError(err);
+    }
+  });
+
+  // ARCHIVE a product. It drops out of planning, suggestions and new POs;
+  // its sales, stock history and existing POs are kept.
+  const productById = validate({
+    params: idParams,
+    response: PRODUCT_RECORD,
+    errors: ["NOT_FOUND"]
+  });
+  router.delete("/products/:id(\\d+)", allow("products.write"), productById, async (req, res) => {
+    const product = await withTransaction(pool, client =>
+      auditedUpdate(
+        client,
+        {
+          table: "products",
+          entity: "product",
+          id: req.params.id,
+          actor: currentUser(req),
+          action: "archive"
+        },
+        `UPDATE products
+         SET archived_at = COALESCE(archived_at, NOW()), updated_at = NOW()
+         WHERE id = $1
+         RETURNING *`,
+        [req.params.id]
+      )
+    );
+
+    if (!product) {
+      throw httpError(404, "Product not found");
+    }
+
+    res.json(product);
+  });
+
+  router.post("/products/:id(\\d+)/restore", allow("products.write"), productById, async (req, res) => {
+    const product = await withTransaction(pool, client =>
+      auditedUpdate(
+        client,
+        {
+          table: "products",
+          entity: "product",
+          id: req.params.id,
+          actor: currentUser(req),
+          action: "restore"
+        },
+        `UPDATE products
+         SET archived_at = NULL, updated_at = NOW()
+         WHERE id = $1
+         RETURNING *`,
+        [req.params.id]
+      )
+    );
+
+    if (!product) {
+      throw httpError(404, "Product not found");
+    }
+
+    res.json(product);
+  });
+
+  // KITS
+  // Components of a kit and how many kits their stock covers (per location
+  // with ?location_id=)
+  const kitComponents = validate({
+    params: idParams,
+    query: object({ location_id: id }),
+    response: record({
+      kit_id: id,
+      sku: string,
+      location_id: nullable(id),
+      available_stock: integer,
+      components: arrayOf(record({
+        product_id: id,
+        sku: string,
+        name: string,
+        quantity: integer,
+        stock: integer,
+        kits_covered: integer
+      }))
+    }),
+    errors: ["NOT_FOUND"]
+  });
+  router.get("/products/:id(\\d+)/components", allow("read"), kitComponents, async (req, res) => {
+    const { location_id = null } = req.query;
+
+    const kit = await pool.query(`SELECT id, sku, kind FROM products WHERE id = $1`, [
+      req.params.id
+    ]);
+    if (!kit.rows.length) {
+      throw httpError(404, "Product not found");
+    }
+    if (kit.rows[0].kind !== "kit") {
+      throw httpError(400, "Product is not a kit");
+    }
+
+    const { rows } = await pool.query(
+      `SELECT
+         kc.component_id AS product_id,
+         p.sku,
+         p.name,
+         kc.quantity,
+         ${location_id ? "COALESCE(pl.stock, 0)" : "p.stock"} AS stock,
+         GREATEST(FLOOR(${location_id ? "COALESCE(pl.stock, 0)" : "p.stock"}::numeric / kc.quantity), 0)::int
+           AS kits_covered
+       FROM kit_components kc
+       JOIN products p ON p.id = kc.component_id
+       LEFT JOIN product_locations pl
+         ON pl.product_id = p.id AND pl.location_id = $2
+       WHERE kc.kit_id = $1
+       ORDER BY p.sku`,
+      [req.params.id, location_id]
+    );
+
+    res.json({
+      kit_id: kit.rows[0].id,
+      sku: kit.rows[0].sku,
+      location_id,
+      available_stock: rows.length ? Math.min(...rows.map(r => r.kits_covered)) : 0,
+      components: rows
+    });
+  });
+
+  // REPLACE a kit's components
+  // body: { components: [{ product_id, quantity }] }
+  const component = object({ product_id: id, quantity: positive }, ["product_id", "quantity"]);
+  const replaceComponents = validate({
+    params: idParams,
+    body: object({ components: arrayOf(component, { minItems: 1 }) }, ["components"]),
+    response: record({ kit_id: id, components: arrayOf(record(component.properties)) }),
+    errors: ["NOT_FOUND"]
+  });
+  router.put("/products/:id(\\d+)/components", allow("products.write"), replaceComponents, async (req, res) => {
+    const { components } = req.body;
+    const ids = components.map(c => c.product_id);
+
+    if (new Set(ids).size !== ids.length) {
+      throw httpError(400, "each component may only be listed once");
+    }
+
+    const result = await withTransaction(pool, async client => {
+      const kit = await client.query(
+        `SELECT id, kind FROM products WHERE id = $1 FOR UPDATE`,
+        [req.params.id]
+      );
+      if (!kit.rows.length) throw httpError(404, "Product not found");
+      if (kit.rows[0].kind !== "kit") throw httpError(400, "Product is not a kit");
+
+      const found = await client.query(
+        `SELECT id, kind FROM products WHERE id = ANY($1)`,
+        [ids]
+      );
+      const missing = ids.filter(id => !found.rows.some(r => r.id === id));
+      if (missing.length) {
+        throw httpError(400, `Unknown product(s): ${missing.join(", ")}`);
+      }
+      const notStocked = found.rows.filter(r => r.kind !== "standard").map(r => r.id);
+      if (notStocked.length) {
+        throw httpError(400, `Components must be standard products: ${notStocked.join(", ")}`);
+      }
+
+      const before = await client.query(
+        `DELETE FROM kit_components WHERE kit_id = $1
+         RETURNING component_id AS product_id, quantity`,
+        [req.params.id]
+      );
+      for (const c of components) {
+        await client.query(
+          `INSERT INTO kit_components (kit_id, component_id, quantity)
+           VALUES ($1, $2, $3)`,
+          [req.params.id, c.product_id, c.quantity]
+        );
+      }
+
+      const normalized = rows => rows
+        .map(r => ({ product_id: r.product_id, quantity: r.quantity }))
+        .sort((a, b) => a.product_id - b.product_id);
+      await recordAudit(client, {
+        actor: currentUser(req),
+        entity: "product",
+        entity_id: req.params.id,
+        action: "update",
+        changes: auditChanges(
+          { components: normalized(before.rows) },
+          { components: normalized(components) }
+        )
+      });
+
+      return { kit_id: Number(req.params.id), components: normalized(components) };
+    });
+
+    res.json(result);
+  });
+
+  // VARIANTS
+  // A parent's variants with their stock and sales, and the totals across
+  // them
+  const variants = validate({
+    params: idParams,
+    response: record({
+      id,
+      sku: string,
+      name: string,
+      kind: oneOf(["parent"]),
+      totals: VARIANT_TOTALS,
+      variants: arrayOf(VARIANT_STATS)
+    }),
+    errors: ["NOT_FOUND"]
+  });
+  router.get("/products/:id(\\d+)/variants", allow("read"), variants, async (req, res) => {
+    const parent = await pool.query(
+      `SELECT id, sku, name, kind FROM products WHERE id = $1`,
+      [req.params.id]
+    );
+    if (!parent.rows.length) {
+      throw httpError(404, "Product not found");
+    }
+    if (parent.rows[0].kind !== "parent") {
+      throw httpError(400, "Product is not a parent product");
+    }
+
+    const { rows } = await pool.query(
+      `${VARIANT_STATS_SQL}
+       WHERE v.parent_id = $1 AND v.archived_at IS NULL
+       ORDER BY v.sku`,
+      [req.params.id]
+    );
+
+    res.json({
+      ...parent.rows[0],
+      totals: rollupVariants(rows),
+      variants: rows
+    });
+  });
+
+  const setLeadTime = validate({
+    params: idParams,
+    body: object({ lead_time_days: nullable(count) }, ["lead_time_days"]),
+    response: PRODUCT_RECORD,
+    errors: ["NOT_FOUND"]
+  });
+  router.patch("/products/:id/lead-time", allow("products.write"), setLeadTime, async (req, res) => {
+    const { id } = req.params;
+    const { lead_time_days } = req.body;
+
+    const product = await withTransaction(pool, client =>
+      auditedUpdate(
+        client,
+        { table: "products", entity: "product", id, actor: currentUser(req) },
+        `
+        UPDATE products
+        SET lead_time_days = $1, updated_at = NOW()
+        WHERE id = $2
+        RETURNING *
+        `,
+        [lead_time_days, id]
+      )
+    );
+
+    if (!product) {
+      throw httpError(404, "Product not found");
+    }
+
+    res.json(product);
+  });
+
+  const setServiceLevel = validate({
+    params: idParams,
+    body: object({ service_level: nullable(serviceLevel) }, ["service_level"]),
+    response: PRODUCT_RECORD,
+    errors: ["NOT_FOUND"]
+  });
+  router.patch("/products/:id/service-level", allow("planning.write"), setServiceLevel, async (req, res) => {
+    const { id } = req.params;
+    const { service_level } = req.body;
+
+    const product = await withTransaction(pool, client =>
+      auditedUpdate(
+        client,
+        { table: "products", entity: "product", id, actor: currentUser(req) },
+        `
+        UPDATE products
+        SET service_level = $1, updated_at = NOW()
+        WHERE id = $2
+        RETURNING *
+        `,
+        [service_level, id]
+      )
+    );
+
+    if (!product) {
+      throw httpError(404, "Product not found");
+    }
+
+    res.json(product);
+  });
+
+  const setCategory = validate({
+    params: idParams,
+    body: object({ category_id: nullable(id) }, ["category_id"]),
+    response: PRODUCT_RECORD,
+    errors: ["NOT_FOUND"]
+  });
+  router.patch("/products/:id/category", allow("products.write"), setCategory, async (req, res) => {
+    const { id } = req.params;
+    const { category_id } = req.body;
+
+    try {
+      const product = await withTransaction(pool, client =>
+        auditedUpdate(
+          client,
+          { table: "products", entity: "product", id, actor: currentUser(req) },
+          `
+          UPDATE products
+          SET category_id = $1, updated_at = NOW()
+          WHERE id = $2
+          RETURNING *
+          `,
+          [category_id, id]
+        )
+      );
+
+      if (!product) {
+        throw httpError(404, "Product not found");
+      }
+
+      res.json(product);
+    } catch (err) {
+      if (err.code === "23503") {
+        throw httpError(400, `Category ${category_id} not found`);
+      }
+      throw err;
+    }
+  });
+
+  // CATEGORIES
+  const CATEGORY_RECORD = {
+    title: "Category",
+    ...record({ id, name: string, service_level: nullable(decimal), created_at: timestamp })
+  };
+  const listCategories = validate({
+    response: arrayOf(record({ ...CATEGORY_RECORD.properties, products: integer }))
+  });
+  router.get("/categories", allow("read"), listCategories, async (req, res) => {
+    const { rows } = await pool.query(`
+      SELECT c.*, COUNT(p.id)::int AS products
+      FROM categories c
+      LEFT JOIN products p ON p.category_id = c.id AND p.archived_at IS NULL
+      GROUP BY c.id
+      ORDER BY c.name
+    `);
+    res.json(rows);
+  });
+
+  const CATEGORY_PROPERTIES = { name: text, service_level: nullable(serviceLevel) };
+  const createCategory = validate({
+    body: object(CATEGORY_PROPERTIES, ["name"]),
+    response: CATEGORY_RECORD,
+    errors: ["CONFLICT"]
+  });
+  router.post("/categories", allow("planning.write"), createCategory, async (req, res) => {
+    const { name, service_level = null } = req.body;
+
+    try {
+      const category = await withTransaction(pool, async client => {
+        const { rows } = await client.query(
+          `INSERT INTO categories (name, service_level)
+           VALUES ($1, $2)
+           RETURNING *`,
+          [name, service_level]
+        );
+        await recordAudit(client, {
+          actor: currentUser(req),
+          entity: "category",
+          entity_id: rows[0].id,
+          action: "create",
+          after: rows[0]
+        });
+        return rows[0];
+      });
+      res.json(category);
+    } catch (err) {
+      if (err.code === "23505") {
+        throw httpError(409, `Category ${name} already exists`);
+      }
+      throw err;
+    }
+  });
+
+  const updateCategory = validate({
+    params: idParams,
+    body: changes(CATEGORY_PROPERTIES),
+    response: CATEGORY_RECORD,
+    errors: ["NOT_FOUND", "CONFLICT"]
+  });
+  router.patch("/categories/:id", allow("planning.write"), updateCategory, async (req, res) => {
+    const { id } = req.params;
+    const { name, service_level } = req.body;
+
+    try {
+      const category = await withTransaction(pool, client =>
+        auditedUpdate(
+          client,
+          { table: "categories", entity: "category", id, actor: currentUser(req) },
+          `UPDATE categories
+           SET name = COALESCE($1, name),
+               service_level = CASE WHEN $2 THEN $3::numeric ELSE service_level END
+           WHERE id = $4
+           RETURNING *`,
+          [name, service_level !== undefined, service_level ?? null, id]
+        )
+      );
+
+      if (!category) {
+        throw httpError(404, "Category not found");
+      }
+
+      res.json(category);
+    } catch (err) {
+      if (err.code === "23505") {
+        throw httpError(409, `Category ${name} already exists`);
+      }
+      throw err;
+    }
+  });
+
+  // BULK UPDATE PRODUCT IMAGES
+  // body: { updates: [{ product_id, image_url }] }; unknown products are
+  // skipped
+  const imageUpdate = object({ product_id: id, image_url: nullable(url) }, ["product_id", "image_url"]);
+  const bulkImages = validate({
+    body: object({ updates: arrayOf(imageUpdate) }, ["updates"]),
+    response: record({
+      updated: integer,
+      products: arrayOf(record({ id, name: string, image_url: nullable(string) }))
+    })
+  });
+  router.patch("/products/images/bulk", allow("products.write"), bulkImages, async (req, res) => {
+    const { updates } = req.body;
+
+    const results = await withTransaction(pool, async client => {
+      const updated = [];
+
+      for (const item of updates) {
+        const product = await auditedUpdate(
+          client,
+          { table: "products", entity: "product", id: item.product_id, actor: currentUser(req) },
+          `
+          UPDATE products
+          SET image_url = $1, updated_at = NOW()
+          WHERE id = $2
+          RETURNING *
+          `,
+          [item.image_url, item.product_id]
+        );
+
+        if (product) {
+          updated.push({ id: product.id, name: product.name, image_url: product.image_url });
+        }
+      }
+
+      return updated;
+    });
+
+    res.json({
+      updated: results.length,
+      products: results
+    });
+  });
+
+  return router;
+}
+
+module.exports = {
+  productsRouter
+};
@@ -0,0 +1,902 @@
+// Purchase orders: drafting, editing, the status flow, receiving, and the
+// order suggestions and recommendations built from the replenishment plan.
+
+const { Parser } = require("json2csv");
+const { demandOver, daysUntilStockout } = require("../forecast");
+const { withTransaction } = require("../db");
+const { httpError } = require("../errors");
+const { createRouter, allow, validate, currentUser } = require("../http");
+const {
+  id,
+  count,
+  positive,
+  money,
+  date,
+  currency,
+  nullable,
+  oneOf,
+  object,
+  changes,
+  arrayOf,
+  idParams,
+  record,
+  string,
+  integer,
+  number,
+  decimal,
+  timestamp,
+  csvFile
+} = require("../schemas");
+const { CLASS_FILTER_QUERY, classFilter } = require("../services/analytics");
+const { recordAudit, auditedUpdate } = require("../services/audit");
+const { emitEvent } = require("../services/events");
+const {
+  FORECAST_METHOD,
+  EFFECTIVE_POLICY,
+  ORDER_SUGGESTION,
+  forecastFor,
+  loadDemandHistory,
+  planProducts,
+  orderSuggestions
+} = require("../services/planning");
+const {
+  PO_STATUSES,
+  PO_RECORD,
+  PO_LINE_RECORD,
+  PO_LINE_PROPERTIES,
+  PO_LINE_SCHEMA,
+  NEW_PO_SCHEMA,
+  loadPurchaseOrder,
+  lockPurchaseOrder,
+  transitionPurchaseOrder,
+  insertPoLines,
+  auditPoLine,
+  createPurchaseOrder
+} = require("../services/purchase-orders");
+const { resolveLocationId, recordStockMovement } = require("../services/stock");
+
+const lineParams = object({ id, itemId: id }, ["id", "itemId"]);
+
+function purchaseOrdersRouter(pool) {
+  const router = createRouter();
+
+  // PO with its lines
+  const poById = validate({ params: idParams, response: PO_RECORD, errors: ["NOT_FOUND"] });
+  router.get("/purchase-orders/:id(\\d+)", allow("read"), poById, async (req, res) => {
+    const { id } = req.params;
+
+    const po = await loadPurchaseOrder(pool, id);
+
+    if (!po) {
+      throw httpError(404, "PO not found");
+    }
+
+    res.json(po);
+  });
+
+  // Get items for a specific PO
+  const poLines = validate({ params: idParams, response: arrayOf(PO_LINE_RECORD) });
+  router.get("/purchase-orders/:id/items", allow("read"), poLines, async (req, res) => {
+    const { id } = req.params;
+
+    const { rows } = await pool.query(`
+      SELECT
+        poi.id AS item_id,
+        poi.product_id,
+        p.sku,
+        p.name,
+        poi.quantity,
+        poi.quantity_received,
+        GREATEST(poi.quantity - poi.quantity_received, 0) AS quantity_remaining,
+        poi.unit_cost,
+        po.currency,
+        poi.expected_date
+      FROM purchase_order_items poi
+      JOIN purchase_orders po ON po.id = poi.purchase_order_id
+      JOIN products p ON p.id = poi.product_id
+      WHERE poi.purchase_order_id = $1
+      ORDER BY poi.id
+    `, [id]);
+
+    res.json(rows);
+  });
+
+  // RECEIVE a purchase order (partial / multi-shipment)
+  // body: { items: [{ item_id, quantity, unit_cost? }], location_id,
+  //         over_receipt_tolerance_pct, reference, notes }
+  // Omitting items receives whatever is still outstanding on every line;
+  // each item_id may be listed once. Receiving past the ordered quantity
+  // (plus the tolerance) is a 409, like receiving a PO that isn't open.
+  // unit_cost is what the goods actually cost (defaults to the line's price);
+  // each received line opens a cost layer at that price.
+  const receiveLine = object(
+    { item_id: id, quantity: positive, unit_cost: nullable(money) },
+    ["item_id", "quantity"]
+  );
+  const receivePo = validate({
+    params: idParams,
+    body: object({
+      items: arrayOf(receiveLine, { minItems: 1 }),
+      location_id: nullable(id),
+      over_receipt_tolerance_pct: { type: "number", minimum: 0, default: 0 },
+      reference: nullable({ type: "string" }),
+      notes: nullable({ type: "string" })
+    }),
+    response: record({
+      purchase_order_id: id,
+      receipt_id: id,
+      location_id: id,
+      status: oneOf(["PARTIALLY_RECEIVED", "RECEIVED"]),
+      items: arrayOf(record({
+        item_id: id,
+        product_id: id,
+        quantity_ordered: integer,
+        quantity_received: integer
+      }))
+    }),
+    errors: ["NOT_FOUND", "CONFLICT"]
+  });
+  router.post("/purchase-orders/:id/receive", allow("po.receive"), receivePo, async (req, res) => {
+    const poId = req.params.id;
+    const {
+      items,
+      location_id = null,
+      over_receipt_tolerance_pct: tolerance = 0,
+      reference = null,
+      notes = null
+    } = req.body;
+
+    const result = await withTransaction(pool, async client => {
+      // 1️⃣ Lock PO & make sure it can still be received
+      const poRes = await client.query(
+        `SELECT id, status FROM purchase_orders WHERE id = $1 FOR UPDATE`,
+        [poId]
+      );
+
+      if (!poRes.rows.length) {
+        throw httpError(404, "PO not found");
+      }
+
+      const status = poRes.rows[0].status;
+      if (status === "RECEIVED") {
+        throw httpError(409, "PO already received");
+      }
+      if (!["CONFIRMED", "PARTIALLY_RECEIVED"].includes(status)) {
+        throw httpError(409, `PO must be CONFIRMED to receive (is ${status})`);
+      }
+
+      // 2️⃣ Lock PO lines
+      const linesRes = await client.query(
+        `SELECT id, product_id, quantity, quantity_received, unit_cost
+         FROM purchase_order_items
+         WHERE purchase_order_id = $1
+         ORDER BY id
+         FOR UPDATE`,
+        [poId]
+      );
+      const lines = new Map(linesRes.rows.map(l => [l.id, l]));
+
+      if (!lines.size) {
+        throw httpError(400, "PO has no items to receive");
+      }
+
+      const receiving = items
+        ? items.map(i => ({ item_id: i.item_id, quantity: i.quantity, unit_cost: i.unit_cost ?? null }))
+        : linesRes.rows
+            .map(l => ({ item_id: l.id, quantity: l.quantity - l.quantity_received, unit_cost: null }))
+            .filter(i => i.quantity > 0);
+
+      if (!receiving.length) {
+        throw httpError(409, "Nothing left to receive on this PO");
+      }
+
+      // 3️⃣ Validate quantities against what was ordered
+      const listed = new Set();
+      for (const r of receiving) {
+        const line = lines.get(r.item_id);
+        if (!line) {
+          throw httpError(400, `Item ${r.item_id} is not on PO ${poId}`);
+        }
+        if (listed.has(r.item_id)) {
+          throw httpError(400, `Item ${r.item_id} is listed more than once`);
+        }
+        listed.add(r.item_id);
+
+        const allowed = Math.floor(line.quantity * (1 + tolerance / 100));
+        const total = line.quantity_received + r.quantity;
+        if (total > allowed) {
+          throw httpError(
+            409,
+            `Item ${r.item_id}: receiving ${r.quantity} would bring received to ${total}, ` +
+            `ordered ${line.quantity}` + (tolerance ? ` (+${tolerance}% tolerance)` : "")
+          );
+        }
+        line.quantity_received = total;
+      }
+
+      // 4️⃣ Record the shipment
+      const locationId = await resolveLocationId(client, location_id);
+      const receiptRes = await client.query(
+        `INSERT INTO purchase_order_receipts (purchase_order_id, reference, notes)
+         VALUES ($1, $2, $3)
+         RETURNING *`,
+        [poId, reference, notes]
+      );
+      const receipt = receiptRes.rows[0];
+
+      for (const r of receiving) {
+        const line = lines.get(r.item_id);
+        const unitCost = r.unit_cost ?? (line.unit_cost === null ? null : Number(line.unit_cost));
+
+        const receiptItem = await client.query(
+          `INSERT INTO purchase_order_receipt_items
+             (receipt_id, purchase_order_item_id, product_id, quantity, unit_cost)
+           VALUES ($1, $2, $3, $4, $5)
+           RETURNING id`,
+          [receipt.id, line.id, line.product_id, r.quantity, unitCost]
+        );
+
+        await client.query(
+          `UPDATE purchase_order_items
+           SET quantity_received = quantity_received + $1
+           WHERE id = $2`,
+          [r.quantity, line.id]
+        );
+        await recordAudit(client, {
+          actor: currentUser(req),
+          entity: "purchase_order",
+          entity_id: poId,
+          action: "item_received",
+          changes: {
+            [`items.${line.id}.quantity_received`]: {
+              from: line.quantity_received - r.quantity,
+              to: line.quantity_received
+            }
+          }
+        });
+
+        const movement = await recordStockMovement(client, {
+          product_id: line.product_id,
+          location_id: locationId,
+          quantity_change: r.quantity,
+          reason: "receipt",
+          reference_id: receipt.id,
+          user: currentUser(req),
+          note: `PO ${poId}`
+        });
+        if (unitCost !== null) {
+          await client.query(
+            `INSERT INTO cost_layers
+               (product_id, movement_id, receipt_item_id, quantity, unit_cost, received_at)
+             VALUES ($1, $2, $3, $4, $5, $6)`,
+            [
+              line.product_id,
+              movement.id,
+              receiptItem.rows[0].id,
+              r.quantity,
+              unitCost,
+              movement.created_at
+            ]
+          );
+        }
+      }
+
+      // 5️⃣ Move the PO along
+      const complete = [...lines.values()].every(
+        l => l.quantity_received >= l.quantity
+      );
+      const newStatus = complete ? "RECEIVED" : "PARTIALLY_RECEIVED";
+
+      if (newStatus !== status) {
+        await transitionPurchaseOrder(client, poId, newStatus, { actor: currentUser(req) });
+      }
+
+      await emitEvent(client, "purchase_order.receipt_recorded", {
+        purchase_order_id: poId,
+        receipt_id: receipt.id,
+        location_id: locationId,
+        status: newStatus,
+        items: receiving.map(r => ({
+          item_id: r.item_id,
+          product_id: lines.get(r.item_id).product_id,
+          quantity: r.quantity
+        }))
+      });
+
+      return {
+        purchase_order_id: poId,
+        receipt_id: receipt.id,
+        location_id: locationId,
+        status: newStatus,
+        items: [...lines.values()].map(l => ({
+          item_id: l.id,
+          product_id: l.product_id,
+          quantity_ordered: l.quantity,
+          quantity_received: l.quantity_received
+        }))
+      };
+    });
+
+    res.json(result);
+  });
+
+  // LIST shipments received against a PO
+  const receipts = validate({
+    params: idParams,
+    response: arrayOf(record({
+      id,
+      reference: nullable(string),
+      notes: nullable(string),
+      received_at: timestamp,
+      items: arrayOf(record({ item_id: id, product_id: id, sku: string, quantity: integer }))
+    }))
+  });
+  router.get("/purchase-orders/:id/receipts", allow("read"), receipts, async (req, res) => {
+    const { id } = req.params;
+
+    const { rows } = await pool.query(`
+      SELECT
+        r.id,
+        r.reference,
+        r.notes,
+        r.received_at,
+        COALESCE(
+          json_agg(
+            json_build_object(
+              'item_id', ri.purchase_order_item_id,
+              'product_id', ri.product_id,
+              'sku', p.sku,
+              'quantity', ri.quantity
+            ) ORDER BY ri.id
+          ) FILTER (WHERE ri.id IS NOT NULL),
+          '[]'
+        ) AS items
+      FROM purchase_order_receipts r
+      LEFT JOIN purchase_order_receipt_items ri ON ri.receipt_id = r.id
+      LEFT JOIN products p ON p.id = ri.product_id
+      WHERE r.purchase_order_id = $1
+      GROUP BY r.id
+      ORDER BY r.received_at, r.id
+    `, [id]);
+
+    res.json(rows);
+  });
+
+  // LIST ALL PURCHASE ORDERS
+  const listQuery = object({ status: oneOf(PO_STATUSES), supplier_id: id });
+  const listPurchaseOrders = validate({
+    query: listQuery,
+    response: arrayOf(record({
+      id,
+      created_at: timestamp,
+      status: oneOf(PO_STATUSES),
+      supplier_id: nullable(id),
+      supplier_name: nullable(string),
+      currency: string,
+      total_items: decimal,
+      total_units: decimal,
+      total_units_received: decimal,
+      total_cost: decimal,
+      next_expected_date: nullable(timestamp)
+    }))
+  });
+  router.get("/purchase-orders", allow("read"), listPurchaseOrders, async (req, res) => {
+    const { status = null, supplier_id = null } = req.query;
+
+    const { rows } = await pool.query(`
+      SELECT
+        po.id,
+        po.created_at,
+        po.status,
+        po.supplier_id,
+        sup.name AS supplier_name,
+        po.currency,
+        COUNT(poi.id) AS total_items,
+        COALESCE(SUM(poi.quantity), 0) AS total_units,
+        COALESCE(SUM(poi.quantity_received), 0) AS total_units_received,
+        COALESCE(SUM(poi.quantity * poi.unit_cost), 0) AS total_cost,
+        MIN(poi.expected_date) AS next_expected_date
+      FROM purchase_orders po
+      LEFT JOIN suppliers sup
+        ON sup.id = po.supplier_id
+      LEFT JOIN purchase_order_items poi
+        ON poi.purchase_order_id = po.id
+      WHERE ($1::text IS NULL OR po.status = $1)
+        AND ($2::int IS NULL OR po.supplier_id = $2)
+      GROUP BY po.id, sup.name
+      ORDER BY po.id DESC
+    `, [status, supplier_id]);
+
+    res.json(rows);
+  });
+
+  // CREATE draft PO
+  // body: { supplier_id, currency, notes, items: [{ product_id, quantity, unit_cost, expected_date }] }
+  const createPo = validate({ body: NEW_PO_SCHEMA, response: PO_RECORD });
+  router.post("/purchase-orders", allow("po.write"), createPo, async (req, res) => {
+    const po = await withTransaction(pool, async client => {
+      const id = await createPurchaseOrder(client, req.body, { actor: currentUser(req) });
+      return loadPurchaseOrder(client, id);
+    });
+
+    res.json(po);
+  });
+
+  // CREATE draft POs from the planning dashboard's selection, one per
+  // supplier. Each product goes to its preferred supplier unless the item (or
+  // the whole request) names one; products with no supplier share a PO.
+  // body: { supplier_id?, items: [{ product_id, quantity, supplier_id?, ... }] }
+  const dashboardLine = object(
+    { ...PO_LINE_PROPERTIES, supplier_id: nullable(id) },
+    ["product_id", "quantity"]
+  );
+  const fromDashboard = validate({
+    body: object(
+      { supplier_id: nullable(id), items: arrayOf(dashboardLine, { minItems: 1 }) },
+      ["items"]
+    ),
+    response: record({
+      purchase_orders: arrayOf(record({
+        purchase_order_id: id,
+        supplier_id: nullable(id),
+        supplier_name: nullable(string),
+        currency: string,
+        items: integer
+      }))
+    })
+  });
+  router.post("/purchase-orders/from-dashboard", allow("po.write"), fromDashboard, async (req, res) => {
+    const { supplier_id = null, items } = req.body;
+
+    const purchaseOrders = await withTransaction(pool, async client => {
+      const { rows } = await client.query(
+        `SELECT id, supplier_id FROM products WHERE id = ANY($1)`,
+        [items.map(i => i.product_id)]
+      );
+      const preferred = new Map(rows.map(r => [r.id, r.supplier_id]));
+
+      const groups = new Map();
+      for (const item of items) {
+        const supplier =
+          item.supplier_id ?? supplier_id ?? preferred.get(item.product_id) ?? null;
+        if (!groups.has(supplier)) groups.set(supplier, []);
+        groups.get(supplier).push({
+          product_id: item.product_id,
+          quantity: item.quantity,
+          unit_cost: item.unit_cost,
+          expected_date: item.expected_date
+        });
+      }
+
+      const created = [];
+      for (const [supplier, lines] of groups) {
+        const id = await createPurchaseOrder(
+          client,
+          { supplier_id: supplier, items: lines },
+          { actor: currentUser(req) }
+        );
+        const po = await loadPurchaseOrder(client, id);
+        created.push({
+          purchase_order_id: id,
+          supplier_id: po.supplier_id,
+          supplier_name: po.supplier_name,
+          currency: po.currency,
+          items: po.items.length
+        });
+      }
+
+      return created;
+    });
+
+    res.json({ purchase_orders: purchaseOrders });
+  });
+
+  // UPDATE draft PO header
+  const updatePo = validate({
+    params: idParams,
+    body: changes({ supplier_id: nullable(id), currency, notes: nullable({ type: "string" }) }),
+    response: PO_RECORD,
+    errors: ["NOT_FOUND", "CONFLICT"]
+  });
+  router.patch("/purchase-orders/:id(\\d+)", allow("po.write"), updatePo, async (req, res) => {
+    const { supplier_id, currency, notes } = req.body;
+
+    const po = await withTransaction(pool, async client => {
+      await lockPurchaseOrder(client, req.params.id, { draft: true });
+
+      await auditedUpdate(
+        client,
+        {
+          table: "purchase_orders",
+          entity: "purchase_order",
+          id: req.params.id,
+          actor: currentUser(req)
+        },
+        `UPDATE purchase_orders
+         SET supplier_id = CASE WHEN $1 THEN $2::int ELSE supplier_id END,
+             currency = COALESCE($3, currency),
+             notes = CASE WHEN $4 THEN $5 ELSE notes END,
+             updated_at = NOW()
+         WHERE id = $6
+         RETURNING *`,
+        [
+          supplier_id !== undefined,
+          supplier_id ?? null,
+          currency ?? null,
+          notes !== undefined,
+          notes ?? null,
+          req.params.id
+        ]
+      );
+
+      return loadPurchaseOrder(client, req.params.id);
+    });
+
+    res.json(po);
+  });
+
+  // ADD lines to a draft PO
+  // body: { items: [lines] }, or a single line
+  const addLines = validate({
+    params: idParams,
+    body: object({ items: arrayOf(PO_LINE_SCHEMA, { minItems: 1 }), ...PO_LINE_PROPERTIES }),
+    response: PO_RECORD,
+    errors: ["NOT_FOUND", "CONFLICT"]
+  });
+  router.post("/purchase-orders/:id/items", allow("po.write"), addLines, async (req, res) => {
+    const items = Array.isArray(req.body.items) ? req.body.items : [req.body];
+
+    const po = await withTransaction(pool, async client => {
+      await lockPurchaseOrder(client, req.params.id, { draft: true });
+      for (const line of await insertPoLines(client, req.params.id, items)) {
+        await auditPoLine(client, currentUser(req), "item_added", null, line);
+      }
+      return loadPurchaseOrder(client, req.params.id);
+    });
+
+    res.json(po);
+  });
+
+  // UPDATE a draft PO line
+  const updateLine = validate({
+    params: lineParams,
+    body: changes({
+      quantity: positive,
+      unit_cost: nullable(money),
+      expected_date: nullable(date)
+    }),
+    response: PO_RECORD,
+    errors: ["NOT_FOUND", "CONFLICT"]
+  });
+  router.patch("/purchase-orders/:id/items/:itemId", allow("po.write"), updateLine, async (req, res) => {
+    const { quantity, unit_cost, expected_date } = req.body;
+
+    const po = await withTransaction(pool, async client => {
+      await lockPurchaseOrder(client, req.params.id, { draft: true });
+
+      const before = await client.query(
+        `SELECT * FROM purchase_order_items WHERE id = $1 AND purchase_order_id = $2`,
+        [req.params.itemId, req.params.id]
+      );
+      const { rows } = await client.query(
+        `UPDATE purchase_order_items
+         SET quantity = COALESCE($1, quantity),
+             unit_cost = CASE WHEN $2 THEN $3::numeric ELSE unit_cost END,
+             expected_date = CASE WHEN $4 THEN $5::date ELSE expected_date END
+         WHERE id = $6 AND purchase_order_id = $7
+         RETURNING *`,
+        [
+          quantity ?? null,
+          unit_cost !== undefined,
+          unit_cost ?? null,
+          expected_date !== undefined,
+          expected_date ?? null,
+          req.params.itemId,
+          req.params.id
+        ]
+      );
+
+      if (!rows.length) {
+        throw httpError(404, "PO line not found");
+      }
+      await auditPoLine(client, currentUser(req), "item_updated", before.rows[0], rows[0]);
+
+      return loadPurchaseOrder(client, req.params.id);
+    });
+
+    res.json(po);
+  });
+
+  // REMOVE a draft PO line
+  const removeLine = validate({
+    params: lineParams,
+    response: PO_RECORD,
+    errors: ["NOT_FOUND", "CONFLICT"]
+  });
+  router.delete("/purchase-orders/:id/items/:itemId", allow("po.write"), removeLine, async (req, res) => {
+    const po = await withTransaction(pool, async client => {
+      await lockPurchaseOrder(client, req.params.id, { draft: true });
+
+      const { rows } = await client.query(
+        `DELETE FROM purchase_order_items
+         WHERE id = $1 AND purchase_order_id = $2
+         RETURNING *`,
+        [req.params.itemId, req.params.id]
+      );
+
+      if (!rows.length) {
+        throw httpError(404, "PO line not found");
+      }
+      await auditPoLine(client, currentUser(req), "item_removed", rows[0], null);
+
+      return loadPurchaseOrder(client, req.params.id);
+    });
+
+    res.json(po);
+  });
+
+  // STATE TRANSITIONS
+  const transition = validate({
+    params: idParams,
+    response: PO_RECORD,
+    errors: ["NOT_FOUND", "CONFLICT"]
+  });
+
+  router.post("/purchase-orders/:id/submit", allow("po.submit"), transition, async (req, res) => {
+    const po = await withTransaction(pool, async client => {
+      const current = await lockPurchaseOrder(client, req.params.id);
+      const { rows } = await client.query(
+        `SELECT COUNT(*)::int AS lines FROM purchase_order_items
+         WHERE purchase_order_id = $1`,
+        [req.params.id]
+      );
+
+      if (current.status === "DRAFT" && !current.supplier_id) {
+        throw httpError(400, "PO needs a supplier before it can be submitted");
+      }
+      if (current.status === "DRAFT" && rows[0].lines === 0) {
+        throw httpError(400, "PO needs at least one line before it can be submitted");
+      }
+
+      await transitionPurchaseOrder(client, req.params.id, "SUBMITTED", {
+        actor: currentUser(req)
+      });
+      return loadPurchaseOrder(client, req.params.id);
+    });
+
+    res.json(po);
+  });
+
+  router.post("/purchase-orders/:id/confirm", allow("po.submit"), transition, async (req, res) => {
+    const po = await withTransaction(pool, async client => {
+      await transitionPurchaseOrder(client, req.params.id, "CONFIRMED", {
+        actor: currentUser(req)
+      });
+      return loadPurchaseOrder(client, req.params.id);
+    });
+
+    res.json(po);
+  });
+
+  router.post("/purchase-orders/:id/cancel", allow("po.submit"), transition, async (req, res) => {
+    const po = await withTransaction(pool, async client => {
+      await transitionPurchaseOrder(client, req.params.id, "CANCELLED", {
+        actor: currentUser(req)
+      });
+      return loadPurchaseOrder(client, req.params.id);
+    });
+
+    res.json(po);
+  });
+
+  // ?abc_class=&xyz_class= narrow both suggestion endpoints by class
+  const suggestions = validate({
+    query: object(CLASS_FILTER_QUERY),
+    response: arrayOf(ORDER_SUGGESTION)
+  });
+  router.get("/purchase-orders/suggestions", allow("read"), suggestions, async (req, res) => {
+    const inClass = await classFilter(pool, req.query);
+    const suggestions = (await orderSuggestions(pool)).filter(
+      s => s.daily_velocity > 0 &&
+        s.suggested_order_quantity > 0 &&
+        (!inClass || inClass(s.product_id))
+    );
+
+    res.json(suggestions);
+  });
+
+  const suggestionsCsv = validate({ query: object(CLASS_FILTER_QUERY), response: csvFile });
+  router.get("/purchase-orders/suggestions.csv", allow("read"), suggestionsCsv, async (req, res) => {
+    const inClass = await classFilter(pool, req.query);
+    const rows = (await orderSuggestions(pool))
+      .filter(s => !inClass || inClass(s.product_id))
+      .map(s => ({
+        sku: s.sku,
+        name: s.name,
+        current_stock: s.current_stock,
+        on_order: s.on_order,
+        daily_velocity: s.daily_velocity,
+        coverage_days: s.coverage_days,
+        suggested_order_quantity: s.suggested_order_quantity,
+        unit_cost: s.unit_cost,
+        estimated_spend: s.estimated_spend
+      }));
+
+    const parser = new Parser();
+    const csv = parser.parse(rows);
+
+    res.header("Content-Type", "text/csv");
+    res.attachment("reorder_suggestions.csv");
+    res.send(csv);
+  });
+
+  // PO RECOMMENDATIONS
+  const recommendations = validate({
+    response: arrayOf(record({
+      product_id: id,
+      sku: string,
+      name: string,
+      image_url: nullable(string),
+      stock: integer,
+      on_order: integer,
+      daily_velocity_30: number,
+      forecast_method: FORECAST_METHOD,
+      recommended_order_qty: integer,
+      target_days: integer
+    }))
+  });
+  router.get("/purchase-orders/recommendations", allow("read"), recommendations, async (req, res) => {
+    const plan = await planProducts(pool);
+
+    const recommendations = plan.map(({ product: p, forecast, policy, ...row }) => ({
+      product_id: p.id,
+      sku: p.sku,
+      name: p.name,
+      image_url: p.image_url,
+      stock: p.stock,
+      on_order: p.on_order,
+      daily_velocity_30: demandOver(forecast.forecast, 30) / 30,
+      forecast_method: forecast.method,
+      recommended_order_qty: row.suggested_order_quantity,
+      target_days: policy.coverage_days
+    }));
+
+    res.json(recommendations);
+  });
+
+  // body: { product_id, lead_time_days?, buffer_days? } — lead time and buffer
+  // default to the product's supplier and planning policy.
+  const suggest = validate({
+    body: object({ product_id: id, lead_time_days: count, buffer_days: count }, ["product_id"]),
+    response: record({
+      product_id: id,
+      forecast_method: FORECAST_METHOD,
+      lead_time_days: integer,
+      policy: EFFECTIVE_POLICY,
+      suggested_quantity: integer
+    }),
+    errors: ["NOT_FOUND"]
+  });
+  router.post("/purchase-orders/suggest", allow("read"), suggest, async (req, res) => {
+    const { product_id, lead_time_days, buffer_days } = req.body;
+    const overrides = {};
+    if (lead_time_days !== undefined) overrides.lead_time_days = lead_time_days;
+    if (buffer_days !== undefined) overrides.buffer_days = buffer_days;
+
+    const [plan] = await planProducts(pool, {
+      productIds: [product_id],
+      overrides
+    });
+
+    if (!plan) {
+      throw httpError(404, "Product not found");
+    }
+
+    res.json({
+      product_id,
+      forecast_method: plan.forecast.method,
+      lead_time_days: plan.rop.lead_time_days,
+      policy: plan.policy,
+      suggested_quantity: plan.suggested_order_quantity
+    });
+  });
+
+  // CREATE a one-line draft PO from a suggestion
+  const fromSuggestion = validate({
+    body: object(
+      { product_id: id, quantity: positive, expected_date: nullable(date) },
+      ["product_id", "quantity"]
+    ),
+    response: PO_RECORD
+  });
+  router.post("/purchase-orders/from-suggestion", allow("po.write"), fromSuggestion, async (req, res) => {
+    const { product_id, quantity, expected_date } = req.body;
+
+    const po = await withTransaction(pool, async client => {
+      const { rows } = await client.query(
+        `SELECT supplier_id FROM products WHERE id = $1`,
+        [product_id]
+      );
+
+      const id = await createPurchaseOrder(
+        client,
+        {
+          supplier_id: rows.length ? rows[0].supplier_id : null,
+          items: [{ product_id, quantity, expected_date: expected_date || null }]
+        },
+        { actor: currentUser(req) }
+      );
+      return loadPurchaseOrder(client, id);
+    });
+
+    res.json(po);
+  });
+
+  const intelligence = validate({
+    response: arrayOf(record({
+      id,
+      item_id: id,
+      product_id: id,
+      name: string,
+      image_url: nullable(string),
+      quantity: integer,
+      quantity_received: integer,
+      status: oneOf(PO_STATUSES),
+      expected_date: nullable(timestamp),
+      stock: integer,
+      po_risk: oneOf(["LATE", "AT RISK", "ON TRACK"]),
+      daily_velocity_30: number,
+      forecast_method: FORECAST_METHOD,
+      days_of_stock: nullable(number)
+    }))
+  });
+  router.get("/purchase-orders/intelligence", allow("read"), intelligence, async (req, res) => {
+    const { rows } = await pool.query(`
+      SELECT
+        po.id,
+        poi.id AS item_id,
+        poi.product_id,
+        p.name,
+        p.image_url,
+        poi.quantity,
+        poi.quantity_received,
+        po.status,
+        poi.expected_date,
+        p.stock,
+        CASE
+          WHEN poi.expected_date < CURRENT_DATE THEN 'LATE'
+          WHEN poi.expected_date < CURRENT_DATE + 7 THEN 'AT RISK'
+          ELSE 'ON TRACK'
+        END AS po_risk
+      FROM purchase_order_items poi
+      JOIN purchase_orders po ON po.id = poi.purchase_order_id
+      JOIN products p ON poi.product_id = p.id
+      WHERE po.status IN ('SUBMITTED', 'CONFIRMED', 'PARTIALLY_RECEIVED')
+        AND poi.quantity_received < poi.quantity
+      ORDER BY poi.expected_date ASC NULLS LAST, po.id
+    `);
+
+    const history = await loadDemandHistory(pool, {
+      productIds: [...new Set(rows.map(r => r.product_id))]
+    });
+
+    const result = rows.map(po => {
+      const f = forecastFor(history, po.product_id, null, 180);
+
+      return {
+        ...po,
+        daily_velocity_30: demandOver(f.forecast, 30) / 30,
+        forecast_method: f.method,
+        days_of_stock: daysUntilStockout(po.stock, f.forecast)
+      };
+    });
+
+    res.json(result);
+  });
+
+  return router;
+}
+
+module.exports = {
+  purchaseOrdersRouter
+};
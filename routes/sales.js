@@ -0,0 +1,392 @@
+// Sales: single sales and returns, the bulk feed, file imports, the Shopify
+// webhook and its queue of unmatched SKUs.
+
+const crypto = require("crypto");
+const fs = require("fs");
+const shopify = require("../shopify");
+const {
+  SALES_IMPORT_FIELDS,
+  fileType,
+  parseImportFile,
+  validateMapping,
+  mapRow
+} = require("../importer");
+const { withTransaction } = require("../db");
+const { httpError } = require("../errors");
+const { createRouter, allow, validate, currentUser, uploadFile } = require("../http");
+const {
+  id,
+  nullable,
+  oneOf,
+  object,
+  arrayOf,
+  idParams,
+  record,
+  string,
+  integer,
+  boolean
+} = require("../schemas");
+const { recordAudit } = require("../services/audit");
+const {
+  SALES_BULK_LIMIT,
+  SALE_LINE_PROPERTIES,
+  SALE_LINE_SCHEMA,
+  SALE_RECORD,
+  SALES_SUMMARY,
+  UNMATCHED_LINE_RECORD,
+  validateSaleLine,
+  recordSales,
+  ingestSales,
+  salesSummary,
+  processShopifyEvent
+} = require("../services/sales");
+
+function salesRouter(pool) {
+  const router = createRouter();
+
+  // RECORD a sale or return
+  // body: { product_id | sku, quantity, sold_at?, unit_price?, channel?,
+  //         external_order_id?, external_return_id?, external_line_id?,
+  //         type?: "sale" | "return", restock?, location_id? }
+  // A sale that was already recorded for the same external order comes back
+  // with duplicate: true instead of being counted again.
+  const recordSale = validate({
+    body: object({ ...SALE_LINE_PROPERTIES, update_stock: { type: "boolean" } }, ["quantity"]),
+    response: record({ ...SALE_RECORD.properties, duplicate: boolean }, ["duplicate"])
+  });
+  router.post("/sales", allow("sales.write"), recordSale, async (req, res) => {
+    const { line, errors } = validateSaleLine(req.body);
+    if (errors.length) {
+      throw httpError(400, errors.join("; "));
+    }
+
+    const [result] = await withTransaction(pool, client =>
+      recordSales(client, [line], {
+        user: currentUser(req),
+        updateStock: req.body.update_stock !== false
+      })
+    );
+
+    if (result.error) {
+      throw httpError(400, result.error);
+    }
+
+    res.json(result.duplicate ? { ...result.sale, duplicate: true } : result.sale);
+  });
+
+  // BULK sales feed
+  // body: { sales: [sale lines as for POST /sales], update_stock?: boolean }
+  // All-or-nothing: any invalid line and nothing is recorded (errors carry the
+  // array index) in details. Lines already recorded for the same order are
+  // skipped.
+  const recordBulk = validate({
+    body: object(
+      {
+        sales: arrayOf(SALE_LINE_SCHEMA, { minItems: 1, maxItems: SALES_BULK_LIMIT }),
+        update_stock: { type: "boolean" }
+      },
+      ["sales"]
+    ),
+    response: SALES_SUMMARY,
+    errors: ["UNPROCESSABLE"]
+  });
+  router.post("/sales/bulk", allow("sales.write"), recordBulk, async (req, res) => {
+    const { sales, update_stock = true } = req.body;
+
+    const { errors, results } = await ingestSales(
+      pool,
+      sales.map((input, i) => ({ line: i, input })),
+      { user: currentUser(req), updateStock: update_stock }
+    );
+
+    if (errors.length) {
+      throw httpError(422, "No sales recorded", errors);
+    }
+
+    res.json(salesSummary(results));
+  });
+
+  // SHOPIFY WEBHOOKS
+  // POST /webhooks/shopify with X-Shopify-Topic, X-Shopify-Hmac-Sha256 and
+  // X-Shopify-Webhook-Id, signed with SHOPIFY_WEBHOOK_SECRET. Order lines
+  // become sales (orders/create), returns (refunds/create) or reversals of
+  // whatever is still recorded for the order (orders/cancelled). Lines whose
+  // SKU matches no product (or alias), and refund lines for more than the
+  // order has recorded as sold, wait in the unmatched queue. The body is
+  // Shopify's order or refund payload.
+  const shopifyWebhook = validate({
+    body: { type: "object" },
+    response: record(
+      {
+        status: oneOf(["processed", "ignored"]),
+        result: nullable(record({ ...SALES_SUMMARY.properties, unmatched: integer })),
+        duplicate: boolean
+      },
+      ["duplicate"]
+    ),
+    errors: ["UNAUTHENTICATED", "UNPROCESSABLE", "UNAVAILABLE"]
+  });
+  router.post("/webhooks/shopify", shopifyWebhook, async (req, res) => {
+    const secret = process.env.SHOPIFY_WEBHOOK_SECRET;
+    if (!secret) {
+      throw httpError(503, "SHOPIFY_WEBHOOK_SECRET is not configured");
+    }
+    if (!shopify.verifySignature(secret, req.rawBody, req.get("X-Shopify-Hmac-Sha256"))) {
+      throw httpError(401, "Invalid signature");
+    }
+
+    const topic = req.get("X-Shopify-Topic");
+    const webhookId =
+      req.get("X-Shopify-Webhook-Id") ||
+      crypto.createHash("sha256").update(req.rawBody).digest("hex");
+
+    try {
+      const previous = await pool.query(
+        `SELECT status, result FROM inbound_webhooks
+         WHERE source = $1 AND webhook_id = $2`,
+        [shopify.CHANNEL, webhookId]
+      );
+      if (previous.rows.length && previous.rows[0].status !== "failed") {
+        return res.json({ duplicate: true, ...previous.rows[0] });
+      }
+
+      const outcome = shopify.TOPICS.includes(topic)
+        ? await withTransaction(pool, async client => ({
+            status: "processed",
+            result: await processShopifyEvent(client, topic, req.body)
+          }))
+        : { status: "ignored", result: null };
+
+      await pool.query(
+        `INSERT INTO inbound_webhooks (source, topic, webhook_id, status, result, payload)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         ON CONFLICT (source, webhook_id) DO UPDATE SET
+           status = EXCLUDED.status,
+           error = NULL,
+           result = EXCLUDED.result,
+           received_at = NOW()`,
+        [shopify.CHANNEL, topic, webhookId, outcome.status, outcome.result, req.body]
+      );
+
+      res.json(outcome);
+    } catch (err) {
+      await pool.query(
+        `INSERT INTO inbound_webhooks (source, topic, webhook_id, status, error, payload)
+         VALUES ($1, $2, $3, 'failed', $4, $5)
+         ON CONFLICT (source, webhook_id) DO UPDATE SET
+           status = 'failed',
+           error = EXCLUDED.error,
+           received_at = NOW()`,
+        [shopify.CHANNEL, topic, webhookId, err.message, req.body]
+      ).catch(logErr => console.error("Failed to log webhook", logErr));
+
+      // a non-2xx makes the sender retry
+      throw err;
+    }
+  });
+
+  // UNMATCHED SKU QUEUE
+  const unmatchedQuery = object({
+    status: { ...oneOf(["open", "resolved", "ignored", "all"]), default: "open" }
+  });
+  const listUnmatched = validate({
+    query: unmatchedQuery,
+    response: arrayOf(UNMATCHED_LINE_RECORD)
+  });
+  router.get("/webhooks/unmatched", allow("read"), listUnmatched, async (req, res) => {
+    const { status = "open" } = req.query;
+
+    const { rows } = await pool.query(
+      `SELECT * FROM unmatched_sale_lines
+       WHERE ($1 = 'all' OR status = $1)
+       ORDER BY created_at, id`,
+      [status]
+    );
+    res.json(rows);
+  });
+
+  // RESOLVE an unmatched SKU: remember it as an alias of product_id and record
+  // every open line queued under that SKU. Resolving an exceeds_sold refund
+  // line records the return as sent.
+  const resolveLine = validate({
+    params: idParams,
+    body: object({ product_id: id }, ["product_id"]),
+    response: record({
+      sku: string,
+      product_id: id,
+      lines: integer,
+      ...SALES_SUMMARY.properties
+    }),
+    errors: ["NOT_FOUND", "CONFLICT", "UNPROCESSABLE"]
+  });
+  router.post("/webhooks/unmatched/:id/resolve", allow("sales.write"), resolveLine, async (req, res) => {
+    const { product_id } = req.body;
+
+    const result = await withTransaction(pool, async client => {
+      const { rows } = await client.query(
+        `SELECT * FROM unmatched_sale_lines WHERE id = $1 FOR UPDATE`,
+        [req.params.id]
+      );
+      if (!rows.length) {
+        throw httpError(404, "Unmatched line not found");
+      }
+      if (rows[0].status !== "open") {
+        throw httpError(409, `Line is already ${rows[0].status}`);
+      }
+
+      const { source, sku } = rows[0];
+      const alias = await client.query(
+        `SELECT product_id FROM sku_aliases WHERE source = $1 AND sku = $2`,
+        [source, sku]
+      );
+      await client.query(
+        `INSERT INTO sku_aliases (source, sku, product_id)
+         VALUES ($1, $2, $3)
+         ON CONFLICT (source, sku) DO UPDATE SET product_id = EXCLUDED.product_id`,
+        [source, sku, product_id]
+      );
+      await recordAudit(client, {
+        actor: currentUser(req),
+        entity: "sku_alias",
+        entity_id: `${source}:${sku}`,
+        action: alias.rows.length ? "update" : "create",
+        before: alias.rows[0] || null,
+        after: { product_id }
+      });
+
+      const open = await client.query(
+        `SELECT * FROM unmatched_sale_lines
+         WHERE source = $1 AND sku = $2 AND status = 'open'
+         ORDER BY id
+         FOR UPDATE`,
+        [source, sku]
+      );
+
+      const lines = open.rows.map(r => {
+        const { line, errors } = validateSaleLine({ ...r.line, sku: undefined, product_id });
+        if (errors.length) {
+          throw httpError(422, `Queued line ${r.id}: ${errors.join("; ")}`);
+        }
+        return line;
+      });
+
+      const results = await recordSales(client, lines, { user: currentUser(req) });
+      const failed = results.find(r => r.error);
+      if (failed) {
+        throw httpError(400, failed.error);
+      }
+
+      for (const [i, r] of open.rows.entries()) {
+        await client.query(
+          `UPDATE unmatched_sale_lines
+           SET status = 'resolved', product_id = $1, sale_id = $2,
+               resolved_at = NOW(), resolved_by = $3
+           WHERE id = $4`,
+          [product_id, results[i].sale.id, currentUser(req), r.id]
+        );
+      }
+
+      return { sku, product_id, lines: open.rows.length, ...salesSummary(results) };
+    });
+
+    res.json(result);
+  });
+
+  const ignoreLine = validate({
+    params: idParams,
+    response: UNMATCHED_LINE_RECORD,
+    errors: ["NOT_FOUND"]
+  });
+  router.post("/webhooks/unmatched/:id/ignore", allow("sales.write"), ignoreLine, async (req, res) => {
+    const line = await withTransaction(pool, async client => {
+      const { rows } = await client.query(
+        `UPDATE unmatched_sale_lines
+         SET status = 'ignored', resolved_at = NOW(), resolved_by = $2
+         WHERE id = $1 AND status = 'open'
+         RETURNING *`,
+        [req.params.id, currentUser(req)]
+      );
+
+      if (!rows.length) return null;
+
+      await recordAudit(client, {
+        actor: currentUser(req),
+        entity: "unmatched_sale_line",
+        entity_id: rows[0].id,
+        action: "update",
+        changes: { status: { from: "open", to: "ignored" } }
+      });
+      return rows[0];
+    });
+
+    if (!line) {
+      throw httpError(404, "Open unmatched line not found");
+    }
+
+    res.json(line);
+  });
+
+  // IMPORT sales history from CSV or XLSX (multipart field "file")
+  // columns: sku, quantity, sold_at, unit_price, channel, external_order_id,
+  //          type, external_return_id, external_line_id, location, restock
+  // fields: mapping (JSON, as for /inventory/import), update_stock=false
+  // Rows that fail come back as a 422 with their line numbers in details.
+  const importSales = validate({
+    body: object({ mapping: { type: "string" }, update_stock: oneOf(["true", "false"]) }),
+    response: record({ file: string, rows: integer, ...SALES_SUMMARY.properties }),
+    errors: ["UNPROCESSABLE"]
+  });
+  router.post("/sales/import", allow("sales.write"), uploadFile("file"), importSales, async (req, res) => {
+    const file = req.file;
+
+    try {
+      if (!file) {
+        throw httpError(400, "file required (multipart field \"file\")");
+      }
+      if (!fileType(file)) {
+        throw httpError(400, "Unsupported file type (use .csv or .xlsx)");
+      }
+
+      let mapping = {};
+      if (req.body.mapping) {
+        try {
+          mapping = JSON.parse(req.body.mapping);
+        } catch (err) {
+          throw httpError(400, "mapping must be JSON");
+        }
+        const mappingErrors = validateMapping(mapping, SALES_IMPORT_FIELDS);
+        if (mappingErrors.length) {
+          throw httpError(400, mappingErrors.join("; "));
+        }
+      }
+
+      const parsed = await parseImportFile(file);
+      if (!parsed.length) {
+        throw httpError(400, "File has no data rows");
+      }
+
+      const { errors, results } = await ingestSales(
+        pool,
+        parsed.map(({ line, values }) => ({
+          line,
+          input: mapRow(values, mapping, SALES_IMPORT_FIELDS)
+        })),
+        { user: currentUser(req), updateStock: req.body.update_stock !== "false" }
+      );
+
+      if (errors.length) {
+        throw httpError(422, `No sales recorded from ${file.originalname}`, errors);
+      }
+
+      res.json({ file: file.originalname, rows: parsed.length, ...salesSummary(results) });
+    } finally {
+      if (file) fs.promises.unlink(file.path).catch(() => {});
+    }
+  });
+
+  return router;
+}
+
+module.exports = {
+  salesRouter
+};
@@ -0,0 +1,394 @@
+// Suppliers: CRUD, delivery scorecards and the supplier/product catalog
+// with each product's preferred supplier.
+
+const { withTransaction } = require("../db");
+const { httpError } = require("../errors");
+const { createRouter, allow, validate, currentUser } = require("../http");
+const {
+  id,
+  positive,
+  nullable,
+  object,
+  arrayOf,
+  idParams,
+  record,
+  string,
+  integer
+} = require("../schemas");
+const { recordAudit, auditedUpdate, auditChild } = require("../services/audit");
+const {
+  SUPPLIER_FIELDS,
+  SUPPLIER_RECORD,
+  CATALOG_ENTRY_RECORD,
+  SCORECARD,
+  NEW_SUPPLIER_SCHEMA,
+  SUPPLIER_CHANGES_SCHEMA,
+  CATALOG_ENTRY_SCHEMA,
+  setPreferredSupplier,
+  supplierScorecards
+} = require("../services/suppliers");
+const { PRODUCT_RECORD } = require("../services/products");
+
+const catalogParams = object({ id, productId: id }, ["id", "productId"]);
+const scorecardQuery = object({ days: { ...positive, default: 180 } });
+
+function suppliersRouter(pool) {
+  const router = createRouter();
+
+  // LIST suppliers with how many products they carry
+  const listSuppliers = validate({
+    response: arrayOf(record({
+      ...SUPPLIER_RECORD.properties,
+      catalog_products: integer,
+      preferred_products: integer
+    }))
+  });
+  router.get("/suppliers", allow("read"), listSuppliers, async (req, res) => {
+    const { rows } = await pool.query(`
+      SELECT
+        s.*,
+        COUNT(sp.id)::int AS catalog_products,
+        COUNT(sp.id) FILTER (WHERE sp.is_preferred)::int AS preferred_products
+      FROM suppliers s
+      LEFT JOIN supplier_products sp ON sp.supplier_id = s.id
+      GROUP BY s.id
+      ORDER BY s.name
+    `);
+    res.json(rows);
+  });
+
+  const supplierById = validate({
+    params: idParams,
+    response: SUPPLIER_RECORD,
+    errors: ["NOT_FOUND"]
+  });
+  router.get("/suppliers/:id(\\d+)", allow("read"), supplierById, async (req, res) => {
+    const { rows } = await pool.query(
+      `SELECT * FROM suppliers WHERE id = $1`,
+      [req.params.id]
+    );
+
+    if (!rows.length) {
+      throw httpError(404, "Supplier not found");
+    }
+
+    res.json(rows[0]);
+  });
+
+  const createSupplier = validate({ body: NEW_SUPPLIER_SCHEMA, response: SUPPLIER_RECORD });
+  router.post("/suppliers", allow("suppliers.write"), createSupplier, async (req, res) => {
+    const fields = SUPPLIER_FIELDS.filter(f => req.body[f] !== undefined);
+
+    const supplier = await withTransaction(pool, async client => {
+      const { rows } = await client.query(
+        `INSERT INTO suppliers (${fields.join(", ")})
+         VALUES (${fields.map((_, i) => `$${i + 1}`).join(", ")})
+         RETURNING *`,
+        fields.map(f => req.body[f])
+      );
+      await recordAudit(client, {
+        actor: currentUser(req),
+        entity: "supplier",
+        entity_id: rows[0].id,
+        action: "create",
+        after: rows[0]
+      });
+      return rows[0];
+    });
+    res.json(supplier);
+  });
+
+  const updateSupplier = validate({
+    params: idParams,
+    body: SUPPLIER_CHANGES_SCHEMA,
+    response: SUPPLIER_RECORD,
+    errors: ["NOT_FOUND"]
+  });
+  router.patch("/suppliers/:id(\\d+)", allow("suppliers.write"), updateSupplier, async (req, res) => {
+    const fields = SUPPLIER_FIELDS.filter(f => req.body[f] !== undefined);
+
+    const supplier = await withTransaction(pool, client =>
+      auditedUpdate(
+        client,
+        { table: "suppliers", entity: "supplier", id: req.params.id, actor: currentUser(req) },
+        `UPDATE suppliers
+         SET ${fields.map((f, i) => `${f} = $${i + 2}`).join(", ")},
+             updated_at = NOW()
+         WHERE id = $1
+         RETURNING *`,
+        [req.params.id, ...fields.map(f => req.body[f])]
+      )
+    );
+
+    if (!supplier) {
+      throw httpError(404, "Supplier not found");
+    }
+
+    res.json(supplier);
+  });
+
+  // DELETE a supplier that no purchase order refers to; its products go back
+  // to unassigned
+  const deleteSupplier = validate({
+    params: idParams,
+    response: SUPPLIER_RECORD,
+    errors: ["NOT_FOUND", "CONFLICT"]
+  });
+  router.delete("/suppliers/:id(\\d+)", allow("suppliers.write"), deleteSupplier, async (req, res) => {
+    const supplier = await withTransaction(pool, async client => {
+      const pos = await client.query(
+        `SELECT COUNT(*)::int AS n FROM purchase_orders WHERE supplier_id = $1`,
+        [req.params.id]
+      );
+      if (pos.rows[0].n > 0) {
+        throw httpError(409, `Supplier has ${pos.rows[0].n} purchase order(s)`);
+      }
+
+      const unassigned = await client.query(
+        `UPDATE products SET supplier_id = NULL WHERE supplier_id = $1 RETURNING id`,
+        [req.params.id]
+      );
+      for (const product of unassigned.rows) {
+        await recordAudit(client, {
+          actor: currentUser(req),
+          entity: "product",
+          entity_id: product.id,
+          action: "update",
+          changes: { supplier_id: { from: Number(req.params.id), to: null } }
+        });
+      }
+      await client.query(
+        `DELETE FROM planning_policies WHERE scope = 'supplier' AND scope_id = $1`,
+        [req.params.id]
+      );
+
+      const { rows } = await client.query(
+        `DELETE FROM suppliers WHERE id = $1 RETURNING *`,
+        [req.params.id]
+      );
+      if (!rows.length) {
+        throw httpError(404, "Supplier not found");
+      }
+      await recordAudit(client, {
+        actor: currentUser(req),
+        entity: "supplier",
+        entity_id: rows[0].id,
+        action: "delete",
+        before: rows[0]
+      });
+
+      return rows[0];
+    });
+
+    res.json(supplier);
+  });
+
+  // SUPPLIER SCORECARDS (?days=180), see supplierScorecards()
+  const scorecards = validate({ query: scorecardQuery, response: arrayOf(SCORECARD) });
+  router.get("/suppliers/scorecards", allow("read"), scorecards, async (req, res) => {
+    res.json(await supplierScorecards(pool, { days: req.query.days }));
+  });
+
+  const oneScorecard = validate({
+    params: idParams,
+    query: scorecardQuery,
+    response: SCORECARD,
+    errors: ["NOT_FOUND"]
+  });
+  router.get("/suppliers/:id(\\d+)/scorecard", allow("read"), oneScorecard, async (req, res) => {
+    const [scorecard] = await supplierScorecards(pool, {
+      days: req.query.days,
+      supplierId: Number(req.params.id)
+    });
+
+    if (!scorecard) {
+      throw httpError(404, "Supplier not found");
+    }
+
+    res.json(scorecard);
+  });
+
+  // SUPPLIER CATALOG
+  const supplierCatalog = validate({
+    params: idParams,
+    response: arrayOf(record({
+      ...CATALOG_ENTRY_RECORD.properties,
+      sku: string,
+      name: string,
+      currency: string
+    }))
+  });
+  router.get("/suppliers/:id/products", allow("read"), supplierCatalog, async (req, res) => {
+    const { rows } = await pool.query(
+      `SELECT
+         sp.*,
+         p.sku,
+         p.name,
+         s.currency
+       FROM supplier_products sp
+       JOIN products p ON p.id = sp.product_id
+       JOIN suppliers s ON s.id = sp.supplier_id
+       WHERE sp.supplier_id = $1
+       ORDER BY p.sku`,
+      [req.params.id]
+    );
+    res.json(rows);
+  });
+
+  // ADD or UPDATE the catalog entry for a supplier/product pair
+  // body: { supplier_sku, unit_cost, case_pack, is_preferred }
+  const saveCatalogEntry = validate({
+    params: catalogParams,
+    body: CATALOG_ENTRY_SCHEMA,
+    response: CATALOG_ENTRY_RECORD
+  });
+  router.put("/suppliers/:id/products/:productId", allow("suppliers.write"), saveCatalogEntry, async (req, res) => {
+    const { id, productId } = req.params;
+    const { supplier_sku, unit_cost, case_pack, is_preferred } = req.body;
+
+    const entry = await withTransaction(pool, async client => {
+      const existing = await client.query(
+        `SELECT * FROM supplier_products
+         WHERE supplier_id = $1 AND product_id = $2
+         FOR UPDATE`,
+        [id, productId]
+      );
+      const { rows } = await client.query(
+        `INSERT INTO supplier_products
+           (supplier_id, product_id, supplier_sku, unit_cost, case_pack)
+         VALUES ($1, $2, $3, $4, COALESCE($5, 1))
+         ON CONFLICT (supplier_id, product_id) DO UPDATE SET
+           supplier_sku = CASE WHEN $6 THEN EXCLUDED.supplier_sku
+                               ELSE supplier_products.supplier_sku END,
+           unit_cost = CASE WHEN $7 THEN EXCLUDED.unit_cost
+                            ELSE supplier_products.unit_cost END,
+           case_pack = COALESCE($5, supplier_products.case_pack),
+           updated_at = NOW()
+         RETURNING *`,
+        [
+          id,
+          productId,
+          supplier_sku ?? null,
+          unit_cost ?? null,
+          case_pack ?? null,
+          supplier_sku !== undefined,
+          unit_cost !== undefined
+        ]
+      );
+
+      const actor = currentUser(req);
+      if (is_preferred === true) {
+        await setPreferredSupplier(client, productId, Number(id), { actor });
+      } else if (is_preferred === false && rows[0].is_preferred) {
+        await setPreferredSupplier(client, productId, null, { actor });
+      }
+
+      const fresh = await client.query(
+        `SELECT * FROM supplier_products WHERE id = $1`,
+        [rows[0].id]
+      );
+      await auditChild(client, {
+        actor,
+        entity: "supplier",
+        entity_id: id,
+        prefix: `products.${productId}`,
+        action: existing.rows.length ? "catalog_updated" : "catalog_added",
+        before: existing.rows[0] || null,
+        after: fresh.rows[0],
+        omit: ["id", "supplier_id", "product_id"]
+      });
+      return fresh.rows[0];
+    });
+
+    res.json(entry);
+  });
+
+  const removeCatalogEntry = validate({
+    params: catalogParams,
+    response: CATALOG_ENTRY_RECORD,
+    errors: ["NOT_FOUND"]
+  });
+  router.delete("/suppliers/:id/products/:productId", allow("suppliers.write"), removeCatalogEntry, async (req, res) => {
+    const { id, productId } = req.params;
+
+    const entry = await withTransaction(pool, async client => {
+      const { rows } = await client.query(
+        `DELETE FROM supplier_products
+         WHERE supplier_id = $1 AND product_id = $2
+         RETURNING *`,
+        [id, productId]
+      );
+
+      if (!rows.length) {
+        throw httpError(404, "Catalog entry not found");
+      }
+      if (rows[0].is_preferred) {
+        await setPreferredSupplier(client, productId, null, { actor: currentUser(req) });
+      }
+      await auditChild(client, {
+        actor: currentUser(req),
+        entity: "supplier",
+        entity_id: id,
+        prefix: `products.${productId}`,
+        action: "catalog_removed",
+        before: rows[0],
+        after: null,
+        omit: ["id", "supplier_id", "product_id"]
+      });
+
+      return rows[0];
+    });
+
+    res.json(entry);
+  });
+
+  // Every supplier that can supply a product, preferred first
+  const productSuppliers = validate({
+    params: idParams,
+    response: arrayOf(record({
+      ...CATALOG_ENTRY_RECORD.properties,
+      supplier_name: string,
+      currency: string,
+      lead_time_days: nullable(integer),
+      moq: integer
+    }))
+  });
+  router.get("/products/:id/suppliers", allow("read"), productSuppliers, async (req, res) => {
+    const { rows } = await pool.query(
+      `SELECT
+         sp.*,
+         s.name AS supplier_name,
+         s.currency,
+         s.lead_time_days,
+         s.moq
+       FROM supplier_products sp
+       JOIN suppliers s ON s.id = sp.supplier_id
+       WHERE sp.product_id = $1
+       ORDER BY sp.is_preferred DESC, sp.unit_cost ASC NULLS LAST, s.name`,
+      [req.params.id]
+    );
+    res.json(rows);
+  });
+
+  // ASSIGN a product's preferred supplier (null to unassign)
+  const assignSupplier = validate({
+    params: idParams,
+    body: object({ supplier_id: nullable(id) }, ["supplier_id"]),
+    response: PRODUCT_RECORD,
+    errors: ["NOT_FOUND"]
+  });
+  router.patch("/products/:id/supplier", allow("suppliers.write"), assignSupplier, async (req, res) => {
+    const { supplier_id } = req.body;
+
+    const product = await withTransaction(pool, client =>
+      setPreferredSupplier(client, req.params.id, supplier_id, { actor: currentUser(req) })
+    );
+    res.json(product);
+  });
+
+  return router;
+}
+
+module.exports = {
+  suppliersRouter
+};
@@ -0,0 +1,178 @@
+// Inventory valuation: value on hand, cost of goods sold and the cost
+// layers a product still holds, FIFO or at weighted average cost.
+
+const { replayCosts } = require("../valuation");
+const { httpError } = require("../errors");
+const { createRouter, allow, validate } = require("../http");
+const {
+  id,
+  date,
+  object,
+  arrayOf,
+  idParams,
+  record,
+  integer,
+  number,
+  timestamp
+} = require("../schemas");
+const { UNIT_COST_SQL } = require("../services/products");
+const {
+  VALUATION_QUERY,
+  valuationRows,
+  loadCostLedgers,
+  loadValuationProducts,
+  groupValuation
+} = require("../services/valuation");
+
+function valuationRouter(pool) {
+  const router = createRouter();
+
+  // VALUE on hand (?date=YYYY-MM-DD (default today)&method=fifo|wac
+  // &group_by=product|supplier|category). Suppliers are products' preferred
+  // supplier.
+  const valuation = validate({
+    query: object(VALUATION_QUERY),
+    response: record({
+      as_of: date,
+      method: VALUATION_QUERY.method,
+      group_by: VALUATION_QUERY.group_by,
+      total_quantity: integer,
+      total_value: number,
+      rows: valuationRows(
+        { quantity: integer, unit_cost: number, value: number },
+        { quantity: integer, value: number }
+      )
+    })
+  });
+  router.get("/valuation", allow("read"), valuation, async (req, res) => {
+    const { method, group_by } = req.query;
+    const [products, ledgers] = await Promise.all([
+      loadValuationProducts(pool),
+      loadCostLedgers(pool, req.query.date)
+    ]);
+
+    const rows = products
+      .map(({ estimated_unit_cost, ...p }) => {
+        const { quantity, value, unit_cost } = replayCosts(
+          ledgers.get(p.product_id) || [],
+          method,
+          { fallbackCost: estimated_unit_cost }
+        );
+        return { ...p, quantity, unit_cost, value };
+      })
+      .filter(r => r.quantity !== 0 || r.value !== 0);
+
+    res.json({
+      as_of: req.query.date || new Date().toISOString().slice(0, 10),
+      method,
+      group_by,
+      total_quantity: rows.reduce((sum, r) => sum + r.quantity, 0),
+      total_value: Number(rows.reduce((sum, r) => sum + r.value, 0).toFixed(2)),
+      rows: groupValuation(rows, group_by, ["quantity", "value"])
+    });
+  });
+
+  // COST OF GOODS SOLD for sales between ?from= and ?to= (inclusive,
+  // default the last 30 days), net of restocked returns. &method= and
+  // &group_by= as for /valuation. Costs come from the stock ledger, so sales
+  // recorded with update_stock=false (backfilled history) are not in it.
+  const { method, group_by } = VALUATION_QUERY;
+  const cogs = validate({
+    query: object({ method, group_by, from: date, to: date }),
+    response: record({
+      from: date,
+      to: date,
+      method,
+      group_by,
+      total_units_sold: integer,
+      total_cogs: number,
+      rows: valuationRows(
+        { units_sold: integer, cogs: number },
+        { units_sold: integer, cogs: number }
+      )
+    })
+  });
+  router.get("/valuation/cogs", allow("read"), cogs, async (req, res) => {
+    const { method, group_by } = req.query;
+    const to = req.query.to || new Date().toISOString().slice(0, 10);
+    const from = req.query.from || (() => {
+      const d = new Date(`${to}T00:00:00Z`);
+      d.setUTCDate(d.getUTCDate() - 29);
+      return d.toISOString().slice(0, 10);
+    })();
+
+    const [products, ledgers] = await Promise.all([
+      loadValuationProducts(pool),
+      loadCostLedgers(pool, to)
+    ]);
+
+    const rows = products
+      .map(({ estimated_unit_cost, ...p }) => {
+        const sold = replayCosts(
+          ledgers.get(p.product_id) || [],
+          method,
+          { fallbackCost: estimated_unit_cost }
+        ).costed.filter(m => ["sale", "return"].includes(m.reason) && m.day >= from);
+        return {
+          ...p,
+          units_sold: -sold.reduce((sum, m) => sum + m.quantity_change, 0),
+          cogs: Number((-sold.reduce((sum, m) => sum + m.cost, 0)).toFixed(2))
+        };
+      })
+      .filter(r => r.units_sold !== 0 || r.cogs !== 0);
+
+    res.json({
+      from,
+      to,
+      method,
+      group_by,
+      total_units_sold: rows.reduce((sum, r) => sum + r.units_sold, 0),
+      total_cogs: Number(rows.reduce((sum, r) => sum + r.cogs, 0).toFixed(2)),
+      rows: groupValuation(rows, group_by, ["units_sold", "cogs"])
+    });
+  });
+
+  // COST LAYERS a product still holds (?date=&method=)
+  const costLayers = validate({
+    params: idParams,
+    query: object({ method, date }),
+    response: record({
+      product_id: id,
+      method,
+      quantity: integer,
+      value: number,
+      unit_cost: number,
+      layers: arrayOf(record({
+        movement_id: id,
+        received_at: timestamp,
+        quantity: integer,
+        unit_cost: number
+      }))
+    }),
+    errors: ["NOT_FOUND"]
+  });
+  router.get("/products/:id(\\d+)/cost-layers", allow("read"), costLayers, async (req, res) => {
+    const { method } = req.query;
+    const productId = Number(req.params.id);
+    const [ledgers, cost] = await Promise.all([
+      loadCostLedgers(pool, req.query.date, [productId]),
+      pool.query(`SELECT ${UNIT_COST_SQL}::float AS unit_cost FROM products p WHERE p.id = $1`, [productId])
+    ]);
+
+    if (!cost.rows.length) {
+      throw httpError(404, "Product not found");
+    }
+
+    const { costed, ...valuation } = replayCosts(ledgers.get(productId) || [], method, {
+      fallbackCost: cost.rows[0].unit_cost
+    });
+
+    res.json({ product_id: productId, method, ...valuation });
+  });
+
+  return router;
+}
+
+module.exports = {
+  valuationRouter
+};
@@ -0,0 +1,279 @@
+// Outbound webhooks: subscriptions, the delivery log and replays, and a
+// manual trigger for the planning event scan.
+
+const { EVENT_TYPES, generateSecret } = require("../webhooks");
+const { withTransaction } = require("../db");
+const { httpError } = require("../errors");
+const { createRouter, allow, validate, currentUser } = require("../http");
+const {
+  id,
+  text,
+  oneOf,
+  object,
+  limit,
+  idParams,
+  arrayOf,
+  record,
+  integer,
+  nullable,
+  timestamp
+} = require("../schemas");
+const { recordAudit, auditedUpdate } = require("../services/audit");
+const {
+  DELIVERY_STATUSES,
+  NEW_SUBSCRIPTION_SCHEMA,
+  SUBSCRIPTION_CHANGES_SCHEMA,
+  NEW_SUBSCRIPTION_RECORD,
+  SUBSCRIPTION_RECORD,
+  DELIVERY_RECORD,
+  DELIVERY_LOG_ENTRY,
+  DELIVERY_DETAIL,
+  scanPlanningEvents,
+  deliverDueWebhooks,
+  publicSubscription
+} = require("../services/webhooks");
+
+function webhooksRouter(pool) {
+  const router = createRouter();
+
+  const eventTypes = validate({ response: arrayOf(oneOf(EVENT_TYPES)) });
+  router.get("/webhooks/event-types", allow("read"), eventTypes, (req, res) => {
+    res.json(EVENT_TYPES);
+  });
+
+  const listSubscriptions = validate({
+    response: arrayOf(record({
+      ...SUBSCRIPTION_RECORD.properties,
+      pending_deliveries: integer,
+      failed_deliveries: integer,
+      last_delivered_at: nullable(timestamp)
+    }))
+  });
+  router.get("/webhooks/subscriptions", allow("webhooks.manage"), listSubscriptions, async (req, res) => {
+    const { rows } = await pool.query(`
+      SELECT
+        s.*,
+        COUNT(d.id) FILTER (WHERE d.status = 'pending')::int AS pending_deliveries,
+        COUNT(d.id) FILTER (WHERE d.status = 'failed')::int AS failed_deliveries,
+        MAX(d.delivered_at) AS last_delivered_at
+      FROM webhook_subscriptions s
+      LEFT JOIN webhook_deliveries d ON d.subscription_id = s.id
+      GROUP BY s.id
+      ORDER BY s.id
+    `);
+    res.json(rows.map(publicSubscription));
+  });
+
+  // body: { url, events: ["purchase_order.late", ...] | ["*"], secret?, description? }
+  const createSubscription = validate({
+    body: NEW_SUBSCRIPTION_SCHEMA,
+    response: NEW_SUBSCRIPTION_RECORD
+  });
+  router.post("/webhooks/subscriptions", allow("webhooks.manage"), createSubscription, async (req, res) => {
+    const { url, events, secret = generateSecret(), description = null } = req.body;
+
+    const subscription = await withTransaction(pool, async client => {
+      const { rows } = await client.query(
+        `INSERT INTO webhook_subscriptions (url, secret, events, description)
+         VALUES ($1, $2, $3, $4)
+         RETURNING *`,
+        [url, secret, events, description]
+      );
+      await recordAudit(client, {
+        actor: currentUser(req),
+        entity: "webhook_subscription",
+        entity_id: rows[0].id,
+        action: "create",
+        after: rows[0]
+      });
+      return rows[0];
+    });
+    res.json(subscription);
+  });
+
+  const updateSubscription = validate({
+    params: idParams,
+    body: SUBSCRIPTION_CHANGES_SCHEMA,
+    response: SUBSCRIPTION_RECORD,
+    errors: ["NOT_FOUND"]
+  });
+  router.patch("/webhooks/subscriptions/:id", allow("webhooks.manage"), updateSubscription, async (req, res) => {
+    const fields = ["url", "events", "description", "active"].filter(
+      f => req.body[f] !== undefined
+    );
+
+    const subscription = await withTransaction(pool, client =>
+      auditedUpdate(
+        client,
+        {
+          table: "webhook_subscriptions",
+          entity: "webhook_subscription",
+          id: req.params.id,
+          actor: currentUser(req)
+        },
+        `UPDATE webhook_subscriptions
+         SET ${fields.map((f, i) => `${f} = $${i + 2}`).join(", ")},
+             updated_at = NOW()
+         WHERE id = $1
+         RETURNING *`,
+        [req.params.id, ...fields.map(f => req.body[f])]
+      )
+    );
+
+    if (!subscription) {
+      throw httpError(404, "Subscription not found");
+    }
+
+    res.json(publicSubscription(subscription));
+  });
+
+  const deleteSubscription = validate({
+    params: idParams,
+    response: SUBSCRIPTION_RECORD,
+    errors: ["NOT_FOUND"]
+  });
+  router.delete("/webhooks/subscriptions/:id", allow("webhooks.manage"), deleteSubscription, async (req, res) => {
+    const subscription = await withTransaction(pool, async client => {
+      const { rows } = await client.query(
+        `DELETE FROM webhook_subscriptions WHERE id = $1 RETURNING *`,
+        [req.params.id]
+      );
+
+      if (!rows.length) return null;
+
+      await recordAudit(client, {
+        actor: currentUser(req),
+        entity: "webhook_subscription",
+        entity_id: rows[0].id,
+        action: "delete",
+        before: rows[0]
+      });
+      return rows[0];
+    });
+
+    if (!subscription) {
+      throw httpError(404, "Subscription not found");
+    }
+
+    res.json(publicSubscription(subscription));
+  });
+
+  // Queue a ping to one subscription to check the endpoint and signature
+  const ping = validate({ params: idParams, response: DELIVERY_RECORD, errors: ["NOT_FOUND"] });
+  router.post("/webhooks/subscriptions/:id/ping", allow("webhooks.manage"), ping, async (req, res) => {
+    const delivery = await withTransaction(pool, async client => {
+      const { rows } = await client.query(
+        `SELECT id FROM webhook_subscriptions WHERE id = $1`,
+        [req.params.id]
+      );
+      if (!rows.length) {
+        throw httpError(404, "Subscription not found");
+      }
+
+      const event = await client.query(
+        `INSERT INTO events (type, data) VALUES ('ping', $1) RETURNING id`,
+        [{ subscription_id: rows[0].id }]
+      );
+      const inserted = await client.query(
+        `INSERT INTO webhook_deliveries (subscription_id, event_id)
+         VALUES ($1, $2)
+         RETURNING *`,
+        [rows[0].id, event.rows[0].id]
+      );
+      return inserted.rows[0];
+    });
+
+    res.json(delivery);
+  });
+
+  // DELIVERY LOG (?subscription_id=&status=&event=&limit=)
+  const listDeliveries = validate({
+    query: object({
+      subscription_id: id,
+      status: oneOf(DELIVERY_STATUSES),
+      event: text,
+      limit: limit(100, 1000)
+    }),
+    response: arrayOf(DELIVERY_LOG_ENTRY)
+  });
+  router.get("/webhooks/deliveries", allow("webhooks.manage"), listDeliveries, async (req, res) => {
+    const {
+      subscription_id = null,
+      status = null,
+      event = null,
+      limit
+    } = req.query;
+
+    const { rows } = await pool.query(
+      `SELECT
+         d.id, d.subscription_id, d.event_id, e.type AS event, d.replay_of,
+         d.status, d.attempts, d.next_attempt_at, d.last_attempt_at,
+         d.response_status, d.error, d.created_at, d.delivered_at
+       FROM webhook_deliveries d
+       JOIN events e ON e.id = d.event_id
+       WHERE ($1::int IS NULL OR d.subscription_id = $1)
+         AND ($2::text IS NULL OR d.status = $2)
+         AND ($3::text IS NULL OR e.type = $3)
+       ORDER BY d.id DESC
+       LIMIT $4`,
+      [subscription_id, status, event, limit]
+    );
+    res.json(rows);
+  });
+
+  const deliveryById = validate({ params: idParams, response: DELIVERY_DETAIL, errors: ["NOT_FOUND"] });
+  router.get("/webhooks/deliveries/:id", allow("webhooks.manage"), deliveryById, async (req, res) => {
+    const { rows } = await pool.query(
+      `SELECT d.*, e.type AS event, e.data AS payload, e.created_at AS event_created_at
+       FROM webhook_deliveries d
+       JOIN events e ON e.id = d.event_id
+       WHERE d.id = $1`,
+      [req.params.id]
+    );
+
+    if (!rows.length) {
+      throw httpError(404, "Delivery not found");
+    }
+
+    res.json(rows[0]);
+  });
+
+  // REPLAY: queue a fresh delivery of the same event to the same subscription
+  const replay = validate({ params: idParams, response: DELIVERY_RECORD, errors: ["NOT_FOUND"] });
+  router.post("/webhooks/deliveries/:id/replay", allow("webhooks.manage"), replay, async (req, res) => {
+    const { rows } = await pool.query(
+      `INSERT INTO webhook_deliveries (subscription_id, event_id, replay_of)
+       SELECT subscription_id, event_id, id
+       FROM webhook_deliveries
+       WHERE id = $1
+       RETURNING *`,
+      [req.params.id]
+    );
+
+    if (!rows.length) {
+      throw httpError(404, "Delivery not found");
+    }
+
+    res.json(rows[0]);
+  });
+
+  // Run the planning/lateness scan and a delivery pass now instead of waiting
+  // for the timers
+  const scan = validate({
+    response: record({
+      emitted: record({ status_changed: integer, reorder_point_crossed: integer, late: integer }),
+      delivery_attempts: integer
+    })
+  });
+  router.post("/webhooks/scan", allow("webhooks.manage"), scan, async (req, res) => {
+    const emitted = await scanPlanningEvents(pool);
+    const delivered = await deliverDueWebhooks(pool);
+    res.json({ emitted, delivery_attempts: delivered });
+  });
+
+  return router;
+}
+
+module.exports = {
+  webhooksRouter
+};
@@ -0,0 +1,119 @@
+// Building blocks for the JSON schemas the routes pass to validate() (see
+// http.js), for requests and for the responses openapi.js documents.
+// Schemas for a domain's bodies and records live with the rest of that
+// domain in services/.
+
+const id = { type: "integer", minimum: 1 };
+const count = { type: "integer", minimum: 0 };
+const positive = { type: "integer", minimum: 1 };
+const money = { type: "number", minimum: 0 };
+
+// a string with something other than whitespace in it
+const NOT_BLANK = "\\S";
+const text = { type: "string", pattern: NOT_BLANK };
+
+const date = { type: "string", format: "date" };
+const timestamp = { type: "string", format: "date-time" };
+const serviceLevel = { type: "number", exclusiveMinimum: 0, exclusiveMaximum: 1 };
+const url = { type: "string", pattern: "^https?://" };
+const currency = { type: "string", pattern: "^[A-Z]{3}$" };
+
+// ?by_location=true and other yes/no switches in query strings and forms
+const flag = { type: "string", enum: ["true", "false"] };
+
+// schema, or null
+function nullable(schema) {
+  const type = [].concat(schema.type, "null");
+  return schema.enum ? { ...schema, type, enum: [...schema.enum, null] } : { ...schema, type };
+}
+
+function oneOf(values) {
+  return { type: "string", enum: values };
+}
+
+// An object with exactly these properties, the listed ones required
+function object(properties, required = []) {
+  return { type: "object", properties, required, additionalProperties: false };
+}
+
+// A body that may change any of these properties but must change one
+function changes(properties) {
+  return { ...object(properties), minProperties: 1 };
+}
+
+// An object that must have at least one of these properties
+function requireOne(...names) {
+  return { anyOf: names.map(name => ({ required: [name] })) };
+}
+
+function arrayOf(items, { minItems = 0, ...rest } = {}) {
+  return { type: "array", items, minItems, ...rest };
+}
+
+// ?limit= with a default and a ceiling
+function limit(defaultValue, maximum) {
+  return { type: "integer", minimum: 1, maximum, default: defaultValue };
+}
+
+// Comma-separated lists in query strings: ?tag=a,b and ?product_ids=1,2
+const csv = { type: "string", pattern: "^[^,]+(,[^,]+)*$" };
+const idList = { type: "string", pattern: "^\\d+(,\\d+)*$" };
+
+const idParams = object({ id }, ["id"]);
+
+// RESPONSES
+// A row or other result object: exactly these properties, all present
+// unless listed in optional. Give it a title to document it once under
+// that name (components.schemas in the OpenAPI document).
+function record(properties, optional = []) {
+  return {
+    type: "object",
+    properties,
+    required: Object.keys(properties).filter(p => !optional.includes(p)),
+    additionalProperties: false
+  };
+}
+
+const string = { type: "string" };
+const integer = { type: "integer" };
+const number = { type: "number" };
+const boolean = { type: "boolean" };
+
+// NUMERIC columns: pg returns them as strings so no precision is lost
+const decimal = { type: "string", pattern: "^-?\\d+(\\.\\d+)?$" };
+// free-form JSON, e.g. audit changes and webhook payloads
+const json = { type: "object" };
+const csvFile = { type: "string", contentMediaType: "text/csv" };
+
+module.exports = {
+  NOT_BLANK,
+  id,
+  count,
+  positive,
+  money,
+  text,
+  date,
+  timestamp,
+  serviceLevel,
+  url,
+  currency,
+  flag,
+  csv,
+  idList,
+  nullable,
+  oneOf,
+  object,
+  changes,
+  requireOne,
+  arrayOf,
+  limit,
+  idParams,
+  record,
+  string,
+  integer,
+  number,
+  boolean,
+  decimal,
+  json,
+  csvFile
+};
@@ -0,0 +1,344 @@
+// Generate the JavaScript client in client/ from the OpenAPI document.
+//
+//   npm run generate:client
+//
+// Writes client/index.js (a UMD module: require() it in Node, or load it
+// with a <script> tag to get window.InventoryPlannerClient), its type
+// declarations in client/index.d.ts and client/package.json. Run it after
+// changing a route's validate() spec; test/openapi.test.js fails while the
+// checked-in client is out of date.
+
+const fs = require("fs");
+const path = require("path");
+const { createApp } = require("../app");
+const { buildOpenApi } = require("../openapi");
+
+const CLIENT_DIR = path.join(__dirname, "..", "client");
+const HEADER = "// Generated by scripts/generate-client.js from the OpenAPI document. Do not edit.\n";
+
+// What a client method needs to know about one operation
+function describeOperation(method, template, op) {
+  const params = op.parameters.filter(p => p.in === "path");
+  const query = op.parameters.filter(p => p.in === "query");
+  const content = op.requestBody ? op.requestBody.content : {};
+  const upload = content["multipart/form-data"];
+  const body = content["application/json"];
+
+  const [, response] = Object.entries(op.responses).find(([status]) => status < 300);
+  const [mediaType, { schema }] = Object.entries(response.content)[0];
+
+  return {
+    name: op.operationId,
+    method: method.toUpperCase(),
+    template,
+    description: op.description,
+    params,
+    query,
+    upload: upload && upload.schema,
+    body: body && { schema: body.schema, required: op.requestBody.required },
+    response: { mediaType, schema }
+  };
+}
+
+function operations(document) {
+  const list = [];
+  for (const [template, methods] of Object.entries(document.paths)) {
+    for (const [method, op] of Object.entries(methods)) {
+      list.push(describeOperation(method, template, op));
+    }
+  }
+  return list;
+}
+
+// The method's arguments in order: path params, then the body (or the file
+// and form fields of an upload), then the query
+function argumentsOf(op) {
+  const args = op.params.map(p => ({ name: p.name, schema: p.schema, required: true }));
+  if (op.upload) {
+    const fields = Object.fromEntries(
+      Object.entries(op.upload.properties).filter(([name]) => name !== "file")
+    );
+    args.push({ name: "file", type: "Blob", required: true });
+    args.push({
+      name: "fields",
+      schema: { type: "object", properties: fields, required: [] },
+      required: false
+    });
+  } else if (op.body) {
+    args.push({ name: "body", schema: op.body.schema, required: op.body.required });
+  }
+  if (op.query.length) {
+    args.push({
+      name: "query",
+      schema: {
+        type: "object",
+        properties: Object.fromEntries(op.query.map(p => [p.name, p.schema])),
+        required: op.query.filter(p => p.required).map(p => p.name)
+      },
+      required: op.query.some(p => p.required)
+    });
+  }
+  return args;
+}
+
+function jsDoc(op, indent) {
+  const lines = [`${op.method} ${op.template}`];
+  if (op.description) lines.push(op.description);
+  if (op.upload) lines.push("file is a File, or a Blob with a name ending in .csv or .xlsx.");
+  return [
+    `${indent}/**`,
+    ...lines.map(line => `${indent} * ${line}`),
+    `${indent} */`
+  ].join("\n");
+}
+
+// JS
+
+function pathExpression(template) {
+  return "`" + template.replace(/\{(\w+)\}/g, "${encodeURIComponent($1)}") + "`";
+}
+
+function clientMethod(op) {
+  const args = argumentsOf(op);
+  const options = [];
+  if (op.upload) options.push("form: formData(file, fields)");
+  else if (op.body) options.push("body");
+  if (op.query.length) options.push("query");
+
+  return [
+    jsDoc(op, "    "),
+    `    ${op.name}(${args.map(a => a.name).join(", ")}) {`,
+    `      return request("${op.method}", ${pathExpression(op.template)}` +
+      (options.length ? `, { ${options.join(", ")} });` : ");"),
+    "    }"
+  ].join("\n");
+}
+
+const RUNTIME = `(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory();
+  } else {
+    root.InventoryPlannerClient = factory();
+  }
+})(typeof self !== "undefined" ? self : this, function () {
+  "use strict";
+
+  // A response outside 2xx. code and details come from the API's
+  // { error, code, details } error body.
+  class ApiError extends Error {
+    constructor(status, body) {
+      super(body && body.error ? body.error : \`Request failed with status \${status}\`);
+      this.name = "ApiError";
+      this.status = status;
+      this.code = body && body.code;
+      this.details = body && body.details;
+      this.body = body;
+    }
+  }
+
+  function formData(file, fields) {
+    const form = new FormData();
+    for (const [key, value] of Object.entries(fields || {})) {
+      if (value !== undefined && value !== null) form.append(key, String(value));
+    }
+    form.append("file", file, file.name || "upload.csv");
+    return form;
+  }
+
+  // options: baseUrl (default: the page's origin), token (a session token
+  // or API key sent as a Bearer token), apiKey (sent as X-API-Key) and
+  // fetch. In a browser with neither, the session cookie is used.
+  function createClient(options = {}) {
+    const baseUrl = (options.baseUrl || "").replace(/\\/$/, "");
+    const fetchImpl = options.fetch || ((...args) => globalThis.fetch(...args));
+
+    async function request(method, path, { query, body, form } = {}) {
+      const headers = {};
+      if (options.token) headers.Authorization = \`Bearer \${options.token}\`;
+      if (options.apiKey) headers["X-API-Key"] = options.apiKey;
+
+      const search = new URLSearchParams();
+      for (const [key, value] of Object.entries(query || {})) {
+        if (value === undefined || value === null) continue;
+        search.append(key, Array.isArray(value) ? value.join(",") : String(value));
+      }
+      const url = baseUrl + path + (search.toString() ? \`?\${search}\` : "");
+
+      const init = { method, headers };
+      if (form) {
+        init.body = form;
+      } else if (body !== undefined) {
+        headers["Content-Type"] = "application/json";
+        init.body = JSON.stringify(body);
+      }
+
+      const res = await fetchImpl(url, init);
+      const text = await res.text();
+      const json = (res.headers.get("content-type") || "").includes("application/json");
+      const data = json && text ? JSON.parse(text) : text;
+      if (!res.ok) throw new ApiError(res.status, json ? data : null);
+      return data;
+    }
+
+    return {
+      request,
+`;
+
+function clientJs(document) {
+  return [
+    HEADER,
+    RUNTIME + operations(document).map(clientMethod).join(",\n\n"),
+    "    };",
+    "  }",
+    "",
+    "  return { createClient, ApiError };",
+    "});",
+    ""
+  ].join("\n");
+}
+
+// TYPES
+
+const IDENTIFIER = /^[A-Za-z_$][\w$]*$/;
+
+function tsType(schema, indent = "") {
+  if (schema.$ref) return schema.$ref.split("/").pop();
+  if (schema.enum) return schema.enum.map(v => JSON.stringify(v)).join(" | ");
+  if ((schema.anyOf || schema.oneOf) && !schema.type) {
+    return (schema.anyOf || schema.oneOf).map(s => tsType(s, indent)).join(" | ");
+  }
+
+  const types = [].concat(schema.type || []);
+  if (!types.length) return "unknown";
+  return types
+    .map(type => {
+      switch (type) {
+        case "string":
+          return "string";
+        case "integer":
+        case "number":
+          return "number";
+        case "boolean":
+          return "boolean";
+        case "null":
+          return "null";
+        case "array": {
+          const items = tsType(schema.items || {}, indent);
+          return /[ |]/.test(items) ? `Array<${items}>` : `${items}[]`;
+        }
+        default:
+          return tsObject(schema, indent);
+      }
+    })
+    .join(" | ");
+}
+
+function tsObject(schema, indent) {
+  const properties = Object.entries(schema.properties || {});
+  if (!properties.length) {
+    const values = schema.additionalProperties;
+    return values && typeof values === "object"
+      ? `{ [key: string]: ${tsType(values, indent)} }`
+      : "{ [key: string]: unknown }";
+  }
+
+  const required = schema.required || [];
+  const inner = `${indent}  `;
+  const members = properties.map(([name, property]) => {
+    const key = IDENTIFIER.test(name) ? name : JSON.stringify(name);
+    const optional = required.includes(name) ? "" : "?";
+    return `${inner}${key}${optional}: ${tsType(property, inner)};`;
+  });
+  return `{\n${members.join("\n")}\n${indent}}`;
+}
+
+function declaration(op) {
+  const args = argumentsOf(op);
+  // an optional argument can't come before a required one
+  const lastRequired = args.map(a => a.required).lastIndexOf(true);
+  const list = args.map((arg, i) => {
+    const type = arg.type || tsType(arg.schema, "  ");
+    return i > lastRequired ? `${arg.name}?: ${type}` : `${arg.name}: ${type}`;
+  });
+  const result = op.response.mediaType === "application/json"
+    ? tsType(op.response.schema, "  ")
+    : "string";
+  return `${jsDoc(op, "  ")}\n  ${op.name}(${list.join(", ")}): Promise<${result}>;`;
+}
+
+function clientTypes(document) {
+  const { Error: errorSchema, ...schemas } = document.components.schemas;
+  return [
+    HEADER,
+    ...Object.entries(schemas).map(([name, schema]) =>
+      `export type ${name} = ${tsType(schema)};\n`
+    ),
+    `export type ErrorCode = ${tsType(errorSchema.properties.code)};`,
+    "",
+    "export declare class ApiError extends Error {",
+    "  status: number;",
+    "  code?: ErrorCode;",
+    "  details?: { in: string; field: string; message: string }[];",
+    "  body: unknown;",
+    "}",
+    "",
+    "export interface ClientOptions {",
+    "  baseUrl?: string;",
+    "  token?: string;",
+    "  apiKey?: string;",
+    "  fetch?: typeof fetch;",
+    "}",
+    "",
+    "export interface RequestOptions {",
+    "  query?: { [key: string]: unknown };",
+    "  body?: unknown;",
+    "  form?: FormData;",
+    "}",
+    "",
+    "export interface Client {",
+    "  request(method: string, path: string, options?: RequestOptions): Promise<unknown>;",
+    "",
+    operations(document).map(declaration).join("\n\n"),
+    "}",
+    "",
+    "export declare function createClient(options?: ClientOptions): Client;",
+    ""
+  ].join("\n");
+}
+
+function clientPackage(document) {
+  return JSON.stringify({
+    name: "inventory-planner-client",
+    version: document.info.version,
+    description: `JavaScript client for the ${document.info.title}`,
+    main: "index.js",
+    types: "index.d.ts"
+  }, null, 2) + "\n";
+}
+
+// { file name: contents } of the client for an OpenAPI document
+function generateClient(document) {
+  return {
+    "index.js": clientJs(document),
+    "index.d.ts": clientTypes(document),
+    "package.json": clientPackage(document)
+  };
+}
+
+function main() {
+  // routes are only listed, never called, so no database is needed
+  const document = buildOpenApi(createApp(null));
+  fs.mkdirSync(CLIENT_DIR, { recursive: true });
+  for (const [name, contents] of Object.entries(generateClient(document))) {
+    fs.writeFileSync(path.join(CLIENT_DIR, name), contents);
+    console.log(`wrote client/${name}`);
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  generateClient
+};
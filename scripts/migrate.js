@@ -0,0 +1,52 @@
+// Run schema migrations against DATABASE_URL.
+//
+//   node scripts/migrate.js up [--to <version>]
+//   node scripts/migrate.js down [--steps <n> | --to <version>]
+//   node scripts/migrate.js status
+//
+// `down --to 0` reverts everything.
+
+const { createPool } = require("../db");
+const { migrate, migrationStatus } = require("../migrate");
+
+function option(args, name) {
+  const i = args.indexOf(`--${name}`);
+  if (i === -1) return null;
+
+  const value = Number(args[i + 1]);
+  if (!Number.isInteger(value) || value < 0) {
+    throw new Error(`--${name} needs a whole number`);
+  }
+  return value;
+}
+
+async function main() {
+  const [command = "up", ...args] = process.argv.slice(2);
+  const pool = createPool();
+
+  try {
+    if (command === "status") {
+      for (const m of await migrationStatus(pool)) {
+        const applied = m.applied_at ? m.applied_at.toISOString() : "pending";
+        console.log(`${String(m.version).padStart(3, "0")}_${m.name}  ${applied}`);
+      }
+    } else if (command === "up" || command === "down") {
+      const ran = await migrate(pool, {
+        direction: command,
+        to: option(args, "to"),
+        steps: option(args, "steps")
+      });
+      if (!ran.length) console.log("Nothing to migrate");
+    } else {
+      console.error("usage: node scripts/migrate.js up|down|status [--to <version>] [--steps <n>]");
+      process.exitCode = 1;
+    }
+  } finally {
+    await pool.end();
+  }
+}
+
+main().catch(err => {
+  console.error(err.message);
+  process.exit(1);
+});
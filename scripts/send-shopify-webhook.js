@@ -0,0 +1,44 @@
+// Post a fixture to the local Shopify webhook route, signed the way Shopify
+// signs it.
+//
+//   SHOPIFY_WEBHOOK_SECRET=dev node scripts/send-shopify-webhook.js \
+//     orders/create fixtures/shopify/orders-create.json [url] [webhook-id]
+//
+// Re-sending with the same webhook id exercises deduplication.
+
+const fs = require("fs");
+const crypto = require("crypto");
+const { sign } = require("../shopify");
+
+async function main() {
+  const [topic, fixture, url = "http://localhost:3000/webhooks/shopify", webhookId] =
+    process.argv.slice(2);
+  const secret = process.env.SHOPIFY_WEBHOOK_SECRET;
+
+  if (!topic || !fixture || !secret) {
+    console.error(
+      "usage: SHOPIFY_WEBHOOK_SECRET=... node scripts/send-shopify-webhook.js <topic> <fixture.json> [url] [webhook-id]"
+    );
+    process.exit(1);
+  }
+
+  const body = fs.readFileSync(fixture);
+  const res = await fetch(url, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      "X-Shopify-Topic": topic,
+      "X-Shopify-Hmac-Sha256": sign(secret, body),
+      "X-Shopify-Webhook-Id": webhookId || crypto.randomUUID()
+    },
+    body
+  });
+
+  console.log(res.status, await res.text());
+  if (!res.ok) process.exit(1);
+}
+
+main().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
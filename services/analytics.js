@@ -0,0 +1,237 @@
+// Inventory analytics. ABC ranks products by their share of revenue (or
+// units) sold over the last ?days= days; XYZ by how variable their weekly
+// demand was (see demandVariability()). Sales without a price count at the
+// product's unit cost. The component lines of a kit sale count toward units
+// but not revenue: the kit's own line already carries what was paid.
+
+const { abcClasses, demandVariability } = require("../planning");
+const { httpError } = require("../errors");
+const {
+  id,
+  csv,
+  nullable,
+  oneOf,
+  record,
+  string,
+  integer,
+  number
+} = require("../schemas");
+const { UNIT_COST_SQL } = require("./products");
+const {
+  FORECAST_HISTORY_DAYS,
+  demandKey,
+  loadDemandHistory
+} = require("./planning");
+const ANALYTICS_DAYS = 365;
+const CLASSIFICATION_BASES = ["revenue", "units"];
+const ABC_CLASSES = ["A", "B", "C"];
+const XYZ_CLASSES = ["X", "Y", "Z"];
+
+// Query parameters of the analytics reports, and of the ?abc_class= /
+// ?xyz_class= filter other endpoints take (see classFilter())
+const ANALYTICS_QUERY = {
+  days: { type: "integer", minimum: 1, maximum: FORECAST_HISTORY_DAYS },
+  location_id: id
+};
+const CLASS_FILTER_QUERY = {
+  ...ANALYTICS_QUERY,
+  basis: { ...oneOf(CLASSIFICATION_BASES), default: "revenue" },
+  abc_class: csv,
+  xyz_class: csv
+};
+
+// ?days= and ?location_id= of a query validated against ANALYTICS_QUERY;
+// each report has its own default window
+function analyticsDays(query, fallback = ANALYTICS_DAYS) {
+  return query.days ?? fallback;
+}
+
+function analyticsLocation(query) {
+  return query.location_id ?? null;
+}
+
+// "A,B" -> ["A", "B"]; null when not given
+function parseClassList(value, allowed, name) {
+  if (value === undefined || value === null || value === "") return null;
+
+  const list = String(value).toUpperCase().split(",").map(v => v.trim());
+  if (!list.every(v => allowed.includes(v))) {
+    throw httpError(400, `${name} must be one or more of ${allowed.join(", ")}`);
+  }
+  return list;
+}
+
+// Sold products (not parents) with revenue, units, ABC and XYZ class,
+// highest ranked first.
+const CLASSIFICATION = {
+  title: "Classification",
+  ...record({
+    product_id: id,
+    sku: string,
+    name: string,
+    kind: string,
+    category_id: nullable(id),
+    units: integer,
+    revenue: number,
+    share: number,
+    cumulative_share: number,
+    abc_class: oneOf(ABC_CLASSES),
+    weekly_demand_mean: number,
+    weekly_demand_cv: nullable(number),
+    xyz_class: oneOf(XYZ_CLASSES),
+    class: string
+  })
+};
+
+async function classifyProducts(db, {
+  basis = "revenue",
+  days = ANALYTICS_DAYS,
+  location_id = null
+} = {}) {
+  if (!CLASSIFICATION_BASES.includes(basis)) {
+    throw httpError(400, `basis must be one of ${CLASSIFICATION_BASES.join(", ")}`);
+  }
+
+  const { rows } = await db.query(`
+    SELECT
+      p.id AS product_id,
+      p.sku,
+      p.name,
+      p.kind,
+      p.category_id,
+      COALESCE(SUM(s.quantity), 0)::int AS units,
+      COALESCE(
+        SUM(s.quantity * COALESCE(s.unit_price, uc.unit_cost)) FILTER (WHERE s.kit_sale_id IS NULL),
+        0
+      )::float AS revenue
+    FROM products p
+    CROSS JOIN LATERAL (SELECT ${UNIT_COST_SQL} AS unit_cost) uc
+    LEFT JOIN sales s
+      ON s.product_id = p.id
+     AND s.sold_at > CURRENT_DATE - $1::int
+     AND s.sold_at <= CURRENT_DATE
+     AND ($2::int IS NULL OR s.location_id = $2)
+    WHERE p.archived_at IS NULL
+      AND p.kind <> 'parent'
+    GROUP BY p.id, uc.unit_cost
+    ORDER BY p.id
+  `, [days, location_id]);
+
+  const history = await loadDemandHistory(db, {
+    productIds: rows.map(r => r.product_id),
+    location_id
+  });
+  const classes = abcClasses(rows.map(r => ({ id: r.product_id, value: r[basis] })));
+  const total = rows.reduce((sum, r) => sum + Math.max(r[basis], 0), 0);
+  let cumulative = 0;
+
+  return rows
+    .sort((a, b) => b[basis] - a[basis] || a.product_id - b.product_id)
+    .map(r => {
+      const variability = demandVariability(
+        history.get(demandKey(r.product_id)) || [],
+        days
+      );
+      const abc = classes.get(r.product_id);
+      cumulative += Math.max(r[basis], 0);
+
+      return {
+        ...r,
+        revenue: Number(r.revenue.toFixed(2)),
+        share: total > 0 ? Number((Math.max(r[basis], 0) / total).toFixed(4)) : 0,
+        cumulative_share: total > 0 ? Number((cumulative / total).toFixed(4)) : 0,
+        abc_class: abc,
+        weekly_demand_mean: Number(variability.weekly_mean.toFixed(2)),
+        weekly_demand_cv: variability.cv === null ? null : Number(variability.cv.toFixed(3)),
+        xyz_class: variability.xyz_class,
+        class: `${abc}${variability.xyz_class}`
+      };
+    });
+}
+
+// ?abc_class=A,B&xyz_class=X as a product filter for the reorder and
+// suggestion endpoints (classes from ?basis=, ?days= and ?location_id= as
+// in /analytics/classification). null when neither class is asked for.
+async function classFilter(db, query) {
+  const abc = parseClassList(query.abc_class, ABC_CLASSES, "abc_class");
+  const xyz = parseClassList(query.xyz_class, XYZ_CLASSES, "xyz_class");
+  if (!abc && !xyz) return null;
+
+  const classes = new Map(
+    (await classifyProducts(db, {
+      basis: query.basis || "revenue",
+      days: analyticsDays(query),
+      location_id: analyticsLocation(query)
+    })).map(c => [c.product_id, c])
+  );
+
+  return productId => {
+    const c = classes.get(productId);
+    return Boolean(c) &&
+      (!abc || abc.includes(c.abc_class)) &&
+      (!xyz || xyz.includes(c.xyz_class));
+  };
+}
+
+// Per stocked product over the last `days` days: stock now and at the
+// start (now minus the ledger since), units received and net units sold.
+async function stockFlows(db, { days, location_id = null }) {
+  const { rows } = await db.query(`
+    SELECT
+      p.id AS product_id,
+      p.sku,
+      p.name,
+      CASE WHEN $2::int IS NULL THEN p.stock ELSE COALESCE(pl.stock, 0) END AS closing_stock,
+      COALESCE(m.net_change, 0)::int AS net_change,
+      COALESCE(m.received, 0)::int AS received,
+      COALESCE(s.units, 0)::int AS units_sold,
+      ${UNIT_COST_SQL}::float AS unit_cost
+    FROM products p
+    LEFT JOIN product_locations pl
+      ON pl.product_id = p.id AND pl.location_id = $2
+    LEFT JOIN (
+      SELECT
+        product_id,
+        SUM(quantity_change) AS net_change,
+        SUM(quantity_change) FILTER (WHERE reason = 'receipt') AS received
+      FROM stock_movements
+      WHERE created_at >= CURRENT_DATE - $1::int + 1
+        AND ($2::int IS NULL OR location_id = $2)
+      GROUP BY product_id
+    ) m ON m.product_id = p.id
+    LEFT JOIN (
+      SELECT product_id, SUM(quantity) AS units
+      FROM sales
+      WHERE sold_at > CURRENT_DATE - $1::int
+        AND sold_at <= CURRENT_DATE
+        AND ($2::int IS NULL OR location_id = $2)
+      GROUP BY product_id
+    ) s ON s.product_id = p.id
+    WHERE p.archived_at IS NULL
+      AND p.kind = 'standard'
+    ORDER BY p.id
+  `, [days, location_id]);
+
+  return rows.map(({ net_change, ...r }) => ({
+    ...r,
+    opening_stock: r.closing_stock - net_change
+  }));
+}
+
+const round2 = n => (n === null ? null : Number(n.toFixed(2)));
+
+module.exports = {
+  ABC_CLASSES,
+  XYZ_CLASSES,
+  CLASSIFICATION_BASES,
+  CLASSIFICATION,
+  ANALYTICS_QUERY,
+  CLASS_FILTER_QUERY,
+  analyticsDays,
+  analyticsLocation,
+  parseClassList,
+  classifyProducts,
+  classFilter,
+  stockFlows,
+  round2
+};
@@ -0,0 +1,117 @@
+// Audit log: who changed what, as field-level diffs.
+
+const { id, nullable, record, string, json, timestamp } = require("../schemas");
+
+// Bookkeeping columns left out of diffs, and secrets whose change is
+// recorded without the values.
+const AUDIT_IGNORED_FIELDS = ["created_at", "updated_at", "last_seen_at", "last_used_at"];
+const AUDIT_REDACTED_FIELDS = ["password_hash", "secret", "key_hash"];
+
+function auditValue(value) {
+  if (value === undefined) return null;
+  if (value instanceof Date) return value.toISOString();
+  return value;
+}
+
+// { field: { from, to } } for every field that differs between two rows.
+// Either side may be null (create / delete).
+function auditChanges(before, after) {
+  const changes = {};
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+  for (const field of fields) {
+    if (AUDIT_IGNORED_FIELDS.includes(field)) continue;
+
+    const from = auditValue(before ? before[field] : null);
+    const to = auditValue(after ? after[field] : null);
+    if (JSON.stringify(from) === JSON.stringify(to)) continue;
+
+    changes[field] = AUDIT_REDACTED_FIELDS.includes(field)
+      ? { from: from === null ? null : "[redacted]", to: to === null ? null : "[redacted]" }
+      : { from, to };
+  }
+
+  return changes;
+}
+
+// Record one change. Pass the row before and after (or explicit
+// `changes`); a change that changed nothing is not recorded. Call inside
+// the transaction that made the change.
+async function recordAudit(db, {
+  actor = null,
+  entity,
+  entity_id,
+  action,
+  before = null,
+  after = null,
+  changes = null
+}) {
+  const diff = changes || auditChanges(before, after);
+  if (!Object.keys(diff).length) return null;
+
+  const { rows } = await db.query(
+    `INSERT INTO audit_log (actor, entity_type, entity_id, action, changes)
+     VALUES ($1,$2,$3,$4,$5) RETURNING *`,
+    [actor, entity, String(entity_id), action, diff]
+  );
+  return rows[0];
+}
+
+// UPDATE one row (the statement must end in RETURNING *) and audit what
+// it changed. Returns the updated row, or null when `id` doesn't exist.
+async function auditedUpdate(client, { table, entity, id, actor, action = "update" }, sql, params) {
+  const before = await client.query(
+    `SELECT * FROM ${table} WHERE id = $1 FOR UPDATE`,
+    [id]
+  );
+  if (!before.rows.length) return null;
+
+  const { rows } = await client.query(sql, params);
+  await recordAudit(client, {
+    actor,
+    entity,
+    entity_id: id,
+    action,
+    before: before.rows[0],
+    after: rows[0]
+  });
+
+  return rows[0];
+}
+
+// Audit a change to a child row (a PO line, a catalog entry) against its
+// parent, with fields named <prefix>.<column>, so one history covers the
+// parent and its children. `omit` drops key columns that never change.
+async function auditChild(db, { actor, entity, entity_id, prefix, action, before, after, omit = [] }) {
+  const changes = {};
+
+  for (const [field, change] of Object.entries(auditChanges(before, after))) {
+    if (omit.includes(field)) continue;
+    changes[`${prefix}.${field}`] = change;
+  }
+
+  if (!Object.keys(changes).length) return null;
+  return recordAudit(db, { actor, entity, entity_id, action, changes });
+}
+
+// An audit_log row; changes is { field: { from, to } }
+const AUDIT_ENTRY = {
+  title: "AuditEntry",
+  ...record({
+    id,
+    occurred_at: timestamp,
+    actor: nullable(string),
+    entity_type: string,
+    entity_id: string,
+    action: string,
+    changes: json
+  })
+};
+
+module.exports = {
+  AUDIT_ENTRY,
+  auditChanges,
+  recordAudit,
+  auditedUpdate,
+  auditChild
+};
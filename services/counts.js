@@ -0,0 +1,321 @@
+// Stock count sessions. A session covers one location. Creating it
+// snapshots each product's expected quantity there (and its unit cost, to
+// value variances); counters then record what they found. Blind sessions
+// hide the expected quantity and variance until the session is submitted.
+//
+// Approving posts counted - expected for every counted line as a "count"
+// movement with its reason code. The variance is taken against the
+// snapshot, not current stock, so sales and receipts booked while the
+// count was running are kept rather than overwritten. Uncounted lines are
+// left alone. A product is only in one open session per location at a
+// time, so a variance can't be posted twice.
+
+const { abcClasses } = require("../planning");
+const { DEFAULT_COUNTS_PER_DAY, VARIANCE_REASON_CODES } = require("../counts");
+const { httpError } = require("../errors");
+const {
+  id,
+  count,
+  text,
+  nullable,
+  oneOf,
+  object,
+  requireOne,
+  arrayOf,
+  limit,
+  record,
+  string,
+  integer,
+  number,
+  boolean,
+  timestamp
+} = require("../schemas");
+const { ABC_CLASSES } = require("./analytics");
+const { recordAudit } = require("./audit");
+const { UNIT_COST_SQL } = require("./products");
+
+const STOCK_COUNT_TRANSITIONS = {
+  OPEN: ["SUBMITTED", "CANCELLED"],
+  SUBMITTED: ["APPROVED", "CANCELLED"],
+  APPROVED: [],
+  CANCELLED: []
+};
+const STOCK_COUNT_TIMESTAMPS = {
+  SUBMITTED: "submitted_at",
+  APPROVED: "approved_at",
+  CANCELLED: "cancelled_at"
+};
+
+// Active stocked products at a location with what the count scheduler
+// weighs: stock value, 90-day velocity, ABC class by the last 365 days'
+// consumption value there, and when each was last counted there.
+async function loadCountCandidates(db, locationId) {
+  const { rows } = await db.query(`
+    SELECT
+      p.id AS product_id,
+      p.sku,
+      p.name,
+      p.category_id,
+      COALESCE(pl.stock, 0) AS stock,
+      ${UNIT_COST_SQL}::float AS unit_cost,
+      COALESCE(s.sold_365, 0)::float AS sold_365,
+      COALESCE(s.sold_90, 0)::float / 90 AS daily_velocity,
+      lc.last_counted_at,
+      oc.count_id AS open_count_id
+    FROM products p
+    LEFT JOIN product_locations pl
+      ON pl.product_id = p.id AND pl.location_id = $1
+    LEFT JOIN (
+      SELECT
+        product_id,
+        SUM(quantity) AS sold_365,
+        SUM(quantity) FILTER (WHERE sold_at > CURRENT_DATE - 90) AS sold_90
+      FROM sales
+      WHERE sold_at > CURRENT_DATE - 365
+        AND location_id = $1
+      GROUP BY product_id
+    ) s ON s.product_id = p.id
+    LEFT JOIN (
+      SELECT scl.product_id, MAX(scl.counted_at) AS last_counted_at
+      FROM stock_count_lines scl
+      JOIN stock_counts sc ON sc.id = scl.count_id
+      WHERE sc.status = 'APPROVED'
+        AND sc.location_id = $1
+        AND scl.counted_quantity IS NOT NULL
+      GROUP BY scl.product_id
+    ) lc ON lc.product_id = p.id
+    LEFT JOIN (
+      SELECT scl.product_id, MIN(sc.id) AS count_id
+      FROM stock_count_lines scl
+      JOIN stock_counts sc ON sc.id = scl.count_id
+      WHERE sc.status IN ('OPEN', 'SUBMITTED')
+        AND sc.location_id = $1
+      GROUP BY scl.product_id
+    ) oc ON oc.product_id = p.id
+    WHERE p.archived_at IS NULL
+      AND p.kind = 'standard'
+    ORDER BY p.id
+  `, [locationId]);
+
+  const classes = abcClasses(
+    rows.map(r => ({ id: r.product_id, value: Math.max(r.sold_365, 0) * r.unit_cost }))
+  );
+
+  return rows.map(r => ({
+    ...r,
+    abc_class: classes.get(r.product_id),
+    stock_value: Math.max(r.stock, 0) * r.unit_cost
+  }));
+}
+
+async function loadStockCount(db, id) {
+  const { rows } = await db.query(
+    `SELECT sc.*, l.code AS location_code, l.name AS location_name
+     FROM stock_counts sc
+     JOIN locations l ON l.id = sc.location_id
+     WHERE sc.id = $1`,
+    [id]
+  );
+  if (!rows.length) return null;
+
+  const lines = await db.query(
+    `SELECT scl.*, p.sku, p.name
+     FROM stock_count_lines scl
+     JOIN products p ON p.id = scl.product_id
+     WHERE scl.count_id = $1
+     ORDER BY p.sku, scl.id`,
+    [id]
+  );
+
+  return { ...rows[0], lines: lines.rows };
+}
+
+// Lines with their variance in units and value, plus totals. While a
+// blind session is OPEN nothing that gives away the book quantity is
+// returned.
+function presentStockCount(count) {
+  const hidden = count.blind && count.status === "OPEN";
+  const totals = {
+    lines: count.lines.length,
+    counted: 0,
+    with_variance: 0,
+    variance_units: 0,
+    variance_value: 0,
+    absolute_variance_value: 0
+  };
+
+  const lines = count.lines.map(line => {
+    const unit_cost = line.unit_cost === null ? null : Number(line.unit_cost);
+    const counted = line.counted_quantity !== null;
+    const variance_units = counted ? line.counted_quantity - line.expected_quantity : null;
+    const variance_value =
+      counted ? Number((variance_units * (unit_cost || 0)).toFixed(2)) : null;
+
+    if (counted) {
+      totals.counted++;
+      if (variance_units !== 0) totals.with_variance++;
+      totals.variance_units += variance_units;
+      totals.variance_value += variance_value;
+      totals.absolute_variance_value += Math.abs(variance_value);
+    }
+
+    return hidden
+      ? { ...line, unit_cost, expected_quantity: null, variance_units: null, variance_value: null }
+      : { ...line, unit_cost, variance_units, variance_value };
+  });
+
+  totals.variance_value = Number(totals.variance_value.toFixed(2));
+  totals.absolute_variance_value = Number(totals.absolute_variance_value.toFixed(2));
+
+  return {
+    ...count,
+    lines,
+    totals: hidden
+      ? { lines: totals.lines, counted: totals.counted }
+      : totals
+  };
+}
+
+async function lockStockCount(client, id) {
+  const { rows } = await client.query(
+    `SELECT * FROM stock_counts WHERE id = $1 FOR UPDATE`,
+    [id]
+  );
+
+  if (!rows.length) {
+    throw httpError(404, "Stock count not found");
+  }
+
+  return rows[0];
+}
+
+async function transitionStockCount(client, id, to, { actor = null } = {}) {
+  const count = await lockStockCount(client, id);
+
+  if (!STOCK_COUNT_TRANSITIONS[count.status].includes(to)) {
+    throw httpError(409, `Cannot move stock count from ${count.status} to ${to}`);
+  }
+
+  const { rows } = await client.query(
+    `UPDATE stock_counts
+     SET status = $2,
+         ${STOCK_COUNT_TIMESTAMPS[to]} = NOW(),
+         approved_by = CASE WHEN $2 = 'APPROVED' THEN $3 ELSE approved_by END
+     WHERE id = $1
+     RETURNING *`,
+    [id, to, actor]
+  );
+  await recordAudit(client, {
+    actor,
+    entity: "stock_count",
+    entity_id: id,
+    action: "status_change",
+    before: count,
+    after: rows[0]
+  });
+
+  return rows[0];
+}
+
+const STOCK_COUNT_STATUSES = Object.keys(STOCK_COUNT_TRANSITIONS);
+
+// Bodies of POST /stock-counts, /stock-counts/:id/counts and
+// /stock-counts/:id/approve
+const reasonCode = nullable(oneOf(VARIANCE_REASON_CODES));
+const countLimit = limit(DEFAULT_COUNTS_PER_DAY, 500);
+const NEW_STOCK_COUNT_SCHEMA = object({
+  location_id: nullable(id),
+  product_ids: nullable(arrayOf(id)),
+  category_id: nullable(id),
+  abc_class: nullable(oneOf(ABC_CLASSES)),
+  scheduled: { type: "boolean" },
+  limit: countLimit,
+  blind: { type: "boolean" },
+  notes: nullable({ type: "string" })
+});
+const COUNT_ENTRY_SCHEMA = {
+  ...object(
+    { product_id: id, sku: text, counted_quantity: nullable(count), reason_code: reasonCode },
+    ["counted_quantity"]
+  ),
+  ...requireOne("product_id", "sku")
+};
+const APPROVAL_SCHEMA = object({
+  // product id -> reason code
+  reason_codes: {
+    type: "object",
+    propertyNames: { pattern: "^\\d+$" },
+    additionalProperties: reasonCode
+  },
+  default_reason_code: reasonCode
+});
+
+// A stock_counts row
+const STOCK_COUNT_RECORD = record({
+  id,
+  location_id: id,
+  status: oneOf(STOCK_COUNT_STATUSES),
+  abc_class: nullable(oneOf(ABC_CLASSES)),
+  blind: boolean,
+  notes: nullable(string),
+  created_by: nullable(string),
+  created_at: timestamp,
+  submitted_at: nullable(timestamp),
+  approved_by: nullable(string),
+  approved_at: nullable(timestamp),
+  cancelled_at: nullable(timestamp)
+});
+
+// A session as presentStockCount() returns it. While a blind session is
+// OPEN expected_quantity and the variances are null and totals only has
+// lines and counted.
+const STOCK_COUNT = {
+  title: "StockCount",
+  ...record({
+    ...STOCK_COUNT_RECORD.properties,
+    location_code: string,
+    location_name: string,
+    lines: arrayOf(record({
+      id,
+      count_id: id,
+      product_id: id,
+      expected_quantity: nullable(integer),
+      unit_cost: nullable(number),
+      counted_quantity: nullable(integer),
+      counted_by: nullable(string),
+      counted_at: nullable(timestamp),
+      reason_code: nullable(string),
+      movement_id: nullable(id),
+      sku: string,
+      name: string,
+      variance_units: nullable(integer),
+      variance_value: nullable(number)
+    })),
+    totals: record(
+      {
+        lines: integer,
+        counted: integer,
+        with_variance: integer,
+        variance_units: integer,
+        variance_value: number,
+        absolute_variance_value: number
+      },
+      ["with_variance", "variance_units", "variance_value", "absolute_variance_value"]
+    )
+  })
+};
+
+module.exports = {
+  STOCK_COUNT_STATUSES,
+  NEW_STOCK_COUNT_SCHEMA,
+  COUNT_ENTRY_SCHEMA,
+  APPROVAL_SCHEMA,
+  STOCK_COUNT_RECORD,
+  STOCK_COUNT,
+  countLimit,
+  loadCountCandidates,
+  loadStockCount,
+  presentStockCount,
+  lockStockCount,
+  transitionStockCount
+};
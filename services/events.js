@@ -0,0 +1,26 @@
+// Events for outbound webhooks. Emitting one queues a delivery to every
+// subscriber; services/webhooks.js sends them.
+
+// Record an event and queue a delivery for every active subscription to it.
+// Call inside the transaction that made the change so an event is only
+// sent for work that committed.
+async function emitEvent(client, type, data) {
+  const { rows } = await client.query(
+    `INSERT INTO events (type, data) VALUES ($1, $2) RETURNING *`,
+    [type, data]
+  );
+
+  await client.query(
+    `INSERT INTO webhook_deliveries (subscription_id, event_id)
+     SELECT id, $1
+     FROM webhook_subscriptions
+     WHERE active AND ($2 = ANY(events) OR '*' = ANY(events))`,
+    [rows[0].id, type]
+  );
+
+  return rows[0];
+}
+
+module.exports = {
+  emitEvent
+};
@@ -0,0 +1,232 @@
+// Product and stock imports from CSV / XLSX: a dry-run plan of what each
+// row would change, then applying it through the stock ledger.
+
+const { IMPORT_FIELDS, mapRow, validateRow } = require("../importer");
+const {
+  id,
+  nullable,
+  oneOf,
+  arrayOf,
+  record,
+  string,
+  integer,
+  boolean
+} = require("../schemas");
+const { recordAudit } = require("./audit");
+const { setStockLevel } = require("./stock");
+
+const IMPORT_PRODUCT_FIELDS = ["name", "reorder_point", "lead_time_days", "image_url"];
+
+// What POST /inventory/import answers with, for a dry run and an apply
+// alike. A failed apply is a 422 whose details are the row errors.
+const IMPORT_ROW_ERROR = record({
+  line: integer,
+  sku: nullable(string),
+  field: string,
+  message: string
+});
+const IMPORT_CHANGE = record({
+  line: integer,
+  sku: string,
+  product_id: nullable(id),
+  location: string,
+  location_id: id,
+  action: oneOf(["create", "update", "unchanged"]),
+  // { field: { from, to } }
+  changes: {
+    type: "object",
+    additionalProperties: record({ from: {}, to: {} })
+  }
+});
+const IMPORT_RESULT = {
+  title: "ImportResult",
+  ...record({
+    mode: oneOf(["dry_run", "apply"]),
+    applied: boolean,
+    file: string,
+    fields: arrayOf(oneOf(Object.keys(IMPORT_FIELDS))),
+    rows: integer,
+    summary: record({ create: integer, update: integer, unchanged: integer, errors: integer }),
+    errors: arrayOf(IMPORT_ROW_ERROR),
+    changes: arrayOf(IMPORT_CHANGE)
+  })
+};
+
+// Work out what an import would do without changing anything: one entry per
+// valid row with the field-level diff, plus every row error. With
+// lock = true the matched products are locked so the apply step sees the
+// same state the diff was built from.
+async function planImport(db, parsed, { mapping, createMissing, location, lock = false }) {
+  const errors = [];
+  const candidates = [];
+  const seen = new Map();
+
+  for (const { line, values } of parsed) {
+    const { row, errors: rowErrors } = validateRow(mapRow(values, mapping));
+    row.location = row.location || location || null;
+
+    const key = `${row.sku}@${row.location || ""}`;
+    if (row.sku && seen.has(key)) {
+      rowErrors.push({
+        field: "sku",
+        message: `duplicate of line ${seen.get(key)}`
+      });
+    } else if (row.sku) {
+      seen.set(key, line);
+    }
+
+    if (rowErrors.length) {
+      errors.push(...rowErrors.map(e => ({ line, sku: row.sku || null, ...e })));
+    } else {
+      candidates.push({ line, row });
+    }
+  }
+
+  const skus = [...new Set(candidates.map(c => c.row.sku))];
+  const codes = [...new Set(candidates.map(c => c.row.location).filter(Boolean))];
+
+  // one query at a time: in apply mode db is the transaction's client, and
+  // the product rows are locked before anything else is read
+  const products = await db.query(
+    `SELECT id, sku, kind, archived_at, ${IMPORT_PRODUCT_FIELDS.join(", ")}
+     FROM products
+     WHERE sku = ANY($1)
+     ORDER BY id
+     ${lock ? "FOR UPDATE" : ""}`,
+    [skus]
+  );
+  const locations = await db.query(`SELECT id, code FROM locations WHERE code = ANY($1)`, [codes]);
+  const defaultLocation = await db.query(`SELECT id, code FROM locations WHERE is_default`);
+
+  const bySku = new Map(products.rows.map(p => [p.sku, p]));
+  const byCode = new Map(locations.rows.map(l => [l.code, l]));
+
+  const stock = await db.query(
+    `SELECT product_id, location_id, stock
+     FROM product_locations
+     WHERE product_id = ANY($1)`,
+    [products.rows.map(p => p.id)]
+  );
+  const stockAt = new Map(
+    stock.rows.map(r => [`${r.product_id}:${r.location_id}`, r.stock])
+  );
+
+  const changes = [];
+
+  for (const { line, row } of candidates) {
+    const product = bySku.get(row.sku);
+    const loc = row.location ? byCode.get(row.location) : defaultLocation.rows[0];
+
+    if (!loc) {
+      errors.push({ line, sku: row.sku, field: "location", message: `unknown location ${row.location}` });
+      continue;
+    }
+    if (!product && !createMissing) {
+      errors.push({ line, sku: row.sku, field: "sku", message: `unknown sku ${row.sku}` });
+      continue;
+    }
+    if (!product && !row.name) {
+      errors.push({ line, sku: row.sku, field: "name", message: "name is required to create a product" });
+      continue;
+    }
+    // caught here so a dry run fails the same rows the apply would
+    if (product && row.stock !== undefined && product.kind !== "standard") {
+      errors.push({
+        line,
+        sku: row.sku,
+        field: "stock",
+        message: `${row.sku} is a ${product.kind} and holds no stock of its own`
+      });
+      continue;
+    }
+    if (product && row.stock !== undefined && product.archived_at) {
+      errors.push({ line, sku: row.sku, field: "stock", message: `${row.sku} is archived` });
+      continue;
+    }
+
+    const diff = {};
+    for (const field of IMPORT_PRODUCT_FIELDS) {
+      if (row[field] === undefined) continue;
+      const from = product ? product[field] : null;
+      if (from !== row[field]) diff[field] = { from, to: row[field] };
+    }
+    if (row.stock !== undefined) {
+      const from = product ? stockAt.get(`${product.id}:${loc.id}`) || 0 : 0;
+      if (from !== row.stock) diff.stock = { from, to: row.stock };
+    }
+
+    changes.push({
+      line,
+      sku: row.sku,
+      product_id: product ? product.id : null,
+      location: loc.code,
+      location_id: loc.id,
+      action: !product ? "create" : Object.keys(diff).length ? "update" : "unchanged",
+      changes: diff
+    });
+  }
+
+  errors.sort((a, b) => a.line - b.line);
+  return { changes, errors };
+}
+
+async function applyImport(client, changes, { reference, user }) {
+  const created = new Map();
+
+  for (const change of changes) {
+    if (change.action === "unchanged") continue;
+
+    let productId = change.product_id || created.get(change.sku);
+    const fields = IMPORT_PRODUCT_FIELDS.filter(f => change.changes[f]);
+    const audited = Object.fromEntries(fields.map(f => [f, change.changes[f]]));
+
+    if (!productId) {
+      const { rows } = await client.query(
+        `INSERT INTO products (sku, ${fields.join(", ")}, stock)
+         VALUES ($1, ${fields.map((_, i) => `$${i + 2}`).join(", ")}, 0)
+         RETURNING id`,
+        [change.sku, ...fields.map(f => change.changes[f].to)]
+      );
+      productId = rows[0].id;
+      created.set(change.sku, productId);
+      await recordAudit(client, {
+        actor: user,
+        entity: "product",
+        entity_id: productId,
+        action: "create",
+        changes: { sku: { from: null, to: change.sku }, ...audited }
+      });
+    } else if (fields.length) {
+      await client.query(
+        `UPDATE products
+         SET ${fields.map((f, i) => `${f} = $${i + 2}`).join(", ")}, updated_at = NOW()
+         WHERE id = $1`,
+        [productId, ...fields.map(f => change.changes[f].to)]
+      );
+      await recordAudit(client, {
+        actor: user,
+        entity: "product",
+        entity_id: productId,
+        action: "update",
+        changes: audited
+      });
+    }
+
+    if (change.changes.stock) {
+      await setStockLevel(client, {
+        product_id: productId,
+        location_id: change.location_id,
+        stock: change.changes.stock.to,
+        reason: "import",
+        reference_id: reference,
+        user
+      });
+    }
+  }
+}
+
+module.exports = {
+  IMPORT_RESULT,
+  planImport,
+  applyImport
+};
@@ -0,0 +1,516 @@
+// Replenishment planning over the database: demand history, forecasts,
+// reorder points and the order suggestions built from them. The math
+// lives in forecast.js and planning.js; this module feeds them.
+
+const {
+  FORECAST_METHODS,
+  selectForecast,
+  demandOver,
+  daysUntilStockout
+} = require("../forecast");
+const {
+  DEFAULT_SERVICE_LEVEL,
+  POLICY_FIELDS,
+  POLICY_SCOPES,
+  demandStats,
+  reorderPoint,
+  resolvePolicy,
+  roundOrderQuantity
+} = require("../planning");
+const {
+  id,
+  count,
+  positive,
+  nullable,
+  oneOf,
+  object,
+  changes,
+  record,
+  string,
+  integer,
+  number,
+  decimal,
+  timestamp
+} = require("../schemas");
+const { UNIT_COST_SQL } = require("./products");
+const { LOCATION_SCOPE_FIELDS, locationScope } = require("./stock");
+
+const FORECAST_HISTORY_DAYS = 3 * 365;
+const DEFAULT_LEAD_TIME_DAYS = 30;
+
+// The model a forecast used; "none" without any sales to go on
+const FORECAST_METHOD = oneOf([...FORECAST_METHODS, "none"]);
+const PLAN_STATUS = oneOf(["OK", "ORDER SOON", "ORDER NOW"]);
+
+function demandKey(product_id, location_id = null) {
+  return location_id === null ? String(product_id) : `${product_id}:${location_id}`;
+}
+
+// Daily units sold per product (or product + location when perLocation),
+// oldest day first and ending today.
+async function loadDemandHistory(db, {
+  productIds = null,
+  perLocation = false,
+  location_id = null
+} = {}) {
+  const { rows } = await db.query(`
+    SELECT
+      product_id,
+      location_id,
+      (CURRENT_DATE - sold_at) AS days_ago,
+      SUM(quantity)::int AS quantity
+    FROM sales
+    WHERE sold_at > CURRENT_DATE - $1::int
+      AND sold_at <= CURRENT_DATE
+      AND ($2::int[] IS NULL OR product_id = ANY($2))
+      AND ($3::int IS NULL OR location_id = $3)
+    GROUP BY product_id, location_id, sold_at
+  `, [FORECAST_HISTORY_DAYS, productIds, location_id]);
+
+  const history = new Map();
+
+  for (const r of rows) {
+    const key = demandKey(r.product_id, perLocation ? r.location_id : null);
+    if (!history.has(key)) {
+      history.set(key, new Array(FORECAST_HISTORY_DAYS).fill(0));
+    }
+    history.get(key)[FORECAST_HISTORY_DAYS - 1 - r.days_ago] += r.quantity;
+  }
+
+  return history;
+}
+
+function forecastFor(history, product_id, location_id, horizon) {
+  return selectForecast(
+    history.get(demandKey(product_id, location_id ?? null)) || [],
+    { horizon }
+  );
+}
+
+// Safety stock and reorder point for a product from its service level,
+// demand variability and lead time (+ variability). `p` needs
+// service_level, lead_time_days and lead_time_stddev_days (null = defaults).
+function computeReorderPoint(p, series, forecast, bufferDays = 0) {
+  const lead = p.lead_time_days ?? DEFAULT_LEAD_TIME_DAYS;
+  const leadTimeDemand = demandOver(forecast, lead);
+  const dailyDemand = leadTimeDemand / Math.max(lead, 1);
+  const stats = demandStats(series || []);
+  const serviceLevel = Number(p.service_level ?? DEFAULT_SERVICE_LEVEL);
+  const leadTimeStdDev = Number(p.lead_time_stddev_days || 0);
+
+  return {
+    service_level: serviceLevel,
+    lead_time_days: lead,
+    lead_time_stddev_days: leadTimeStdDev,
+    daily_demand: dailyDemand,
+    demand_stddev: stats.stddev,
+    ...reorderPoint({
+      leadTimeDemand,
+      serviceLevel,
+      leadTimeDays: lead,
+      leadTimeStdDev,
+      dailyDemand,
+      demandStdDev: stats.stddev,
+      bufferDays
+    })
+  };
+}
+
+// A resolvePolicy() result: every field's value and the policy it came
+// from ("global", "category:3", "default", "request", ...)
+const EFFECTIVE_POLICY = {
+  title: "EffectivePolicy",
+  ...record({
+    ...Object.fromEntries(POLICY_FIELDS.map(f => [f, integer])),
+    source: record(Object.fromEntries(POLICY_FIELDS.map(f => [f, string])))
+  })
+};
+
+async function loadPlanningPolicies(db) {
+  const { rows } = await db.query(`SELECT * FROM planning_policies`);
+  return rows;
+}
+
+// Observed supplier lead times (see supplierLeadTimesSql) replace the static
+// suppliers.lead_time_days in planning once a supplier opts in and has at
+// least this many receipts in the window.
+const OBSERVED_LEAD_TIME_WINDOW_DAYS = 365;
+const MIN_OBSERVED_RECEIPTS = 3;
+
+// Actual lead time of every receipt: days from the PO being sent (submitted,
+// or created for legacy POs) to the goods arriving. Aggregated per supplier
+// over POs placed in the last $<daysParam> days.
+function supplierLeadTimesSql(daysParam) {
+  return `
+    SELECT
+      po.supplier_id,
+      COUNT(*)::int AS receipts,
+      AVG(lt.days) AS avg_lead_time_days,
+      PERCENTILE_CONT(0.9) WITHIN GROUP (ORDER BY lt.days) AS p90_lead_time_days,
+      COALESCE(STDDEV_SAMP(lt.days), 0) AS lead_time_stddev_days,
+      COALESCE(VAR_SAMP(lt.days), 0) AS lead_time_variance
+    FROM purchase_order_receipts r
+    JOIN purchase_orders po ON po.id = r.purchase_order_id
+    CROSS JOIN LATERAL (
+      SELECT EXTRACT(EPOCH FROM r.received_at - COALESCE(po.submitted_at, po.created_at)) / 86400 AS days
+    ) lt
+    WHERE po.supplier_id IS NOT NULL
+      AND COALESCE(po.submitted_at, po.created_at) >= NOW() - make_interval(days => $${daysParam})
+    GROUP BY po.supplier_id
+  `;
+}
+
+function leastCommonMultiple(a, b) {
+  const gcd = (x, y) => (y ? gcd(y, x % y) : x);
+  return (a * b) / gcd(a, b);
+}
+
+// One planning pass over products (optionally per location): forecast,
+// effective policy, reorder point and the suggested order. Every reorder /
+// suggestion endpoint and the dashboards read from this so they agree.
+//
+//   order_up_to = forecast demand over (lead time + coverage_days) + safety stock
+//   suggested   = order_up_to - stock - on_order, rounded per policy
+//
+// Open PO quantities count as on order only in the rolled-up view; POs are
+// not tied to a location until they are received.
+async function planProducts(db, {
+  productIds = null,
+  loc = locationScope({}, 1),
+  overrides = {}
+} = {}) {
+  const productParam = loc.params.length + 1;
+
+  const { rows } = await db.query(`
+    SELECT
+      p.id,
+      p.sku,
+      p.name,
+      p.image_url,
+      ${loc.select},
+      p.reorder_point,
+      p.safety_stock AS current_safety_stock,
+      p.category_id,
+
+      sup.id   AS supplier_id,
+      sup.name AS supplier_name,
+      CASE
+        WHEN p.lead_time_days IS NOT NULL THEN p.lead_time_days
+        WHEN obs.supplier_id IS NOT NULL THEN ROUND(obs.avg_lead_time_days)::int
+        ELSE sup.lead_time_days
+      END AS lead_time_days,
+      CASE
+        WHEN obs.supplier_id IS NOT NULL THEN obs.lead_time_stddev_days
+        ELSE sup.lead_time_stddev_days
+      END AS lead_time_stddev_days,
+      CASE
+        WHEN p.lead_time_days IS NOT NULL THEN 'product'
+        WHEN obs.supplier_id IS NOT NULL THEN 'observed'
+        WHEN sup.id IS NOT NULL THEN 'supplier'
+        ELSE 'default'
+      END AS lead_time_source,
+      COALESCE(sp.case_pack, 1) AS case_pack,
+      COALESCE(p.service_level, c.service_level) AS service_level,
+      ${loc.perLocation ? "0" : "COALESCE(oo.on_order, 0)::int"} AS on_order
+
+    FROM products p
+    ${loc.join}
+    LEFT JOIN suppliers sup
+      ON p.supplier_id = sup.id
+    LEFT JOIN supplier_products sp
+      ON sp.product_id = p.id AND sp.supplier_id = p.supplier_id
+    LEFT JOIN (${supplierLeadTimesSql(productParam + 1)}) obs
+      ON obs.supplier_id = sup.id
+     AND sup.use_observed_lead_time
+     AND obs.receipts >= ${MIN_OBSERVED_RECEIPTS}
+    LEFT JOIN categories c
+      ON p.category_id = c.id
+    LEFT JOIN (
+      SELECT poi.product_id, SUM(GREATEST(poi.quantity - poi.quantity_received, 0)) AS on_order
+      FROM purchase_order_items poi
+      JOIN purchase_orders po ON po.id = poi.purchase_order_id
+      WHERE UPPER(po.status) NOT IN ('RECEIVED', 'CANCELLED')
+      GROUP BY poi.product_id
+    ) oo ON oo.product_id = p.id
+    ${loc.where || "WHERE TRUE"}
+      AND p.archived_at IS NULL
+      AND p.kind = 'standard'
+      AND ($${productParam}::int[] IS NULL OR p.id = ANY($${productParam}))
+    ORDER BY p.id
+  `, [...loc.params, productIds, OBSERVED_LEAD_TIME_WINDOW_DAYS]);
+
+  const [history, policies] = await Promise.all([
+    loadDemandHistory(db, { productIds, ...loc }),
+    loadPlanningPolicies(db)
+  ]);
+
+  return rows.map(p => {
+    const lead = overrides.lead_time_days ?? p.lead_time_days ?? DEFAULT_LEAD_TIME_DAYS;
+    const policy = resolvePolicy(policies, { ...p, product_id: p.id });
+    if (overrides.buffer_days !== undefined) {
+      policy.buffer_days = overrides.buffer_days;
+      policy.source.buffer_days = "request";
+    }
+
+    const horizon = Math.max(
+      lead + Math.max(policy.coverage_days, policy.review_period_days),
+      90
+    );
+    const f = forecastFor(history, p.id, p.location_id, horizon);
+    const rop = computeReorderPoint(
+      { ...p, lead_time_days: lead },
+      history.get(demandKey(p.id, p.location_id ?? null)),
+      f.forecast,
+      policy.buffer_days
+    );
+    rop.lead_time_source =
+      overrides.lead_time_days !== undefined ? "request" : p.lead_time_source;
+
+    const order_up_to = Math.ceil(
+      demandOver(f.forecast, lead + policy.coverage_days) + rop.safety_stock
+    );
+    // the preferred supplier only ships whole cases
+    const suggested = roundOrderQuantity(
+      order_up_to - p.stock - p.on_order,
+      {
+        ...policy,
+        order_multiple: leastCommonMultiple(policy.order_multiple, p.case_pack)
+      }
+    );
+
+    const position = p.stock + p.on_order;
+    let status = "OK";
+    if (rop.reorder_point > 0 && position <= rop.reorder_point) status = "ORDER NOW";
+    else if (
+      rop.reorder_point > 0 &&
+      position - demandOver(f.forecast, policy.review_period_days) <= rop.reorder_point
+    ) status = "ORDER SOON";
+
+    return {
+      product: p,
+      forecast: f,
+      policy,
+      rop,
+      days_of_stock: daysUntilStockout(p.stock, f.forecast),
+      order_up_to,
+      suggested_order_quantity: suggested,
+      status
+    };
+  });
+}
+
+// Computed safety stock / reorder point next to the current manual value.
+const REORDER_POINT_PREVIEW = {
+  title: "ReorderPointPreview",
+  ...record({
+    product_id: id,
+    sku: string,
+    name: string,
+    stock: integer,
+    service_level: number,
+    lead_time_days: integer,
+    lead_time_stddev_days: number,
+    daily_demand: number,
+    demand_stddev: number,
+    safety_stock: integer,
+    reorder_point: integer,
+    lead_time_source: string,
+    forecast_method: FORECAST_METHOD,
+    current_safety_stock: integer,
+    current_reorder_point: integer,
+    computed_reorder_point: integer,
+    difference: integer
+  })
+};
+
+async function reorderPointPreview(db, { productIds = null, category_id = null } = {}) {
+  const plan = await planProducts(db, { productIds });
+
+  return plan
+    .filter(({ product }) => category_id === null || product.category_id === category_id)
+    .map(({ product: p, forecast, rop }) => ({
+      product_id: p.id,
+      sku: p.sku,
+      name: p.name,
+      stock: p.stock,
+      ...rop,
+      forecast_method: forecast.method,
+      current_safety_stock: p.current_safety_stock,
+      current_reorder_point: p.reorder_point,
+      computed_reorder_point: rop.reorder_point,
+      difference: rop.reorder_point - p.reorder_point
+    }));
+}
+
+// PLANNING POLICIES
+// Bodies of POST and PATCH /planning/policies. Every field may be null,
+// meaning "inherit"; a global policy has no scope_id, any other needs one.
+const POLICY_PROPERTIES = Object.fromEntries(
+  POLICY_FIELDS.map(f => [f, nullable(f === "order_multiple" ? positive : count)])
+);
+const NEW_POLICY_SCHEMA = {
+  ...object(
+    { scope: oneOf(POLICY_SCOPES), scope_id: nullable(id), ...POLICY_PROPERTIES },
+    ["scope"]
+  ),
+  if: { properties: { scope: { const: "global" } } },
+  then: { properties: { scope_id: { type: "null" } } },
+  else: { required: ["scope_id"], properties: { scope_id: id } }
+};
+const POLICY_CHANGES_SCHEMA = changes(POLICY_PROPERTIES);
+
+const POLICY_RECORD = {
+  title: "PlanningPolicy",
+  ...record({
+    id,
+    scope: oneOf(POLICY_SCOPES),
+    scope_id: nullable(id),
+    ...Object.fromEntries(POLICY_FIELDS.map(f => [f, nullable(integer)])),
+    created_at: timestamp,
+    updated_at: timestamp
+  })
+};
+
+// Average units sold per day over the last 7, 14, 30 and 90 days
+// (daily_velocity_7, ...) and the days current stock lasts at each rate
+// (days_of_stock_7, ...; null without sales). `loc` is a locationScope().
+const VELOCITY_WINDOWS = [7, 14, 30, 90];
+const SALES_VELOCITY = {
+  title: "SalesVelocity",
+  ...record(
+    {
+      id,
+      sku: string,
+      name: string,
+      image_url: nullable(string),
+      stock: integer,
+      ...LOCATION_SCOPE_FIELDS,
+      ...Object.fromEntries(VELOCITY_WINDOWS.map(d => [`daily_velocity_${d}`, decimal])),
+      ...Object.fromEntries(VELOCITY_WINDOWS.map(d => [`days_of_stock_${d}`, nullable(number)]))
+    },
+    Object.keys(LOCATION_SCOPE_FIELDS)
+  )
+};
+
+async function salesVelocity(db, loc = locationScope({}, 1)) {
+  const { rows } = await db.query(`
+    SELECT
+      p.id,
+      p.sku,
+      p.name,
+      p.image_url,
+      ${loc.select},
+
+      -- 7 day velocity
+      COALESCE(SUM(CASE WHEN s.sold_at >= NOW() - INTERVAL '7 days' THEN s.quantity END), 0) / 7.0
+        AS daily_velocity_7,
+
+      -- 14 day velocity
+      COALESCE(SUM(CASE WHEN s.sold_at >= NOW() - INTERVAL '14 days' THEN s.quantity END), 0) / 14.0
+        AS daily_velocity_14,
+
+      -- 30 day velocity
+      COALESCE(SUM(CASE WHEN s.sold_at >= NOW() - INTERVAL '30 days' THEN s.quantity END), 0) / 30.0
+        AS daily_velocity_30,
+
+      -- 90 day velocity
+      COALESCE(SUM(CASE WHEN s.sold_at >= NOW() - INTERVAL '90 days' THEN s.quantity END), 0) / 90.0
+        AS daily_velocity_90
+
+    FROM products p
+    ${loc.join}
+    LEFT JOIN sales s ON p.id = s.product_id ${loc.sales}
+    ${loc.where || "WHERE TRUE"}
+      AND p.archived_at IS NULL
+    GROUP BY p.id${loc.group}
+  `, loc.params);
+
+  return rows.map(r => ({
+    ...r,
+    days_of_stock_7: r.daily_velocity_7 > 0 ? r.stock / r.daily_velocity_7 : null,
+    days_of_stock_14: r.daily_velocity_14 > 0 ? r.stock / r.daily_velocity_14 : null,
+    days_of_stock_30: r.daily_velocity_30 > 0 ? r.stock / r.daily_velocity_30 : null,
+    days_of_stock_90: r.daily_velocity_90 > 0 ? r.stock / r.daily_velocity_90 : null
+  }));
+}
+
+// Order suggestions in the flat shape the suggestion endpoints return.
+// estimated_spend prices the suggestion at the estimated unit cost.
+const ORDER_SUGGESTION = {
+  title: "OrderSuggestion",
+  ...record({
+    product_id: id,
+    sku: string,
+    name: string,
+    image_url: nullable(string),
+    supplier_id: nullable(id),
+    current_stock: integer,
+    on_order: integer,
+    daily_velocity: number,
+    forecast_method: FORECAST_METHOD,
+    lead_time_days: integer,
+    coverage_days: integer,
+    reorder_point: integer,
+    order_up_to: integer,
+    status: PLAN_STATUS,
+    suggested_order_quantity: integer,
+    unit_cost: number,
+    estimated_spend: number
+  })
+};
+
+async function orderSuggestions(db, options) {
+  const plan = await planProducts(db, options);
+  const { rows } = await db.query(
+    `SELECT p.id, ${UNIT_COST_SQL}::float AS unit_cost
+     FROM products p
+     WHERE p.id = ANY($1)`,
+    [plan.map(({ product }) => product.id)]
+  );
+  const costs = new Map(rows.map(r => [r.id, r.unit_cost]));
+
+  return plan.map(({ product: p, forecast, policy, rop, ...row }) => ({
+    product_id: p.id,
+    sku: p.sku,
+    name: p.name,
+    image_url: p.image_url,
+    supplier_id: p.supplier_id,
+    current_stock: p.stock,
+    on_order: p.on_order,
+    daily_velocity: rop.daily_demand,
+    forecast_method: forecast.method,
+    lead_time_days: rop.lead_time_days,
+    coverage_days: policy.coverage_days,
+    reorder_point: rop.reorder_point,
+    order_up_to: row.order_up_to,
+    status: row.status,
+    suggested_order_quantity: row.suggested_order_quantity,
+    unit_cost: costs.get(p.id) || 0,
+    estimated_spend: Number(
+      (row.suggested_order_quantity * (costs.get(p.id) || 0)).toFixed(2)
+    )
+  }));
+}
+
+module.exports = {
+  FORECAST_HISTORY_DAYS,
+  FORECAST_METHOD,
+  PLAN_STATUS,
+  EFFECTIVE_POLICY,
+  POLICY_RECORD,
+  REORDER_POINT_PREVIEW,
+  SALES_VELOCITY,
+  ORDER_SUGGESTION,
+  demandKey,
+  loadDemandHistory,
+  forecastFor,
+  loadPlanningPolicies,
+  MIN_OBSERVED_RECEIPTS,
+  supplierLeadTimesSql,
+  planProducts,
+  reorderPointPreview,
+  salesVelocity,
+  NEW_POLICY_SCHEMA,
+  POLICY_CHANGES_SCHEMA,
+  orderSuggestions
+};
@@ -0,0 +1,268 @@
+// Products: the fields the API accepts and the schemas of what it sends and
+// returns, shared SQL for available stock and unit cost, kits, variants and
+// list cursors.
+
+const { httpError } = require("../errors");
+const {
+  id,
+  count,
+  text,
+  url,
+  serviceLevel,
+  nullable,
+  oneOf,
+  object,
+  changes,
+  arrayOf,
+  record,
+  string,
+  integer,
+  number,
+  decimal,
+  json,
+  timestamp
+} = require("../schemas");
+
+// Fields POST /products and PATCH /products/:id accept. Stock is set through
+// the ledger (PATCH /products/:id/stock), the preferred supplier through
+// setPreferredSupplier() so the catalog stays in step. kind is fixed when
+// the product is created.
+const PRODUCT_FIELDS = [
+  "sku",
+  "name",
+  "image_url",
+  "reorder_point",
+  "safety_stock",
+  "lead_time_days",
+  "service_level",
+  "category_id",
+  "tags",
+  "parent_id",
+  "variant_attributes"
+];
+const PRODUCT_KINDS = ["standard", "parent", "kit"];
+
+// What a kit can be assembled from its components' stock; other products
+// report their own stock.
+const AVAILABLE_STOCK_SQL = `
+  CASE WHEN p.kind = 'kit' THEN COALESCE((
+    SELECT MIN(GREATEST(FLOOR(c.stock::numeric / kc.quantity), 0))::int
+    FROM kit_components kc
+    JOIN products c ON c.id = kc.component_id
+    WHERE kc.kit_id = p.id
+  ), 0)
+  ELSE p.stock END`;
+
+// Estimated unit cost: the preferred supplier's catalog price, else the
+// most recent PO price.
+const UNIT_COST_SQL = `
+  COALESCE(
+    (SELECT sp.unit_cost FROM supplier_products sp
+     WHERE sp.product_id = p.id AND sp.is_preferred),
+    (SELECT poi.unit_cost FROM purchase_order_items poi
+     WHERE poi.product_id = p.id AND poi.unit_cost IS NOT NULL
+     ORDER BY poi.id DESC LIMIT 1),
+    0)`;
+
+// Sort keys for GET /products. Expressions are never NULL so they can be
+// compared against a cursor.
+const PRODUCT_SORTS = {
+  sku: { sql: "COALESCE(p.sku, '')", type: "text" },
+  name: { sql: "LOWER(COALESCE(p.name, ''))", type: "text" },
+  stock: { sql: "COALESCE(p.stock, 0)", type: "int" },
+  created_at: { sql: "COALESCE(p.created_at, 'epoch')", type: "timestamp" },
+  updated_at: { sql: "COALESCE(p.updated_at, p.created_at, 'epoch')", type: "timestamp" }
+};
+
+// Bodies of POST /products and PATCH /products/:id. Stock and supplier_id
+// are only taken here, not written as columns (see PRODUCT_FIELDS).
+const PRODUCT_PROPERTIES = {
+  sku: text,
+  name: text,
+  image_url: nullable(url),
+  reorder_point: count,
+  safety_stock: count,
+  lead_time_days: nullable(count),
+  service_level: nullable(serviceLevel),
+  category_id: nullable(id),
+  tags: arrayOf(text),
+  parent_id: nullable(id),
+  variant_attributes: { type: "object" },
+  supplier_id: nullable(id)
+};
+
+const NEW_PRODUCT_SCHEMA = object(
+  { ...PRODUCT_PROPERTIES, kind: oneOf(PRODUCT_KINDS), stock: count },
+  ["sku", "name"]
+);
+
+const PRODUCT_CHANGES_SCHEMA = changes(PRODUCT_PROPERTIES);
+
+// A products row
+const PRODUCT_RECORD = {
+  title: "Product",
+  ...record({
+    id,
+    sku: string,
+    name: string,
+    stock: integer,
+    reorder_point: integer,
+    created_at: timestamp,
+    image_url: nullable(string),
+    supplier_id: nullable(id),
+    lead_time_days: nullable(integer),
+    category_id: nullable(id),
+    service_level: nullable(decimal),
+    safety_stock: integer,
+    tags: arrayOf(string),
+    archived_at: nullable(timestamp),
+    updated_at: timestamp,
+    kind: oneOf(PRODUCT_KINDS),
+    parent_id: nullable(id),
+    variant_attributes: json
+  })
+};
+
+// ... as GET /products lists it: with its category and supplier names and
+// the stock it can sell (see AVAILABLE_STOCK_SQL)
+const PRODUCT_LISTING = {
+  title: "ProductListing",
+  ...record({
+    ...PRODUCT_RECORD.properties,
+    category_name: nullable(string),
+    supplier_name: nullable(string),
+    available_stock: integer
+  })
+};
+
+// A variant with its stock and sales (VARIANT_STATS_SQL), and the totals
+// across a parent's variants (rollupVariants())
+const VARIANT_STATS = record({
+  id,
+  parent_id: id,
+  sku: string,
+  name: string,
+  variant_attributes: json,
+  stock: integer,
+  on_order: integer,
+  sold_30: integer,
+  sold_90: integer
+});
+const VARIANT_TOTALS = record({
+  stock: integer,
+  on_order: integer,
+  sold_30: integer,
+  sold_90: integer,
+  daily_velocity_30: number
+});
+
+// Stock, open PO quantity and units sold per active variant; callers add
+// the WHERE and ORDER BY.
+const VARIANT_STATS_SQL = `
+  SELECT
+    v.id,
+    v.parent_id,
+    v.sku,
+    v.name,
+    v.variant_attributes,
+    v.stock,
+    COALESCE((
+      SELECT SUM(GREATEST(poi.quantity - poi.quantity_received, 0))
+      FROM purchase_order_items poi
+      JOIN purchase_orders po ON po.id = poi.purchase_order_id
+      WHERE poi.product_id = v.id AND po.status NOT IN ('RECEIVED', 'CANCELLED')
+    ), 0)::int AS on_order,
+    COALESCE((
+      SELECT SUM(s.quantity) FROM sales s
+      WHERE s.product_id = v.id AND s.sold_at > CURRENT_DATE - 30
+    ), 0)::int AS sold_30,
+    COALESCE((
+      SELECT SUM(s.quantity) FROM sales s
+      WHERE s.product_id = v.id AND s.sold_at > CURRENT_DATE - 90
+    ), 0)::int AS sold_90
+  FROM products v`;
+
+function rollupVariants(variants) {
+  const sum = field => variants.reduce((total, v) => total + v[field], 0);
+  const sold30 = sum("sold_30");
+
+  return {
+    stock: sum("stock"),
+    on_order: sum("on_order"),
+    sold_30: sold30,
+    sold_90: sum("sold_90"),
+    daily_velocity_30: Number((sold30 / 30).toFixed(2))
+  };
+}
+
+// Only standard products can be variants, and only of a 'parent' product.
+async function checkParent(client, { id = null, kind, parent_id }) {
+  if (parent_id === null || parent_id === undefined) return;
+
+  if (kind !== "standard") {
+    throw httpError(400, `A ${kind} product can't be a variant`);
+  }
+  if (id !== null && Number(id) === parent_id) {
+    throw httpError(400, "A product can't be its own parent");
+  }
+
+  const { rows } = await client.query(
+    `SELECT kind FROM products WHERE id = $1`,
+    [parent_id]
+  );
+  if (!rows.length || rows[0].kind !== "parent") {
+    throw httpError(400, `Product ${parent_id} is not a parent product`);
+  }
+}
+
+// Trimmed, lower-cased and de-duplicated so filters match regardless of
+// how a tag was typed.
+function normalizeTags(tags) {
+  return [...new Set(tags.map(t => t.trim().toLowerCase()))];
+}
+
+function productValues(body, fields) {
+  return fields.map(f => {
+    if (f === "tags") return normalizeTags(body.tags);
+    if (typeof body[f] === "string") return body[f].trim();
+    return body[f];
+  });
+}
+
+// Cursors are opaque to clients: the last row's sort value (as the
+// database's text, so timestamps keep their precision and need no time
+// zone) and id.
+function encodeCursor(value, id) {
+  return Buffer.from(JSON.stringify([value, id])).toString("base64url");
+}
+
+function decodeCursor(cursor) {
+  try {
+    const [value, id] = JSON.parse(Buffer.from(String(cursor), "base64url").toString());
+    if (!Number.isInteger(id)) throw new Error("bad id");
+    return { value, id };
+  } catch (err) {
+    throw httpError(400, "Invalid cursor");
+  }
+}
+
+module.exports = {
+  PRODUCT_FIELDS,
+  AVAILABLE_STOCK_SQL,
+  UNIT_COST_SQL,
+  PRODUCT_SORTS,
+  PRODUCT_KINDS,
+  NEW_PRODUCT_SCHEMA,
+  PRODUCT_CHANGES_SCHEMA,
+  PRODUCT_RECORD,
+  PRODUCT_LISTING,
+  VARIANT_STATS,
+  VARIANT_TOTALS,
+  VARIANT_STATS_SQL,
+  rollupVariants,
+  checkParent,
+  normalizeTags,
+  productValues,
+  encodeCursor,
+  decodeCursor
+};
@@ -0,0 +1,332 @@
+// Purchase orders: the status model, loading and locking a PO, and
+// creating POs and their lines.
+
+const { httpError } = require("../errors");
+const {
+  id,
+  positive,
+  money,
+  date,
+  currency,
+  nullable,
+  oneOf,
+  object,
+  arrayOf,
+  record,
+  string,
+  integer,
+  decimal,
+  timestamp
+} = require("../schemas");
+const { recordAudit, auditChild } = require("./audit");
+const { emitEvent } = require("./events");
+
+// Lines are editable only while DRAFT; everything after that moves through
+// PO_TRANSITIONS. PARTIALLY_RECEIVED / RECEIVED are only reached through
+// POST /purchase-orders/:id/receive.
+const PO_TRANSITIONS = {
+  DRAFT: ["SUBMITTED", "CANCELLED"],
+  SUBMITTED: ["CONFIRMED", "CANCELLED"],
+  CONFIRMED: ["PARTIALLY_RECEIVED", "RECEIVED", "CANCELLED"],
+  PARTIALLY_RECEIVED: ["RECEIVED", "CANCELLED"],
+  RECEIVED: [],
+  CANCELLED: []
+};
+const PO_STATUSES = Object.keys(PO_TRANSITIONS);
+const PO_STATUS_TIMESTAMPS = {
+  SUBMITTED: "submitted_at",
+  CONFIRMED: "confirmed_at",
+  RECEIVED: "received_at",
+  CANCELLED: "cancelled_at"
+};
+
+// A PO line as loadPurchaseOrder() and GET /purchase-orders/:id/items
+// return it
+const PO_LINE_RECORD = {
+  title: "PurchaseOrderLine",
+  ...record({
+    item_id: id,
+    product_id: id,
+    sku: string,
+    name: string,
+    quantity: integer,
+    quantity_received: integer,
+    quantity_remaining: integer,
+    unit_cost: nullable(decimal),
+    currency: string,
+    expected_date: nullable(timestamp)
+  })
+};
+
+// A purchase_orders row with its supplier's name, the statuses it can move
+// to and its lines. product_id, quantity and expected_date are left over
+// from single-line POs and are null on newer ones.
+const PO_RECORD = {
+  title: "PurchaseOrder",
+  ...record({
+    id,
+    product_id: nullable(id),
+    quantity: nullable(integer),
+    status: oneOf(PO_STATUSES),
+    created_at: timestamp,
+    expected_date: nullable(timestamp),
+    received_at: nullable(timestamp),
+    supplier_id: nullable(id),
+    currency: string,
+    notes: nullable(string),
+    submitted_at: nullable(timestamp),
+    confirmed_at: nullable(timestamp),
+    cancelled_at: nullable(timestamp),
+    updated_at: timestamp,
+    late_notified_at: nullable(timestamp),
+    supplier_name: nullable(string),
+    allowed_transitions: arrayOf(oneOf(PO_STATUSES)),
+    items: arrayOf(PO_LINE_RECORD)
+  })
+};
+
+async function loadPurchaseOrder(db, id) {
+  const { rows } = await db.query(
+    `SELECT po.*, sup.name AS supplier_name
+     FROM purchase_orders po
+     LEFT JOIN suppliers sup ON sup.id = po.supplier_id
+     WHERE po.id = $1`,
+    [id]
+  );
+
+  if (!rows.length) return null;
+
+  const items = await db.query(
+    `SELECT
+       poi.id AS item_id,
+       poi.product_id,
+       p.sku,
+       p.name,
+       poi.quantity,
+       poi.quantity_received,
+       GREATEST(poi.quantity - poi.quantity_received, 0) AS quantity_remaining,
+       poi.unit_cost,
+       poi.expected_date
+     FROM purchase_order_items poi
+     JOIN products p ON p.id = poi.product_id
+     WHERE poi.purchase_order_id = $1
+     ORDER BY poi.id`,
+    [id]
+  );
+
+  return {
+    ...rows[0],
+    allowed_transitions: PO_TRANSITIONS[rows[0].status] || [],
+    items: items.rows.map(i => ({ ...i, currency: rows[0].currency }))
+  };
+}
+
+async function lockPurchaseOrder(client, id, { draft = false } = {}) {
+  const { rows } = await client.query(
+    `SELECT * FROM purchase_orders WHERE id = $1 FOR UPDATE`,
+    [id]
+  );
+
+  if (!rows.length) {
+    throw httpError(404, "PO not found");
+  }
+  if (draft && rows[0].status !== "DRAFT") {
+    throw httpError(409, `PO can only be edited while DRAFT (is ${rows[0].status})`);
+  }
+
+  return rows[0];
+}
+
+async function transitionPurchaseOrder(client, id, to, { actor = null } = {}) {
+  const po = await lockPurchaseOrder(client, id);
+  const allowed = PO_TRANSITIONS[po.status] || [];
+
+  if (!allowed.includes(to)) {
+    throw httpError(409, `Cannot move PO from ${po.status} to ${to}`);
+  }
+
+  const stamp = PO_STATUS_TIMESTAMPS[to];
+  const { rows } = await client.query(
+    `UPDATE purchase_orders
+     SET status = $1,
+         ${stamp ? `${stamp} = NOW(),` : ""}
+         updated_at = NOW()
+     WHERE id = $2
+     RETURNING *`,
+    [to, id]
+  );
+
+  await recordAudit(client, {
+    actor,
+    entity: "purchase_order",
+    entity_id: id,
+    action: "status_change",
+    before: po,
+    after: rows[0]
+  });
+  await emitEvent(client, `purchase_order.${to.toLowerCase()}`, {
+    purchase_order: await loadPurchaseOrder(client, id),
+    previous_status: po.status
+  });
+
+  return rows[0];
+}
+
+// A PO line and a new PO as the API takes them. Lines built in code (from
+// suggestions, the dashboard) are checked by validatePoLine() instead.
+const PO_LINE_PROPERTIES = {
+  product_id: id,
+  quantity: positive,
+  unit_cost: nullable(money),
+  expected_date: nullable(date)
+};
+const PO_LINE_SCHEMA = object(PO_LINE_PROPERTIES, ["product_id", "quantity"]);
+const NEW_PO_SCHEMA = object({
+  supplier_id: nullable(id),
+  currency,
+  notes: nullable({ type: "string" }),
+  items: arrayOf(PO_LINE_SCHEMA)
+});
+
+function validatePoLine(item, { partial = false } = {}) {
+  const errors = [];
+  const has = field => item[field] !== undefined && item[field] !== null;
+
+  if (!partial && !has("product_id")) errors.push("product_id required");
+  if (!partial || item.quantity !== undefined) {
+    if (!Number.isInteger(item.quantity) || item.quantity <= 0) {
+      errors.push("quantity must be a positive integer");
+    }
+  }
+  if (has("unit_cost") && !(Number(item.unit_cost) >= 0)) {
+    errors.push("unit_cost must be >= 0");
+  }
+  if (has("expected_date") && isNaN(Date.parse(item.expected_date))) {
+    errors.push("expected_date must be a date");
+  }
+
+  return errors;
+}
+
+async function insertPoLines(client, poId, items) {
+  if (!Array.isArray(items)) {
+    throw httpError(400, "items must be an array");
+  }
+
+  items.forEach((item, i) => {
+    const errors = validatePoLine(item);
+    if (errors.length) {
+      throw httpError(400, `items[${i}]: ${errors.join("; ")}`);
+    }
+  });
+
+  const ids = [...new Set(items.map(i => Number(i.product_id)))];
+  const found = await client.query(
+    `SELECT id, kind, archived_at FROM products WHERE id = ANY($1)`,
+    [ids]
+  );
+  const missing = ids.filter(id => !found.rows.some(r => r.id === id));
+  if (missing.length) {
+    throw httpError(400, `Unknown product(s): ${missing.join(", ")}`);
+  }
+  const archived = found.rows.filter(r => r.archived_at).map(r => r.id);
+  if (archived.length) {
+    throw httpError(400, `Archived product(s): ${archived.join(", ")}`);
+  }
+  const notStocked = found.rows.filter(r => r.kind !== "standard").map(r => r.id);
+  if (notStocked.length) {
+    throw httpError(400, `Kits and parent products can't be ordered: ${notStocked.join(", ")}`);
+  }
+
+  // lines without a unit_cost take the supplier's catalog price
+  const lines = [];
+  for (const item of items) {
+    const { rows } = await client.query(
+      `INSERT INTO purchase_order_items
+         (purchase_order_id, product_id, quantity, unit_cost, expected_date)
+       VALUES ($1, $2, $3, COALESCE($4, (
+         SELECT sp.unit_cost
+         FROM supplier_products sp
+         JOIN purchase_orders po ON po.supplier_id = sp.supplier_id
+         WHERE po.id = $1 AND sp.product_id = $2
+       )), $5)
+       RETURNING *`,
+      [
+        poId,
+        item.product_id,
+        item.quantity,
+        item.unit_cost ?? null,
+        item.expected_date ?? null
+      ]
+    );
+    lines.push(rows[0]);
+  }
+
+  return lines;
+}
+
+// PO line changes are audited on the PO as items.<line id>.<column>
+function auditPoLine(client, actor, action, before, after) {
+  const line = after || before;
+  return auditChild(client, {
+    actor,
+    entity: "purchase_order",
+    entity_id: line.purchase_order_id,
+    prefix: `items.${line.id}`,
+    action,
+    before,
+    after,
+    omit: ["id", "purchase_order_id"]
+  });
+}
+
+// Create a DRAFT PO with its lines. Currency defaults to the supplier's.
+async function createPurchaseOrder(client, {
+  supplier_id = null,
+  currency = null,
+  notes = null,
+  items = []
+}, { actor = null } = {}) {
+  const { rows } = await client.query(
+    `INSERT INTO purchase_orders (supplier_id, currency, notes, status)
+     VALUES (
+       $1,
+       COALESCE($2, (SELECT currency FROM suppliers WHERE id = $1), 'USD'),
+       $3,
+       'DRAFT'
+     )
+     RETURNING *`,
+    [supplier_id, currency, notes]
+  );
+
+  await recordAudit(client, {
+    actor,
+    entity: "purchase_order",
+    entity_id: rows[0].id,
+    action: "create",
+    after: rows[0]
+  });
+  for (const line of await insertPoLines(client, rows[0].id, items)) {
+    await auditPoLine(client, actor, "item_added", null, line);
+  }
+  await emitEvent(client, "purchase_order.created", {
+    purchase_order: await loadPurchaseOrder(client, rows[0].id)
+  });
+  return rows[0].id;
+}
+
+module.exports = {
+  PO_STATUSES,
+  PO_RECORD,
+  PO_LINE_RECORD,
+  PO_LINE_PROPERTIES,
+  PO_LINE_SCHEMA,
+  NEW_PO_SCHEMA,
+  loadPurchaseOrder,
+  lockPurchaseOrder,
+  transitionPurchaseOrder,
+  validatePoLine,
+  insertPoLines,
+  auditPoLine,
+  createPurchaseOrder
+};
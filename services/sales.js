@@ -0,0 +1,590 @@
+// Sales ingestion (API, bulk feeds, file imports and Shopify webhooks) and
+// the stock movements recorded with each sale.
+
+const shopify = require("../shopify");
+const { withTransaction } = require("../db");
+const { httpError } = require("../errors");
+const {
+  id,
+  text,
+  money,
+  timestamp,
+  nullable,
+  oneOf,
+  object,
+  record,
+  string,
+  integer,
+  decimal,
+  json
+} = require("../schemas");
+const { recordStockMovement } = require("./stock");
+
+// Sale lines come from the API, bulk feeds and CSV/XLSX exports. Quantities
+// are sent positive; type "return" (or a negative quantity) records a return
+// or refund, stored negative so velocity and forecasts net it out.
+// A line tied to an external order is recorded once per order, kind,
+// product, return and line id: re-sending it is a duplicate, so a return
+// against an order needs its own external_return_id, and an order holding
+// a product on two lines needs external_line_id to tell them apart.
+// update_stock = false records demand only, for backfilling history whose
+// stock effect is already in the current stock levels.
+const SALE_KINDS = ["sale", "return"];
+const SALES_BULK_LIMIT = 5000;
+
+// A sale line as the JSON API takes it (POST /sales, /sales/bulk).
+// validateSaleLine() then applies the rules shared with imported rows:
+// product_id or sku, a non-zero quantity, no future dates.
+const SALE_LINE_PROPERTIES = {
+  product_id: id,
+  sku: text,
+  quantity: { type: "integer" },
+  type: oneOf(SALE_KINDS),
+  sold_at: timestamp,
+  unit_price: nullable(money),
+  channel: nullable({ type: "string" }),
+  external_order_id: nullable({ type: ["string", "integer"] }),
+  external_return_id: nullable({ type: ["string", "integer"] }),
+  external_line_id: nullable({ type: ["string", "integer"] }),
+  location_id: id,
+  location: text,
+  restock: { type: "boolean" }
+};
+const SALE_LINE_SCHEMA = object(SALE_LINE_PROPERTIES, ["quantity"]);
+
+// A sales row; returns have a negative quantity. kit_sale_id links the
+// component sales recorded for a kit to the kit's own.
+const SALE_RECORD = {
+  title: "Sale",
+  ...record({
+    id,
+    product_id: id,
+    quantity: integer,
+    sold_at: timestamp,
+    location_id: nullable(id),
+    kind: oneOf(SALE_KINDS),
+    unit_price: nullable(decimal),
+    channel: nullable(string),
+    external_order_id: nullable(string),
+    external_return_id: nullable(string),
+    external_line_id: nullable(string),
+    created_at: timestamp,
+    kit_sale_id: nullable(id)
+  })
+};
+
+// What salesSummary() counts
+const SALES_SUMMARY = {
+  title: "SalesSummary",
+  ...record({
+    inserted: integer,
+    duplicates: integer,
+    sales: integer,
+    returns: integer,
+    units: integer
+  })
+};
+
+// A webhook line waiting to be resolved: its SKU matched no product
+// (unknown_sku), or it refunds more than its order has recorded as sold
+// (exceeds_sold). line is the sale line it would have become.
+const UNMATCHED_LINE_RECORD = {
+  title: "UnmatchedSaleLine",
+  ...record({
+    id,
+    source: string,
+    topic: string,
+    sku: string,
+    title: nullable(string),
+    line: json,
+    reason: oneOf(["unknown_sku", "exceeds_sold"]),
+    status: oneOf(["open", "resolved", "ignored"]),
+    product_id: nullable(id),
+    sale_id: nullable(id),
+    created_at: timestamp,
+    resolved_at: nullable(timestamp),
+    resolved_by: nullable(string)
+  })
+};
+
+function validateSaleLine(input) {
+  const errors = [];
+  const line = {};
+
+  if (input.product_id !== undefined && input.product_id !== null && input.product_id !== "") {
+    line.product_id = Number(input.product_id);
+    if (!Number.isInteger(line.product_id)) errors.push("product_id must be an integer");
+  } else if (input.sku) {
+    line.sku = String(input.sku).trim();
+  } else {
+    errors.push("product_id or sku required");
+  }
+
+  const quantity = Number(input.quantity);
+  if (!Number.isInteger(quantity) || quantity === 0) {
+    errors.push("quantity must be a non-zero integer");
+  }
+
+  const type = input.type ? String(input.type).toLowerCase() : null;
+  if (type && !SALE_KINDS.includes(type)) {
+    errors.push(`type must be one of ${SALE_KINDS.join(", ")}`);
+  }
+  line.kind = type || (quantity < 0 ? "return" : "sale");
+  if (type === "sale" && quantity < 0) {
+    errors.push("a sale needs a positive quantity (use type return)");
+  }
+  line.quantity = line.kind === "return" ? -Math.abs(quantity) : quantity;
+
+  if (input.sold_at) {
+    const date = new Date(input.sold_at);
+    if (isNaN(date)) {
+      errors.push("sold_at must be a date");
+    } else if (date > new Date()) {
+      errors.push("sold_at cannot be in the future");
+    } else {
+      line.sold_at = String(input.sold_at).slice(0, 10);
+    }
+  }
+
+  if (input.unit_price !== undefined && input.unit_price !== null && input.unit_price !== "") {
+    line.unit_price = Number(input.unit_price);
+    if (!(line.unit_price >= 0)) errors.push("unit_price must be >= 0");
+  }
+
+  for (const field of ["channel", "external_order_id", "external_return_id", "external_line_id"]) {
+    if (input[field] !== undefined && input[field] !== null && input[field] !== "") {
+      line[field] = String(input[field]).trim();
+    }
+  }
+  if (line.external_return_id && line.kind !== "return") {
+    errors.push("external_return_id only applies to returns");
+  }
+  if (line.kind === "return" && line.external_order_id && !line.external_return_id) {
+    errors.push("external_return_id required for a return against an order");
+  }
+  if (line.external_line_id && !line.external_order_id) {
+    errors.push("external_line_id needs an external_order_id");
+  }
+
+  if (input.location_id) {
+    line.location_id = Number(input.location_id);
+  } else if (input.location) {
+    line.location = String(input.location).trim();
+  }
+
+  // returned goods go back on the shelf unless restock is false
+  line.restock = !(input.restock === false || String(input.restock).toLowerCase() === "false");
+
+  return { line, errors };
+}
+
+function saleLineKey(line) {
+  if (!line.external_order_id) return null;
+  return [
+    line.channel || "",
+    line.external_order_id,
+    line.kind,
+    line.sku || line.product_id,
+    line.external_return_id || "",
+    line.external_line_id || ""
+  ].join("|");
+}
+
+// Insert validated sale lines and post their stock movements. Returns one
+// result per line: { sale, duplicate } or { error } for lines whose SKU or
+// location could not be resolved (callers decide whether that aborts).
+// A kit line is recorded as sold and then expanded into its components
+// (see recordKitComponents); kits hold no stock of their own.
+async function recordSales(client, lines, { user = null, updateStock = true } = {}) {
+  const skus = [...new Set(lines.filter(l => l.sku).map(l => l.sku))];
+  const codes = [...new Set(lines.filter(l => l.location).map(l => l.location))];
+  const ids = [...new Set(lines.filter(l => l.product_id).map(l => l.product_id))];
+
+  const bySkuRes = await client.query(
+    `SELECT id, sku, kind FROM products WHERE sku = ANY($1)`,
+    [skus]
+  );
+  const byIdRes = await client.query(`SELECT id, kind FROM products WHERE id = ANY($1)`, [ids]);
+  const locRes = await client.query(
+    `SELECT id, code FROM locations WHERE code = ANY($1) OR id = ANY($2)`,
+    [codes, lines.filter(l => l.location_id).map(l => l.location_id)]
+  );
+  const defaultLoc = await client.query(`SELECT id FROM locations WHERE is_default`);
+
+  const bySku = new Map(bySkuRes.rows.map(r => [r.sku, r.id]));
+  const knownIds = new Set(byIdRes.rows.map(r => r.id));
+  const kinds = new Map([...bySkuRes.rows, ...byIdRes.rows].map(r => [r.id, r.kind]));
+  const byCode = new Map(locRes.rows.map(r => [r.code, r.id]));
+  const knownLocations = new Set(locRes.rows.map(r => r.id));
+
+  const results = [];
+
+  for (const line of lines) {
+    const productId = line.sku ? bySku.get(line.sku) : line.product_id;
+    if (!productId || (line.product_id && !knownIds.has(productId))) {
+      results.push({ error: `unknown product ${line.sku || line.product_id}` });
+      continue;
+    }
+    if (kinds.get(productId) === "parent") {
+      results.push({
+        error: `${line.sku || line.product_id} is a parent product; sell one of its variants`
+      });
+      continue;
+    }
+
+    let locationId = defaultLoc.rows[0].id;
+    if (line.location_id) {
+      if (!knownLocations.has(line.location_id)) {
+        results.push({ error: `unknown location ${line.location_id}` });
+        continue;
+      }
+      locationId = line.location_id;
+    } else if (line.location) {
+      if (!byCode.has(line.location)) {
+        results.push({ error: `unknown location ${line.location}` });
+        continue;
+      }
+      locationId = byCode.get(line.location);
+    }
+
+    const { rows } = await client.query(
+      `INSERT INTO sales
+         (product_id, quantity, sold_at, location_id, kind, unit_price,
+          channel, external_order_id, external_return_id, external_line_id)
+       VALUES ($1, $2, COALESCE($3::date, CURRENT_DATE), $4, $5, $6, $7, $8, $9, $10)
+       ON CONFLICT (
+         COALESCE(channel, ''),
+         external_order_id,
+         kind,
+         product_id,
+         COALESCE(external_return_id, ''),
+         COALESCE(external_line_id, '')
+       ) WHERE external_order_id IS NOT NULL AND kit_sale_id IS NULL
+       DO NOTHING
+       RETURNING *`,
+      [
+        productId,
+        line.quantity,
+        line.sold_at || null,
+        locationId,
+        line.kind,
+        line.unit_price ?? null,
+        line.channel || null,
+        line.external_order_id || null,
+        line.external_return_id || null,
+        line.external_line_id || null
+      ]
+    );
+
+    if (!rows.length) {
+      const existing = await client.query(
+        `SELECT * FROM sales
+         WHERE COALESCE(channel, '') = $1
+           AND external_order_id = $2
+           AND kind = $3
+           AND product_id = $4
+           AND COALESCE(external_return_id, '') = $5
+           AND COALESCE(external_line_id, '') = $6
+           AND kit_sale_id IS NULL`,
+        [
+          line.channel || "",
+          line.external_order_id,
+          line.kind,
+          productId,
+          line.external_return_id || "",
+          line.external_line_id || ""
+        ]
+      );
+      results.push({ sale: existing.rows[0], duplicate: true });
+      continue;
+    }
+
+    const sale = rows[0];
+    const restocks = sale.kind === "sale" || line.restock;
+    const stockChanges = kinds.get(productId) === "kit"
+      ? await recordKitComponents(client, sale)
+      : [sale];
+
+    if (updateStock && restocks) {
+      for (const row of stockChanges) {
+        await recordStockMovement(client, {
+          product_id: row.product_id,
+          location_id: locationId,
+          quantity_change: -row.quantity,
+          reason: sale.kind,
+          reference_id: row.id,
+          user,
+          note: sale.external_order_id
+            ? `${sale.channel ? `${sale.channel} ` : ""}order ${sale.external_order_id}`
+            : null
+        });
+      }
+    }
+
+    results.push({ sale, duplicate: false });
+  }
+
+  return results;
+}
+
+// One sale row per component of a kit sale (or return), carrying the kit
+// row's date, location and order reference. Returns use the kit's current
+// components.
+async function recordKitComponents(client, kitSale) {
+  const { rows } = await client.query(
+    `INSERT INTO sales
+       (product_id, quantity, sold_at, location_id, kind,
+        channel, external_order_id, external_return_id, external_line_id, kit_sale_id)
+     SELECT kc.component_id, $2::int * kc.quantity, $3, $4, $5, $6, $7, $8, $9, $10
+     FROM kit_components kc
+     WHERE kc.kit_id = $1
+     ORDER BY kc.component_id
+     RETURNING *`,
+    [
+      kitSale.product_id,
+      kitSale.quantity,
+      kitSale.sold_at,
+      kitSale.location_id,
+      kitSale.kind,
+      kitSale.channel,
+      kitSale.external_order_id,
+      kitSale.external_return_id,
+      kitSale.external_line_id,
+      kitSale.id
+    ]
+  );
+
+  if (!rows.length) {
+    throw httpError(400, `Kit ${kitSale.product_id} has no components`);
+  }
+
+  return rows;
+}
+
+// Validate, resolve and insert a batch of sale lines all-or-nothing.
+// `numbered` is [{ line, input }]; `line` is what errors are reported
+// against (array index for JSON, file line for imports). An order that
+// repeats a product without external_line_ids has the repeats numbered
+// "#2", "#3", ... in batch order, so re-sending the batch still matches.
+async function ingestSales(pool, numbered, { user, updateStock }) {
+  const errors = [];
+  const valid = [];
+  const seen = new Map();
+  const repeats = new Map();
+
+  for (const { line: number, input } of numbered) {
+    const { line, errors: lineErrors } = validateSaleLine(input);
+    let key = saleLineKey(line);
+
+    if (key && seen.has(key) && !line.external_line_id) {
+      const repeat = (repeats.get(key) || 1) + 1;
+      repeats.set(key, repeat);
+      line.external_line_id = `#${repeat}`;
+      key = saleLineKey(line);
+    }
+
+    if (key && seen.has(key)) {
+      lineErrors.push(`duplicate of line ${seen.get(key)} in this batch`);
+    } else if (key) {
+      seen.set(key, number);
+    }
+
+    if (lineErrors.length) {
+      errors.push({ line: number, errors: lineErrors });
+    } else {
+      valid.push({ number, line });
+    }
+  }
+
+  if (errors.length) {
+    return { errors, results: [] };
+  }
+
+  return withTransaction(pool, async client => {
+    const results = await recordSales(client, valid.map(v => v.line), {
+      user,
+      updateStock
+    });
+
+    const failed = results
+      .map((r, i) => (r.error ? { line: valid[i].number, errors: [r.error] } : null))
+      .filter(Boolean);
+
+    if (failed.length) {
+      // nothing from this batch is kept
+      throw Object.assign(httpError(422, "Some sale lines failed"), { lines: failed });
+    }
+
+    return { errors: [], results };
+  }).catch(err => {
+    if (err.lines) return { errors: err.lines, results: [] };
+    throw err;
+  });
+}
+
+function salesSummary(results) {
+  const inserted = results.filter(r => !r.duplicate).map(r => r.sale);
+
+  return {
+    inserted: inserted.length,
+    duplicates: results.length - inserted.length,
+    sales: inserted.filter(s => s.kind === "sale").length,
+    returns: inserted.filter(s => s.kind === "return").length,
+    units: inserted.reduce((sum, s) => sum + s.quantity, 0)
+  };
+}
+
+// SHOPIFY WEBHOOKS (see POST /webhooks/shopify in routes/sales.js)
+
+// Map sale lines onto products by SKU, then SKU alias for the source.
+async function matchSkus(client, source, lines) {
+  const skus = [...new Set(lines.map(l => l.sku).filter(Boolean))];
+  const { rows } = await client.query(
+    `SELECT sku, id AS product_id FROM products WHERE sku = ANY($1)
+     UNION ALL
+     SELECT a.sku, a.product_id FROM sku_aliases a
+     WHERE a.source = $2 AND a.sku = ANY($1)`,
+    [skus, source]
+  );
+  const bySku = new Map();
+  for (const r of rows) {
+    if (!bySku.has(r.sku)) bySku.set(r.sku, r.product_id);
+  }
+
+  const matched = [];
+  const unmatched = [];
+  for (const line of lines) {
+    const productId = bySku.get(line.sku);
+    if (productId) {
+      // validateSaleLine() takes product_id over sku; the sku stays for
+      // lines that end up queued after all (see splitRefundLines)
+      matched.push({ ...line, product_id: productId });
+    } else {
+      unmatched.push(line);
+    }
+  }
+
+  return { matched, unmatched };
+}
+
+// Returns that reverse everything still recorded for a cancelled order.
+async function cancellationLines(client, order) {
+  const { rows } = await client.query(
+    `SELECT product_id, SUM(quantity)::int AS outstanding
+     FROM sales
+     WHERE channel = $1 AND external_order_id = $2 AND kit_sale_id IS NULL
+     GROUP BY product_id
+     HAVING SUM(quantity) > 0`,
+    [shopify.CHANNEL, String(order.id)]
+  );
+
+  return rows.map(r => ({
+    product_id: r.product_id,
+    quantity: r.outstanding,
+    type: "return",
+    restock: true,
+    sold_at: shopify.saleDate(order.cancelled_at),
+    channel: shopify.CHANNEL,
+    external_order_id: String(order.id),
+    external_return_id: shopify.cancellationReturnId(order)
+  }));
+}
+
+// A refund can't return more of a product than its order still has
+// recorded as sold: the order predates the integration, or its line never
+// matched a product. Such lines are split off to be queued rather than
+// rejected, so one old refund doesn't stall the webhook. Lines already
+// recorded for this refund don't count against it, so a redelivered refund
+// stays a duplicate.
+async function splitRefundLines(client, refund, lines) {
+  const { rows } = await client.query(
+    `SELECT product_id, SUM(quantity)::int AS outstanding
+     FROM sales
+     WHERE channel = $1 AND external_order_id = $2 AND kit_sale_id IS NULL
+       AND product_id = ANY($3)
+       AND COALESCE(external_return_id, '') <> $4
+     GROUP BY product_id`,
+    [
+      shopify.CHANNEL,
+      String(refund.order_id),
+      lines.map(l => l.product_id),
+      shopify.refundReturnId(refund)
+    ]
+  );
+  const outstanding = new Map(rows.map(r => [r.product_id, r.outstanding]));
+
+  const within = [];
+  const excess = [];
+  for (const line of lines) {
+    if (line.quantity > (outstanding.get(line.product_id) || 0)) {
+      excess.push(line);
+    } else {
+      within.push(line);
+    }
+  }
+
+  return { within, excess };
+}
+
+async function processShopifyEvent(client, topic, payload) {
+  let lines;
+  let unmatched = [];
+  let excess = [];
+
+  if (topic === "orders/cancelled") {
+    lines = await cancellationLines(client, payload);
+  } else {
+    const raw = topic === "orders/create"
+      ? shopify.orderLines(payload)
+      : shopify.refundLines(payload);
+    ({ matched: lines, unmatched } = await matchSkus(client, shopify.CHANNEL, raw));
+  }
+  if (topic === "refunds/create") {
+    ({ within: lines, excess } = await splitRefundLines(client, payload, lines));
+  }
+
+  const valid = [];
+  for (const input of lines) {
+    const { line, errors } = validateSaleLine(input);
+    if (errors.length) {
+      throw httpError(422, `Invalid line for product ${input.product_id}: ${errors.join("; ")}`);
+    }
+    valid.push(line);
+  }
+
+  const results = await recordSales(client, valid, { user: shopify.CHANNEL });
+  const failed = results.find(r => r.error);
+  if (failed) {
+    throw httpError(422, failed.error);
+  }
+
+  const queued = [
+    ...unmatched.map(line => ({ line, reason: "unknown_sku" })),
+    ...excess.map(line => ({ line, reason: "exceeds_sold" }))
+  ];
+  for (const { line, reason } of queued) {
+    const { title, product_id, ...rest } = line;
+    await client.query(
+      `INSERT INTO unmatched_sale_lines (source, topic, sku, title, line, reason)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       ON CONFLICT DO NOTHING`,
+      [shopify.CHANNEL, topic, line.sku || "", title, rest, reason]
+    );
+  }
+
+  return { ...salesSummary(results), unmatched: queued.length };
+}
+
+module.exports = {
+  SALES_BULK_LIMIT,
+  SALE_LINE_PROPERTIES,
+  SALE_LINE_SCHEMA,
+  SALE_RECORD,
+  SALES_SUMMARY,
+  UNMATCHED_LINE_RECORD,
+  validateSaleLine,
+  recordSales,
+  ingestSales,
+  salesSummary,
+  processShopifyEvent
+};
@@ -0,0 +1,212 @@
+// The stock ledger: every change to stock is a stock_movements row, applied
+// to products.stock and the per-location product_locations.stock.
+
+const { httpError } = require("../errors");
+const {
+  id,
+  flag,
+  nullable,
+  oneOf,
+  record,
+  string,
+  integer,
+  boolean,
+  timestamp
+} = require("../schemas");
+
+const STOCK_MOVEMENT_REASONS = [
+  "sale",
+  "receipt",
+  "adjustment",
+  "import",
+  "count",
+  "transfer",
+  "return"
+];
+
+const LOCATION_RECORD = {
+  title: "Location",
+  ...record({
+    id,
+    code: string,
+    name: string,
+    type: string,
+    is_default: boolean,
+    created_at: timestamp
+  })
+};
+
+// A stock_movements row. reference_id is the sale, receipt, transfer or
+// count the movement came from, as text.
+const STOCK_MOVEMENT_RECORD = {
+  title: "StockMovement",
+  ...record({
+    id,
+    product_id: id,
+    quantity_change: integer,
+    stock_after: integer,
+    reason: oneOf(STOCK_MOVEMENT_REASONS),
+    reference_id: nullable(string),
+    user_name: nullable(string),
+    note: nullable(string),
+    created_at: timestamp,
+    location_id: nullable(id),
+    reason_code: nullable(string)
+  })
+};
+
+// Resolve a location id (or the default location when none is given).
+async function resolveLocationId(client, location_id) {
+  const { rows } = location_id
+    ? await client.query(`SELECT id FROM locations WHERE id = $1`, [location_id])
+    : await client.query(`SELECT id FROM locations WHERE is_default`);
+
+  if (!rows.length) {
+    throw httpError(404, `Location ${location_id} not found`);
+  }
+
+  return rows[0].id;
+}
+
+// SQL fragments for reports that can run rolled up or per location.
+// ?location_id=N limits to one location, ?by_location=true breaks out all.
+const LOCATION_SCOPE_QUERY = { location_id: id, by_location: flag };
+// ... and the columns they add to each row
+const LOCATION_SCOPE_FIELDS = { location_id: id, location_code: string };
+
+function locationScope(query, paramIndex) {
+  const location_id = query.location_id ? Number(query.location_id) : null;
+  const perLocation = Boolean(location_id) || query.by_location === "true";
+
+  if (!perLocation) {
+    return {
+      perLocation,
+      location_id,
+      select: "p.stock",
+      join: "",
+      sales: "",
+      where: "",
+      group: "",
+      params: []
+    };
+  }
+
+  return {
+    perLocation,
+    location_id,
+    select: "l.id AS location_id, l.code AS location_code, COALESCE(pl.stock, 0) AS stock",
+    join: `
+      CROSS JOIN locations l
+      LEFT JOIN product_locations pl
+        ON pl.product_id = p.id AND pl.location_id = l.id`,
+    sales: "AND s.location_id = l.id",
+    where: location_id ? `WHERE l.id = $${paramIndex}` : "",
+    group: ", l.id, l.code, pl.stock",
+    params: location_id ? [location_id] : []
+  };
+}
+
+// Append a movement and apply it to products.stock. Must run inside a
+// transaction so the ledger and the cached stock never disagree.
+async function recordStockMovement(client, {
+  product_id,
+  location_id = null,
+  quantity_change,
+  reason,
+  reference_id = null,
+  user = null,
+  note = null,
+  reason_code = null
+}) {
+  if (!STOCK_MOVEMENT_REASONS.includes(reason)) {
+    throw httpError(400, `Unknown stock movement reason: ${reason}`);
+  }
+
+  const locationId = await resolveLocationId(client, location_id);
+
+  const { rows } = await client.query(
+    `UPDATE products
+     SET stock = stock + $1
+     WHERE id = $2
+     RETURNING stock, kind`,
+    [quantity_change, product_id]
+  );
+
+  if (!rows.length) {
+    throw httpError(404, `Product ${product_id} not found`);
+  }
+  if (rows[0].kind !== "standard") {
+    throw httpError(409, `Product ${product_id} is a ${rows[0].kind} and holds no stock of its own`);
+  }
+
+  await client.query(
+    `INSERT INTO product_locations (product_id, location_id, stock)
+     VALUES ($1, $2, $3)
+     ON CONFLICT (product_id, location_id)
+     DO UPDATE SET stock = product_locations.stock + EXCLUDED.stock`,
+    [product_id, locationId, quantity_change]
+  );
+
+  const movement = await client.query(
+    `INSERT INTO stock_movements
+       (product_id, location_id, quantity_change, stock_after, reason,
+        reference_id, user_name, note, reason_code)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+     RETURNING *`,
+    [
+      product_id,
+      locationId,
+      quantity_change,
+      rows[0].stock,
+      reason,
+      reference_id === null ? null : String(reference_id),
+      user,
+      note,
+      reason_code
+    ]
+  );
+
+  return movement.rows[0];
+}
+
+// Set stock at a location to an absolute level by posting the difference
+// to the ledger.
+async function setStockLevel(client, { product_id, location_id = null, stock, ...movement }) {
+  const locationId = await resolveLocationId(client, location_id);
+
+  const { rows } = await client.query(
+    `SELECT p.id, COALESCE(pl.stock, 0) AS stock
+     FROM products p
+     LEFT JOIN product_locations pl
+       ON pl.product_id = p.id AND pl.location_id = $2
+     WHERE p.id = $1
+     FOR UPDATE OF p`,
+    [product_id, locationId]
+  );
+
+  if (!rows.length) {
+    throw httpError(404, `Product ${product_id} not found`);
+  }
+
+  const change = stock - rows[0].stock;
+  if (change === 0) return null;
+
+  return recordStockMovement(client, {
+    product_id,
+    location_id: locationId,
+    quantity_change: change,
+    ...movement
+  });
+}
+
+module.exports = {
+  STOCK_MOVEMENT_REASONS,
+  LOCATION_RECORD,
+  STOCK_MOVEMENT_RECORD,
+  LOCATION_SCOPE_QUERY,
+  LOCATION_SCOPE_FIELDS,
+  resolveLocationId,
+  locationScope,
+  recordStockMovement,
+  setStockLevel
+};
@@ -0,0 +1,269 @@
+// Suppliers: request and record schemas, the supplier/product catalog's
+// preferred supplier and the delivery performance scorecards.
+
+const { httpError } = require("../errors");
+const {
+  id,
+  count,
+  positive,
+  money,
+  text,
+  currency,
+  nullable,
+  object,
+  changes,
+  record,
+  string,
+  integer,
+  number,
+  boolean,
+  decimal,
+  timestamp
+} = require("../schemas");
+const { auditedUpdate } = require("./audit");
+const { MIN_OBSERVED_RECEIPTS, supplierLeadTimesSql } = require("./planning");
+
+const SUPPLIER_FIELDS = [
+  "name",
+  "contact_name",
+  "email",
+  "phone",
+  "address",
+  "currency",
+  "moq",
+  "payment_terms",
+  "lead_time_days",
+  "lead_time_stddev_days",
+  "use_observed_lead_time",
+  "notes"
+];
+
+// Bodies of POST /suppliers, PATCH /suppliers/:id and the catalog entries
+// (PUT /suppliers/:id/products/:productId)
+const optionalText = nullable({ type: "string" });
+const SUPPLIER_PROPERTIES = {
+  name: text,
+  contact_name: optionalText,
+  email: optionalText,
+  phone: optionalText,
+  address: optionalText,
+  currency,
+  moq: count,
+  payment_terms: optionalText,
+  lead_time_days: count,
+  lead_time_stddev_days: { type: "number", minimum: 0 },
+  use_observed_lead_time: { type: "boolean" },
+  notes: optionalText
+};
+const NEW_SUPPLIER_SCHEMA = object(SUPPLIER_PROPERTIES, ["name"]);
+const SUPPLIER_CHANGES_SCHEMA = changes(SUPPLIER_PROPERTIES);
+
+const SUPPLIER_RECORD = {
+  title: "Supplier",
+  ...record({
+    id,
+    name: string,
+    lead_time_days: nullable(integer),
+    created_at: timestamp,
+    lead_time_stddev_days: nullable(decimal),
+    contact_name: nullable(string),
+    email: nullable(string),
+    phone: nullable(string),
+    address: nullable(string),
+    currency: string,
+    moq: integer,
+    payment_terms: nullable(string),
+    notes: nullable(string),
+    use_observed_lead_time: boolean,
+    updated_at: timestamp
+  })
+};
+
+const CATALOG_ENTRY_SCHEMA = object({
+  supplier_sku: optionalText,
+  unit_cost: nullable(money),
+  case_pack: positive,
+  is_preferred: { type: "boolean" }
+});
+
+// A supplier_products row
+const CATALOG_ENTRY_RECORD = {
+  title: "CatalogEntry",
+  ...record({
+    id,
+    supplier_id: id,
+    product_id: id,
+    supplier_sku: nullable(string),
+    unit_cost: nullable(decimal),
+    case_pack: integer,
+    is_preferred: boolean,
+    created_at: timestamp,
+    updated_at: timestamp
+  })
+};
+
+// Make supplierId the product's preferred supplier, adding a catalog row
+// for the pair if there is none yet. A null supplierId clears it.
+async function setPreferredSupplier(client, productId, supplierId, { actor = null } = {}) {
+  const product = await auditedUpdate(
+    client,
+    { table: "products", entity: "product", id: productId, actor },
+    `UPDATE products SET supplier_id = $1 WHERE id = $2 RETURNING *`,
+    [supplierId, productId]
+  );
+
+  if (!product) {
+    throw httpError(404, "Product not found");
+  }
+
+  await client.query(
+    `UPDATE supplier_products
+     SET is_preferred = FALSE, updated_at = NOW()
+     WHERE product_id = $1 AND is_preferred AND supplier_id IS DISTINCT FROM $2`,
+    [productId, supplierId]
+  );
+
+  if (supplierId !== null) {
+    await client.query(
+      `INSERT INTO supplier_products (supplier_id, product_id, is_preferred)
+       VALUES ($1, $2, TRUE)
+       ON CONFLICT (supplier_id, product_id)
+       DO UPDATE SET is_preferred = TRUE, updated_at = NOW()`,
+      [supplierId, productId]
+    );
+  }
+
+  return product;
+}
+
+// SUPPLIER SCORECARDS
+// Built from what actually happened on POs placed in the last ?days days
+// (default 180):
+//   on_time_rate  share of due lines fully received by their expected date;
+//                 lines past due and still open count as late
+//   fill_rate     units received / units ordered on closed POs (RECEIVED, or
+//                 CANCELLED after the supplier confirmed)
+//   lead times    per receipt, from PO sent to goods in
+const SCORECARD = {
+  title: "SupplierScorecard",
+  ...record({
+    supplier_id: id,
+    supplier_name: string,
+    configured_lead_time_days: nullable(integer),
+    configured_lead_time_stddev_days: nullable(decimal),
+    use_observed_lead_time: boolean,
+    lines: integer,
+    due_lines: integer,
+    on_time_lines: integer,
+    on_time_rate: nullable(number),
+    fill_rate: nullable(number),
+    receipts: integer,
+    avg_lead_time_days: nullable(number),
+    p90_lead_time_days: nullable(number),
+    lead_time_stddev_days: nullable(number),
+    lead_time_variance: nullable(number),
+    observed_lead_time_used: boolean,
+    window_days: integer
+  })
+};
+
+async function supplierScorecards(db, { days = 180, supplierId = null } = {}) {
+  const { rows } = await db.query(`
+    WITH lines AS (
+      SELECT
+        po.supplier_id,
+        po.status,
+        po.confirmed_at,
+        poi.quantity,
+        poi.quantity_received,
+        COALESCE(poi.expected_date, po.expected_date) AS expected_date,
+        (
+          SELECT MAX(r.received_at)
+          FROM purchase_order_receipt_items ri
+          JOIN purchase_order_receipts r ON r.id = ri.receipt_id
+          WHERE ri.purchase_order_item_id = poi.id
+        ) AS last_received_at
+      FROM purchase_order_items poi
+      JOIN purchase_orders po ON po.id = poi.purchase_order_id
+      WHERE po.supplier_id IS NOT NULL
+        AND po.status <> 'DRAFT'
+        AND COALESCE(po.submitted_at, po.created_at) >= NOW() - make_interval(days => $1)
+    ),
+    line_stats AS (
+      SELECT
+        supplier_id,
+        COUNT(*)::int AS lines,
+        COUNT(*) FILTER (
+          WHERE expected_date IS NOT NULL
+            AND status <> 'CANCELLED'
+            AND (quantity_received >= quantity OR expected_date < CURRENT_DATE)
+        )::int AS due_lines,
+        COUNT(*) FILTER (
+          WHERE expected_date IS NOT NULL
+            AND status <> 'CANCELLED'
+            AND quantity_received >= quantity
+            AND last_received_at::date <= expected_date
+        )::int AS on_time_lines,
+        SUM(quantity) FILTER (
+          WHERE status = 'RECEIVED' OR (status = 'CANCELLED' AND confirmed_at IS NOT NULL)
+        ) AS closed_units_ordered,
+        SUM(LEAST(quantity_received, quantity)) FILTER (
+          WHERE status = 'RECEIVED' OR (status = 'CANCELLED' AND confirmed_at IS NOT NULL)
+        ) AS closed_units_received
+      FROM lines
+      GROUP BY supplier_id
+    )
+    SELECT
+      s.id AS supplier_id,
+      s.name AS supplier_name,
+      s.lead_time_days AS configured_lead_time_days,
+      s.lead_time_stddev_days AS configured_lead_time_stddev_days,
+      s.use_observed_lead_time,
+      COALESCE(ls.lines, 0) AS lines,
+      COALESCE(ls.due_lines, 0) AS due_lines,
+      COALESCE(ls.on_time_lines, 0) AS on_time_lines,
+      CASE WHEN ls.due_lines > 0
+        THEN ls.on_time_lines::numeric / ls.due_lines END AS on_time_rate,
+      CASE WHEN ls.closed_units_ordered > 0
+        THEN ls.closed_units_received::numeric / ls.closed_units_ordered END AS fill_rate,
+      COALESCE(lt.receipts, 0) AS receipts,
+      lt.avg_lead_time_days,
+      lt.p90_lead_time_days,
+      lt.lead_time_stddev_days,
+      lt.lead_time_variance
+    FROM suppliers s
+    LEFT JOIN line_stats ls ON ls.supplier_id = s.id
+    LEFT JOIN (${supplierLeadTimesSql(1)}) lt ON lt.supplier_id = s.id
+    WHERE ($2::int IS NULL OR s.id = $2)
+    ORDER BY s.name
+  `, [days, supplierId]);
+
+  return rows.map(r => {
+    const numeric = field => (r[field] === null ? null : Number(r[field]));
+
+    return {
+      ...r,
+      on_time_rate: numeric("on_time_rate"),
+      fill_rate: numeric("fill_rate"),
+      avg_lead_time_days: numeric("avg_lead_time_days"),
+      p90_lead_time_days: numeric("p90_lead_time_days"),
+      lead_time_stddev_days: numeric("lead_time_stddev_days"),
+      lead_time_variance: numeric("lead_time_variance"),
+      observed_lead_time_used:
+        r.use_observed_lead_time && r.receipts >= MIN_OBSERVED_RECEIPTS,
+      window_days: days
+    };
+  });
+}
+
+module.exports = {
+  SUPPLIER_FIELDS,
+  SUPPLIER_RECORD,
+  CATALOG_ENTRY_RECORD,
+  SCORECARD,
+  NEW_SUPPLIER_SCHEMA,
+  SUPPLIER_CHANGES_SCHEMA,
+  CATALOG_ENTRY_SCHEMA,
+  setPreferredSupplier,
+  supplierScorecards
+};
@@ -0,0 +1,127 @@
+// Users, sessions and API keys: who a request's credentials belong to, and
+// the request bodies that create and change them.
+
+const auth = require("../auth");
+const {
+  id,
+  text,
+  nullable,
+  oneOf,
+  object,
+  changes,
+  record,
+  string,
+  boolean,
+  timestamp
+} = require("../schemas");
+
+// The user or API key behind a session token / API key, or null when it is
+// unknown, revoked or expired.
+async function loadPrincipal(db, credentials) {
+  const hash = auth.hashToken(credentials.token);
+
+  if (credentials.kind === "api_key") {
+    const { rows } = await db.query(
+      `UPDATE api_keys SET last_used_at = NOW()
+       WHERE key_hash = $1 AND revoked_at IS NULL
+       RETURNING id, name, role`,
+      [hash]
+    );
+    return rows.length
+      ? { kind: "api_key", id: rows[0].id, name: `api-key:${rows[0].name}`, role: rows[0].role }
+      : null;
+  }
+
+  const { rows } = await db.query(
+    `UPDATE sessions s SET last_seen_at = NOW()
+     FROM users u
+     WHERE s.token_hash = $1
+       AND s.expires_at > NOW()
+       AND u.id = s.user_id
+       AND u.active
+     RETURNING u.id, u.email, u.role`,
+    [hash]
+  );
+  return rows.length
+    ? { kind: "user", id: rows[0].id, name: rows[0].email, role: rows[0].role }
+    : null;
+}
+
+function publicUser(user) {
+  const { password_hash, ...rest } = user;
+  return rest;
+}
+
+// Bodies of POST /users, PATCH /users/:id and POST /api-keys
+const role = oneOf(auth.ROLES);
+const password = { type: "string", minLength: 8 };
+const NEW_USER_SCHEMA = object(
+  {
+    email: { type: "string", pattern: "^\\S+@\\S+$" },
+    name: nullable({ type: "string" }),
+    password,
+    role
+  },
+  ["email", "password", "role"]
+);
+const USER_CHANGES_SCHEMA = changes({
+  name: nullable({ type: "string" }),
+  role,
+  password,
+  active: { type: "boolean" }
+});
+const NEW_API_KEY_SCHEMA = object({ name: text, role }, ["name", "role"]);
+
+const USER_RECORD = {
+  title: "User",
+  ...record({
+    id,
+    email: string,
+    name: nullable(string),
+    role,
+    active: boolean,
+    created_at: timestamp,
+    last_login_at: nullable(timestamp)
+  })
+};
+
+// An api_keys row without the hash, naming the creator by email.
+const API_KEY_RECORD = {
+  title: "ApiKey",
+  ...record({
+    id,
+    name: string,
+    key_prefix: string,
+    role,
+    created_at: timestamp,
+    last_used_at: nullable(timestamp),
+    revoked_at: nullable(timestamp),
+    created_by: nullable(string)
+  })
+};
+
+// With no users yet, ADMIN_EMAIL and ADMIN_PASSWORD create the first admin.
+async function bootstrapAdmin(db) {
+  const { ADMIN_EMAIL, ADMIN_PASSWORD } = process.env;
+  if (!ADMIN_EMAIL || !ADMIN_PASSWORD) return;
+
+  const { rows } = await db.query(
+    `INSERT INTO users (email, name, password_hash, role)
+     SELECT $1, 'Administrator', $2, 'admin'
+     WHERE NOT EXISTS (SELECT 1 FROM users)
+     RETURNING id`,
+    [ADMIN_EMAIL.toLowerCase(), auth.hashPassword(ADMIN_PASSWORD)]
+  );
+  if (rows.length) console.log(`Created admin user ${ADMIN_EMAIL}`);
+}
+
+module.exports = {
+  loadPrincipal,
+  publicUser,
+  NEW_USER_SCHEMA,
+  USER_CHANGES_SCHEMA,
+  NEW_API_KEY_SCHEMA,
+  USER_RECORD,
+  API_KEY_RECORD,
+  bootstrapAdmin
+};
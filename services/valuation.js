@@ -0,0 +1,140 @@
+// Inventory valuation: value on hand and cost of goods sold from the stock
+// ledger and the cost layers PO receipts open (see valuation.js), FIFO or
+// at weighted average cost. Costs are in the currency the POs were placed
+// in; mixed currencies are not converted.
+
+const { COST_METHODS } = require("../valuation");
+const {
+  id,
+  date,
+  nullable,
+  oneOf,
+  arrayOf,
+  record,
+  string,
+  integer,
+  number
+} = require("../schemas");
+const { UNIT_COST_SQL } = require("./products");
+
+const VALUATION_GROUPS = ["product", "supplier", "category"];
+
+// ?method= and ?group_by= of the valuation reports, and the cut-off ?date=
+const VALUATION_QUERY = {
+  method: { ...oneOf(COST_METHODS), default: "fifo" },
+  group_by: { ...oneOf(VALUATION_GROUPS), default: "product" },
+  date
+};
+
+// Every product's ledger up to the end of `date` with each receipt's
+// layer cost, keyed by product id. day is the movement's date as the
+// database has it, for comparing with query dates in any time zone.
+// Transfers are left out: they move stock between locations without
+// changing what it is worth.
+async function loadCostLedgers(db, date, productIds = null) {
+  const { rows } = await db.query(`
+    SELECT
+      m.id,
+      m.product_id,
+      m.created_at,
+      to_char(m.created_at, 'YYYY-MM-DD') AS day,
+      m.quantity_change,
+      m.reason,
+      cl.unit_cost::float AS unit_cost
+    FROM stock_movements m
+    LEFT JOIN cost_layers cl ON cl.movement_id = m.id
+    WHERE m.created_at < COALESCE($1::date, CURRENT_DATE) + 1
+      AND m.reason <> 'transfer'
+      AND ($2::int[] IS NULL OR m.product_id = ANY($2))
+    ORDER BY m.product_id, m.created_at, m.id
+  `, [date || null, productIds]);
+
+  const ledgers = new Map();
+  for (const row of rows) {
+    if (!ledgers.has(row.product_id)) ledgers.set(row.product_id, []);
+    ledgers.get(row.product_id).push(row);
+  }
+  return ledgers;
+}
+
+async function loadValuationProducts(db) {
+  const { rows } = await db.query(`
+    SELECT
+      p.id AS product_id,
+      p.sku,
+      p.name,
+      p.supplier_id,
+      s.name AS supplier_name,
+      p.category_id,
+      c.name AS category_name,
+      ${UNIT_COST_SQL}::float AS estimated_unit_cost
+    FROM products p
+    LEFT JOIN suppliers s ON s.id = p.supplier_id
+    LEFT JOIN categories c ON c.id = p.category_id
+    WHERE p.kind = 'standard'
+    ORDER BY p.sku
+  `);
+  return rows;
+}
+
+// The rows of a report groupValuation() grouped: product rows with their
+// `measures` ({ value: number, ... }), or supplier / category rows with
+// the sums of them over their products
+function valuationRows(productMeasures, measures) {
+  const group = by => record({
+    [`${by}_id`]: nullable(id),
+    [`${by}_name`]: nullable(string),
+    products: integer,
+    ...measures
+  });
+
+  return arrayOf({
+    anyOf: [
+      record({
+        product_id: id,
+        sku: string,
+        name: string,
+        supplier_id: nullable(id),
+        supplier_name: nullable(string),
+        category_id: nullable(id),
+        category_name: nullable(string),
+        ...productMeasures
+      }),
+      group("supplier"),
+      group("category")
+    ]
+  });
+}
+
+// Sum product rows into supplier or category rows, largest last field
+// (value, cogs) first
+function groupValuation(rows, group_by, fields) {
+  if (group_by === "product") return rows;
+
+  const groups = new Map();
+  for (const row of rows) {
+    const id = row[`${group_by}_id`];
+    if (!groups.has(id)) {
+      groups.set(id, {
+        [`${group_by}_id`]: id,
+        [`${group_by}_name`]: row[`${group_by}_name`],
+        products: 0,
+        ...Object.fromEntries(fields.map(f => [f, 0]))
+      });
+    }
+    const group = groups.get(id);
+    group.products++;
+    for (const f of fields) group[f] = Number((group[f] + row[f]).toFixed(2));
+  }
+
+  const sortField = fields[fields.length - 1];
+  return [...groups.values()].sort((a, b) => b[sortField] - a[sortField]);
+}
+
+module.exports = {
+  VALUATION_QUERY,
+  valuationRows,
+  loadCostLedgers,
+  loadValuationProducts,
+  groupValuation
+};
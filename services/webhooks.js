@@ -0,0 +1,293 @@
+// Outbound webhooks: delivering queued events to subscribers with retries,
+// and the scan that turns planning changes into events. Signing and the
+// HTTP request itself are in webhooks.js.
+
+const {
+  EVENT_TYPES,
+  MAX_ATTEMPTS,
+  retryDelaySeconds,
+  sendDelivery
+} = require("../webhooks");
+const { withTransaction } = require("../db");
+const {
+  id,
+  url,
+  text,
+  nullable,
+  oneOf,
+  object,
+  changes,
+  arrayOf,
+  record,
+  string,
+  integer,
+  boolean,
+  json,
+  timestamp
+} = require("../schemas");
+const { emitEvent } = require("./events");
+const { planProducts } = require("./planning");
+const { loadPurchaseOrder } = require("./purchase-orders");
+
+const WEBHOOK_POLL_MS = Number(process.env.WEBHOOK_POLL_MS || 10000);
+const EVENT_SCAN_INTERVAL_MS = Number(process.env.EVENT_SCAN_INTERVAL_MS || 5 * 60 * 1000);
+const DELIVERY_BATCH = 20;
+
+// Planning state and lateness are computed, not stored, so a scan compares
+// the current plan with what it saw last time and emits the differences.
+// Products seen for the first time are recorded without an event.
+async function scanPlanningEvents(pool) {
+  const plan = await planProducts(pool);
+
+  return withTransaction(pool, async client => {
+    const { rows } = await client.query(`SELECT * FROM product_alert_state FOR UPDATE`);
+    const previous = new Map(rows.map(r => [r.product_id, r]));
+    const emitted = { status_changed: 0, reorder_point_crossed: 0, late: 0 };
+
+    for (const { product: p, rop, ...row } of plan) {
+      const below =
+        rop.reorder_point > 0 && p.stock + p.on_order <= rop.reorder_point;
+      const prev = previous.get(p.id);
+      const data = {
+        product: { id: p.id, sku: p.sku, name: p.name, stock: p.stock, on_order: p.on_order },
+        status: row.status,
+        reorder_point: rop.reorder_point,
+        days_of_stock: row.days_of_stock,
+        suggested_order_quantity: row.suggested_order_quantity
+      };
+
+      if (prev && prev.status !== row.status) {
+        await emitEvent(client, "product.status_changed", {
+          ...data,
+          previous_status: prev.status
+        });
+        emitted.status_changed++;
+      }
+      if (prev && prev.below_reorder_point !== below) {
+        await emitEvent(client, "product.reorder_point_crossed", {
+          ...data,
+          direction: below ? "below" : "above"
+        });
+        emitted.reorder_point_crossed++;
+      }
+
+      if (!prev || prev.status !== row.status || prev.below_reorder_point !== below) {
+        await client.query(
+          `INSERT INTO product_alert_state (product_id, status, below_reorder_point)
+           VALUES ($1, $2, $3)
+           ON CONFLICT (product_id) DO UPDATE SET
+             status = EXCLUDED.status,
+             below_reorder_point = EXCLUDED.below_reorder_point,
+             updated_at = NOW()`,
+          [p.id, row.status, below]
+        );
+      }
+    }
+
+    // same rule as /purchase-orders/intelligence: an open line past its date
+    const late = await client.query(`
+      UPDATE purchase_orders po
+      SET late_notified_at = NOW()
+      WHERE po.late_notified_at IS NULL
+        AND po.status IN ('SUBMITTED', 'CONFIRMED', 'PARTIALLY_RECEIVED')
+        AND EXISTS (
+          SELECT 1 FROM purchase_order_items poi
+          WHERE poi.purchase_order_id = po.id
+            AND poi.quantity_received < poi.quantity
+            AND poi.expected_date < CURRENT_DATE
+        )
+      RETURNING po.id
+    `);
+
+    for (const { id } of late.rows) {
+      await emitEvent(client, "purchase_order.late", {
+        purchase_order: await loadPurchaseOrder(client, id)
+      });
+      emitted.late++;
+    }
+
+    return emitted;
+  });
+}
+
+// Claim due deliveries (leasing them for five minutes so a second worker
+// skips them), send them and record the outcome.
+async function deliverDueWebhooks(pool, limit = DELIVERY_BATCH) {
+  const { rows } = await pool.query(`
+    UPDATE webhook_deliveries d
+    SET next_attempt_at = NOW() + INTERVAL '5 minutes'
+    FROM webhook_subscriptions s, events e
+    WHERE d.id IN (
+        SELECT id FROM webhook_deliveries
+        WHERE status = 'pending' AND next_attempt_at <= NOW()
+        ORDER BY next_attempt_at
+        LIMIT $1
+        FOR UPDATE SKIP LOCKED
+      )
+      AND s.id = d.subscription_id
+      AND e.id = d.event_id
+    RETURNING d.id, d.attempts, s.url, s.secret, s.active, e.id AS event_id,
+              e.type, e.data, e.created_at
+  `, [limit]);
+
+  for (const d of rows) {
+    const attempts = d.attempts + 1;
+    const result = d.active
+      ? await sendDelivery({
+          url: d.url,
+          secret: d.secret,
+          deliveryId: d.id,
+          event: d.type,
+          payload: { id: d.event_id, type: d.type, created_at: d.created_at, data: d.data }
+        })
+      : { ok: false, status: null, body: null, error: "subscription inactive" };
+
+    const status = result.ok
+      ? "delivered"
+      : attempts >= MAX_ATTEMPTS || !d.active ? "failed" : "pending";
+
+    await pool.query(
+      `UPDATE webhook_deliveries
+       SET status = $2,
+           attempts = $3,
+           last_attempt_at = NOW(),
+           next_attempt_at = CASE WHEN $2 = 'pending'
+             THEN NOW() + make_interval(secs => $4) ELSE NULL END,
+           delivered_at = CASE WHEN $2 = 'delivered' THEN NOW() ELSE NULL END,
+           response_status = $5,
+           response_body = $6,
+           error = $7
+       WHERE id = $1`,
+      [
+        d.id,
+        status,
+        attempts,
+        retryDelaySeconds(attempts),
+        result.status,
+        result.body,
+        result.error
+      ]
+    );
+  }
+
+  return rows.length;
+}
+
+// Run `fn` every `ms`, never overlapping itself.
+function every(ms, name, fn) {
+  let running = false;
+
+  const timer = setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      await fn();
+    } catch (err) {
+      console.error(`${name} error`, err);
+    } finally {
+      running = false;
+    }
+  }, ms);
+  timer.unref();
+}
+
+// Background delivery and event scanning; WEBHOOK_WORKER=off disables
+// both (e.g. when another process runs them).
+function startWebhookWorkers(pool) {
+  if (process.env.WEBHOOK_WORKER === "off") return;
+
+  every(WEBHOOK_POLL_MS, "Webhook delivery", () => deliverDueWebhooks(pool));
+  every(EVENT_SCAN_INTERVAL_MS, "Event scan", () => scanPlanningEvents(pool));
+}
+
+const DELIVERY_STATUSES = ["pending", "delivered", "failed"];
+
+// Bodies of POST and PATCH /webhooks/subscriptions. "*" subscribes to
+// every event type.
+const SUBSCRIPTION_PROPERTIES = {
+  url,
+  events: arrayOf(oneOf(["*", ...EVENT_TYPES]), { minItems: 1 }),
+  description: nullable({ type: "string" })
+};
+const NEW_SUBSCRIPTION_SCHEMA = object(
+  { ...SUBSCRIPTION_PROPERTIES, secret: text },
+  ["url", "events"]
+);
+const SUBSCRIPTION_CHANGES_SCHEMA = changes({
+  ...SUBSCRIPTION_PROPERTIES,
+  active: { type: "boolean" }
+});
+
+// The signing secret is only shown when a subscription is created.
+function publicSubscription({ secret, ...subscription }) {
+  return { ...subscription, secret_hint: `…${secret.slice(-4)}` };
+}
+
+const SUBSCRIPTION_COLUMNS = {
+  id,
+  url: string,
+  events: arrayOf(oneOf(["*", ...EVENT_TYPES])),
+  description: nullable(string),
+  active: boolean,
+  created_at: timestamp,
+  updated_at: timestamp
+};
+// As created, with the secret
+const NEW_SUBSCRIPTION_RECORD = {
+  title: "NewWebhookSubscription",
+  ...record({ ...SUBSCRIPTION_COLUMNS, secret: string })
+};
+// As publicSubscription() shows it; the list adds the delivery counts
+const SUBSCRIPTION_RECORD = {
+  title: "WebhookSubscription",
+  ...record({ ...SUBSCRIPTION_COLUMNS, secret_hint: string })
+};
+
+const DELIVERY_COLUMNS = {
+  id,
+  subscription_id: id,
+  event_id: id,
+  replay_of: nullable(id),
+  status: oneOf(DELIVERY_STATUSES),
+  attempts: integer,
+  next_attempt_at: nullable(timestamp),
+  last_attempt_at: nullable(timestamp),
+  response_status: nullable(integer),
+  error: nullable(string),
+  created_at: timestamp,
+  delivered_at: nullable(timestamp)
+};
+// A webhook_deliveries row. The log leaves out response_body and names the
+// event type; a single delivery also has the event's payload.
+const DELIVERY_RECORD = {
+  title: "WebhookDelivery",
+  ...record({ ...DELIVERY_COLUMNS, response_body: nullable(string) })
+};
+const DELIVERY_LOG_ENTRY = {
+  title: "WebhookDeliveryLogEntry",
+  ...record({ ...DELIVERY_COLUMNS, event: string })
+};
+const DELIVERY_DETAIL = {
+  title: "WebhookDeliveryDetail",
+  ...record({
+    ...DELIVERY_RECORD.properties,
+    event: string,
+    payload: json,
+    event_created_at: timestamp
+  })
+};
+
+module.exports = {
+  scanPlanningEvents,
+  deliverDueWebhooks,
+  startWebhookWorkers,
+  DELIVERY_STATUSES,
+  NEW_SUBSCRIPTION_SCHEMA,
+  SUBSCRIPTION_CHANGES_SCHEMA,
+  NEW_SUBSCRIPTION_RECORD,
+  SUBSCRIPTION_RECORD,
+  DELIVERY_RECORD,
+  DELIVERY_LOG_ENTRY,
+  DELIVERY_DETAIL,
+  publicSubscription
+};
@@ -0,0 +1,111 @@
+// Shopify-style order webhooks: signature check and mapping of order,
+// cancellation and refund payloads onto sale lines (the shape
+// validateSaleLine() in services/sales.js accepts).
+//
+// Shopify signs the raw request body with the app's shared secret and
+// sends base64(HMAC-SHA256(secret, body)) in X-Shopify-Hmac-Sha256.
+
+const crypto = require("crypto");
+
+const CHANNEL = "shopify";
+const TOPICS = ["orders/create", "orders/cancelled", "refunds/create"];
+
+function sign(secret, rawBody) {
+  return crypto.createHmac("sha256", secret).update(rawBody).digest("base64");
+}
+
+function verifySignature(secret, rawBody, header) {
+  if (!secret || !rawBody || !header) return false;
+
+  const expected = Buffer.from(sign(secret, rawBody));
+  const actual = Buffer.from(String(header));
+
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+// Sales are dated by UTC day, so a shop ahead of UTC never produces a
+// sale dated tomorrow.
+function saleDate(timestamp) {
+  const date = timestamp ? new Date(timestamp) : null;
+  return date && !isNaN(date) ? date.toISOString().slice(0, 10) : undefined;
+}
+
+// Order lines for the same SKU are summed so one order maps to one sale
+// line per product (the idempotency key is order + product).
+function mergeBySku(lines) {
+  const bySku = new Map();
+
+  for (const line of lines) {
+    const existing = bySku.get(line.sku);
+    if (existing) {
+      existing.quantity += line.quantity;
+    } else {
+      bySku.set(line.sku, { ...line });
+    }
+  }
+
+  return [...bySku.values()];
+}
+
+// orders/create -> one sale line per SKU
+function orderLines(order) {
+  return mergeBySku(
+    (order.line_items || [])
+      .filter(item => item.quantity > 0)
+      .map(item => ({
+        sku: item.sku ? String(item.sku).trim() : "",
+        title: item.title || item.name || null,
+        quantity: Number(item.quantity),
+        unit_price: item.price !== undefined ? Number(item.price) : undefined,
+        type: "sale",
+        sold_at: saleDate(order.created_at),
+        channel: CHANNEL,
+        external_order_id: String(order.id)
+      }))
+  );
+}
+
+// refunds/create -> one return line per SKU. Refunds without a restock
+// (money back, goods not returned) still net out demand but leave stock.
+function refundLines(refund) {
+  return mergeBySku(
+    (refund.refund_line_items || [])
+      .filter(item => item.quantity > 0)
+      .map(item => ({
+        sku: item.line_item && item.line_item.sku ? String(item.line_item.sku).trim() : "",
+        title: item.line_item ? item.line_item.title || null : null,
+        quantity: Number(item.quantity),
+        unit_price: item.line_item && item.line_item.price !== undefined
+          ? Number(item.line_item.price)
+          : undefined,
+        type: "return",
+        restock: item.restock_type !== "no_restock",
+        sold_at: saleDate(refund.created_at),
+        channel: CHANNEL,
+        external_order_id: String(refund.order_id),
+        external_return_id: refundReturnId(refund)
+      }))
+  );
+}
+
+// The id a refund's returns are recorded under.
+function refundReturnId(refund) {
+  return `refund-${refund.id}`;
+}
+
+// The id a cancellation's reversing returns are recorded under.
+function cancellationReturnId(order) {
+  return `cancel-${order.id}`;
+}
+
+module.exports = {
+  CHANNEL,
+  TOPICS,
+  sign,
+  verifySignature,
+  saleDate,
+  orderLines,
+  refundLines,
+  refundReturnId,
+  cancellationReturnId
+};
@@ -0,0 +1,135 @@
+// Analytics reports: ABC/XYZ classification, turnover, sell-through, dead
+// and excess stock, as JSON and CSV.
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { SKIP, startApp } = require("./helpers");
+
+const REPORTS = ["classification", "turnover", "sell-through", "dead-stock", "excess-stock"];
+
+function daysAgo(days) {
+  const date = new Date();
+  date.setUTCDate(date.getUTCDate() - days);
+  return date.toISOString().slice(0, 10);
+}
+
+test("analytics", { skip: SKIP }, async t => {
+  const api = await startApp("analytics");
+  t.after(() => api.close());
+
+  const products = {};
+  for (const [sku, stock] of [["FAST", 300], ["SLOW", 5000], ["IDLE", 40]]) {
+    products[sku] = (
+      await api.post("/products", { body: { sku, name: sku.toLowerCase(), stock } })
+    ).body;
+  }
+
+  // The opening stock was there before any of the sales below, which are
+  // recorded without touching stock. The ledger refuses updates, so the
+  // trigger is lifted for the one backdating statement.
+  await api.pool.query(`
+    BEGIN;
+    ALTER TABLE stock_movements DISABLE TRIGGER stock_movements_append_only;
+    UPDATE stock_movements SET created_at = NOW() - INTERVAL '120 days';
+    ALTER TABLE stock_movements ENABLE TRIGGER stock_movements_append_only;
+    COMMIT;
+  `);
+
+  // FAST sells 5 a day at 10.00, SLOW one every other day at 1.00, IDLE never
+  const sales = [];
+  for (let day = 1; day <= 56; day++) {
+    sales.push({ sku: "FAST", quantity: 5, unit_price: 10, sold_at: daysAgo(day) });
+    if (day % 2 === 0) {
+      sales.push({ sku: "SLOW", quantity: 1, unit_price: 1, sold_at: daysAgo(day) });
+    }
+  }
+  const recorded = await api.post("/sales/bulk", { body: { sales, update_stock: false } });
+  assert.strictEqual(recorded.status, 200);
+
+  await t.test("classification ranks products by revenue", async () => {
+    const res = await api.get("/analytics/classification");
+    assert.strictEqual(res.status, 200);
+    assert.deepStrictEqual(res.body.map(r => r.sku), ["FAST", "SLOW", "IDLE"]);
+    assert.deepStrictEqual(res.body.map(r => r.abc_class), ["A", "C", "C"]);
+
+    const onlyA = await api.get("/analytics/classification?abc_class=A");
+    assert.deepStrictEqual(onlyA.body.map(r => r.sku), ["FAST"]);
+
+    const byUnits = await api.get("/analytics/classification?basis=units&days=30");
+    assert.strictEqual(byUnits.status, 200);
+
+    assert.strictEqual((await api.get("/analytics/classification?abc_class=D")).status, 400);
+    assert.strictEqual((await api.get("/analytics/classification?days=0")).status, 400);
+  });
+
+  await t.test("turnover and sell-through follow units sold", async () => {
+    const turnover = await api.get("/analytics/turnover?days=90");
+    assert.strictEqual(turnover.status, 200);
+    const fast = turnover.body.find(r => r.sku === "FAST");
+    assert.strictEqual(fast.units_sold, 280);
+    assert.ok(fast.turnover > turnover.body.find(r => r.sku === "SLOW").turnover);
+
+    const sellThrough = await api.get("/analytics/sell-through");
+    assert.strictEqual(sellThrough.status, 200);
+    const rate = sku => sellThrough.body.find(r => r.sku === sku).sell_through;
+    assert.ok(rate("FAST") > rate("SLOW"));
+  });
+
+  await t.test("dead stock lists stocked products without recent sales", async () => {
+    const res = await api.get("/analytics/dead-stock");
+    assert.strictEqual(res.status, 200);
+    assert.deepStrictEqual(res.body.map(r => r.sku), ["IDLE"]);
+    assert.strictEqual(res.body[0].stock, 40);
+  });
+
+  await t.test("excess stock lists stock beyond the order-up-to level", async () => {
+    const res = await api.get("/analytics/excess-stock");
+    assert.strictEqual(res.status, 200);
+    const slow = res.body.find(r => r.sku === "SLOW");
+    assert.ok(slow.excess_units > 0);
+    assert.ok(!res.body.some(r => r.sku === "FAST"));
+  });
+
+  await t.test("every report is also served as CSV", async () => {
+    for (const report of REPORTS) {
+      const res = await api.get(`/analytics/${report}.csv`);
+      assert.strictEqual(res.status, 200, report);
+      assert.match(res.headers.get("content-type"), /text\/csv/);
+      assert.match(res.headers.get("content-disposition"), new RegExp(`${report}\\.csv`));
+      assert.match(res.body, /^"sku","name"/);
+    }
+  });
+
+  await t.test("classification values unpriced sales at cost and kits once", async () => {
+    const part = (await api.post("/products", { body: { sku: "PART", name: "part" } })).body;
+    const kit = (
+      await api.post("/products", { body: { sku: "KIT", name: "kit", kind: "kit" } })
+    ).body;
+    const supplier = (await api.post("/suppliers", { body: { name: "Parts Co" } })).body;
+    await api.put(`/suppliers/${supplier.id}/products/${part.id}`, {
+      body: { unit_cost: 4, is_preferred: true }
+    });
+    await api.put(`/products/${kit.id}/components`, {
+      body: { components: [{ product_id: part.id, quantity: 2 }] }
+    });
+
+    // 10 kits at 30.00 use 20 parts; 5 more parts sell without a price.
+    // The parts in the kits are units sold but not revenue of their own.
+    const recorded = await api.post("/sales/bulk", {
+      body: {
+        sales: [
+          { sku: "KIT", quantity: 10, unit_price: 30, sold_at: daysAgo(3) },
+          { sku: "PART", quantity: 5, sold_at: daysAgo(2) }
+        ],
+        update_stock: false
+      }
+    });
+    assert.strictEqual(recorded.status, 200);
+
+    const res = await api.get("/analytics/classification");
+    const row = sku => res.body.find(r => r.sku === sku);
+    assert.deepStrictEqual([row("PART").units, row("PART").revenue], [25, 20]);
+    assert.deepStrictEqual([row("KIT").units, row("KIT").revenue], [10, 300]);
+    assert.deepStrictEqual(res.body.map(r => r.sku), ["FAST", "KIT", "SLOW", "PART", "IDLE"]);
+  });
+});
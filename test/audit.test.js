@@ -0,0 +1,38 @@
+// The audit log records who changed what, and can be filtered.
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { SKIP, ADMIN_EMAIL, startApp } = require("./helpers");
+
+test("audit log", { skip: SKIP }, async t => {
+  const api = await startApp("audit");
+  t.after(() => api.close());
+
+  const product = (await api.post("/products", { body: { sku: "W-1", name: "Widget" } })).body;
+  await api.patch(`/products/${product.id}`, { body: { name: "Blue widget" } });
+  await api.post("/suppliers", { body: { name: "Acme" } });
+
+  await t.test("GET /audit lists changes newest first", async () => {
+    const res = await api.get("/audit");
+    assert.strictEqual(res.status, 200);
+    assert.deepStrictEqual(
+      res.body.slice(0, 3).map(r => [r.entity_type, r.action]),
+      [["supplier", "create"], ["product", "update"], ["product", "create"]]
+    );
+    assert.ok(res.body.every(r => r.actor === ADMIN_EMAIL));
+  });
+
+  await t.test("GET /audit filters by entity, action and date", async () => {
+    const updates = await api.get(`/audit?entity=product&entity_id=${product.id}&action=update`);
+    assert.strictEqual(updates.body.length, 1);
+    assert.deepStrictEqual(updates.body[0].changes.name, { from: "Widget", to: "Blue widget" });
+
+    const today = new Date().toISOString().slice(0, 10);
+    const byActor = await api.get(`/audit?actor=${ADMIN_EMAIL}&from=${today}&to=${today}`);
+    assert.ok(byActor.body.length >= 3);
+    assert.strictEqual((await api.get("/audit?actor=nobody")).body.length, 0);
+    assert.strictEqual((await api.get("/audit?limit=1")).body.length, 1);
+
+    assert.strictEqual((await api.get("/audit?from=yesterday")).status, 400);
+  });
+});
@@ -0,0 +1,122 @@
+// Sign-in and sessions, users and roles, and API keys.
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { SKIP, ADMIN_EMAIL, ADMIN_PASSWORD, startApp } = require("./helpers");
+
+test("auth", { skip: SKIP }, async t => {
+  const api = await startApp("auth");
+  t.after(() => api.close());
+
+  let buyer;
+
+  await t.test("GET / and the sign-in route are public", async () => {
+    const root = await api.get("/", { token: null });
+    assert.strictEqual(root.status, 200);
+    assert.strictEqual((await api.get("/auth/me", { token: null })).status, 401);
+    assert.strictEqual((await api.get("/auth/me", { token: "nope" })).status, 401);
+  });
+
+  await t.test("POST /auth/login returns a token and a session cookie", async () => {
+    const bad = await api.post("/auth/login", {
+      token: null,
+      body: { email: ADMIN_EMAIL, password: "wrong password" }
+    });
+    assert.strictEqual(bad.status, 401);
+    assert.strictEqual((await api.post("/auth/login", { token: null, body: {} })).status, 400);
+
+    const me = await api.get("/auth/me");
+    assert.strictEqual(me.status, 200);
+    assert.strictEqual(me.body.role, "admin");
+    assert.ok(me.body.permissions.includes("users.manage"));
+  });
+
+  await t.test("users can be created, listed and changed", async () => {
+    const weak = await api.post("/users", {
+      body: { email: "buyer@example.com", password: "short", role: "buyer" }
+    });
+    assert.strictEqual(weak.status, 400);
+    const badRole = await api.post("/users", {
+      body: { email: "buyer@example.com", password: "long enough", role: "owner" }
+    });
+    assert.strictEqual(badRole.status, 400);
+
+    const res = await api.post("/users", {
+      body: { email: "Buyer@Example.com", name: "Bea", password: "long enough", role: "buyer" }
+    });
+    assert.strictEqual(res.status, 201);
+    assert.strictEqual(res.body.email, "buyer@example.com");
+    assert.strictEqual(res.body.password_hash, undefined);
+    buyer = res.body;
+
+    const duplicate = await api.post("/users", {
+      body: { email: "buyer@example.com", password: "long enough", role: "buyer" }
+    });
+    assert.strictEqual(duplicate.status, 409);
+
+    const list = await api.get("/users");
+    assert.strictEqual(list.status, 200);
+    assert.deepStrictEqual(list.body.map(u => u.email), [ADMIN_EMAIL, "buyer@example.com"]);
+
+    const changed = await api.patch(`/users/${buyer.id}`, { body: { role: "planner" } });
+    assert.strictEqual(changed.status, 200);
+    assert.strictEqual(changed.body.role, "planner");
+    assert.strictEqual((await api.patch(`/users/${buyer.id}`, { body: {} })).status, 400);
+    assert.strictEqual((await api.patch("/users/999999", { body: { name: "x" } })).status, 404);
+  });
+
+  await t.test("deactivating a user ends their sessions", async () => {
+    const login = await api.post("/auth/login", {
+      token: null,
+      body: { email: "buyer@example.com", password: "long enough" }
+    });
+    assert.strictEqual(login.status, 200);
+    const token = login.body.token;
+    assert.strictEqual((await api.get("/auth/me", { token })).status, 200);
+    assert.strictEqual((await api.get("/users", { token })).status, 403);
+
+    await api.patch(`/users/${buyer.id}`, { body: { active: false } });
+    assert.strictEqual((await api.get("/auth/me", { token })).status, 401);
+  });
+
+  await t.test("POST /auth/logout ends the session", async () => {
+    const login = await api.post("/auth/login", {
+      token: null,
+      body: { email: ADMIN_EMAIL, password: ADMIN_PASSWORD }
+    });
+    const token = login.body.token;
+
+    const res = await api.post("/auth/logout", { token });
+    assert.strictEqual(res.status, 200);
+    assert.match(res.headers.get("set-cookie"), /Max-Age=0/);
+    assert.strictEqual((await api.get("/auth/me", { token })).status, 401);
+  });
+
+  await t.test("API keys authenticate until they are revoked", async () => {
+    const invalid = await api.post("/api-keys", { body: { name: "", role: "viewer" } });
+    assert.strictEqual(invalid.status, 400);
+
+    const created = await api.post("/api-keys", { body: { name: "BI export", role: "viewer" } });
+    assert.strictEqual(created.status, 201);
+    const { key } = created.body;
+    assert.ok(key);
+
+    const me = await api.get("/auth/me", { token: null, headers: { "X-API-Key": key } });
+    assert.strictEqual(me.status, 200);
+    assert.strictEqual(me.body.kind, "api_key");
+    assert.strictEqual(me.body.role, "viewer");
+
+    const list = await api.get("/api-keys");
+    assert.strictEqual(list.status, 200);
+    assert.strictEqual(list.body[0].created_by, ADMIN_EMAIL);
+    assert.strictEqual(list.body[0].key_hash, undefined);
+
+    const revoked = await api.delete(`/api-keys/${created.body.id}`);
+    assert.strictEqual(revoked.status, 200);
+    assert.ok(revoked.body.revoked_at);
+    assert.strictEqual(revoked.body.created_by, ADMIN_EMAIL);
+    assert.strictEqual(revoked.body.key_hash, undefined);
+    assert.strictEqual((await api.get("/auth/me", { token: key })).status, 401);
+    assert.strictEqual((await api.delete("/api-keys/999999")).status, 404);
+  });
+});
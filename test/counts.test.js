@@ -0,0 +1,127 @@
+// Stock counts: sessions, blind counting, approval of variances and the
+// daily count schedule.
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { SKIP, startApp } = require("./helpers");
+
+test("stock counts", { skip: SKIP }, async t => {
+  const api = await startApp("counts");
+  t.after(() => api.close());
+
+  const widget = (await api.post("/products", { body: { sku: "W-1", name: "Widget", stock: 10 } }))
+    .body;
+  const gadget = (await api.post("/products", { body: { sku: "G-1", name: "Gadget", stock: 4 } }))
+    .body;
+
+  let count;
+
+  await t.test("GET /stock-counts/schedule proposes what to count", async () => {
+    const res = await api.get("/stock-counts/schedule");
+    assert.strictEqual(res.status, 200);
+    assert.deepStrictEqual(res.body.products.map(p => p.sku).sort(), ["G-1", "W-1"]);
+  });
+
+  await t.test("POST /stock-counts starts a blind session", async () => {
+    const invalid = await api.post("/stock-counts", { body: { abc_class: "Z" } });
+    assert.strictEqual(invalid.status, 400);
+    const empty = await api.post("/stock-counts", { body: { product_ids: [999999] } });
+    assert.strictEqual(empty.status, 400);
+
+    const res = await api.post("/stock-counts", {
+      body: { product_ids: [widget.id, gadget.id], blind: true, notes: "aisle 3" }
+    });
+    assert.strictEqual(res.status, 201);
+    assert.strictEqual(res.body.status, "OPEN");
+    assert.strictEqual(res.body.lines.length, 2);
+    assert.ok(res.body.lines.every(l => l.expected_quantity === null));
+    count = res.body;
+
+    const list = await api.get("/stock-counts?status=OPEN");
+    assert.strictEqual(list.status, 200);
+    assert.deepStrictEqual(list.body.map(c => c.id), [count.id]);
+
+    const schedule = await api.get("/stock-counts/schedule");
+    assert.strictEqual(schedule.body.products.length, 0);
+  });
+
+  await t.test("POST /stock-counts/:id/counts records counted quantities", async () => {
+    const invalid = await api.post(`/stock-counts/${count.id}/counts`, { body: { counts: [] } });
+    assert.strictEqual(invalid.status, 400);
+
+    const res = await api.post(`/stock-counts/${count.id}/counts`, {
+      body: {
+        counts: [
+          { sku: "W-1", counted_quantity: 8 },
+          { product_id: gadget.id, counted_quantity: 4 }
+        ]
+      }
+    });
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.totals.counted, 2);
+    assert.strictEqual(res.body.lines[0].variance_units, null);
+
+    const one = await api.get(`/stock-counts/${count.id}`);
+    assert.strictEqual(one.status, 200);
+    assert.strictEqual(one.body.totals.counted, 2);
+    assert.strictEqual((await api.get("/stock-counts/999999")).status, 404);
+  });
+
+  await t.test("submitting shows variances and approval posts them", async () => {
+    const submitted = await api.post(`/stock-counts/${count.id}/submit`);
+    assert.strictEqual(submitted.status, 200);
+    assert.strictEqual(submitted.body.status, "SUBMITTED");
+    assert.strictEqual(submitted.body.totals.variance_units, -2);
+
+    const late = await api.post(`/stock-counts/${count.id}/counts`, {
+      body: { counts: [{ sku: "W-1", counted_quantity: 9 }] }
+    });
+    assert.strictEqual(late.status, 409);
+
+    const noReason = await api.post(`/stock-counts/${count.id}/approve`);
+    assert.strictEqual(noReason.status, 400);
+
+    const approved = await api.post(`/stock-counts/${count.id}/approve`, {
+      body: { reason_codes: { [widget.id]: "damaged" } }
+    });
+    assert.strictEqual(approved.status, 200);
+    assert.strictEqual(approved.body.status, "APPROVED");
+    assert.strictEqual((await api.get(`/products/${widget.id}`)).body.stock, 8);
+
+    const movements = (await api.get(`/products/${widget.id}/movements`)).body;
+    assert.strictEqual(movements[0].quantity_change, -2);
+    assert.strictEqual(movements[0].reason_code, "damaged");
+  });
+
+  await t.test("POST /stock-counts/:id/cancel posts nothing", async () => {
+    const started = await api.post("/stock-counts", { body: { product_ids: [gadget.id] } });
+    await api.post(`/stock-counts/${started.body.id}/counts`, {
+      body: { counts: [{ sku: "G-1", counted_quantity: 0 }] }
+    });
+
+    const res = await api.post(`/stock-counts/${started.body.id}/cancel`);
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.status, "CANCELLED");
+    assert.strictEqual((await api.get(`/products/${gadget.id}`)).body.stock, 4);
+
+    const nothing = await api.post(`/stock-counts/${started.body.id}/submit`);
+    assert.strictEqual(nothing.status, 409);
+  });
+
+  await t.test("only planners approve counts", async () => {
+    const warehouse = await api.tokenFor("warehouse");
+    const started = await api.post("/stock-counts", {
+      token: warehouse,
+      body: { product_ids: [gadget.id] }
+    });
+    assert.strictEqual(started.status, 201);
+    await api.post(`/stock-counts/${started.body.id}/counts`, {
+      token: warehouse,
+      body: { counts: [{ sku: "G-1", counted_quantity: 4 }] }
+    });
+    await api.post(`/stock-counts/${started.body.id}/submit`, { token: warehouse });
+
+    const res = await api.post(`/stock-counts/${started.body.id}/approve`, { token: warehouse });
+    assert.strictEqual(res.status, 403);
+  });
+});
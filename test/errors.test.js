@@ -0,0 +1,98 @@
+// Request validation and the common { error, code, details } error format.
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { SKIP, startApp } = require("./helpers");
+
+test("errors", { skip: SKIP }, async t => {
+  const api = await startApp("errors");
+  t.after(() => api.close());
+
+  const product = (await api.post("/products", { body: { sku: "W-1", name: "Widget" } })).body;
+
+  await t.test("invalid bodies are VALIDATION_ERRORs listing each field", async () => {
+    const res = await api.post("/products", { body: { name: " ", colour: "blue" } });
+    assert.strictEqual(res.status, 400);
+    assert.strictEqual(res.body.code, "VALIDATION_ERROR");
+    assert.deepStrictEqual(
+      res.body.details.map(d => `${d.in} ${d.field} ${d.message}`).sort(),
+      ["body colour is not allowed", "body name required", "body sku required"]
+    );
+    assert.match(res.body.error, /sku required/);
+  });
+
+  await t.test("stock must be a whole number >= 0", async () => {
+    for (const stock of [-1, "abc", 1.5]) {
+      const res = await api.patch(`/products/${product.id}/stock`, { body: { stock } });
+      assert.strictEqual(res.status, 400, `stock ${stock}`);
+      assert.strictEqual(res.body.details[0].field, "stock");
+    }
+    const stock = await api.get(`/products/${product.id}`);
+    assert.strictEqual(stock.body.stock, 0);
+  });
+
+  await t.test("params and queries are checked too", async () => {
+    const badParam = await api.get("/purchase-orders/0");
+    assert.strictEqual(badParam.status, 400);
+    assert.deepStrictEqual(badParam.body.details, [
+      { in: "params", field: "id", message: "must be >= 1" }
+    ]);
+
+    const badQuery = await api.get("/products?limit=many&colour=blue");
+    assert.strictEqual(badQuery.status, 400);
+    assert.deepStrictEqual(
+      badQuery.body.details.map(d => d.field).sort(),
+      ["colour", "limit"]
+    );
+  });
+
+  await t.test("missing records are NOT_FOUND", async () => {
+    for (const res of [
+      await api.get("/products/999999"),
+      await api.post("/purchase-orders/suggest", { body: { product_id: 999999 } })
+    ]) {
+      assert.strictEqual(res.status, 404);
+      assert.strictEqual(res.body.code, "NOT_FOUND");
+    }
+
+    const sale = await api.post("/sales", { body: { product_id: 999999, quantity: 1 } });
+    assert.strictEqual(sale.status, 400);
+    assert.strictEqual(sale.body.code, "VALIDATION_ERROR");
+  });
+
+  await t.test("duplicates are CONFLICTs", async () => {
+    const res = await api.post("/products", { body: { sku: "W-1", name: "Again" } });
+    assert.strictEqual(res.status, 409);
+    assert.strictEqual(res.body.code, "CONFLICT");
+  });
+
+  await t.test("unknown routes and malformed JSON get the same format", async () => {
+    const missing = await api.get("/no-such-thing");
+    assert.strictEqual(missing.status, 404);
+    assert.deepStrictEqual(missing.body, {
+      error: "No route for GET /no-such-thing",
+      code: "NOT_FOUND"
+    });
+
+    const malformed = await api.post("/products", { body: "{\"sku\": " });
+    assert.strictEqual(malformed.status, 400);
+    assert.deepStrictEqual(malformed.body, {
+      error: "Request body is not valid JSON",
+      code: "VALIDATION_ERROR"
+    });
+  });
+
+  await t.test("authentication and permission failures carry codes", async () => {
+    const anonymous = await api.get("/products", { token: null });
+    assert.strictEqual(anonymous.status, 401);
+    assert.strictEqual(anonymous.body.code, "UNAUTHENTICATED");
+
+    const viewer = await api.tokenFor("viewer");
+    const forbidden = await api.post("/products", {
+      token: viewer,
+      body: { sku: "V-1", name: "Viewer's" }
+    });
+    assert.strictEqual(forbidden.status, 403);
+    assert.strictEqual(forbidden.body.code, "FORBIDDEN");
+  });
+});
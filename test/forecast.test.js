@@ -0,0 +1,75 @@
+// Forecast model selection. Pure functions, so no database is needed.
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { selectForecast } = require("../forecast");
+
+const HISTORY_DAYS = 3 * 365;
+
+// A daily series of HISTORY_DAYS days, oldest first; day(i) gives the
+// units sold i days from the end (0 = today)
+function series(day) {
+  return Array.from({ length: HISTORY_DAYS }, (_, i) => day(HISTORY_DAYS - 1 - i));
+}
+
+function lowest(backtest) {
+  return Object.keys(backtest).reduce((a, b) => (backtest[b] < backtest[a] ? b : a));
+}
+
+test("forecast", async t => {
+  await t.test("picks the candidate with the lowest backtest RMSE", () => {
+    const weekly = series(ago => (ago % 7 === 0 ? 20 : 2));
+    const f = selectForecast(weekly, { horizon: 14 });
+
+    assert.strictEqual(f.method, "holt_winters_weekly");
+    assert.strictEqual(lowest(f.backtest), "holt_winters_weekly");
+    assert.ok(f.backtest.holt_winters_weekly < f.backtest.moving_average);
+    assert.strictEqual(f.error, f.backtest.holt_winters_weekly);
+    // the peaks stay seven days apart
+    assert.ok(f.forecast[6] > 10 && f.forecast[13] > 10);
+    assert.ok(f.forecast[0] < 5);
+
+    const stepped = series(ago => (ago < 40 ? 10 : 2));
+    const s = selectForecast(stepped, { horizon: 7 });
+    assert.strictEqual(s.method, lowest(s.backtest));
+    assert.ok(s.backtest.exponential < s.backtest.moving_average);
+  });
+
+  await t.test("an explicit method overrides the backtest", () => {
+    const weekly = series(ago => (ago % 7 === 0 ? 20 : 2));
+    const f = selectForecast(weekly, { horizon: 7, method: "moving_average" });
+    assert.strictEqual(f.method, "moving_average");
+    assert.strictEqual(f.error, f.backtest.moving_average);
+  });
+
+  await t.test("intermittent demand adds Croston to the candidates", () => {
+    const lumpy = series(ago => (ago < 300 && ago % 10 === 0 ? 30 : 0));
+    const f = selectForecast(lumpy, { horizon: 10 });
+    assert.ok("croston" in f.backtest);
+    assert.strictEqual(f.method, lowest(f.backtest));
+    const total = f.forecast.reduce((a, b) => a + b, 0);
+    assert.ok(total > 15 && total < 45, `${total}`);
+  });
+
+  await t.test("a single recent sale is not forecast as a daily rate", () => {
+    const once = series(ago => (ago === 3 ? 6 : 0));
+    const f = selectForecast(once, { horizon: 30 });
+
+    assert.strictEqual(f.history_days, 56);
+    assert.ok(f.forecast[0] > 0 && f.forecast[0] < 0.5, `${f.forecast[0]}`);
+    assert.ok(f.forecast.reduce((a, b) => a + b, 0) < 12);
+  });
+
+  await t.test("a product with a long history keeps all of it", () => {
+    const steady = series(ago => (ago < 200 ? 4 : 0));
+    const f = selectForecast(steady, { horizon: 7 });
+    assert.strictEqual(f.history_days, 200);
+    assert.ok(Math.abs(f.forecast[0] - 4) < 0.01);
+  });
+
+  await t.test("no sales at all forecasts nothing", () => {
+    const f = selectForecast(series(() => 0), { horizon: 7 });
+    assert.strictEqual(f.method, "none");
+    assert.deepStrictEqual(f.forecast, new Array(7).fill(0));
+  });
+});
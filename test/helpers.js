@@ -0,0 +1,206 @@
+// Shared setup for the integration tests: a scratch database per test file,
+// the app listening on a random port over it, a signed-in admin and a small
+// fetch wrapper that checks every response against the OpenAPI document.
+//
+// TEST_DATABASE_URL is only used to create (and afterwards drop) the scratch
+// database, so the role needs CREATEDB. Suites are skipped when it is unset.
+
+const Ajv = require("ajv");
+const auth = require("../auth");
+const { createPool } = require("../db");
+const { migrate } = require("../migrate");
+const { createApp } = require("../app");
+
+const ADMIN_URL = process.env.TEST_DATABASE_URL;
+const SKIP = !ADMIN_URL && "TEST_DATABASE_URL not set";
+
+const ADMIN_EMAIL = "admin@example.com";
+const ADMIN_PASSWORD = "correct horse battery";
+
+function databaseUrl(name) {
+  const url = new URL(ADMIN_URL);
+  url.pathname = `/${name}`;
+  return url.toString();
+}
+
+// Creates an empty database named after the suite and this process, and
+// returns a pool on it plus drop() to clean up.
+async function createTestDatabase(suite) {
+  const name = `inventory_planner_${suite}_${process.pid}`.replace(/\W/g, "_");
+  const admin = createPool(ADMIN_URL);
+  await admin.query(`DROP DATABASE IF EXISTS ${name}`);
+  await admin.query(`CREATE DATABASE ${name}`);
+  const pool = createPool(databaseUrl(name));
+
+  return {
+    name,
+    url: databaseUrl(name),
+    pool,
+    async drop() {
+      await pool.end();
+      await admin.query(`DROP DATABASE IF EXISTS ${name}`);
+      await admin.end();
+    }
+  };
+}
+
+async function send(baseUrl, method, path, { token, body, form, headers = {} } = {}) {
+  const init = { method, headers: { ...headers } };
+
+  if (token) init.headers.Authorization = `Bearer ${token}`;
+  if (form) {
+    init.body = form;
+  } else if (body !== undefined) {
+    init.headers["Content-Type"] = "application/json";
+    init.body = typeof body === "string" ? body : JSON.stringify(body);
+  }
+
+  const res = await fetch(baseUrl + path, init);
+  const text = await res.text();
+  let parsed = text;
+  if ((res.headers.get("content-type") || "").includes("application/json")) {
+    parsed = text ? JSON.parse(text) : null;
+  }
+
+  return { status: res.status, headers: res.headers, body: parsed };
+}
+
+// The operation of the document serving method + path. A literal segment
+// beats a {param} one, so /products/tags is not taken for /products/{id}.
+function findOperation(document, method, path) {
+  const segments = path.split("?")[0].split("/");
+  let best = null;
+  for (const [template, operations] of Object.entries(document.paths)) {
+    const parts = template.split("/");
+    if (!operations[method] || parts.length !== segments.length) continue;
+    let literals = 0;
+    const matches = parts.every((part, i) => {
+      if (/^\{\w+\}$/.test(part)) return segments[i] !== "";
+      literals++;
+      return part === decodeURIComponent(segments[i]);
+    });
+    if (matches && (!best || literals > best.literals)) {
+      best = { template, literals, operation: operations[method] };
+    }
+  }
+  return best;
+}
+
+// Throws unless res is a status the operation documents, with a body that
+// matches that response's schema. Requests no route serves must be 404s.
+function responseChecker(document) {
+  const ajv = new Ajv({ strict: false, allErrors: true, allowUnionTypes: true });
+  ajv.addFormat("date", /^\d{4}-\d{2}-\d{2}$/);
+  ajv.addFormat("date-time", value => !Number.isNaN(Date.parse(value)));
+  ajv.addSchema(document, "openapi.json");
+  const pointer = (...keys) =>
+    keys.map(k => String(k).replace(/~/g, "~0").replace(/\//g, "~1")).join("/");
+  const validators = new Map();
+
+  return (method, path, res) => {
+    const where = `${method.toUpperCase()} ${path} -> ${res.status}`;
+    const found = findOperation(document, method, path);
+    if (!found) {
+      if (res.status !== 404) throw new Error(`${where}: route missing from the OpenAPI document`);
+      return;
+    }
+
+    let response = found.operation.responses[res.status];
+    let location = ["paths", found.template, method, "responses", res.status];
+    if (!response) {
+      throw new Error(`${where}: status not documented for ${found.template} ` +
+        `(${JSON.stringify(res.body)})`);
+    }
+    if (response.$ref) {
+      location = response.$ref.split("/").slice(1);
+      response = location.reduce((node, key) => node[key], document);
+    }
+
+    const type = (res.headers.get("content-type") || "").split(";")[0];
+    if (!response.content[type]) {
+      throw new Error(`${where}: ${type} is not documented for ${found.template}`);
+    }
+    const ref = `openapi.json#/${pointer(...location, "content", type, "schema")}`;
+    if (!validators.has(ref)) validators.set(ref, ajv.compile({ $ref: ref }));
+    const check = validators.get(ref);
+    if (!check(res.body)) {
+      throw new Error(`${where}: body does not match the document: ` +
+        JSON.stringify(check.errors.slice(0, 5).map(e => `${e.instancePath} ${e.message}`)));
+    }
+  };
+}
+
+// Migrates a scratch database, serves the app on it and signs in an admin.
+// api.get/post/patch/put/delete(path, options) send as that admin unless
+// options.token says otherwise (null for no credentials).
+async function startApp(suite) {
+  const db = await createTestDatabase(suite);
+  await migrate(db.pool, { log: () => {} });
+  await db.pool.query(
+    `INSERT INTO users (email, name, password_hash, role)
+     VALUES ($1, 'Test admin', $2, 'admin')`,
+    [ADMIN_EMAIL, auth.hashPassword(ADMIN_PASSWORD)]
+  );
+
+  const server = createApp(db.pool).listen(0, "127.0.0.1");
+  await new Promise(resolve => server.once("listening", resolve));
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  const login = await send(baseUrl, "POST", "/auth/login", {
+    body: { email: ADMIN_EMAIL, password: ADMIN_PASSWORD }
+  });
+  if (login.status !== 200) {
+    throw new Error(`admin sign-in failed: ${login.status} ${JSON.stringify(login.body)}`);
+  }
+
+  const document = (await send(baseUrl, "GET", "/openapi.json")).body;
+  const checkResponse = responseChecker(document);
+
+  const api = { baseUrl, pool: db.pool, token: login.body.token, document };
+  for (const method of ["get", "post", "patch", "put", "delete"]) {
+    api[method] = async (path, options = {}) => {
+      const res = await send(baseUrl, method.toUpperCase(), path, {
+        ...options,
+        token: options.token === undefined ? api.token : options.token
+      });
+      checkResponse(method, path, res);
+      return res;
+    };
+  }
+
+  // Signs in a new user with the given role and returns their token
+  api.tokenFor = async role => {
+    const email = `${role}-${Date.now()}@example.com`;
+    const created = await api.post("/users", {
+      body: { email, password: ADMIN_PASSWORD, role }
+    });
+    if (created.status !== 201) throw new Error(`could not create ${role} user`);
+    const res = await send(baseUrl, "POST", "/auth/login", {
+      body: { email, password: ADMIN_PASSWORD }
+    });
+    return res.body.token;
+  };
+
+  // A multipart body with one file field, as the import routes expect
+  api.upload = (path, filename, contents, fields = {}) => {
+    const form = new FormData();
+    for (const [key, value] of Object.entries(fields)) form.append(key, String(value));
+    form.append("file", new Blob([contents]), filename);
+    return api.post(path, { form });
+  };
+
+  api.close = async () => {
+    await new Promise(resolve => server.close(resolve));
+    await db.drop();
+  };
+
+  return api;
+}
+
+module.exports = {
+  SKIP,
+  ADMIN_EMAIL,
+  ADMIN_PASSWORD,
+  createTestDatabase,
+  startApp
+};
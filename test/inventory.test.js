@@ -0,0 +1,294 @@
+// Stock levels and the ledger, locations and transfers, forecasts, velocity,
+// reorder status and points, and stock imports.
+
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const { SKIP, startApp } = require("./helpers");
+
+const FIXTURES = path.join(__dirname, "..", "fixtures", "imports");
+
+function daysAgo(days) {
+  const date = new Date();
+  date.setUTCDate(date.getUTCDate() - days);
+  return date.toISOString().slice(0, 10);
+}
+
+test("inventory", { skip: SKIP }, async t => {
+  const api = await startApp("inventory");
+  t.after(() => api.close());
+
+  let main;
+  let store;
+  let widget;
+
+  await t.test("GET /locations lists the default location", async () => {
+    const res = await api.get("/locations");
+    assert.strictEqual(res.status, 200);
+    main = res.body.find(l => l.is_default);
+    assert.ok(main);
+  });
+
+  await t.test("POST and PATCH /locations", async () => {
+    const created = await api.post("/locations", { body: { code: "STORE", name: "Store" } });
+    assert.strictEqual(created.status, 200);
+    store = created.body;
+
+    const duplicate = await api.post("/locations", { body: { code: "STORE", name: "Again" } });
+    assert.strictEqual(duplicate.status, 409);
+    assert.strictEqual((await api.post("/locations", { body: {} })).status, 400);
+
+    const renamed = await api.patch(`/locations/${store.id}`, { body: { name: "High St" } });
+    assert.strictEqual(renamed.status, 200);
+    assert.strictEqual(renamed.body.name, "High St");
+    assert.strictEqual((await api.patch("/locations/999999", { body: {} })).status, 404);
+  });
+
+  await t.test("PATCH /products/:id/stock posts the difference to the ledger", async () => {
+    widget = (
+      await api.post("/products", {
+        body: { sku: "W-1", name: "Widget", reorder_point: 10, lead_time_days: 5 }
+      })
+    ).body;
+
+    const res = await api.patch(`/products/${widget.id}/stock`, {
+      body: { stock: 20, note: "opening" }
+    });
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.stock, 20);
+
+    const bad = await api.patch(`/products/${widget.id}/stock`, {
+      body: { stock: 1, reason: "theft" }
+    });
+    assert.strictEqual(bad.status, 400);
+
+    const movements = await api.get(`/products/${widget.id}/movements`);
+    assert.strictEqual(movements.status, 200);
+    assert.deepStrictEqual(movements.body.map(m => m.quantity_change), [20]);
+  });
+
+  await t.test("POST /inventory/transfers moves stock between locations", async () => {
+    const res = await api.post("/inventory/transfers", {
+      body: {
+        product_id: widget.id,
+        from_location_id: main.id,
+        to_location_id: store.id,
+        quantity: 5
+      }
+    });
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.quantity, 5);
+
+    const levels = await api.get(`/products/${widget.id}/stock-levels`);
+    assert.strictEqual(levels.status, 200);
+    const byCode = Object.fromEntries(levels.body.map(l => [l.location_code, l.stock]));
+    assert.strictEqual(byCode[main.code], 15);
+    assert.strictEqual(byCode.STORE, 5);
+
+    const tooMany = await api.post("/inventory/transfers", {
+      body: {
+        product_id: widget.id,
+        from_location_id: store.id,
+        to_location_id: main.id,
+        quantity: 50
+      }
+    });
+    assert.strictEqual(tooMany.status, 400);
+
+    const move = body => api.post("/inventory/transfers", {
+      body: {
+        product_id: widget.id,
+        from_location_id: main.id,
+        to_location_id: store.id,
+        quantity: 1,
+        ...body
+      }
+    });
+    const noProduct = await move({ product_id: 999999 });
+    assert.strictEqual(noProduct.status, 404);
+    assert.strictEqual(noProduct.body.error, "Product not found");
+    const noLocation = await move({ to_location_id: 999999 });
+    assert.strictEqual(noLocation.status, 404);
+    assert.strictEqual(noLocation.body.error, "Location 999999 not found");
+    const sameLocation = await move({ to_location_id: main.id });
+    assert.strictEqual(sameLocation.status, 400);
+    assert.strictEqual(sameLocation.body.error, "Cannot transfer to the same location");
+  });
+
+  await t.test("GET /inventory/stock-as-of rebuilds stock from the ledger", async () => {
+    assert.strictEqual((await api.get("/inventory/stock-as-of")).status, 400);
+
+    const today = await api.get(`/inventory/stock-as-of?date=${daysAgo(0)}`);
+    assert.strictEqual(today.status, 200);
+    assert.strictEqual(today.body.products[0].stock, 20);
+
+    const before = await api.get(`/inventory/stock-as-of?date=${daysAgo(1)}`);
+    assert.strictEqual(before.body.products[0].stock, 0);
+  });
+
+  await t.test("velocity, forecast and reorder status reflect recent sales", async () => {
+    const sales = [];
+    for (let day = 1; day <= 28; day++) {
+      sales.push({ product_id: widget.id, quantity: 1, sold_at: daysAgo(day) });
+    }
+    const recorded = await api.post("/sales/bulk", {
+      body: { sales, update_stock: false }
+    });
+    assert.strictEqual(recorded.status, 200);
+
+    const velocity = await api.get("/inventory/velocity");
+    assert.strictEqual(velocity.status, 200);
+    assert.ok(Number(velocity.body[0].daily_velocity_7) > 0);
+
+    const byLocation = await api.get("/inventory/velocity?by_location=true");
+    assert.strictEqual(byLocation.status, 200);
+
+    const forecast = await api.get(`/products/${widget.id}/forecast?horizon=14`);
+    assert.strictEqual(forecast.status, 200);
+    assert.strictEqual(forecast.body.forecast.length, 14);
+    assert.strictEqual((await api.get("/products/999999/forecast")).status, 404);
+    assert.strictEqual(
+      (await api.get(`/products/${widget.id}/forecast?confidence=2`)).status,
+      400
+    );
+
+    const status = await api.get("/inventory/reorder-status");
+    assert.strictEqual(status.status, 200);
+    assert.strictEqual(status.body[0].sku, "W-1");
+    assert.ok(status.body[0].computed_reorder_point > 0);
+  });
+
+  await t.test("GET /inventory/reorder lists products at or below their reorder point", async () => {
+    await api.patch(`/products/${widget.id}/stock`, {
+      body: { stock: 2, location_id: main.id }
+    });
+    const res = await api.get("/inventory/reorder");
+    assert.strictEqual(res.status, 200);
+    assert.deepStrictEqual(res.body.map(p => p.sku), ["W-1"]);
+
+    assert.strictEqual((await api.get("/inventory/reorder?abc_class=Q")).status, 400);
+  });
+
+  await t.test("reorder points can be previewed and applied", async () => {
+    const preview = await api.get(`/inventory/reorder-points/preview?product_ids=${widget.id}`);
+    assert.strictEqual(preview.status, 200);
+    assert.strictEqual(preview.body.length, 1);
+    const computed = preview.body[0].computed_reorder_point;
+
+    assert.strictEqual((await api.post("/inventory/reorder-points/apply", { body: {} })).status, 400);
+
+    const applied = await api.post("/inventory/reorder-points/apply", {
+      body: { product_ids: [widget.id] }
+    });
+    assert.strictEqual(applied.status, 200);
+    assert.strictEqual(applied.body.updated, 1);
+
+    const product = await api.get(`/products/${widget.id}`);
+    assert.strictEqual(product.body.reorder_point, computed);
+  });
+
+  await t.test("GET /inventory/rollup sums variants under their parent", async () => {
+    const parent = (
+      await api.post("/products", { body: { sku: "T", name: "T-shirt", kind: "parent" } })
+    ).body;
+    await api.post("/products", {
+      body: { sku: "T-S", name: "T-shirt S", parent_id: parent.id, stock: 3 }
+    });
+
+    const res = await api.get("/inventory/rollup");
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.length, 1);
+    assert.strictEqual(res.body[0].variants, 1);
+    assert.strictEqual(res.body[0].stock, 3);
+  });
+
+  await t.test("POST /inventory/import dry-runs and applies a CSV", async () => {
+    const csv = "sku,name,stock\nW-1,Widget,7\nN-1,New thing,4\n";
+
+    const dryRun = await api.upload("/inventory/import", "stock.csv", csv, { dry_run: true });
+    assert.strictEqual(dryRun.status, 200);
+    assert.strictEqual(dryRun.body.applied, false);
+    assert.deepStrictEqual(dryRun.body.summary, { create: 1, update: 1, unchanged: 0, errors: 0 });
+
+    const applied = await api.upload("/inventory/import", "stock.csv", csv);
+    assert.strictEqual(applied.status, 200);
+    assert.strictEqual(applied.body.applied, true);
+
+    const created = await api.get("/products?q=N-1");
+    assert.strictEqual(created.body.data[0].stock, 4);
+
+    const invalid = await api.upload("/inventory/import", "stock.csv", "sku,stock\nW-1,-3\n");
+    assert.strictEqual(invalid.status, 422);
+    assert.strictEqual(invalid.body.code, "UNPROCESSABLE");
+    assert.deepStrictEqual(
+      invalid.body.details.map(e => [e.line, e.sku, e.field]),
+      [[2, "W-1", "stock"]]
+    );
+    assert.strictEqual(invalid.body.summary, undefined);
+
+    // rows the ledger would refuse fail the dry run too
+    const retired = (await api.post("/products", { body: { sku: "R-1", name: "Retired" } })).body;
+    await api.delete(`/products/${retired.id}`);
+    const refused = "sku,stock\nT,5\nR-1,2\n";
+    const refusedDryRun = await api.upload("/inventory/import", "stock.csv", refused, {
+      dry_run: true
+    });
+    assert.strictEqual(refusedDryRun.status, 200);
+    assert.deepStrictEqual(
+      refusedDryRun.body.errors.map(e => [e.line, e.sku, e.field, e.message]),
+      [
+        [2, "T", "stock", "T is a parent and holds no stock of its own"],
+        [3, "R-1", "stock", "R-1 is archived"]
+      ]
+    );
+    const refusedApply = await api.upload("/inventory/import", "stock.csv", refused);
+    assert.strictEqual(refusedApply.status, 422);
+    assert.strictEqual(refusedApply.body.details.length, 2);
+
+    const wrongType = await api.upload("/inventory/import", "stock.pdf", "x");
+    assert.strictEqual(wrongType.status, 400);
+  });
+
+  await t.test("POST /inventory/import reads XLSX sheets", async () => {
+    // padded headers; W-1 on row 2 with blank name and reorder_point, a
+    // blank row 3, then X-1 on row 4
+    const xlsx = fs.readFileSync(path.join(FIXTURES, "stock.xlsx"));
+    const before = (await api.get(`/products/${widget.id}`)).body;
+
+    const dryRun = await api.upload("/inventory/import", "stock.xlsx", xlsx, { dry_run: true });
+    assert.strictEqual(dryRun.status, 200);
+    assert.deepStrictEqual(
+      dryRun.body.changes.map(c => [c.line, c.sku, c.action]),
+      [[2, "W-1", "update"], [4, "X-1", "create"]]
+    );
+    assert.deepStrictEqual(dryRun.body.changes[0].changes, { stock: { from: 7, to: 9 } });
+    assert.strictEqual((await api.get(`/products/${widget.id}`)).body.stock, before.stock);
+
+    const applied = await api.upload("/inventory/import", "stock.xlsx", xlsx);
+    assert.strictEqual(applied.status, 200);
+    assert.strictEqual(applied.body.applied, true);
+    const after = (await api.get(`/products/${widget.id}`)).body;
+    assert.strictEqual(after.stock, before.stock + 2);
+    assert.strictEqual(after.name, before.name);
+    assert.strictEqual(after.reorder_point, before.reorder_point);
+    const created = (await api.get("/products?q=X-1")).body.data[0];
+    assert.strictEqual(created.name, "Xlsx thing");
+    assert.strictEqual(created.reorder_point, 5);
+
+    // X-2 on row 5, after two blank rows, has stock -2
+    const invalid = fs.readFileSync(path.join(FIXTURES, "stock-errors.xlsx"));
+    const check = await api.upload("/inventory/import", "stock-errors.xlsx", invalid, {
+      dry_run: true
+    });
+    assert.strictEqual(check.status, 200);
+    assert.deepStrictEqual(
+      check.body.errors.map(e => [e.line, e.sku, e.field]),
+      [[5, "X-2", "stock"]]
+    );
+    const rejected = await api.upload("/inventory/import", "stock-errors.xlsx", invalid);
+    assert.strictEqual(rejected.status, 422);
+    assert.deepStrictEqual(rejected.body.details.map(e => e.line), [5]);
+    assert.strictEqual((await api.get(`/products/${widget.id}`)).body.stock, after.stock);
+  });
+});
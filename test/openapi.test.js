@@ -0,0 +1,100 @@
+// The OpenAPI document, the docs page and the generated client. Every other
+// suite checks its responses against the document (see helpers.js).
+
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const { SKIP, startApp } = require("./helpers");
+const { createApp } = require("../app");
+const { appRoutes, openApiPath } = require("../openapi");
+const { generateClient } = require("../scripts/generate-client");
+const { createClient, ApiError } = require("../client");
+
+test("openapi", { skip: SKIP }, async t => {
+  const api = await startApp("openapi");
+  t.after(() => api.close());
+
+  await t.test("GET /openapi.json is public", async () => {
+    const res = await api.get("/openapi.json", { token: null });
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.openapi, "3.1.0");
+    assert.deepStrictEqual(res.body, api.document);
+  });
+
+  await t.test("every route is documented with a response", () => {
+    const routes = appRoutes(createApp(null));
+    assert.ok(routes.length > 100);
+    for (const { method, path: route } of routes) {
+      const op = api.document.paths[openApiPath(route)][method];
+      assert.ok(op, `${method} ${route}`);
+      assert.ok(Object.keys(op.responses).some(status => status < 300), `${method} ${route}`);
+    }
+
+    const product = api.document.paths["/products/{id}"].get;
+    assert.strictEqual(product["x-permission"], "read");
+    assert.deepStrictEqual(
+      Object.keys(product.responses).sort(),
+      ["200", "400", "401", "403", "404"]
+    );
+    assert.deepStrictEqual(
+      product.responses[200].content["application/json"].schema,
+      { $ref: "#/components/schemas/ProductListing" }
+    );
+  });
+
+  await t.test("reorder status documents daily_velocity", () => {
+    const status = api.document.components.schemas.ReorderStatus;
+    assert.ok(status.properties.daily_velocity);
+    assert.strictEqual(status.properties.daily_velocity_30, undefined);
+  });
+
+  await t.test("the checked-in client matches the document", () => {
+    const dir = path.join(__dirname, "..", "client");
+    for (const [name, contents] of Object.entries(generateClient(api.document))) {
+      assert.strictEqual(
+        fs.readFileSync(path.join(dir, name), "utf8"),
+        contents,
+        `client/${name} is out of date; run npm run generate:client`
+      );
+    }
+  });
+
+  await t.test("the client talks to the API", async () => {
+    const client = createClient({ baseUrl: api.baseUrl, token: api.token });
+
+    const created = await client.postProducts({ sku: "C-1", name: "Client widget" });
+    const fetched = await client.getProductsById(created.id);
+    assert.strictEqual(fetched.sku, "C-1");
+
+    const listed = await client.getProducts({ q: "Client", limit: 5 });
+    assert.deepStrictEqual(listed.data.map(p => p.sku), ["C-1"]);
+
+    const csv = new File(["sku,stock\nC-1,9\n"], "stock.csv");
+    const imported = await client.postInventoryImport(csv, { dry_run: false });
+    assert.strictEqual(imported.applied, true);
+    assert.strictEqual((await client.getProductsById(created.id)).stock, 9);
+
+    await assert.rejects(client.getProductsById(999999), err => {
+      assert.ok(err instanceof ApiError);
+      assert.strictEqual(err.status, 404);
+      assert.strictEqual(err.code, "NOT_FOUND");
+      return true;
+    });
+    await assert.rejects(client.postProducts({ name: "No SKU" }), err => {
+      assert.strictEqual(err.code, "VALIDATION_ERROR");
+      assert.deepStrictEqual(err.details.map(d => d.field), ["sku"]);
+      return true;
+    });
+
+    const anonymous = createClient({ baseUrl: api.baseUrl });
+    await assert.rejects(anonymous.getProducts(), { status: 401, code: "UNAUTHENTICATED" });
+  });
+
+  await t.test("the dashboard, docs page and client are served without credentials", async () => {
+    for (const file of ["/dashboard.html", "/dashboard.js", "/docs.html", "/client/index.js"]) {
+      const res = await fetch(api.baseUrl + file);
+      assert.strictEqual(res.status, 200, file);
+    }
+  });
+});
@@ -0,0 +1,199 @@
+// Planning policies and how a product's effective policy is resolved, and
+// the lead times planning uses.
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { SKIP, startApp } = require("./helpers");
+
+test("planning policies", { skip: SKIP }, async t => {
+  const api = await startApp("planning");
+  t.after(() => api.close());
+
+  const category = (await api.post("/categories", { body: { name: "Hardware" } })).body;
+  const widget = (
+    await api.post("/products", {
+      body: { sku: "W-1", name: "Widget", category_id: category.id }
+    })
+  ).body;
+
+  let global;
+  let categoryPolicy;
+
+  await t.test("GET /planning/policies starts with the global policy", async () => {
+    const res = await api.get("/planning/policies");
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.length, 1);
+    [global] = res.body;
+    assert.strictEqual(global.scope, "global");
+
+    const one = await api.get(`/planning/policies/${global.id}`);
+    assert.strictEqual(one.status, 200);
+    assert.strictEqual(one.body.coverage_days, 60);
+    assert.strictEqual((await api.get("/planning/policies/999999")).status, 404);
+  });
+
+  await t.test("POST /planning/policies adds a scoped policy", async () => {
+    const res = await api.post("/planning/policies", {
+      body: { scope: "category", scope_id: category.id, coverage_days: 30 }
+    });
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.review_period_days, null);
+    categoryPolicy = res.body;
+
+    const duplicate = await api.post("/planning/policies", {
+      body: { scope: "category", scope_id: category.id, buffer_days: 3 }
+    });
+    assert.strictEqual(duplicate.status, 409);
+
+    const invalid = await api.post("/planning/policies", {
+      body: { scope: "product", order_multiple: 0 }
+    });
+    assert.strictEqual(invalid.status, 400);
+    assert.match(invalid.body.error, /order_multiple/);
+    assert.match(invalid.body.error, /scope_id required/);
+
+    const scoped = await api.get("/planning/policies?scope=category");
+    assert.deepStrictEqual(scoped.body.map(p => p.id), [categoryPolicy.id]);
+  });
+
+  await t.test("GET /planning/policies/effective names each value's source", async () => {
+    const res = await api.get(`/planning/policies/effective?product_id=${widget.id}`);
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.coverage_days, 30);
+    assert.strictEqual(res.body.source.coverage_days, `category:${category.id}`);
+    assert.strictEqual(res.body.source.buffer_days, "global");
+
+    const missing = await api.get("/planning/policies/effective?product_id=999999");
+    assert.strictEqual(missing.status, 404);
+  });
+
+  await t.test("PATCH /planning/policies/:id updates and keeps the global policy whole", async () => {
+    const res = await api.patch(`/planning/policies/${categoryPolicy.id}`, {
+      body: { coverage_days: null, buffer_days: 5 }
+    });
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.coverage_days, null);
+    assert.strictEqual(res.body.buffer_days, 5);
+
+    const hollow = await api.patch(`/planning/policies/${global.id}`, {
+      body: { coverage_days: null }
+    });
+    assert.strictEqual(hollow.status, 400);
+    assert.strictEqual((await api.get(`/planning/policies/${global.id}`)).body.coverage_days, 60);
+
+    const empty = await api.patch(`/planning/policies/${global.id}`, { body: {} });
+    assert.strictEqual(empty.status, 400);
+    const missing = await api.patch("/planning/policies/999999", { body: { buffer_days: 1 } });
+    assert.strictEqual(missing.status, 404);
+  });
+
+  await t.test("DELETE /planning/policies/:id removes all but the global policy", async () => {
+    assert.strictEqual((await api.delete(`/planning/policies/${global.id}`)).status, 404);
+
+    const res = await api.delete(`/planning/policies/${categoryPolicy.id}`);
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual((await api.get(`/planning/policies/${categoryPolicy.id}`)).status, 404);
+  });
+
+  await t.test("observed receipt lead times replace the supplier's", async () => {
+    const observed = (
+      await api.post("/suppliers", {
+        body: { name: "Observed", lead_time_days: 30, use_observed_lead_time: true }
+      })
+    ).body;
+    const configured = (
+      await api.post("/suppliers", {
+        body: { name: "Configured", lead_time_days: 9, use_observed_lead_time: true }
+      })
+    ).body;
+    const fast = (
+      await api.post("/products", { body: { sku: "F-1", name: "Fast", supplier_id: observed.id } })
+    ).body;
+    const slow = (
+      await api.post("/products", { body: { sku: "S-1", name: "Slow", supplier_id: configured.id } })
+    ).body;
+
+    // three receipts, sent 10, 12 and 14 days before they arrived
+    for (const days of [10, 12, 14]) {
+      const po = (
+        await api.post("/purchase-orders", {
+          body: { supplier_id: observed.id, items: [{ product_id: fast.id, quantity: 1 }] }
+        })
+      ).body;
+      await api.post(`/purchase-orders/${po.id}/submit`);
+      await api.post(`/purchase-orders/${po.id}/confirm`);
+      assert.strictEqual((await api.post(`/purchase-orders/${po.id}/receive`)).status, 200);
+      await api.pool.query(
+        `UPDATE purchase_orders SET submitted_at = NOW() - make_interval(days => $2)
+         WHERE id = $1`,
+        [po.id, days]
+      );
+    }
+
+    const leadTimes = async () =>
+      Object.fromEntries(
+        (await api.get("/inventory/reorder-status")).body
+          .filter(r => r.id === fast.id || r.id === slow.id)
+          .map(r => [
+            r.sku,
+            [r.lead_time_days, Math.round(r.lead_time_stddev_days), r.lead_time_source]
+          ])
+      );
+
+    // no receipts from Configured, so its own lead time stands
+    assert.deepStrictEqual(await leadTimes(), {
+      "F-1": [12, 2, "observed"],
+      "S-1": [9, 0, "supplier"]
+    });
+    const scorecard = (await api.get(`/suppliers/${observed.id}/scorecard`)).body;
+    assert.strictEqual(scorecard.observed_lead_time_used, true);
+
+    await api.patch(`/suppliers/${observed.id}`, { body: { use_observed_lead_time: false } });
+    assert.deepStrictEqual((await leadTimes())["F-1"], [30, 0, "supplier"]);
+  });
+
+  await t.test("a product policy changes that product's suggestion", async () => {
+    const steady = (await api.post("/products", { body: { sku: "P-1", name: "Steady" } })).body;
+    const sales = [];
+    for (let day = 1; day <= 56; day++) {
+      const soldAt = new Date(Date.now() - day * 86400000).toISOString().slice(0, 10);
+      sales.push({ product_id: steady.id, quantity: 2, sold_at: soldAt });
+    }
+    await api.post("/sales/bulk", { body: { sales, update_stock: false } });
+
+    const planned = async () =>
+      (await api.get("/inventory/reorder-status")).body.find(r => r.id === steady.id);
+
+    const before = await planned();
+    assert.strictEqual(before.policy.coverage_days, 60);
+    assert.strictEqual(before.policy.source.coverage_days, "global");
+
+    const res = await api.post("/planning/policies", {
+      body: { scope: "product", scope_id: steady.id, coverage_days: 10 }
+    });
+    assert.strictEqual(res.status, 200);
+
+    const after = await planned();
+    assert.strictEqual(after.policy.coverage_days, 10);
+    assert.strictEqual(after.policy.source.coverage_days, `product:${steady.id}`);
+    assert.ok(
+      after.suggested_order_quantity < before.suggested_order_quantity,
+      `${after.suggested_order_quantity} < ${before.suggested_order_quantity}`
+    );
+
+    const suggestion = (await api.get("/purchase-orders/suggestions")).body
+      .find(s => s.product_id === steady.id);
+    assert.strictEqual(suggestion.coverage_days, 10);
+    assert.strictEqual(suggestion.suggested_order_quantity, after.suggested_order_quantity);
+  });
+
+  await t.test("viewers can read but not change policies", async () => {
+    const viewer = await api.tokenFor("viewer");
+    assert.strictEqual((await api.get("/planning/policies", { token: viewer })).status, 200);
+    const res = await api.post("/planning/policies", {
+      token: viewer,
+      body: { scope: "product", scope_id: widget.id, coverage_days: 10 }
+    });
+    assert.strictEqual(res.status, 403);
+  });
+});
@@ -0,0 +1,248 @@
+// Products, kits, variants, categories and per-product planning settings.
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { SKIP, startApp } = require("./helpers");
+
+test("products", { skip: SKIP }, async t => {
+  const api = await startApp("products");
+  t.after(() => api.close());
+
+  let widget;
+  let gadget;
+
+  await t.test("requests without credentials are refused", async () => {
+    const res = await api.get("/products", { token: null });
+    assert.strictEqual(res.status, 401);
+  });
+
+  await t.test("POST /products creates a product with opening stock", async () => {
+    const res = await api.post("/products", {
+      body: { sku: "W-1", name: "Widget", stock: 12, reorder_point: 5, tags: ["Blue", "blue "] }
+    });
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.sku, "W-1");
+    assert.strictEqual(res.body.stock, 12);
+    assert.deepStrictEqual(res.body.tags, ["blue"]);
+    widget = res.body;
+
+    gadget = (await api.post("/products", { body: { sku: "G-1", name: "Gadget", stock: 3 } })).body;
+  });
+
+  await t.test("POST /products validates and rejects duplicate SKUs", async () => {
+    const invalid = await api.post("/products", { body: { sku: "", reorder_point: -1 } });
+    assert.strictEqual(invalid.status, 400);
+    assert.match(invalid.body.error, /sku required/);
+
+    const negative = await api.post("/products", { body: { sku: "N-1", name: "Neg", stock: -5 } });
+    assert.strictEqual(negative.status, 400);
+    assert.match(negative.body.error, /stock/);
+
+    const duplicate = await api.post("/products", { body: { sku: "W-1", name: "Again" } });
+    assert.strictEqual(duplicate.status, 409);
+  });
+
+  await t.test("GET /products lists, filters, sorts and pages", async () => {
+    const all = await api.get("/products");
+    assert.strictEqual(all.status, 200);
+    assert.deepStrictEqual(all.body.data.map(p => p.sku), ["G-1", "W-1"]);
+
+    const search = await api.get("/products?q=widg");
+    assert.deepStrictEqual(search.body.data.map(p => p.sku), ["W-1"]);
+    // LIKE wildcards in q are matched literally
+    for (const q of ["%", "_", "W_1", "\\"]) {
+      const literal = await api.get(`/products?q=${encodeURIComponent(q)}`);
+      assert.deepStrictEqual(literal.body.data, [], q);
+    }
+
+    const tagged = await api.get("/products?tag=blue");
+    assert.deepStrictEqual(tagged.body.data.map(p => p.sku), ["W-1"]);
+
+    const first = await api.get("/products?sort=-name&limit=1");
+    assert.deepStrictEqual(first.body.data.map(p => p.sku), ["W-1"]);
+    assert.ok(first.body.next_cursor);
+    const second = await api.get(`/products?sort=-name&limit=1&cursor=${first.body.next_cursor}`);
+    assert.deepStrictEqual(second.body.data.map(p => p.sku), ["G-1"]);
+    assert.strictEqual(second.body.next_cursor, null);
+
+    // one row per page by creation time: every product once, in order
+    const seen = [];
+    let cursor = null;
+    do {
+      const page = await api.get(
+        `/products?sort=created_at&limit=1${cursor ? `&cursor=${cursor}` : ""}`
+      );
+      seen.push(...page.body.data.map(p => p.sku));
+      cursor = page.body.next_cursor;
+    } while (cursor && seen.length < 5);
+    assert.deepStrictEqual(seen, ["W-1", "G-1"]);
+
+    assert.strictEqual((await api.get("/products?sort=colour")).status, 400);
+  });
+
+  await t.test("GET /products/:id returns one product", async () => {
+    const res = await api.get(`/products/${widget.id}`);
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.available_stock, 12);
+    assert.strictEqual((await api.get("/products/999999")).status, 404);
+  });
+
+  await t.test("GET /products/tags counts tags in use", async () => {
+    const res = await api.get("/products/tags");
+    assert.strictEqual(res.status, 200);
+    assert.deepStrictEqual(res.body, [{ tag: "blue", products: 1 }]);
+  });
+
+  await t.test("PATCH /products/:id updates the fields sent", async () => {
+    const res = await api.patch(`/products/${widget.id}`, { body: { name: "Blue widget" } });
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.name, "Blue widget");
+    assert.strictEqual(res.body.reorder_point, 5);
+
+    const empty = await api.patch(`/products/${widget.id}`, { body: {} });
+    assert.strictEqual(empty.status, 400);
+  });
+
+  await t.test("DELETE archives and /restore brings a product back", async () => {
+    const archived = await api.delete(`/products/${gadget.id}`);
+    assert.strictEqual(archived.status, 200);
+    assert.ok(archived.body.archived_at);
+
+    const active = await api.get("/products");
+    assert.deepStrictEqual(active.body.data.map(p => p.sku), ["W-1"]);
+    const listed = await api.get("/products?status=archived");
+    assert.deepStrictEqual(listed.body.data.map(p => p.sku), ["G-1"]);
+
+    const restored = await api.post(`/products/${gadget.id}/restore`);
+    assert.strictEqual(restored.status, 200);
+    assert.strictEqual(restored.body.archived_at, null);
+  });
+
+  await t.test("kits are assembled from their components' stock", async () => {
+    const kit = (await api.post("/products", { body: { sku: "K-1", name: "Kit", kind: "kit" } }))
+      .body;
+
+    const notKit = await api.get(`/products/${widget.id}/components`);
+    assert.strictEqual(notKit.status, 400);
+
+    const saved = await api.put(`/products/${kit.id}/components`, {
+      body: {
+        components: [
+          { product_id: widget.id, quantity: 2 },
+          { product_id: gadget.id, quantity: 1 }
+        ]
+      }
+    });
+    assert.strictEqual(saved.status, 200);
+    assert.strictEqual(saved.body.components.length, 2);
+
+    const res = await api.get(`/products/${kit.id}/components`);
+    assert.strictEqual(res.status, 200);
+    // 12 widgets cover 6 kits, 3 gadgets cover 3
+    assert.strictEqual(res.body.available_stock, 3);
+
+    const nested = await api.put(`/products/${kit.id}/components`, {
+      body: { components: [{ product_id: kit.id, quantity: 1 }] }
+    });
+    assert.strictEqual(nested.status, 400);
+  });
+
+  await t.test("variants roll up under their parent", async () => {
+    const parent = (
+      await api.post("/products", { body: { sku: "T", name: "T-shirt", kind: "parent" } })
+    ).body;
+    for (const size of ["S", "M"]) {
+      const res = await api.post("/products", {
+        body: {
+          sku: `T-${size}`,
+          name: `T-shirt ${size}`,
+          parent_id: parent.id,
+          variant_attributes: { size },
+          stock: 4
+        }
+      });
+      assert.strictEqual(res.status, 200);
+    }
+
+    const res = await api.get(`/products/${parent.id}/variants`);
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.variants.length, 2);
+    assert.strictEqual(res.body.totals.stock, 8);
+
+    assert.strictEqual((await api.get(`/products/${widget.id}/variants`)).status, 400);
+  });
+
+  await t.test("lead time, service level and category have their own routes", async () => {
+    const lead = await api.patch(`/products/${widget.id}/lead-time`, {
+      body: { lead_time_days: 9 }
+    });
+    assert.strictEqual(lead.status, 200);
+    assert.strictEqual(lead.body.lead_time_days, 9);
+    assert.ok(new Date(lead.body.updated_at) >= new Date(widget.updated_at));
+    const recent = await api.get("/products?sort=-updated_at&limit=1");
+    assert.deepStrictEqual(recent.body.data.map(p => p.sku), ["W-1"]);
+
+    const level = await api.patch(`/products/${widget.id}/service-level`, {
+      body: { service_level: 0.97 }
+    });
+    assert.strictEqual(level.status, 200);
+    assert.strictEqual(Number(level.body.service_level), 0.97);
+    const badLevel = await api.patch(`/products/${widget.id}/service-level`, {
+      body: { service_level: 2 }
+    });
+    assert.strictEqual(badLevel.status, 400);
+
+    const category = await api.post("/categories", { body: { name: "Hardware" } });
+    assert.strictEqual(category.status, 200);
+    const assigned = await api.patch(`/products/${widget.id}/category`, {
+      body: { category_id: category.body.id }
+    });
+    assert.strictEqual(assigned.status, 200);
+    assert.strictEqual(assigned.body.category_id, category.body.id);
+
+    const missing = await api.patch(`/products/${widget.id}/category`, {
+      body: { category_id: 999999 }
+    });
+    assert.strictEqual(missing.status, 400);
+  });
+
+  await t.test("categories can be listed and renamed", async () => {
+    const [hardware] = (await api.get("/categories")).body;
+    assert.strictEqual(hardware.name, "Hardware");
+    assert.strictEqual(hardware.products, 1);
+
+    const renamed = await api.patch(`/categories/${hardware.id}`, {
+      body: { name: "Tools", service_level: 0.9 }
+    });
+    assert.strictEqual(renamed.status, 200);
+    assert.strictEqual(renamed.body.name, "Tools");
+
+    await api.post("/categories", { body: { name: "Garden" } });
+    const clash = await api.patch(`/categories/${hardware.id}`, { body: { name: "Garden" } });
+    assert.strictEqual(clash.status, 409);
+  });
+
+  await t.test("PATCH /products/images/bulk sets image URLs", async () => {
+    const res = await api.patch("/products/images/bulk", {
+      body: {
+        updates: [
+          { product_id: widget.id, image_url: "https://example.com/w.png" },
+          { product_id: 999999, image_url: "https://example.com/x.png" }
+        ]
+      }
+    });
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.updated, 1);
+  });
+
+  await t.test("roles without products.write are refused", async () => {
+    const viewer = await api.tokenFor("viewer");
+    assert.strictEqual((await api.get("/products", { token: viewer })).status, 200);
+
+    const res = await api.post("/products", {
+      token: viewer,
+      body: { sku: "V-1", name: "Nope" }
+    });
+    assert.strictEqual(res.status, 403);
+  });
+});
@@ -0,0 +1,263 @@
+// Purchase orders: drafts and their lines, the status flow, receiving, and
+// suggestions and recommendations from the replenishment plan.
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { SKIP, startApp } = require("./helpers");
+
+function daysFromNow(days) {
+  const date = new Date();
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+}
+
+test("purchase orders", { skip: SKIP }, async t => {
+  const api = await startApp("purchase_orders");
+  t.after(() => api.close());
+
+  const supplier = (
+    await api.post("/suppliers", { body: { name: "Acme", currency: "EUR", lead_time_days: 7 } })
+  ).body;
+  const widget = (
+    await api.post("/products", {
+      body: { sku: "W-1", name: "Widget", stock: 4, reorder_point: 10, supplier_id: supplier.id }
+    })
+  ).body;
+  const gadget = (await api.post("/products", { body: { sku: "G-1", name: "Gadget" } })).body;
+
+  const sales = [];
+  for (let day = 1; day <= 28; day++) {
+    sales.push({ product_id: widget.id, quantity: 2, sold_at: daysFromNow(-day) });
+  }
+  await api.post("/sales/bulk", { body: { sales, update_stock: false } });
+
+  let po;
+
+  await t.test("POST /purchase-orders creates a draft with lines", async () => {
+    const res = await api.post("/purchase-orders", {
+      body: {
+        notes: "first order",
+        items: [{ product_id: widget.id, quantity: 10, unit_cost: 2.5 }]
+      }
+    });
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.status, "DRAFT");
+    assert.strictEqual(res.body.items.length, 1);
+    po = res.body;
+
+    const invalid = await api.post("/purchase-orders", {
+      body: { items: [{ product_id: widget.id, quantity: 0 }] }
+    });
+    assert.strictEqual(invalid.status, 400);
+
+    const unknown = await api.post("/purchase-orders", {
+      body: { items: [{ product_id: 999999, quantity: 1 }] }
+    });
+    assert.strictEqual(unknown.status, 400);
+  });
+
+  await t.test("GET /purchase-orders lists and filters", async () => {
+    const res = await api.get("/purchase-orders?status=DRAFT");
+    assert.strictEqual(res.status, 200);
+    assert.deepStrictEqual(res.body.map(r => r.id), [po.id]);
+    assert.strictEqual((await api.get("/purchase-orders?status=CONFIRMED")).body.length, 0);
+
+    const one = await api.get(`/purchase-orders/${po.id}`);
+    assert.strictEqual(one.status, 200);
+    assert.strictEqual(one.body.notes, "first order");
+    assert.strictEqual((await api.get("/purchase-orders/999999")).status, 404);
+
+    const items = await api.get(`/purchase-orders/${po.id}/items`);
+    assert.strictEqual(items.status, 200);
+    assert.strictEqual(items.body[0].quantity_remaining, 10);
+  });
+
+  await t.test("draft headers and lines can be edited", async () => {
+    const header = await api.patch(`/purchase-orders/${po.id}`, {
+      body: { supplier_id: supplier.id, notes: "rush" }
+    });
+    assert.strictEqual(header.status, 200);
+    assert.strictEqual(header.body.supplier_name, "Acme");
+
+    const added = await api.post(`/purchase-orders/${po.id}/items`, {
+      body: { product_id: gadget.id, quantity: 3 }
+    });
+    assert.strictEqual(added.status, 200);
+    assert.strictEqual(added.body.items.length, 2);
+    const gadgetLine = added.body.items.find(i => i.product_id === gadget.id);
+
+    const changed = await api.patch(`/purchase-orders/${po.id}/items/${gadgetLine.item_id}`, {
+      body: { quantity: 5 }
+    });
+    assert.strictEqual(changed.status, 200);
+    assert.strictEqual(changed.body.items.find(i => i.product_id === gadget.id).quantity, 5);
+
+    const removed = await api.delete(`/purchase-orders/${po.id}/items/${gadgetLine.item_id}`);
+    assert.strictEqual(removed.status, 200);
+    assert.strictEqual(removed.body.items.length, 1);
+    const gone = await api.delete(`/purchase-orders/${po.id}/items/${gadgetLine.item_id}`);
+    assert.strictEqual(gone.status, 404);
+  });
+
+  await t.test("a PO is submitted, confirmed and received in parts", async () => {
+    const draft = await api.post("/purchase-orders", {
+      body: { items: [{ product_id: widget.id, quantity: 1 }] }
+    });
+    const noSupplier = await api.post(`/purchase-orders/${draft.body.id}/submit`);
+    assert.strictEqual(noSupplier.status, 400);
+
+    const early = await api.post(`/purchase-orders/${po.id}/receive`);
+    assert.strictEqual(early.status, 409);
+
+    const submitted = await api.post(`/purchase-orders/${po.id}/submit`);
+    assert.strictEqual(submitted.status, 200);
+    assert.strictEqual(submitted.body.status, "SUBMITTED");
+    const locked = await api.patch(`/purchase-orders/${po.id}`, { body: { notes: "late edit" } });
+    assert.strictEqual(locked.status, 409);
+
+    const confirmed = await api.post(`/purchase-orders/${po.id}/confirm`);
+    assert.strictEqual(confirmed.status, 200);
+    assert.strictEqual(confirmed.body.status, "CONFIRMED");
+
+    const [line] = confirmed.body.items;
+    const partial = await api.post(`/purchase-orders/${po.id}/receive`, {
+      body: { items: [{ item_id: line.item_id, quantity: 4 }], reference: "ASN-1" }
+    });
+    assert.strictEqual(partial.status, 200);
+    assert.strictEqual(partial.body.status, "PARTIALLY_RECEIVED");
+
+    const intelligence = await api.get("/purchase-orders/intelligence");
+    assert.strictEqual(intelligence.status, 200);
+    assert.deepStrictEqual(intelligence.body.map(r => r.id), [po.id]);
+
+    const rest = await api.post(`/purchase-orders/${po.id}/receive`);
+    assert.strictEqual(rest.status, 200);
+    assert.strictEqual(rest.body.status, "RECEIVED");
+    assert.strictEqual((await api.get(`/products/${widget.id}`)).body.stock, 14);
+
+    const receipts = await api.get(`/purchase-orders/${po.id}/receipts`);
+    assert.strictEqual(receipts.status, 200);
+    assert.deepStrictEqual(receipts.body.map(r => r.items[0].quantity), [4, 6]);
+    assert.strictEqual(receipts.body[0].reference, "ASN-1");
+  });
+
+  await t.test("receiving past the ordered quantity needs a tolerance", async () => {
+    const draft = await api.post("/purchase-orders", {
+      body: { supplier_id: supplier.id, items: [{ product_id: gadget.id, quantity: 10 }] }
+    });
+    await api.post(`/purchase-orders/${draft.body.id}/submit`);
+    const [line] = (await api.post(`/purchase-orders/${draft.body.id}/confirm`)).body.items;
+    const receive = (quantity, tolerance) =>
+      api.post(`/purchase-orders/${draft.body.id}/receive`, {
+        body: {
+          items: [{ item_id: line.item_id, quantity }],
+          ...(tolerance === undefined ? {} : { over_receipt_tolerance_pct: tolerance })
+        }
+      });
+
+    const first = await receive(8);
+    assert.strictEqual(first.status, 200);
+    assert.strictEqual(first.body.status, "PARTIALLY_RECEIVED");
+
+    const over = await receive(3);
+    assert.strictEqual(over.status, 409);
+    assert.match(over.body.error, /would bring received to 11, ordered 10$/);
+
+    // 15% of 10 allows 11.5, rounded down to 11
+    const pastTolerance = await receive(4, 15);
+    assert.strictEqual(pastTolerance.status, 409);
+    assert.match(pastTolerance.body.error, /received to 12, ordered 10 \(\+15% tolerance\)/);
+    assert.strictEqual((await api.get(`/products/${gadget.id}`)).body.stock, 8);
+
+    // two entries for one line can't add up past the tolerance
+    const split = await api.post(`/purchase-orders/${draft.body.id}/receive`, {
+      body: {
+        items: [{ item_id: line.item_id, quantity: 2 }, { item_id: line.item_id, quantity: 2 }],
+        over_receipt_tolerance_pct: 15
+      }
+    });
+    assert.strictEqual(split.status, 400);
+    assert.match(split.body.error, /listed more than once/);
+    assert.strictEqual((await api.get(`/products/${gadget.id}`)).body.stock, 8);
+
+    const atLimit = await receive(3, 15);
+    assert.strictEqual(atLimit.status, 200);
+    assert.strictEqual(atLimit.body.status, "RECEIVED");
+    assert.strictEqual(atLimit.body.items[0].quantity_received, 11);
+    assert.strictEqual((await api.get(`/products/${gadget.id}`)).body.stock, 11);
+
+    const again = await receive(1, 15);
+    assert.strictEqual(again.status, 409);
+  });
+
+  await t.test("POST /purchase-orders/:id/cancel cancels an open PO", async () => {
+    const draft = await api.post("/purchase-orders", {
+      body: { supplier_id: supplier.id, items: [{ product_id: gadget.id, quantity: 1 }] }
+    });
+    const res = await api.post(`/purchase-orders/${draft.body.id}/cancel`);
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.status, "CANCELLED");
+
+    const again = await api.post(`/purchase-orders/${draft.body.id}/confirm`);
+    assert.strictEqual(again.status, 409);
+  });
+
+  await t.test("suggestions and recommendations come from the plan", async () => {
+    const suggestions = await api.get("/purchase-orders/suggestions");
+    assert.strictEqual(suggestions.status, 200);
+    const suggestion = suggestions.body.find(s => s.product_id === widget.id);
+    assert.ok(suggestion.suggested_order_quantity > 0);
+    assert.strictEqual(suggestion.supplier_id, supplier.id);
+
+    const csv = await api.get("/purchase-orders/suggestions.csv");
+    assert.strictEqual(csv.status, 200);
+    assert.match(csv.headers.get("content-type"), /text\/csv/);
+    assert.match(csv.body, /"W-1","Widget"/);
+
+    const recommendations = await api.get("/purchase-orders/recommendations");
+    assert.strictEqual(recommendations.status, 200);
+    assert.ok(recommendations.body.find(r => r.sku === "W-1").recommended_order_qty > 0);
+
+    const suggested = await api.post("/purchase-orders/suggest", {
+      body: { product_id: widget.id, lead_time_days: 30 }
+    });
+    assert.strictEqual(suggested.status, 200);
+    assert.strictEqual(suggested.body.lead_time_days, 30);
+    assert.ok(suggested.body.suggested_quantity > 0);
+    const missing = await api.post("/purchase-orders/suggest", { body: { product_id: 999999 } });
+    assert.strictEqual(missing.status, 404);
+  });
+
+  await t.test("drafts can be created from a suggestion or the dashboard", async () => {
+    const fromSuggestion = await api.post("/purchase-orders/from-suggestion", {
+      body: { product_id: widget.id, quantity: 12 }
+    });
+    assert.strictEqual(fromSuggestion.status, 200);
+    assert.strictEqual(fromSuggestion.body.supplier_id, supplier.id);
+    assert.strictEqual(fromSuggestion.body.items[0].quantity, 12);
+    const incomplete = await api.post("/purchase-orders/from-suggestion", { body: {} });
+    assert.strictEqual(incomplete.status, 400);
+
+    const fromDashboard = await api.post("/purchase-orders/from-dashboard", {
+      body: {
+        items: [
+          { product_id: widget.id, quantity: 5 },
+          { product_id: gadget.id, quantity: 2 }
+        ]
+      }
+    });
+    assert.strictEqual(fromDashboard.status, 200);
+    const bySupplier = Object.fromEntries(
+      fromDashboard.body.purchase_orders.map(p => [p.supplier_id, p.items])
+    );
+    assert.deepStrictEqual(bySupplier, { [supplier.id]: 1, null: 1 });
+  });
+
+  await t.test("only buyers may submit and only the warehouse may receive", async () => {
+    const planner = await api.tokenFor("planner");
+    const submit = await api.post(`/purchase-orders/${po.id}/submit`, { token: planner });
+    assert.strictEqual(submit.status, 403);
+    const receive = await api.post(`/purchase-orders/${po.id}/receive`, { token: planner });
+    assert.strictEqual(receive.status, 403);
+  });
+});
@@ -0,0 +1,303 @@
+// Sales and returns, the bulk feed, file imports, the Shopify webhook and
+// its unmatched SKU queue.
+
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const { sign } = require("../shopify");
+const { SKIP, startApp } = require("./helpers");
+
+const SECRET = "test-secret";
+const FIXTURES = path.join(__dirname, "..", "fixtures", "shopify");
+
+function signedWebhook(api, topic, body, webhookId, secret = SECRET) {
+  return api.post("/webhooks/shopify", {
+    token: null,
+    body,
+    headers: {
+      "X-Shopify-Topic": topic,
+      "X-Shopify-Hmac-Sha256": sign(secret, body),
+      "X-Shopify-Webhook-Id": webhookId
+    }
+  });
+}
+
+function shopifyWebhook(api, topic, fixture, { webhookId, secret = SECRET } = {}) {
+  const body = fs.readFileSync(path.join(FIXTURES, fixture), "utf8");
+  return signedWebhook(api, topic, body, webhookId || `${topic}-${fixture}`, secret);
+}
+
+// refunds/create for order 7001, as in refunds-create.json
+function refund(id, quantity, restockType) {
+  return JSON.stringify({
+    id,
+    order_id: 7001,
+    created_at: "2026-10-05T09:00:00-04:00",
+    refund_line_items: [
+      { quantity, restock_type: restockType, line_item: { sku: "B", title: "Beta", price: "5.00" } }
+    ]
+  });
+}
+
+test("sales", { skip: SKIP }, async t => {
+  process.env.SHOPIFY_WEBHOOK_SECRET = SECRET;
+  const api = await startApp("sales");
+  t.after(() => api.close());
+
+  const products = {};
+  for (const sku of ["A", "B"]) {
+    products[sku] = (
+      await api.post("/products", { body: { sku, name: `Product ${sku}`, stock: 50 } })
+    ).body;
+  }
+  const stockOf = async sku => (await api.get(`/products/${products[sku].id}`)).body.stock;
+
+  await t.test("POST /sales records a sale and takes it out of stock", async () => {
+    const res = await api.post("/sales", {
+      body: { sku: "A", quantity: 3, external_order_id: "web-1", unit_price: 9.5 }
+    });
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.quantity, 3);
+    assert.strictEqual(await stockOf("A"), 47);
+
+    const again = await api.post("/sales", {
+      body: { sku: "A", quantity: 3, external_order_id: "web-1" }
+    });
+    assert.strictEqual(again.status, 200);
+    assert.strictEqual(again.body.duplicate, true);
+    assert.strictEqual(await stockOf("A"), 47);
+  });
+
+  await t.test("POST /sales records returns and validates lines", async () => {
+    const ret = await api.post("/sales", { body: { sku: "A", quantity: 1, type: "return" } });
+    assert.strictEqual(ret.status, 200);
+    assert.strictEqual(ret.body.quantity, -1);
+    assert.strictEqual(await stockOf("A"), 48);
+
+    assert.strictEqual((await api.post("/sales", { body: { quantity: 1 } })).status, 400);
+    const unknown = await api.post("/sales", { body: { sku: "NOPE", quantity: 1 } });
+    assert.strictEqual(unknown.status, 400);
+  });
+
+  await t.test("POST /sales/bulk is all-or-nothing", async () => {
+    const failed = await api.post("/sales/bulk", {
+      body: { sales: [{ sku: "B", quantity: 2 }, { sku: "B", quantity: 0 }] }
+    });
+    assert.strictEqual(failed.status, 422);
+    assert.strictEqual(failed.body.code, "UNPROCESSABLE");
+    assert.strictEqual(failed.body.details[0].line, 1);
+    assert.strictEqual(await stockOf("B"), 50);
+
+    const res = await api.post("/sales/bulk", {
+      body: { sales: [{ sku: "B", quantity: 2 }, { product_id: products.B.id, quantity: 1 }] }
+    });
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.inserted, 2);
+    assert.strictEqual(res.body.units, 3);
+    assert.strictEqual(await stockOf("B"), 47);
+
+    assert.strictEqual((await api.post("/sales/bulk", { body: { sales: [] } })).status, 400);
+  });
+
+  await t.test("an order keeps repeated products and partial returns apart", async () => {
+    const order = [
+      { sku: "A", quantity: 1, unit_price: 5, external_order_id: "web-2" },
+      { sku: "A", quantity: 2, unit_price: 4, external_order_id: "web-2" }
+    ];
+    const res = await api.post("/sales/bulk", { body: { sales: order, update_stock: false } });
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.inserted, 2);
+    assert.strictEqual(res.body.units, 3);
+
+    const resent = await api.post("/sales/bulk", { body: { sales: order, update_stock: false } });
+    assert.strictEqual(resent.body.inserted, 0);
+    assert.strictEqual(resent.body.duplicates, 2);
+
+    const withIds = await api.post("/sales/bulk", {
+      body: {
+        sales: [
+          { sku: "A", quantity: 1, external_order_id: "web-3", external_line_id: 11 },
+          { sku: "A", quantity: 1, external_order_id: "web-3", external_line_id: 12 },
+          { sku: "A", quantity: 1, external_order_id: "web-3", external_line_id: 12 }
+        ],
+        update_stock: false
+      }
+    });
+    assert.strictEqual(withIds.status, 422);
+    assert.deepStrictEqual(withIds.body.details, [
+      { line: 2, errors: ["duplicate of line 1 in this batch"] }
+    ]);
+
+    const unnamed = await api.post("/sales", {
+      body: { sku: "A", quantity: 1, type: "return", external_order_id: "web-2" }
+    });
+    assert.strictEqual(unnamed.status, 400);
+    assert.match(unnamed.body.error, /external_return_id required/);
+
+    const returnOf = external_return_id =>
+      api.post("/sales", {
+        body: {
+          sku: "A",
+          quantity: 1,
+          type: "return",
+          external_order_id: "web-2",
+          external_return_id,
+          update_stock: false
+        }
+      });
+    assert.strictEqual((await returnOf("ret-1")).body.quantity, -1);
+    const second = await returnOf("ret-2");
+    assert.strictEqual(second.status, 200);
+    assert.strictEqual(second.body.duplicate, undefined);
+    assert.strictEqual((await returnOf("ret-1")).body.duplicate, true);
+
+    const { rows } = await api.pool.query(
+      `SELECT SUM(quantity)::int AS net FROM sales WHERE external_order_id = 'web-2'`
+    );
+    assert.strictEqual(rows[0].net, 1);
+  });
+
+  await t.test("POST /sales/import records a CSV of sales", async () => {
+    const csv = "Item,qty,sold_at\nA,2,2026-01-05\nB,1,2026-01-06\n";
+    const res = await api.upload("/sales/import", "sales.csv", csv, {
+      mapping: JSON.stringify({ sku: "Item", quantity: "qty" }),
+      update_stock: false
+    });
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.rows, 2);
+    assert.strictEqual(res.body.inserted, 2);
+    assert.strictEqual(await stockOf("A"), 48);
+
+    const invalid = await api.upload("/sales/import", "sales.csv", "sku,quantity\nA,x\n");
+    assert.strictEqual(invalid.status, 422);
+    assert.strictEqual((await api.post("/sales/import")).status, 400);
+  });
+
+  await t.test("POST /webhooks/shopify checks the signature", async () => {
+    const res = await shopifyWebhook(api, "orders/create", "orders-create.json", {
+      secret: "wrong"
+    });
+    assert.strictEqual(res.status, 401);
+  });
+
+  await t.test("orders/create records matched lines and queues the rest", async () => {
+    const res = await shopifyWebhook(api, "orders/create", "orders-create.json");
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.status, "processed");
+    assert.strictEqual(res.body.result.inserted, 2);
+    assert.strictEqual(res.body.result.unmatched, 1);
+
+    const again = await shopifyWebhook(api, "orders/create", "orders-create.json");
+    assert.strictEqual(again.body.duplicate, true);
+
+    const ignored = await shopifyWebhook(api, "products/update", "orders-create.json");
+    assert.strictEqual(ignored.body.status, "ignored");
+  });
+
+  await t.test("unmatched lines can be resolved to a product or ignored", async () => {
+    const open = await api.get("/webhooks/unmatched");
+    assert.strictEqual(open.status, 200);
+    assert.strictEqual(open.body.length, 1);
+    const [line] = open.body;
+    assert.strictEqual(line.sku, "UNKNOWN-SKU-1");
+
+    // the order already has a line for A and B, so map it onto a new product
+    const wrap = (await api.post("/products", { body: { sku: "WRAP", name: "Gift wrap" } })).body;
+    const resolved = await api.post(`/webhooks/unmatched/${line.id}/resolve`, {
+      body: { product_id: wrap.id }
+    });
+    assert.strictEqual(resolved.status, 200);
+    assert.strictEqual(resolved.body.inserted, 1);
+
+    const twice = await api.post(`/webhooks/unmatched/${line.id}/resolve`, {
+      body: { product_id: wrap.id }
+    });
+    assert.strictEqual(twice.status, 409);
+    assert.strictEqual((await api.get("/webhooks/unmatched")).body.length, 0);
+
+    await api.pool.query(
+      `INSERT INTO unmatched_sale_lines (source, topic, sku, title, line)
+       VALUES ('shopify', 'orders/create', 'GIFT', 'Gift', '{"sku":"GIFT","quantity":1}')`
+    );
+    const [gift] = (await api.get("/webhooks/unmatched")).body;
+    const ignored = await api.post(`/webhooks/unmatched/${gift.id}/ignore`);
+    assert.strictEqual(ignored.status, 200);
+    assert.strictEqual(ignored.body.status, "ignored");
+    assert.strictEqual((await api.post(`/webhooks/unmatched/${gift.id}/ignore`)).status, 404);
+    assert.strictEqual((await api.get("/webhooks/unmatched?status=all")).body.length, 2);
+  });
+
+  await t.test("orders/cancelled reverses what is still recorded for the order", async () => {
+    const before = await stockOf("A");
+    const res = await shopifyWebhook(api, "orders/cancelled", "orders-cancelled.json");
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.status, "processed");
+    assert.strictEqual(await stockOf("A"), before + 2);
+  });
+
+  await t.test("refunds/create returns stock only when the goods come back", async () => {
+    const order = JSON.stringify({
+      id: 7001,
+      created_at: "2026-10-01T10:15:00-04:00",
+      line_items: [{ sku: "B", title: "Beta", quantity: 3, price: "5.00" }]
+    });
+    await signedWebhook(api, "orders/create", order, "order-7001");
+    const sold = await stockOf("B");
+
+    const restocked = await signedWebhook(api, "refunds/create", refund(1, 1, "return"), "refund-1");
+    assert.strictEqual(restocked.status, 200);
+    assert.strictEqual(restocked.body.result.returns, 1);
+    assert.strictEqual(await stockOf("B"), sold + 1);
+
+    const kept = await signedWebhook(api, "refunds/create", refund(2, 1, "no_restock"), "refund-2");
+    assert.strictEqual(kept.status, 200);
+    assert.strictEqual(kept.body.result.returns, 1);
+    assert.strictEqual(await stockOf("B"), sold + 1);
+
+    // both still net out demand
+    const { rows } = await api.pool.query(
+      `SELECT SUM(quantity)::int AS net FROM sales
+       WHERE external_order_id = '7001' AND product_id = $1`,
+      [products.B.id]
+    );
+    assert.strictEqual(rows[0].net, 1);
+
+    // a redelivery under a new webhook id is still a duplicate
+    const again = await signedWebhook(api, "refunds/create", refund(1, 1, "return"), "refund-1b");
+    assert.strictEqual(again.status, 200);
+    assert.strictEqual(again.body.result.duplicates, 1);
+    assert.strictEqual(await stockOf("B"), sold + 1);
+  });
+
+  await t.test("refunds/create queues lines for more than the order has left", async () => {
+    const before = await stockOf("B");
+    const res = await signedWebhook(api, "refunds/create", refund(3, 2, "return"), "refund-3");
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.status, "processed");
+    assert.strictEqual(res.body.result.returns, 0);
+    assert.strictEqual(res.body.result.unmatched, 1);
+    assert.strictEqual(await stockOf("B"), before);
+
+    // an order from before the integration has nothing recorded at all
+    const older = JSON.parse(refund(4, 1, "return"));
+    older.order_id = 6000;
+    const old = await signedWebhook(api, "refunds/create", JSON.stringify(older), "refund-4");
+    assert.strictEqual(old.status, 200);
+    assert.strictEqual(old.body.result.unmatched, 1);
+
+    const queued = (await api.get("/webhooks/unmatched")).body;
+    assert.deepStrictEqual(
+      queued.map(l => [l.sku, l.reason, l.line.external_order_id, l.line.quantity]),
+      [["B", "exceeds_sold", "7001", 2], ["B", "exceeds_sold", "6000", 1]]
+    );
+
+    // resolving records the returns as sent
+    const resolved = await api.post(`/webhooks/unmatched/${queued[0].id}/resolve`, {
+      body: { product_id: products.B.id }
+    });
+    assert.strictEqual(resolved.status, 200);
+    assert.strictEqual(resolved.body.returns, 2);
+    assert.strictEqual(await stockOf("B"), before + 3);
+  });
+});
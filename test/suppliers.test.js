@@ -0,0 +1,128 @@
+// Suppliers, their catalog of products and prices, preferred suppliers and
+// scorecards.
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { SKIP, startApp } = require("./helpers");
+
+test("suppliers", { skip: SKIP }, async t => {
+  const api = await startApp("suppliers");
+  t.after(() => api.close());
+
+  const widget = (await api.post("/products", { body: { sku: "W-1", name: "Widget" } })).body;
+  let acme;
+  let globex;
+
+  await t.test("POST /suppliers validates and creates", async () => {
+    const invalid = await api.post("/suppliers", { body: { name: "", currency: "euro" } });
+    assert.strictEqual(invalid.status, 400);
+    assert.match(invalid.body.error, /name required/);
+
+    const res = await api.post("/suppliers", {
+      body: { name: "Acme", currency: "EUR", lead_time_days: 10, moq: 5 }
+    });
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.currency, "EUR");
+    acme = res.body;
+
+    globex = (await api.post("/suppliers", { body: { name: "Globex" } })).body;
+  });
+
+  await t.test("GET /suppliers and /suppliers/:id", async () => {
+    const list = await api.get("/suppliers");
+    assert.strictEqual(list.status, 200);
+    assert.deepStrictEqual(list.body.map(s => s.name), ["Acme", "Globex"]);
+
+    const one = await api.get(`/suppliers/${acme.id}`);
+    assert.strictEqual(one.status, 200);
+    assert.strictEqual(one.body.moq, 5);
+    assert.strictEqual((await api.get("/suppliers/999999")).status, 404);
+  });
+
+  await t.test("PATCH /suppliers/:id updates the fields sent", async () => {
+    const res = await api.patch(`/suppliers/${acme.id}`, { body: { phone: "555-0100" } });
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.phone, "555-0100");
+    assert.strictEqual(res.body.name, "Acme");
+
+    assert.strictEqual((await api.patch(`/suppliers/${acme.id}`, { body: {} })).status, 400);
+    const missing = await api.patch("/suppliers/999999", { body: { phone: "1" } });
+    assert.strictEqual(missing.status, 404);
+  });
+
+  await t.test("the catalog holds each supplier's price for a product", async () => {
+    const saved = await api.put(`/suppliers/${acme.id}/products/${widget.id}`, {
+      body: { supplier_sku: "AC-W", unit_cost: 3.2, case_pack: 6 }
+    });
+    assert.strictEqual(saved.status, 200);
+    assert.strictEqual(saved.body.case_pack, 6);
+
+    const cheaper = await api.put(`/suppliers/${globex.id}/products/${widget.id}`, {
+      body: { unit_cost: 2.9, is_preferred: true }
+    });
+    assert.strictEqual(cheaper.status, 200);
+    assert.strictEqual(cheaper.body.is_preferred, true);
+
+    const invalid = await api.put(`/suppliers/${acme.id}/products/${widget.id}`, {
+      body: { case_pack: 0 }
+    });
+    assert.strictEqual(invalid.status, 400);
+
+    const catalog = await api.get(`/suppliers/${acme.id}/products`);
+    assert.strictEqual(catalog.status, 200);
+    assert.deepStrictEqual(catalog.body.map(e => e.supplier_sku), ["AC-W"]);
+
+    const suppliers = await api.get(`/products/${widget.id}/suppliers`);
+    assert.strictEqual(suppliers.status, 200);
+    assert.deepStrictEqual(suppliers.body.map(e => e.supplier_name), ["Globex", "Acme"]);
+    assert.strictEqual((await api.get(`/products/${widget.id}`)).body.supplier_id, globex.id);
+  });
+
+  await t.test("PATCH /products/:id/supplier sets the preferred supplier", async () => {
+    assert.strictEqual((await api.patch(`/products/${widget.id}/supplier`, { body: {} })).status, 400);
+
+    const res = await api.patch(`/products/${widget.id}/supplier`, {
+      body: { supplier_id: acme.id }
+    });
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.supplier_id, acme.id);
+
+    const [preferred] = (await api.get(`/products/${widget.id}/suppliers`)).body;
+    assert.strictEqual(preferred.supplier_id, acme.id);
+  });
+
+  await t.test("removing the preferred entry unassigns the product", async () => {
+    const res = await api.delete(`/suppliers/${acme.id}/products/${widget.id}`);
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual((await api.get(`/products/${widget.id}`)).body.supplier_id, null);
+
+    const again = await api.delete(`/suppliers/${acme.id}/products/${widget.id}`);
+    assert.strictEqual(again.status, 404);
+  });
+
+  await t.test("scorecards cover every supplier", async () => {
+    const all = await api.get("/suppliers/scorecards");
+    assert.strictEqual(all.status, 200);
+    assert.deepStrictEqual(all.body.map(s => s.supplier_name).sort(), ["Acme", "Globex"]);
+
+    const one = await api.get(`/suppliers/${acme.id}/scorecard?days=30`);
+    assert.strictEqual(one.status, 200);
+    assert.strictEqual(one.body.supplier_id, acme.id);
+    assert.strictEqual(one.body.lines, 0);
+
+    assert.strictEqual((await api.get("/suppliers/scorecards?days=0")).status, 400);
+    assert.strictEqual((await api.get("/suppliers/999999/scorecard")).status, 404);
+  });
+
+  await t.test("DELETE /suppliers/:id refuses suppliers with purchase orders", async () => {
+    await api.post("/purchase-orders", {
+      body: { supplier_id: acme.id, items: [{ product_id: widget.id, quantity: 1 }] }
+    });
+    assert.strictEqual((await api.delete(`/suppliers/${acme.id}`)).status, 409);
+
+    const res = await api.delete(`/suppliers/${globex.id}`);
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual((await api.get(`/suppliers/${globex.id}`)).status, 404);
+    assert.strictEqual((await api.delete(`/suppliers/${globex.id}`)).status, 404);
+  });
+});
@@ -0,0 +1,103 @@
+// Inventory valuation, cost of goods sold and cost layers, FIFO and WAC.
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { SKIP, startApp } = require("./helpers");
+
+// Orders quantity at unitCost from the supplier and receives all of it
+async function receive(api, supplierId, productId, quantity, unitCost) {
+  const po = await api.post("/purchase-orders", {
+    body: {
+      supplier_id: supplierId,
+      items: [{ product_id: productId, quantity, unit_cost: unitCost }]
+    }
+  });
+  await api.post(`/purchase-orders/${po.body.id}/submit`);
+  await api.post(`/purchase-orders/${po.body.id}/confirm`);
+  const res = await api.post(`/purchase-orders/${po.body.id}/receive`);
+  assert.strictEqual(res.status, 200);
+}
+
+test("valuation", { skip: SKIP }, async t => {
+  const api = await startApp("valuation");
+  t.after(() => api.close());
+
+  const category = (await api.post("/categories", { body: { name: "Hardware" } })).body;
+  const supplier = (await api.post("/suppliers", { body: { name: "Acme" } })).body;
+  const widget = (
+    await api.post("/products", {
+      body: { sku: "W-1", name: "Widget", category_id: category.id, supplier_id: supplier.id }
+    })
+  ).body;
+
+  // 10 @ 2.00 then 10 @ 4.00 in, 15 out: FIFO keeps 5 @ 4.00, WAC 5 @ 3.00
+  await receive(api, supplier.id, widget.id, 10, 2);
+  await receive(api, supplier.id, widget.id, 10, 4);
+  await api.post("/sales", { body: { product_id: widget.id, quantity: 15 } });
+
+  await t.test("GET /valuation values stock on hand", async () => {
+    const fifo = await api.get("/valuation");
+    assert.strictEqual(fifo.status, 200);
+    assert.strictEqual(fifo.body.method, "fifo");
+    assert.strictEqual(fifo.body.total_quantity, 5);
+    assert.strictEqual(fifo.body.total_value, 20);
+
+    const wac = await api.get("/valuation?method=wac");
+    assert.strictEqual(wac.body.total_value, 15);
+
+    const bySupplier = await api.get("/valuation?group_by=supplier");
+    assert.deepStrictEqual(bySupplier.body.rows.map(r => [r.supplier_name, r.value]), [
+      ["Acme", 20]
+    ]);
+    const byCategory = await api.get("/valuation?group_by=category");
+    assert.strictEqual(byCategory.body.rows[0].category_name, "Hardware");
+
+    const yesterday = new Date(Date.now() - 86400000).toISOString().slice(0, 10);
+    const before = await api.get(`/valuation?date=${yesterday}`);
+    assert.strictEqual(before.body.total_value, 0);
+
+    assert.strictEqual((await api.get("/valuation?method=lifo")).status, 400);
+    assert.strictEqual((await api.get("/valuation?group_by=colour")).status, 400);
+    assert.strictEqual((await api.get("/valuation?date=soon")).status, 400);
+  });
+
+  await t.test("GET /valuation/cogs costs what was sold", async () => {
+    const fifo = await api.get("/valuation/cogs");
+    assert.strictEqual(fifo.status, 200);
+    assert.strictEqual(fifo.body.total_units_sold, 15);
+    assert.strictEqual(fifo.body.total_cogs, 40);
+
+    const wac = await api.get("/valuation/cogs?method=wac");
+    assert.strictEqual(wac.body.total_cogs, 45);
+
+    const grouped = await api.get("/valuation/cogs?group_by=category");
+    assert.strictEqual(grouped.body.rows[0].cogs, 40);
+
+    const today = new Date().toISOString().slice(0, 10);
+    const yesterday = new Date(Date.now() - 86400000).toISOString().slice(0, 10);
+    const sameDay = await api.get(`/valuation/cogs?from=${today}&to=${today}`);
+    assert.strictEqual(sameDay.body.total_cogs, 40);
+    const dayBefore = await api.get(`/valuation/cogs?from=${yesterday}&to=${yesterday}`);
+    assert.strictEqual(dayBefore.body.total_units_sold, 0);
+
+    // backfilled sales move no stock, so they have no cost
+    await api.post("/sales", {
+      body: { product_id: widget.id, quantity: 2, sold_at: yesterday, update_stock: false }
+    });
+    assert.strictEqual((await api.get("/valuation/cogs")).body.total_units_sold, 15);
+  });
+
+  await t.test("GET /products/:id/cost-layers lists the layers still held", async () => {
+    const res = await api.get(`/products/${widget.id}/cost-layers`);
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.quantity, 5);
+    assert.strictEqual(res.body.value, 20);
+    assert.strictEqual(res.body.layers.length, 1);
+    assert.strictEqual(res.body.layers[0].unit_cost, 4);
+
+    const wac = await api.get(`/products/${widget.id}/cost-layers?method=wac`);
+    assert.strictEqual(wac.body.unit_cost, 3);
+
+    assert.strictEqual((await api.get("/products/999999/cost-layers")).status, 404);
+  });
+});
@@ -0,0 +1,152 @@
+// Outbound webhooks: subscriptions, signed deliveries to a local receiver,
+// the delivery log, replays and the planning event scan.
+
+const test = require("node:test");
+const assert = require("node:assert");
+const http = require("http");
+const { signPayload } = require("../webhooks");
+const { SKIP, startApp } = require("./helpers");
+
+// Records every request; answers with `status` (200 unless changed)
+async function startReceiver() {
+  const receiver = { requests: [], status: 200 };
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", chunk => (body += chunk));
+    req.on("end", () => {
+      receiver.requests.push({ headers: req.headers, body });
+      res.writeHead(receiver.status);
+      res.end("ok");
+    });
+  });
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+  receiver.url = `http://127.0.0.1:${server.address().port}/hook`;
+  receiver.close = () => new Promise(resolve => server.close(resolve));
+  return receiver;
+}
+
+test("outbound webhooks", { skip: SKIP }, async t => {
+  const api = await startApp("webhooks");
+  const receiver = await startReceiver();
+  t.after(async () => {
+    await api.close();
+    await receiver.close();
+  });
+
+  let subscription;
+
+  await t.test("GET /webhooks/event-types lists what can be subscribed to", async () => {
+    const res = await api.get("/webhooks/event-types");
+    assert.strictEqual(res.status, 200);
+    assert.ok(res.body.includes("purchase_order.created"));
+  });
+
+  await t.test("subscriptions can be created, listed and changed", async () => {
+    const invalid = await api.post("/webhooks/subscriptions", {
+      body: { url: "ftp://example.com", events: ["order.shipped"] }
+    });
+    assert.strictEqual(invalid.status, 400);
+    assert.deepStrictEqual(invalid.body.details.map(d => d.field), ["url", "events[0]"]);
+    assert.match(invalid.body.error, /events\[0\] must be one of: \*, /);
+
+    const res = await api.post("/webhooks/subscriptions", {
+      body: { url: receiver.url, events: ["purchase_order.created"], secret: "s3cret" }
+    });
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.secret, "s3cret");
+    subscription = res.body;
+
+    const list = await api.get("/webhooks/subscriptions");
+    assert.strictEqual(list.status, 200);
+    assert.strictEqual(list.body.length, 1);
+    assert.strictEqual(list.body[0].secret, undefined);
+
+    const changed = await api.patch(`/webhooks/subscriptions/${subscription.id}`, {
+      body: { description: "ERP", events: ["*"] }
+    });
+    assert.strictEqual(changed.status, 200);
+    assert.deepStrictEqual(changed.body.events, ["*"]);
+    assert.strictEqual(
+      (await api.patch(`/webhooks/subscriptions/${subscription.id}`, { body: {} })).status,
+      400
+    );
+    assert.strictEqual(
+      (await api.patch("/webhooks/subscriptions/999999", { body: { active: false } })).status,
+      404
+    );
+  });
+
+  await t.test("events are delivered signed by /webhooks/scan", async () => {
+    const product = (await api.post("/products", { body: { sku: "W-1", name: "Widget" } })).body;
+    await api.post("/purchase-orders", {
+      body: { items: [{ product_id: product.id, quantity: 5 }] }
+    });
+
+    const scan = await api.post("/webhooks/scan");
+    assert.strictEqual(scan.status, 200);
+    assert.ok(scan.body.delivery_attempts >= 1);
+
+    const created = receiver.requests.find(
+      r => r.headers["x-inventory-event"] === "purchase_order.created"
+    );
+    assert.ok(created);
+    const { headers, body } = created;
+    assert.strictEqual(
+      headers["x-inventory-signature"],
+      signPayload("s3cret", headers["x-inventory-timestamp"], body)
+    );
+    assert.strictEqual(JSON.parse(body).data.purchase_order.items[0].sku, "W-1");
+  });
+
+  await t.test("the delivery log records attempts and can replay them", async () => {
+    const list = await api.get(
+      `/webhooks/deliveries?subscription_id=${subscription.id}&event=purchase_order.created`
+    );
+    assert.strictEqual(list.status, 200);
+    assert.strictEqual(list.body.length, 1);
+    assert.strictEqual(list.body[0].status, "delivered");
+
+    const one = await api.get(`/webhooks/deliveries/${list.body[0].id}`);
+    assert.strictEqual(one.status, 200);
+    assert.strictEqual(one.body.response_status, 200);
+    assert.strictEqual((await api.get("/webhooks/deliveries/999999")).status, 404);
+
+    const replay = await api.post(`/webhooks/deliveries/${list.body[0].id}/replay`);
+    assert.strictEqual(replay.status, 200);
+    assert.strictEqual(replay.body.status, "pending");
+    assert.notStrictEqual(replay.body.id, list.body[0].id);
+    assert.strictEqual(
+      (await api.post("/webhooks/deliveries/999999/replay")).status,
+      404
+    );
+  });
+
+  await t.test("a failing endpoint leaves the delivery pending for a retry", async () => {
+    receiver.status = 500;
+    const ping = await api.post(`/webhooks/subscriptions/${subscription.id}/ping`);
+    assert.strictEqual(ping.status, 200);
+    assert.strictEqual((await api.post("/webhooks/subscriptions/999999/ping")).status, 404);
+
+    await api.post("/webhooks/scan");
+    const res = await api.get(`/webhooks/deliveries/${ping.body.id}`);
+    assert.strictEqual(res.body.status, "pending");
+    assert.strictEqual(res.body.attempts, 1);
+    assert.strictEqual(res.body.response_status, 500);
+  });
+
+  await t.test("DELETE /webhooks/subscriptions/:id", async () => {
+    const res = await api.delete(`/webhooks/subscriptions/${subscription.id}`);
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual((await api.get("/webhooks/subscriptions")).body.length, 0);
+    assert.strictEqual(
+      (await api.delete(`/webhooks/subscriptions/${subscription.id}`)).status,
+      404
+    );
+  });
+
+  await t.test("only admins manage webhooks", async () => {
+    const planner = await api.tokenFor("planner");
+    assert.strictEqual((await api.get("/webhooks/event-types", { token: planner })).status, 200);
+    assert.strictEqual((await api.get("/webhooks/subscriptions", { token: planner })).status, 403);
+  });
+});
@@ -0,0 +1,97 @@
+// Inventory valuation: replaying a product's stock ledger through its cost
+// layers, first-in-first-out or at weighted average cost.
+//
+// Every PO receipt opens a cost layer at the price it was received at.
+// Replaying the ledger in order, outbound movements consume stock (oldest
+// layers first under FIFO, at the running average under WAC) and are
+// costed as they go, so the value on hand and the cost of goods sold can
+// be worked out as of any point. Stock that comes in without a cost of its
+// own (returns, count gains, imports, the opening balance) is added at the
+// running average cost, or at the fallback cost (the product's estimated
+// cost) while nothing has been costed yet. Stock that goes out when the
+// ledger shows none is costed at the last known cost, and later receipts
+// make up the shortfall first.
+
+const COST_METHODS = ["fifo", "wac"];
+
+const round = (n, places = 4) => Number(n.toFixed(places));
+
+// movements: one product's [{ id, created_at, quantity_change, reason,
+// unit_cost }] in ledger order; unit_cost is the cost layer's, or null.
+// Returns { quantity, value, unit_cost, layers, costed } where layers are
+// the FIFO layers still on hand (WAC: one layer at the average) and
+// costed gives each movement's cost (negative for stock going out).
+function replayCosts(movements, method = "fifo", { fallbackCost = 0 } = {}) {
+  if (!COST_METHODS.includes(method)) {
+    throw new RangeError(`Unknown cost method: ${method}`);
+  }
+
+  let layers = [];
+  let shortfall = 0;
+  let lastCost = fallbackCost;
+  const costed = [];
+
+  const onHand = () => layers.reduce((sum, l) => sum + l.quantity, 0);
+  const value = () => layers.reduce((sum, l) => sum + l.quantity * l.unit_cost, 0);
+  const averageCost = () => (onHand() > 0 ? value() / onHand() : lastCost);
+
+  for (const m of movements) {
+    const quantity = m.quantity_change;
+
+    if (quantity > 0) {
+      const unitCost = m.unit_cost ?? averageCost();
+      const covered = Math.min(shortfall, quantity);
+      shortfall -= covered;
+      lastCost = m.unit_cost ?? lastCost;
+
+      if (quantity > covered) {
+        layers.push({
+          movement_id: m.id,
+          received_at: m.created_at,
+          quantity: quantity - covered,
+          unit_cost: unitCost
+        });
+      }
+      if (method === "wac" && layers.length > 1) {
+        const q = onHand();
+        layers = [{ movement_id: m.id, received_at: m.created_at, quantity: q, unit_cost: value() / q }];
+      }
+      costed.push({ ...m, cost: round(quantity * unitCost, 2) });
+    } else if (quantity < 0) {
+      let remaining = -quantity;
+      let cost = 0;
+
+      while (remaining > 0 && layers.length) {
+        const layer = layers[0];
+        const take = Math.min(layer.quantity, remaining);
+        cost += take * layer.unit_cost;
+        lastCost = layer.unit_cost;
+        layer.quantity -= take;
+        remaining -= take;
+        if (!layer.quantity) layers.shift();
+      }
+      if (remaining > 0) {
+        cost += remaining * lastCost;
+        shortfall += remaining;
+      }
+
+      costed.push({ ...m, cost: cost ? -round(cost, 2) : 0 });
+    }
+  }
+
+  const quantity = onHand() - shortfall;
+  const total = value() - shortfall * lastCost;
+
+  return {
+    quantity,
+    value: round(total, 2),
+    unit_cost: quantity > 0 ? round(total / quantity) : round(lastCost),
+    layers: layers.map(l => ({ ...l, unit_cost: round(l.unit_cost) })),
+    costed
+  };
+}
+
+module.exports = {
+  COST_METHODS,
+  replayCosts
+};
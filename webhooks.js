@@ -0,0 +1,96 @@
+// Outbound webhooks: event names, payload signing and retry schedule.
+//
+// Each delivery is a POST of { id, type, created_at, data } with
+//
+//   X-Inventory-Event       event type
+//   X-Inventory-Delivery    delivery id (stable across retries)
+//   X-Inventory-Timestamp   unix seconds
+//   X-Inventory-Signature   sha256=hex(HMAC-SHA256(secret, `${timestamp}.${body}`))
+//
+// Receivers should recompute the signature over the raw body and reject
+// timestamps that are too old.
+
+const crypto = require("crypto");
+
+const EVENT_TYPES = [
+  "product.reorder_point_crossed",
+  "product.status_changed",
+  "purchase_order.created",
+  "purchase_order.submitted",
+  "purchase_order.confirmed",
+  "purchase_order.partially_received",
+  "purchase_order.received",
+  "purchase_order.receipt_recorded",
+  "purchase_order.cancelled",
+  "purchase_order.late",
+  "ping"
+];
+
+const MAX_ATTEMPTS = 8;
+const BASE_DELAY_SECONDS = 30;
+const MAX_DELAY_SECONDS = 6 * 60 * 60;
+const DELIVERY_TIMEOUT_MS = 10000;
+
+function generateSecret() {
+  return `whsec_${crypto.randomBytes(24).toString("hex")}`;
+}
+
+function signPayload(secret, timestamp, body) {
+  return `sha256=${crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${body}`)
+    .digest("hex")}`;
+}
+
+// Seconds to wait after the given (1-based) failed attempt: 30s, 1m, 2m,
+// 4m ... capped at 6h, with up to 10% jitter so retries don't bunch up.
+function retryDelaySeconds(attempt, random = Math.random) {
+  const delay = Math.min(BASE_DELAY_SECONDS * 2 ** (attempt - 1), MAX_DELAY_SECONDS);
+  return Math.round(delay * (1 + 0.1 * random()));
+}
+
+// POST one payload. Resolves to { ok, status, body, error } and never
+// throws, so the caller can always log the attempt.
+async function sendDelivery({ url, secret, deliveryId, event, payload }) {
+  const body = JSON.stringify(payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), DELIVERY_TIMEOUT_MS);
+
+  try {
+    const res = await fetch(url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "User-Agent": "inventory-planner-webhooks",
+        "X-Inventory-Event": event,
+        "X-Inventory-Delivery": String(deliveryId),
+        "X-Inventory-Timestamp": String(timestamp),
+        "X-Inventory-Signature": signPayload(secret, timestamp, body)
+      },
+      body,
+      signal: controller.signal
+    });
+    const text = await res.text();
+
+    return { ok: res.ok, status: res.status, body: text.slice(0, 2000), error: null };
+  } catch (err) {
+    return {
+      ok: false,
+      status: null,
+      body: null,
+      error: err.name === "AbortError" ? "timeout" : err.message
+    };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+module.exports = {
+  EVENT_TYPES,
+  MAX_ATTEMPTS,
+  generateSecret,
+  signPayload,
+  retryDelaySeconds,
+  sendDelivery
+};